@@ -0,0 +1,68 @@
+// migrate-county-names.js
+// One-off rewrite of free-text county / sub-county / ward names to the
+// canonical names and codes from src/utils/geography.js.
+// Safe to run more than once; records that cannot be matched are listed
+// so they can be fixed by hand.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { normalizeLocation } = require('./src/utils/geography');
+
+const TARGETS = [
+  { collection: 'listings', paths: ['locationDetails'] },
+  { collection: 'storages', paths: ['locationDetails'] },
+  { collection: 'organisations', paths: ['locationDetails'] },
+  { collection: 'transports', paths: ['route.from', 'route.to'] },
+  { collection: 'users', paths: ['location.address'] }
+];
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+async function migrateCounties() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    for (const { collection, paths } of TARGETS) {
+      const records = mongoose.connection.collection(collection);
+      let updated = 0;
+      const unmatched = [];
+
+      const cursor = records.find(
+        { $or: paths.map(path => ({ [`${path}.county`]: { $nin: [null, ''] } })) },
+        { projection: Object.fromEntries(paths.map(path => [path, 1])) }
+      );
+
+      for await (const doc of cursor) {
+        const $set = {};
+
+        paths.forEach(path => {
+          const details = getPath(doc, path);
+          if (!details?.county) return;
+
+          const { value, error } = normalizeLocation(details);
+          if (error) {
+            unmatched.push(`${doc._id} ${path}: ${error}`);
+          }
+
+          Object.entries(value).forEach(([field, canonical]) => {
+            if (details[field] !== canonical) $set[`${path}.${field}`] = canonical;
+          });
+        });
+
+        if (Object.keys($set).length) {
+          await records.updateOne({ _id: doc._id }, { $set });
+          updated += 1;
+        }
+      }
+
+      console.log(`✅ ${collection}: updated ${updated} records`);
+      unmatched.forEach(line => console.log(`   ⚠️  ${line}`));
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateCounties();
@@ -0,0 +1,41 @@
+// migrate-discovery-coordinates.js
+// One-off backfill of User.discoveryCoordinates (the privacy-blurred point
+// nearby searches run against) for users created before location privacy.
+// Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+async function migrateDiscoveryCoordinates() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const User = require('./src/models/User');
+
+    const cursor = User.find({ discoveryCoordinates: { $exists: false } })
+      .select('coordinates location privacy')
+      .cursor();
+
+    let updated = 0;
+    let hidden = 0;
+
+    for await (const user of cursor) {
+      const point = user.discoveryPoint();
+      if (!point) {
+        hidden += 1;
+        continue;
+      }
+
+      await User.updateOne({ _id: user._id }, { $set: { discoveryCoordinates: point } });
+      updated += 1;
+    }
+
+    console.log(`✅ Set discovery coordinates for ${updated} users (${hidden} hidden or without a location)`);
+
+  } catch (error) {
+    console.error('Error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateDiscoveryCoordinates();
@@ -0,0 +1,84 @@
+// migrate-ratings-to-reviews.js
+// One-off move of the embedded User.ratings arrays into the Review collection.
+// Safe to run more than once: users are only picked up while they still
+// have ratings, and each rating maps to a fixed review _id that is upserted,
+// so a run that dies before a user's ratings are removed doesn't duplicate
+// their reviews when it is run again.
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Reviews are paged by _id, so keep the original rating date in the id.
+// The rest is derived from the user and the rating, so reruns get the
+// same id for the same rating.
+const reviewId = (userId, rating, index) => {
+  const seconds = Math.floor(new Date(rating.date || 0).getTime() / 1000);
+  const source = `${userId}:${rating._id || `${index}:${rating.fromUserId}:${rating.date}`}`;
+  return new mongoose.Types.ObjectId(
+    seconds.toString(16).padStart(8, '0') +
+    crypto.createHash('sha256').update(source).digest('hex').slice(0, 16)
+  );
+};
+
+async function migrateRatings() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const Review = require('./src/models/Review');
+    const { reviewService } = require('./src/services/reviewService');
+    const users = mongoose.connection.collection('users');
+
+    const cursor = users.find(
+      { 'ratings.0': { $exists: true } },
+      { projection: { ratings: 1 } }
+    );
+
+    let migratedUsers = 0;
+    let migratedReviews = 0;
+
+    for await (const user of cursor) {
+      const reviews = user.ratings.map((rating, index) => ({
+        _id: reviewId(user._id, rating, index),
+        target: user._id,
+        rater: rating.fromUserId,
+        rating: rating.rating,
+        comment: rating.comment,
+        roleContext: rating.roleContext || undefined,
+        raterRole: rating.raterRole || undefined,
+        transaction: rating.transaction?.id ? rating.transaction : undefined,
+        reply: rating.reply,
+        reports: rating.reports || [],
+        reportCount: (rating.reports || []).length,
+        status: rating.status || 'visible',
+        removedBy: rating.removedBy,
+        removedAt: rating.removedAt,
+        removalReason: rating.removalReason,
+        createdAt: rating.date,
+        updatedAt: rating.date
+      }));
+
+      await Review.bulkWrite(reviews.map(({ _id, ...review }) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $setOnInsert: review },
+          upsert: true,
+          timestamps: false
+        }
+      })));
+      await users.updateOne({ _id: user._id }, { $unset: { ratings: '' } });
+      await reviewService.recalculate(user._id);
+
+      migratedUsers += 1;
+      migratedReviews += reviews.length;
+    }
+
+    console.log(`✅ Migrated ${migratedReviews} ratings for ${migratedUsers} users`);
+
+  } catch (error) {
+    console.error('Error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateRatings();
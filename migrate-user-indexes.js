@@ -0,0 +1,91 @@
+// migrate-user-indexes.js
+// One-off migration of the User indexes for phone-only (OTP) accounts:
+// - rebuilds email_1 as a sparse unique index, so accounts without an
+//   email don't collide on it
+// - normalises stored phone numbers (+254...), dropping invalid ones
+// - keeps one verified account per number (the first to verify it); the
+//   others keep the number unverified
+// - replaces the old unique phone_1 index with the schema's indexes
+// Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const dropIndex = async (collection, name) => {
+  const indexes = await collection.indexes();
+  if (!indexes.some(index => index.name === name)) return false;
+  await collection.dropIndex(name);
+  return true;
+};
+
+async function migrateUserIndexes() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const User = require('./src/models/User');
+    const { normalizePhone } = require('./src/utils/phone');
+    const users = User.collection;
+
+    // Old indexes: email_1 without sparse, phone_1 unique across all accounts
+    const emailIndex = (await users.indexes()).find(index => index.name === 'email_1');
+    if (emailIndex && !emailIndex.sparse) {
+      await dropIndex(users, 'email_1');
+      console.log('Dropped non-sparse email_1 index');
+    }
+    if ((await users.indexes()).some(index => index.name === 'phone_1' && index.unique)) {
+      await dropIndex(users, 'phone_1');
+      console.log('Dropped unique phone_1 index');
+    }
+
+    // A null or empty email would still be indexed by the sparse index
+    const emails = await users.updateMany({ email: { $in: [null, ''] } }, { $unset: { email: 1 } });
+    console.log(`Removed ${emails.modifiedCount} empty emails`);
+
+    let normalised = 0;
+    let invalid = 0;
+    const cursor = users.find({ phone: { $exists: true } }).project({ phone: 1 });
+
+    for await (const user of cursor) {
+      const phone = user.phone ? normalizePhone(user.phone) : null;
+
+      if (!phone) {
+        await users.updateOne(
+          { _id: user._id },
+          { $unset: { phone: 1, phoneVerifiedAt: 1 }, $set: { phoneVerified: false } }
+        );
+        invalid += 1;
+      } else if (phone !== user.phone) {
+        await users.updateOne({ _id: user._id }, { $set: { phone } });
+        normalised += 1;
+      }
+    }
+    console.log(`Normalised ${normalised} phone numbers, removed ${invalid} invalid ones`);
+
+    const duplicates = await users.aggregate([
+      { $match: { phone: { $exists: true }, phoneVerified: true } },
+      { $sort: { phoneVerifiedAt: 1, createdAt: 1 } },
+      { $group: { _id: '$phone', ids: { $push: '$_id' } } },
+      { $match: { 'ids.1': { $exists: true } } }
+    ]).toArray();
+
+    let unverified = 0;
+    for (const { ids } of duplicates) {
+      const result = await users.updateMany(
+        { _id: { $in: ids.slice(1) } },
+        { $set: { phoneVerified: false }, $unset: { phoneVerifiedAt: 1 } }
+      );
+      unverified += result.modifiedCount;
+    }
+    console.log(`Un-verified ${unverified} duplicate claims on ${duplicates.length} phone numbers`);
+
+    await User.createIndexes();
+
+    console.log('✅ User indexes rebuilt');
+
+  } catch (error) {
+    console.error('Error:', error.message);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateUserIndexes();
@@ -10,10 +10,35 @@ const chatRoutes = require('./routes/chat.routes');
 const webhookRoutes = require('./routes/webhook.routes'); 
 const transportRoutes = require('./routes/transport.routes');
 const storageRoutes = require('./routes/storage.routes');
+const kycRoutes = require('./routes/kyc.routes');
+const apiKeyRoutes = require('./routes/apiKey.routes');
+const organisationRoutes = require('./routes/organisation.routes');
+const auditRoutes = require('./routes/audit.routes');
+const geoRoutes = require('./routes/geo.routes');
+const savedSearchRoutes = require('./routes/savedSearch.routes');
+const { requestId } = require('./middlewares/requestId.middleware');
+const { localize } = require('./middlewares/i18n.middleware');
 
 const app = express();
 
+// Behind a proxy or load balancer every request comes from the proxy's
+// address unless Express is told to trust it. Rate limits and sign-in
+// lockouts are keyed on req.ip, so set TRUST_PROXY in those deployments:
+// "true", a hop count, or addresses / subnets as Express accepts them.
+const trustProxy = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
+
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+}
+
 // Middleware
+app.use(requestId);
+app.use(localize);
 app.use(helmet());
 app.use(cors());
 app.use(morgan('dev'));
@@ -30,6 +55,12 @@ app.use('/api/chats', chatRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/transports', transportRoutes);
 app.use('/api/storages', storageRoutes);
+app.use('/api/kyc', kycRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/organisations', organisationRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/geo', geoRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -0,0 +1,39 @@
+const multer = require('multer');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// KYC documents are private: stored outside the statically served uploads folder
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadDir = path.join(__dirname, '../../private_uploads/kyc');
+    const fs = require('fs');
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    const fileExt = path.extname(file.originalname).toLowerCase();
+    cb(null, `${uuidv4()}${fileExt}`);
+  }
+});
+
+// File filter
+const fileFilter = (req, file, cb) => {
+  // Accept scans and PDFs only
+  if (!file.originalname.toLowerCase().match(/\.(pdf|jpg|jpeg|png)$/)) {
+    return cb(new Error('Only PDF, JPG and PNG documents are allowed!'), false);
+  }
+  cb(null, true);
+};
+
+const documentUpload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max file size
+    files: 1
+  }
+});
+
+module.exports = documentUpload;
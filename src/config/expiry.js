@@ -0,0 +1,40 @@
+// src/config/expiry.js
+
+/**
+ * Expiry of listings, transport services and storage facilities
+ * (services/expiryService.js, run hourly from utils/expiryCleanup.js).
+ *
+ * Owners get one reminder per lead time in EXPIRY_REMINDER_HOURS before a
+ * record expires, and a notice once it has. The lead times can be set
+ * with the EXPIRY_REMINDER_HOURS environment variable, e.g. "72,24".
+ */
+const DEFAULT_REMINDER_HOURS = [72, 24];
+
+const parseHours = (value) => String(value || '')
+  .split(',')
+  .map(Number)
+  .filter(hours => Number.isFinite(hours) && hours > 0);
+
+// Shortest lead time first
+const EXPIRY_REMINDER_HOURS = (parseHours(process.env.EXPIRY_REMINDER_HOURS).length
+  ? parseHours(process.env.EXPIRY_REMINDER_HOURS)
+  : DEFAULT_REMINDER_HOURS
+).sort((a, b) => a - b);
+
+// Days a renewal adds when none are given (the same as a new record's
+// lifetime), and the furthest ahead a renewal may set the expiry date
+const RENEWAL_DAYS = {
+  listing: { default: 7, max: 30 },
+  transport: { default: 30, max: 90 },
+  storage: { default: 90, max: 180 }
+};
+
+// Services that expired longer ago than this are not announced, so the
+// first run doesn't notify owners about long-dead records
+const EXPIRED_NOTICE_WINDOW_DAYS = 7;
+
+module.exports = {
+  EXPIRY_REMINDER_HOURS,
+  RENEWAL_DAYS,
+  EXPIRED_NOTICE_WINDOW_DAYS
+};
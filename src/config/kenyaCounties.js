@@ -0,0 +1,731 @@
+// src/config/kenyaCounties.js
+// The 47 counties of Kenya with their sub-counties (constituencies) and
+// wards.
+//
+// - code: county code from the First Schedule of the Constitution
+// - centroid: [lng, lat] reference point (the county seat for most
+//   counties) used when a record only names its county
+// - bbox: [minLng, minLat, maxLng, maxLat], approximate, for sanity checks
+// - aliases: other spellings, former district names and major towns
+//   people type instead of the county name
+// - subCounties: [name, [wards]] in constituency order, with the county
+//   assembly wards of the 2012 IEBC boundaries (290 constituencies,
+//   1,450 wards)
+//
+// Only use this through src/utils/geography.js.
+
+module.exports = [
+  {
+    code: '001',
+    name: 'Mombasa',
+    centroid: [39.6682, -4.0435],
+    bbox: [39.55, -4.15, 39.78, -3.93],
+    aliases: ['Mombasa City', 'Mombasa Island', 'Msa'],
+    subCounties: [
+      ['Changamwe', ['Port Reitz', 'Kipevu', 'Airport', 'Changamwe', 'Chaani']],
+      ['Jomvu', ['Jomvu Kuu', 'Miritini', 'Mikindani']],
+      ['Kisauni', ['Mjambere', 'Junda', 'Bamburi', 'Mwakirunge', 'Mtopanga', 'Magogoni', 'Shanzu']],
+      ['Nyali', ['Frere Town', "Ziwa la Ng'ombe", 'Mkomani', 'Kongowea', 'Kadzandani']],
+      ['Likoni', ['Mtongwe', 'Shika Adabu', 'Bofu', 'Likoni', 'Timbwani']],
+      ['Mvita', ['Mji wa Kale/Makadara', 'Tudor', 'Tononoka', 'Shimanzi/Ganjoni', 'Majengo']]
+    ]
+  },
+  {
+    code: '002',
+    name: 'Kwale',
+    centroid: [39.4521, -4.1816],
+    bbox: [38.45, -4.70, 39.70, -3.55],
+    aliases: ['Ukunda', 'Diani', 'Kwale Town'],
+    subCounties: [
+      ['Msambweni', ['Gombatobongwe', 'Ukunda', 'Kinondo', 'Ramisi']],
+      ['Lunga Lunga', ['Pongwekikoneni', 'Dzombo', 'Mwereni', 'Vanga']],
+      ['Matuga', ['Tsimba Golini', 'Waa', 'Tiwi', 'Kubo South', 'Mkongani']],
+      ['Kinango', ['Nadavaya', 'Puma', 'Kinango', 'Mackinnon Road', 'Chengoni/Samburu', 'Mwavumbo', 'Kasemeni']]
+    ]
+  },
+  {
+    code: '003',
+    name: 'Kilifi',
+    centroid: [39.8499, -3.6305],
+    bbox: [38.95, -3.95, 40.25, -2.30],
+    aliases: ['Malindi', 'Watamu', 'Mtwapa'],
+    subCounties: [
+      ['Kilifi North', ['Tezo', 'Sokoni', 'Kibarani', 'Dabaso', 'Matsangoni', 'Watamu', 'Mnarani']],
+      ['Kilifi South', ['Junju', 'Mwarakaya', 'Shimo la Tewa', 'Chasimba', 'Mtepeni']],
+      ['Kaloleni', ['Mariakani', 'Kayafungo', 'Kaloleni', 'Mwanamwinga']],
+      ['Rabai', ['Mwawesa', 'Ruruma', 'Kambe/Ribe', 'Rabai/Kisurutini']],
+      ['Ganze', ['Ganze', 'Bamba', 'Jaribuni', 'Sokoke']],
+      ['Malindi', ['Jilore', 'Kakuyuni', 'Ganda', 'Malindi Town', 'Shella']],
+      ['Magarini', ['Marafa', 'Magarini', 'Gongoni', 'Adu', 'Garashi', 'Sabaki']]
+    ]
+  },
+  {
+    code: '004',
+    name: 'Tana River',
+    centroid: [40.0300, -1.5000],
+    bbox: [38.45, -2.85, 40.65, 0.10],
+    aliases: ['TanaRiver', 'Tana', 'Hola'],
+    subCounties: [
+      ['Garsen', ['Kipini East', 'Garsen South', 'Kipini West', 'Garsen Central', 'Garsen West', 'Garsen North']],
+      ['Galole', ['Kinakomba', 'Mikinduni', 'Chewani', 'Wayu']],
+      ['Bura', ['Chewele', 'Bura', 'Bangale', 'Sala', 'Madogo']]
+    ]
+  },
+  {
+    code: '005',
+    name: 'Lamu',
+    centroid: [40.9020, -2.2717],
+    bbox: [40.15, -2.50, 41.60, -1.60],
+    aliases: ['Mpeketoni'],
+    subCounties: [
+      ['Lamu East', ['Faza', 'Kiunga', 'Basuba']],
+      ['Lamu West', ['Shella', 'Mkomani', 'Hindi', 'Mkunumbi', 'Hongwe', 'Witu', 'Bahari']]
+    ]
+  },
+  {
+    code: '006',
+    name: 'Taita-Taveta',
+    centroid: [38.3667, -3.3667],
+    bbox: [37.55, -4.10, 39.25, -2.75],
+    aliases: ['Taita Taveta', 'TaitaTaveta', 'Taita', 'Taveta', 'Voi', 'Wundanyi'],
+    subCounties: [
+      ['Taveta', ['Chala', 'Mahoo', 'Bomeni', 'Mboghoni', 'Mata']],
+      ['Wundanyi', ['Wundanyi/Mbale', 'Werugha', 'Wumingu/Kishushe', 'Mwanda/Mgange']],
+      ['Mwatate', ["Rong'e", 'Mwatate', 'Bura', 'Chawia', 'Wusi/Kishamba']],
+      ['Voi', ['Mbololo', 'Sagalla', 'Kaloleni', 'Marungu', 'Kasigau', 'Ngolia']]
+    ]
+  },
+  {
+    code: '007',
+    name: 'Garissa',
+    centroid: [39.6461, -0.4532],
+    bbox: [38.55, -2.10, 41.60, 1.30],
+    aliases: ['Garisa'],
+    subCounties: [
+      ['Garissa Township', ['Waberi', 'Galbet', 'Township', 'Iftin']],
+      ['Balambala', ['Balambala', 'Danyere', 'Jara Jara', 'Saka', 'Sankuri']],
+      ['Lagdera', ['Modogashe', 'Benane', 'Goreale', 'Maalimin', 'Sabena', 'Baraki']],
+      ['Dadaab', ['Dertu', 'Dadaab', 'Labasigale', 'Damajale', 'Liboi', 'Abakaile']],
+      ['Fafi', ['Bura', 'Dekaharia', 'Jarajila', 'Fafi', 'Nanighi']],
+      ['Ijara', ['Hulugho', 'Sangailu', 'Ijara', 'Masalani']]
+    ]
+  },
+  {
+    code: '008',
+    name: 'Wajir',
+    centroid: [40.0573, 1.7471],
+    bbox: [38.95, 0.20, 41.60, 3.95],
+    aliases: [],
+    subCounties: [
+      ['Wajir North', ['Gurar', 'Bute', 'Korondile', 'Malkagufu', 'Batalu', 'Danaba', 'Godoma']],
+      ['Wajir East', ['Wagberi', 'Township', 'Barwago', 'Khorof/Harar']],
+      ['Tarbaj', ['Elben', 'Sarman', 'Tarbaj', 'Wargadud']],
+      ['Wajir West', ['Arbajahan', 'Hadado/Athibohol', 'Ademasajide', 'Wagalla/Ganyure']],
+      ['Eldas', ['Eldas', 'Della', 'Lakoley South/Basir', 'Elnur/Tula Tula']],
+      ['Wajir South', ['Benane', 'Burder', 'Dadaja Bulla', 'Habasswein', 'Lagboghol South', 'Ibrahim Ure', 'Diif']]
+    ]
+  },
+  {
+    code: '009',
+    name: 'Mandera',
+    centroid: [41.8569, 3.9366],
+    bbox: [39.85, 2.20, 41.95, 4.30],
+    aliases: [],
+    subCounties: [
+      ['Mandera West', ['Takaba South', 'Takaba', 'Lag Sure', 'Dandu', 'Gither']],
+      ['Banissa', ['Banissa', 'Derkhale', 'Guba', 'Malkamari', 'Kiliwehiri']],
+      ['Mandera North', ['Ashabito', 'Guticha', 'Morothile', 'Rhamu', 'Rhamu-Dimtu']],
+      ['Mandera South', ['Wargudud', 'Kutulo', 'Elwak South', 'Elwak North', 'Shimbir Fatuma']],
+      ['Mandera East', ['Arabia', 'Bulla Mpya', 'Khalalio', 'Neboi', 'Township']],
+      ['Lafey', ['Libehia', 'Fino', 'Lafey', 'Warankara', 'Alungo Gof']]
+    ]
+  },
+  {
+    code: '010',
+    name: 'Marsabit',
+    centroid: [37.9899, 2.3284],
+    bbox: [35.75, 1.25, 39.35, 4.50],
+    aliases: ['Moyale'],
+    subCounties: [
+      ['Moyale', ['Butiye', 'Sololo', 'Heilu-Manyatta', 'Golbo', 'Moyale Township', 'Uran', 'Obbu']],
+      ['North Horr', ['Illeret', 'North Horr', 'Dukana', 'Maikona', 'Turbi']],
+      ['Saku', ['Sagante/Jaldesa', 'Karare', 'Marsabit Central']],
+      ['Laisamis', ['Loiyangalani', 'Kargi/South Horr', 'Korr/Ngurunit', 'Log Logo', 'Laisamis']]
+    ]
+  },
+  {
+    code: '011',
+    name: 'Isiolo',
+    centroid: [37.5822, 0.3546],
+    bbox: [37.05, -0.05, 39.50, 2.10],
+    aliases: [],
+    subCounties: [
+      ['Isiolo North', ['Wabera', 'Bulla Pesa', 'Chari', 'Cherab', 'Ngare Mara', 'Burat', 'Oldonyiro']],
+      ['Isiolo South', ['Garbatulla', 'Kinna', 'Sericho']]
+    ]
+  },
+  {
+    code: '012',
+    name: 'Meru',
+    centroid: [37.6493, 0.0471],
+    bbox: [37.05, -0.40, 38.50, 0.75],
+    aliases: ['Maua', 'Nkubu', 'Timau'],
+    subCounties: [
+      ['Igembe South', ['Maua', 'Kiegoi/Antubochiu', 'Athiru Gaiti', 'Akachiu', 'Kanuni']],
+      ['Igembe Central', ["Akirang'ondu", 'Athiru Ruujine', 'Igembe East', 'Njia', 'Kangeta']],
+      ['Igembe North', ['Antuambui', 'Ntunene', 'Antubetwe Kiongo', 'Naathu', 'Amwathi']],
+      ['Tigania West', ['Athwana', 'Akithii', 'Kianjai', 'Nkomo', 'Mbeu']],
+      ['Tigania East', ['Thangatha', 'Mikinduri', 'Kiguchwa', 'Muthara', 'Karama']],
+      ['North Imenti', ['Municipality', 'Ntima East', 'Ntima West', 'Nyaki West', 'Nyaki East']],
+      ['Buuri', ['Timau', 'Kisima', 'Kiirua/Naari', 'Ruiri/Rwarera', 'Kibirichia']],
+      ['Central Imenti', ['Mwanganthia', 'Abothuguchi Central', 'Abothuguchi West', 'Kiagu']],
+      ['South Imenti', ['Mitunguu', 'Igoji East', 'Igoji West', 'Abogeta East', 'Abogeta West', 'Nkuene']]
+    ]
+  },
+  {
+    code: '013',
+    name: 'Tharaka-Nithi',
+    centroid: [37.6500, -0.3000],
+    bbox: [37.55, -0.60, 38.30, 0.05],
+    aliases: ['Tharaka Nithi', 'TharakaNithi', 'Tharaka', 'Chuka', 'Chogoria'],
+    subCounties: [
+      ['Maara', ['Mitheru', 'Muthambi', 'Mwimbi', 'Ganga', 'Chogoria']],
+      ["Chuka/Igambang'ombe", ['Mariani', 'Karingani', 'Magumoni', 'Mugwe', "Igambang'ombe"]],
+      ['Tharaka', ['Gatunga', 'Mukothima', 'Nkondi', 'Chiakariga', 'Marimanti']]
+    ]
+  },
+  {
+    code: '014',
+    name: 'Embu',
+    centroid: [37.4596, -0.5310],
+    bbox: [37.30, -1.05, 38.05, -0.20],
+    aliases: ['Runyenjes', 'Siakago'],
+    subCounties: [
+      ['Manyatta', ['Ruguru/Ngandori', 'Kithimu', 'Nginda', 'Mbeti North', 'Kirimari', 'Gaturi South']],
+      ['Runyenjes', ['Gaturi North', 'Kagaari South', 'Central', 'Kagaari North', 'Kyeni North', 'Kyeni South']],
+      ['Mbeere South', ['Mwea', 'Makima', 'Mbeti South', 'Mavuria', 'Kiambere']],
+      ['Mbeere North', ['Nthawa', 'Muminji', 'Evurore']]
+    ]
+  },
+  {
+    code: '015',
+    name: 'Kitui',
+    centroid: [38.0106, -1.3667],
+    bbox: [37.60, -3.05, 39.10, 0.05],
+    aliases: ['Mwingi'],
+    subCounties: [
+      ['Mwingi North', ['Ngomeni', 'Kyuso', 'Mumoni', 'Tseikuru', 'Tharaka']],
+      ['Mwingi West', ['Kyome/Thaana', 'Nguutani', 'Migwani', 'Kiomo/Kyethani']],
+      ['Mwingi Central', ['Central', 'Kivou', 'Nguni', 'Nuu', 'Mui', 'Waita']],
+      ['Kitui West', ['Mutonguni', 'Kauwi', 'Matinyani', 'Kwa Mutonga/Kithumula']],
+      ['Kitui Rural', ['Kisasi', 'Mbitini', 'Kwavonza/Yatta', 'Kanyangi']],
+      ['Kitui Central', ['Miambani', 'Township', 'Kyangwithya West', 'Mulango', 'Kyangwithya East']],
+      ['Kitui East', ['Zombe/Mwitika', 'Chuluni', 'Nzambani', 'Voo/Kyamatu', 'Endau/Malalani', 'Mutito/Kaliku']],
+      ['Kitui South', ['Ikanga/Kyatune', 'Mutomo', 'Mutha', 'Ikutha', 'Kanziko', 'Athi']]
+    ]
+  },
+  {
+    code: '016',
+    name: 'Machakos',
+    centroid: [37.2634, -1.5177],
+    bbox: [36.80, -1.95, 37.90, -0.75],
+    aliases: ['Machakos Town', 'Athi River', 'Mlolongo', 'Syokimau', 'Kangundo'],
+    subCounties: [
+      ['Masinga', ['Kivaa', 'Masinga Central', 'Ekalakala', 'Muthesya', 'Ndithini']],
+      ['Yatta', ['Ndalani', 'Matuu', 'Kithimani', 'Ikombe', 'Katangi']],
+      ['Kangundo', ['Kangundo North', 'Kangundo Central', 'Kangundo East', 'Kangundo West']],
+      ['Matungulu', ['Tala', 'Matungulu North', 'Matungulu East', 'Matungulu West', 'Kyeleni']],
+      ['Kathiani', ['Mitaboni', 'Kathiani Central', 'Upper Kaewa/Iveti', 'Lower Kaewa/Kaani']],
+      ['Mavoko', ['Athi River', 'Kinanie', 'Muthwani', 'Syokimau/Mulolongo']],
+      ['Machakos Town', ['Kalama', 'Mua', 'Mutituni', 'Machakos Central', 'Mumbuni North', 'Muvuti/Kiima-Kimwe', 'Kola']],
+      ['Mwala', ['Mbiuni', 'Makutano/Mwala', 'Masii', 'Muthetheni', 'Wamunyu', 'Kibauni']]
+    ]
+  },
+  {
+    code: '017',
+    name: 'Makueni',
+    centroid: [37.6333, -1.8167],
+    bbox: [37.15, -3.05, 38.55, -1.45],
+    aliases: ['Wote', 'Emali', 'Kibwezi'],
+    subCounties: [
+      ['Mbooni', ['Tulimani', 'Mbooni', 'Kithungo/Kitundu', 'Kisau/Kiteta', 'Waia/Kako', 'Kalawa']],
+      ['Kilome', ['Kasikeu', 'Mukaa', 'Kiima Kiu/Kalanzoni']],
+      ['Kaiti', ['Ukia', 'Kee', 'Kilungu', 'Ilima']],
+      ['Makueni', ['Wote', 'Muvau/Kikuumini', 'Mavindini', 'Kitise/Kithuki', 'Kathonzweni', 'Nzaui/Kilili/Kalamba', 'Mbitini']],
+      ['Kibwezi West', ['Makindu', 'Nguumo', 'Kikumbulyu North', 'Kikumbulyu South', 'Nguu/Masumba', 'Emali/Mulala']],
+      ['Kibwezi East', ['Masongaleni', 'Mtito Andei', 'Thange', 'Ivingoni/Nzambani']]
+    ]
+  },
+  {
+    code: '018',
+    name: 'Nyandarua',
+    centroid: [36.3800, -0.2700],
+    bbox: [36.15, -0.90, 36.75, 0.20],
+    aliases: ['Ol Kalou', 'Olkalou', 'Njabini', 'Engineer'],
+    subCounties: [
+      ['Kinangop', ['Engineer', 'Gathara', 'North Kinangop', 'Murungaru', 'Njabini/Kiburu', 'Nyakio', 'Githabai', 'Magumu']],
+      ['Kipipiri', ['Wanjohi', 'Kipipiri', 'Geta', 'Githioro']],
+      ['Ol Kalou', ['Karau', 'Kanjuiri Ridge', 'Mirangine', 'Kaimbaga', 'Rurii']],
+      ['Ol Jorok', ['Gathanji', 'Gatimu', 'Weru', 'Charagita']],
+      ['Ndaragwa', ['Leshau Pondo', 'Kiriita', 'Central', 'Shamata']]
+    ]
+  },
+  {
+    code: '019',
+    name: 'Nyeri',
+    centroid: [36.9478, -0.4167],
+    bbox: [36.55, -0.65, 37.35, 0.05],
+    aliases: ['Karatina', 'Othaya', 'Naro Moru'],
+    subCounties: [
+      ['Tetu', ['Dedan Kimathi', 'Wamagana', 'Aguthi/Gaaki']],
+      ['Kieni', ['Mweiga', 'Naromoru Kiamathaga', 'Mwiyogo/Endarasha', 'Mugunda', 'Gatarakwa', 'Thegu River', 'Kabaru', 'Gakawa']],
+      ['Mathira', ['Ruguru', 'Magutu', 'Iriaini', 'Konyu', 'Kirimukuyu', 'Karatina Town']],
+      ['Othaya', ['Mahiga', 'Iria-ini', 'Chinga', 'Karima']],
+      ['Mukurweini', ['Gikondi', 'Rugi', 'Mukurwe-ini West', 'Mukurwe-ini Central']],
+      ['Nyeri Town', ['Kiganjo/Mathari', 'Rware', 'Gatitu/Muruguru', "Ruring'u", 'Kamakwa/Mukaro']]
+    ]
+  },
+  {
+    code: '020',
+    name: 'Kirinyaga',
+    centroid: [37.2833, -0.6833],
+    bbox: [37.10, -0.80, 37.55, -0.30],
+    aliases: ['Kerugoya', 'Kutus', 'Wanguru', 'Mwea'],
+    subCounties: [
+      ['Mwea', ['Mutithi', 'Kangai', 'Thiba', 'Wamumu', 'Nyangati', 'Murinduko', 'Gathigiriri', 'Tebere']],
+      ['Gichugu', ['Kabare', 'Baragwi', 'Njukiini', 'Ngariama', 'Karumandi']],
+      ['Ndia', ['Mukure', 'Kiine', 'Kariti']],
+      ['Kirinyaga Central', ['Mutira', 'Kanyeki-ini', 'Kerugoya', 'Inoi']]
+    ]
+  },
+  {
+    code: '021',
+    name: "Murang'a",
+    centroid: [37.1500, -0.7833],
+    bbox: [36.65, -1.10, 37.40, -0.55],
+    aliases: ['Muranga', 'Fort Hall', 'Kenol', 'Kangema'],
+    subCounties: [
+      ['Kangema', ['Kanyenyaini', 'Muguru', 'Rwathia']],
+      ['Mathioya', ['Gitugi', 'Kiru', 'Kamacharia']],
+      ['Kiharu', ['Wangu', 'Mugoiri', 'Mbiri', 'Township', 'Murarandia', 'Gaturi']],
+      ['Kigumo', ['Kahumbu', 'Muthithi', 'Kigumo', 'Kangari', 'Kinyona']],
+      ['Maragwa', ['Kimorori/Wempa', 'Makuyu', 'Kambiti', 'Kamahuha', 'Ichagaki', 'Nginda']],
+      ['Kandara', ["Ng'araria", 'Muruka', 'Kagundu-ini', 'Gaichanjiru', 'Ithiru', 'Ruchu']],
+      ['Gatanga', ['Ithanga', 'Kakuzi/Mitubiri', 'Mugumo-ini', 'Kihumbu-ini', 'Gatanga', 'Kariara']]
+    ]
+  },
+  {
+    code: '022',
+    name: 'Kiambu',
+    centroid: [36.8356, -1.1711],
+    bbox: [36.45, -1.35, 37.35, -0.75],
+    aliases: ['Thika', 'Ruiru', 'Juja', 'Limuru', 'Kikuyu', 'Githunguri', 'Gatundu'],
+    subCounties: [
+      ['Gatundu South', ['Kiamwangi', 'Kiganjo', 'Ndarugu', 'Ngenda']],
+      ['Gatundu North', ['Gituamba', 'Githobokoni', 'Chania', "Mang'u"]],
+      ['Juja', ['Murera', 'Theta', 'Juja', 'Witeithie', 'Kalimoni']],
+      ['Thika Town', ['Township', 'Kamenu', 'Hospital', 'Gatuanyaga', 'Ngoliba']],
+      ['Ruiru', ['Gitothua', 'Biashara', 'Gatongora', 'Kahawa Sukari', 'Kahawa Wendani', 'Kiuu', 'Mwiki', 'Mwihoko']],
+      ['Githunguri', ['Githunguri', 'Githiga', 'Ikinu', 'Ngewa', 'Komothai']],
+      ['Kiambu', ["Ting'ang'a", 'Ndumberi', 'Riabai', 'Township']],
+      ['Kiambaa', ['Cianda', 'Karuri', 'Ndenderu', 'Muchatha', 'Kihara']],
+      ['Kabete', ['Gitaru', 'Muguga', 'Nyadhuna', 'Kabete', 'Uthiru']],
+      ['Kikuyu', ['Karai', 'Nachu', 'Sigona', 'Kikuyu', 'Kinoo']],
+      ['Limuru', ['Bibirioni', 'Limuru Central', 'Ndeiya', 'Limuru East', 'Ngecha Tigoni']],
+      ['Lari', ['Kinale', 'Kijabe', 'Nyanduma', 'Kamburu', 'Lari/Kirenga']]
+    ]
+  },
+  {
+    code: '023',
+    name: 'Turkana',
+    centroid: [35.5975, 3.1167],
+    bbox: [34.00, 1.35, 36.70, 5.05],
+    aliases: ['Lodwar', 'Kakuma', 'Lokichoggio'],
+    subCounties: [
+      ['Turkana North', ['Kaeris', 'Lake Zone', 'Lapur', 'Kaaleng/Kaikor', 'Kibish', 'Nakalale']],
+      ['Turkana West', ['Kakuma', 'Lopur', 'Letea', 'Songot', 'Kalobeyei', 'Lokichoggio', 'Nanaam']],
+      ['Turkana Central', ['Kerio Delta', "Kang'atotha", 'Kalokol', 'Lodwar Township', 'Kanamkemer']],
+      ['Loima', ['Kotaruk/Lobei', 'Turkwel', 'Loima', 'Lokiriama/Lorengippi']],
+      ['Turkana South', ['Kaputir', 'Katilu', 'Lobokat', 'Kalapata', 'Lokichar']],
+      ['Turkana East', ['Kapedo/Napeitom', 'Katilia', 'Lokori/Kochodin']]
+    ]
+  },
+  {
+    code: '024',
+    name: 'West Pokot',
+    centroid: [35.1167, 1.2333],
+    bbox: [34.60, 1.00, 35.85, 2.70],
+    aliases: ['Pokot', 'WestPokot', 'Kapenguria', 'Makutano'],
+    subCounties: [
+      ['Kapenguria', ['Riwo', 'Kapenguria', 'Mnagei', 'Siyoi', 'Endugh', 'Sook']],
+      ['Sigor', ['Sekerr', 'Masool', 'Lomut', 'Weiwei']],
+      ['Kacheliba', ['Suam', 'Kodich', 'Kapckok', 'Kasei', 'Kiwawa', 'Alale']],
+      ['Pokot South', ['Chepareria', 'Batei', 'Lelan', 'Tapach']]
+    ]
+  },
+  {
+    code: '025',
+    name: 'Samburu',
+    centroid: [36.6980, 1.0960],
+    bbox: [36.30, 0.40, 38.00, 2.70],
+    aliases: ['Maralal'],
+    subCounties: [
+      ['Samburu West', ['Lodokejek', 'Suguta Marmar', 'Maralal', 'Loosuk', 'Poro']],
+      ['Samburu North', ['El-Barta', 'Nachola', 'Ndoto', 'Nyiro', 'Angata Nanyokie', 'Baawa']],
+      ['Samburu East', ['Waso', 'Wamba West', 'Wamba East', 'Wamba North']]
+    ]
+  },
+  {
+    code: '026',
+    name: 'Trans Nzoia',
+    centroid: [35.0062, 1.0157],
+    bbox: [34.60, 0.80, 35.35, 1.30],
+    aliases: ['Trans-Nzoia', 'TransNzoia', 'Kitale', 'Endebess'],
+    subCounties: [
+      ['Kwanza', ['Kapomboi', 'Kwanza', 'Keiyo', 'Bidii']],
+      ['Endebess', ['Chepchoina', 'Endebess', 'Matumbei']],
+      ['Saboti', ['Kinyoro', 'Matisi', 'Tuwani', 'Saboti', 'Machewa']],
+      ['Kiminini', ['Kiminini', 'Waitaluk', 'Sirende', 'Hospital', 'Sikhendu', 'Nabiswa']],
+      ['Cherangany', ['Sinyerere', 'Makutano', 'Kaplamai', 'Motosiet', 'Cherangany/Suwerwa', 'Chepsiro/Kiptoror', 'Sitatunga']]
+    ]
+  },
+  {
+    code: '027',
+    name: 'Uasin Gishu',
+    centroid: [35.2698, 0.5143],
+    bbox: [34.90, 0.05, 35.65, 0.90],
+    aliases: ['Uasin-Gishu', 'UasinGishu', 'Eldoret', 'Burnt Forest', 'Turbo'],
+    subCounties: [
+      ['Soy', ["Moi's Bridge", 'Kapkures', 'Ziwa', 'Segero/Barsombe', 'Kipsomba', 'Soy', 'Kuinet/Kapsuswa']],
+      ['Turbo', ['Ngenyilel', 'Tapsagoi', 'Kamagut', 'Kiplombe', 'Kapsaos', 'Huruma']],
+      ['Moiben', ['Tembelio', 'Sergoit', 'Karuna/Meibeki', 'Moiben', 'Kimumu']],
+      ['Ainabkoi', ['Kapsoya', 'Kaptagat', 'Ainabkoi/Olare']],
+      ['Kapseret', ['Simat/Kapseret', 'Kipkenyo', 'Ngeria', 'Megun', 'Langas']],
+      ['Kesses', ['Racecourse', 'Cheptiret/Kipchamo', 'Tulwet/Chuiyat', 'Tarakwa']]
+    ]
+  },
+  {
+    code: '028',
+    name: 'Elgeyo-Marakwet',
+    centroid: [35.5077, 0.6702],
+    bbox: [35.30, 0.30, 35.85, 1.30],
+    aliases: ['Elgeyo Marakwet', 'ElgeyoMarakwet', 'Keiyo', 'Marakwet', 'Iten', 'Kapsowar'],
+    subCounties: [
+      ['Marakwet East', ['Kapyego', 'Sambirir', 'Endo', 'Embobut/Embulot']],
+      ['Marakwet West', ['Lelan', 'Sengwer', "Cherang'any/Chebororwa", 'Moiben/Kuserwo', 'Kapsowar', 'Arror']],
+      ['Keiyo North', ['Emsoo', 'Kamariny', 'Kapchemutwa', 'Tambach']],
+      ['Keiyo South', ['Kaptarakwa', 'Chepkorio', 'Soy North', 'Soy South', 'Kabiemit', 'Metkei']]
+    ]
+  },
+  {
+    code: '029',
+    name: 'Nandi',
+    centroid: [35.1269, 0.2036],
+    bbox: [34.75, -0.10, 35.45, 0.60],
+    aliases: ['Kapsabet', 'Nandi Hills'],
+    subCounties: [
+      ['Tinderet', ['Songhor/Soba', 'Tindiret', 'Chemelil/Chemase', 'Kapsimotwo']],
+      ['Aldai', ['Kabwareng', 'Terik', 'Kemeloi-Maraba', 'Kobujoi', 'Kaptumo-Kaboi', 'Koyo-Ndurio']],
+      ['Nandi Hills', ['Nandi Hills', 'Chepkunyuk', "Ol'lessos", 'Kapchorua']],
+      ['Chesumei', ["Chemundu/Kapng'etuny", 'Kosirai', 'Lelmokwo/Ngechek', 'Kaptel/Kamoiywo', 'Kiptuya']],
+      ['Emgwen', ['Chepkumia', 'Kapkangani', 'Kapsabet', 'Kilibwoni']],
+      ['Mosop', ['Chepterwai', 'Kipkaren', 'Kurgung/Surungai', 'Kabiyet', 'Ndalat', 'Kabisaga', 'Sangalo/Kebulonik']]
+    ]
+  },
+  {
+    code: '030',
+    name: 'Baringo',
+    centroid: [35.7406, 0.4919],
+    bbox: [35.60, -0.20, 36.40, 1.65],
+    aliases: ['Kabarnet', 'Eldama Ravine', 'Marigat'],
+    subCounties: [
+      ['Tiaty', ['Tirioko', 'Kolowa', 'Ribkwo', 'Silale', 'Loiyamorock', 'Tangulbei/Korossi', 'Churo/Amaya']],
+      ['Baringo North', ['Barwessa', 'Kabartonjo', 'Saimo/Kipsaraman', 'Saimo/Soi', 'Bartabwa']],
+      ['Baringo Central', ['Kabarnet', 'Sacho', 'Tenges', 'Ewalel Chapchap', 'Kapropita']],
+      ['Baringo South', ['Marigat', 'Ilchamus', 'Mochongoi', 'Mukutani']],
+      ['Mogotio', ['Mogotio', 'Emining', 'Kisanana']],
+      ['Eldama Ravine', ['Lembus', 'Lembus Kwen', 'Ravine', 'Mumberes/Maji Mazuri', 'Lembus/Perkerra', 'Koibatek']]
+    ]
+  },
+  {
+    code: '031',
+    name: 'Laikipia',
+    centroid: [36.8333, 0.4167],
+    bbox: [36.20, -0.20, 37.40, 0.90],
+    aliases: ['Nanyuki', 'Nyahururu', 'Rumuruti'],
+    subCounties: [
+      ['Laikipia West', ['Olmoran', 'Rumuruti Township', 'Kinamba', 'Marmanet', 'Igwamiti', 'Salama']],
+      ['Laikipia East', ['Ngobit', 'Tigithi', 'Thingithu', 'Nanyuki', 'Umande']],
+      ['Laikipia North', ['Sosian', 'Segera', 'Mukogondo West', 'Mukogondo East']]
+    ]
+  },
+  {
+    code: '032',
+    name: 'Nakuru',
+    centroid: [36.0667, -0.3031],
+    bbox: [35.60, -1.15, 36.60, 0.25],
+    aliases: ['Naivasha', 'Gilgil', 'Molo', 'Njoro', 'Nakuru Town'],
+    subCounties: [
+      ['Molo', ['Mariashoni', 'Elburgon', 'Turi', 'Molo']],
+      ['Njoro', ['Maunarok', 'Mauche', 'Kihingo', 'Nessuit', 'Lare', 'Njoro']],
+      ['Naivasha', ['Biashara', "Hell's Gate", 'Lakeview', 'Maai-Mahiu', 'Maiella', 'Olkaria', 'Naivasha East', 'Viwandani']],
+      ['Gilgil', ['Gilgil', 'Elementaita', 'Mbaruk/Eburu', 'Malewa West', 'Murindati']],
+      ['Kuresoi South', ['Amalo', 'Keringet', 'Kiptagich', 'Tinet']],
+      ['Kuresoi North', ['Kiptororo', 'Nyota', 'Sirikwa', 'Kamara']],
+      ['Subukia', ['Subukia', 'Waseges', 'Kabazi']],
+      ['Rongai', ['Menengai West', 'Soin', 'Visoi', 'Mosop', 'Solai']],
+      ['Bahati', ['Dundori', 'Kabatini', 'Kiamaina', 'Lanet/Umoja', 'Bahati']],
+      ['Nakuru Town West', ['Barut', 'London', 'Kaptembwo', 'Kapkures', 'Rhoda', 'Shaabab']],
+      ['Nakuru Town East', ['Biashara', 'Kivumbini', 'Flamingo', 'Menengai', 'Nakuru East']]
+    ]
+  },
+  {
+    code: '033',
+    name: 'Narok',
+    centroid: [35.8711, -1.0875],
+    bbox: [34.75, -2.15, 36.50, -0.50],
+    aliases: ['Kilgoris', 'Maasai Mara'],
+    subCounties: [
+      ['Kilgoris', ['Kilgoris Central', 'Keyian', 'Angata Barikoi', 'Shankoe', 'Kimintet', 'Lolgorian']],
+      ['Emurua Dikirr', ['Ilkerin', 'Ololmasani', 'Mogondo', 'Kapsasian']],
+      ['Narok North', ['Olpusimoru', 'Olokurto', 'Narok Town', 'Nkareta', 'Olorropil', 'Melili']],
+      ['Narok East', ['Mosiro', 'Ildamat', 'Keekonyokie', 'Suswa']],
+      ['Narok South', ['Majimoto/Naroosura', "Ololulung'a", 'Melelo', 'Loita', 'Sogoo', 'Sagamian']],
+      ['Narok West', ['Ilmotiok', 'Mara', 'Siana', 'Naikarra']]
+    ]
+  },
+  {
+    code: '034',
+    name: 'Kajiado',
+    centroid: [36.7833, -1.8500],
+    bbox: [36.05, -3.15, 37.90, -1.30],
+    aliases: ['Kitengela', 'Ngong', 'Ongata Rongai', 'Kajiando', 'Namanga', 'Loitokitok'],
+    subCounties: [
+      ['Kajiado North', ['Olkeri', 'Ongata Rongai', 'Nkaimurunya', 'Oloolua', 'Ngong']],
+      ['Kajiado Central', ['Purko', 'Ildamat', 'Dalalekutuk', 'Matapato North', 'Matapato South']],
+      ['Kajiado East', ['Kaputiei North', 'Kitengela', 'Oloosirkon/Sholinke', 'Kenyawa-Poka', 'Imaroro']],
+      ['Kajiado West', ['Keekonyokie', 'Iloodokilani', 'Magadi', "Ewuaso Oonkidong'i", 'Mosiro']],
+      ['Kajiado South', ['Entonet/Lenkisim', 'Mbirikani/Eselenkei', 'Kuku', 'Rombo', 'Kimana']]
+    ]
+  },
+  {
+    code: '035',
+    name: 'Kericho',
+    centroid: [35.2863, -0.3677],
+    bbox: [35.00, -0.60, 35.65, -0.05],
+    aliases: ['Litein', 'Londiani'],
+    subCounties: [
+      ['Kipkelion East', ['Londiani', 'Kedowa/Kimugul', 'Chepseon', 'Tendeno/Sorget']],
+      ['Kipkelion West', ['Kunyak', 'Kamasian', 'Kipkelion', 'Chilchila']],
+      ['Ainamoi', ['Kapsoit', 'Ainamoi', 'Kapkugerwet', 'Kipchebor', 'Kipchimchim', 'Kapsaos']],
+      ['Bureti', ['Kisiara', 'Tebesonik', 'Cheboin', 'Chemosot', 'Litein', 'Cheplanget', 'Kapkatet']],
+      ['Belgut', ['Waldai', 'Kabianga', 'Cheptororiet/Seretut', 'Chaik', 'Kapsuser']],
+      ['Sigowet/Soin', ['Sigowet', 'Kaplelartet', 'Soliat', 'Soin']]
+    ]
+  },
+  {
+    code: '036',
+    name: 'Bomet',
+    centroid: [35.3416, -0.7813],
+    bbox: [35.00, -1.10, 35.65, -0.50],
+    aliases: ['Sotik'],
+    subCounties: [
+      ['Sotik', ['Ndanai/Abosi', 'Chemagel', 'Kipsonoi', 'Kapletundo', 'Rongena/Manaret']],
+      ['Chepalungu', ["Kong'asis", 'Nyangores', 'Sigor', 'Chebunyo', 'Siongiroi']],
+      ['Bomet East', ['Merigi', 'Kembu', 'Longisa', 'Kipreres', 'Chemaner']],
+      ['Bomet Central', ['Silibwet Township', 'Ndaraweta', 'Singorwet', 'Chesoen', 'Mutarakwa']],
+      ['Konoin', ['Chepchabas', 'Kimulot', 'Mogogosiek', 'Boito', 'Embomos']]
+    ]
+  },
+  {
+    code: '037',
+    name: 'Kakamega',
+    centroid: [34.7519, 0.2827],
+    bbox: [34.40, 0.05, 35.10, 1.00],
+    aliases: ['Kakamenga', 'Mumias', 'Malava', 'Butere'],
+    subCounties: [
+      ['Lugari', ['Mautuma', 'Lugari', 'Lumakanda', 'Chekalini', 'Chevaywa', 'Lwandeti']],
+      ['Likuyani', ['Likuyani', 'Sango', 'Kongoni', 'Nzoia', 'Sinoko']],
+      ['Malava', ['West Kabras', 'Chemuche', 'East Kabras', 'Butali/Chegulo', 'Manda-Shivanga', 'Shirugu-Mugai', 'South Kabras']],
+      ['Lurambi', ['Butsotso East', 'Butsotso South', 'Butsotso Central', 'Sheywe', 'Mahiakalo', 'Shirere']],
+      ['Navakholo', ['Ingostse-Mathia', 'Shinoyi-Shikomari-Esumeyia', 'Bunyala West', 'Bunyala East', 'Bunyala Central']],
+      ['Mumias West', ['Mumias Central', 'Mumias North', 'Etenje', 'Musanda']],
+      ['Mumias East', ['Lubinu/Lusheya', 'Isongo/Makunga/Malaha', 'East Wanga']],
+      ['Matungu', ['Koyonzo', 'Kholera', 'Khalaba', 'Mayoni', 'Namamali']],
+      ['Butere', ['Marama West', 'Marama Central', 'Marenyo-Shianda', 'Marama North', 'Marama South']],
+      ['Khwisero', ['Kisa North', 'Kisa East', 'Kisa West', 'Kisa Central']],
+      ['Shinyalu', ['Isukha North', 'Murhanda', 'Isukha Central', 'Isukha South', 'Isukha East', 'Isukha West']],
+      ['Ikolomani', ['Idakho South', 'Idakho East', 'Idakho North', 'Idakho Central']]
+    ]
+  },
+  {
+    code: '038',
+    name: 'Vihiga',
+    centroid: [34.7236, 0.0765],
+    bbox: [34.55, -0.05, 34.85, 0.20],
+    aliases: ['Mbale', 'Maragoli', 'Luanda'],
+    subCounties: [
+      ['Vihiga', ['Lugaga-Wamuluma', 'South Maragoli', 'Central Maragoli', 'Mungoma']],
+      ['Sabatia', ['Lyaduywa/Izava', 'West Sabatia', 'Chavakali', 'North Maragoli', 'Wodanga', 'Busali']],
+      ['Hamisi', ['Shiru', 'Muhudu', 'Shamakhokho', 'Gisambai', 'Banja', 'Tambua', 'Jepkoyai']],
+      ['Luanda', ['Luanda Township', 'Wemilabi', 'Mwibona', 'Luanda South', 'Emabungo']],
+      ['Emuhaya', ['North East Bunyore', 'Central Bunyore', 'West Bunyore']]
+    ]
+  },
+  {
+    code: '039',
+    name: 'Bungoma',
+    centroid: [34.5606, 0.5635],
+    bbox: [34.20, 0.35, 34.95, 1.20],
+    aliases: ['Webuye', 'Kimilili', 'Chwele'],
+    subCounties: [
+      ['Mt. Elgon', ['Cheptais', 'Chesikaki', 'Chepyuk', 'Kapkateny', 'Kaptama', 'Elgon']],
+      ['Sirisia', ['Namwela', 'Malakisi/South Kulisiru', 'Lwandanyi']],
+      ['Kabuchai', ['Kabuchai/Chwele', 'West Nalondo', 'Bwake/Luuya', 'Mukuyuni']],
+      ['Bumula', ['South Bukusu', 'Bumula', 'Khasoko', 'Kabula', 'Kimaeti', 'West Bukusu', 'Siboti']],
+      ['Kanduyi', ['Bukembe West', 'Bukembe East', 'Township', 'Khalaba', 'Musikoma', "East Sang'alo", 'Marakaru/Tuuti', "Sang'alo West"]],
+      ['Webuye East', ['Mihuu', 'Ndivisi', 'Maraka']],
+      ['Webuye West', ['Misikhu', 'Sitikho', 'Matulo', 'Bokoli']],
+      ['Kimilili', ['Kimilili', 'Kibingei', 'Maeni', 'Kamukuywa']],
+      ['Tongaren', ['Mbakalo', 'Naitiri/Kabuyefwe', 'Milima', 'Ndalu/Tabani', 'Tongaren', 'Soysambu/Mitua']]
+    ]
+  },
+  {
+    code: '040',
+    name: 'Busia',
+    centroid: [34.1115, 0.4608],
+    bbox: [33.90, -0.05, 34.45, 0.80],
+    aliases: ['Malaba', 'Port Victoria'],
+    subCounties: [
+      ['Teso North', ['Malaba Central', 'Malaba North', "Ang'urai South", "Ang'urai North", "Ang'urai East", 'Malaba South']],
+      ['Teso South', ["Ang'orom", 'Chakol South', 'Chakol North', 'Amukura West', 'Amukura East', 'Amukura Central']],
+      ['Nambale', ['Nambale Township', 'Bukhayo North/Walatsi', 'Bukhayo East', 'Bukhayo Central']],
+      ['Matayos', ['Bukhayo West', 'Mayenje', 'Matayos South', 'Busibwabo', 'Burumba']],
+      ['Butula', ['Marachi West', 'Kingandole', 'Marachi Central', 'Marachi East', 'Marachi North', 'Elugulu']],
+      ['Funyula', ['Namboboto Nambuku', 'Nangina', "Ageng'a Nanguba", 'Bwiri']],
+      ['Budalangi', ['Bunyala Central', 'Bunyala North', 'Bunyala West', 'Bunyala South']]
+    ]
+  },
+  {
+    code: '041',
+    name: 'Siaya',
+    centroid: [34.2881, 0.0607],
+    bbox: [33.95, -0.40, 34.60, 0.35],
+    aliases: ['Bondo', 'Ugunja', 'Yala'],
+    subCounties: [
+      ['Ugenya', ['West Ugenya', 'Ukwala', 'North Ugenya', 'East Ugenya']],
+      ['Ugunja', ['Sidindi', 'Sigomere', 'Ugunja']],
+      ['Alego Usonga', ['Usonga', 'West Alego', 'Central Alego', 'Siaya Township', 'North Alego', 'South East Alego']],
+      ['Gem', ['North Gem', 'West Gem', 'Central Gem', 'Yala Township', 'East Gem', 'South Gem']],
+      ['Bondo', ['West Yimbo', 'Central Sakwa', 'South Sakwa', 'Yimbo East', 'West Sakwa', 'North Sakwa']],
+      ['Rarieda', ['East Asembo', 'West Asembo', 'North Uyoma', 'South Uyoma', 'West Uyoma']]
+    ]
+  },
+  {
+    code: '042',
+    name: 'Kisumu',
+    centroid: [34.7617, -0.0917],
+    bbox: [34.50, -0.45, 35.40, 0.05],
+    aliases: ['Kisumu City', 'Ksm', 'Ahero', 'Maseno'],
+    subCounties: [
+      ['Kisumu East', ['Kajulu', 'Kolwa East', "Manyatta 'B'", "Nyalenda 'A'", 'Kolwa Central']],
+      ['Kisumu West', ['South West Kisumu', 'Central Kisumu', 'Kisumu North', 'West Kisumu', 'North West Kisumu']],
+      ['Kisumu Central', ['Railways', 'Migosi', 'Shaurimoyo Kaloleni', 'Market Milimani', 'Kondele', "Nyalenda 'B'"]],
+      ['Seme', ['West Seme', 'Central Seme', 'East Seme', 'North Seme']],
+      ['Nyando', ['East Kano/Wawidhi', 'Awasi/Onjiko', 'Ahero', 'Kabonyo/Kanyagwal', 'Kobura']],
+      ['Muhoroni', ['Miwani', 'Ombeyi', "Masogo/Nyang'oma", 'Chemelil', 'Muhoroni/Koru']],
+      ['Nyakach', ['South West Nyakach', 'North Nyakach', 'Central Nyakach', 'West Nyakach', 'South East Nyakach']]
+    ]
+  },
+  {
+    code: '043',
+    name: 'Homa Bay',
+    centroid: [34.4571, -0.5273],
+    bbox: [34.00, -0.90, 34.90, -0.25],
+    aliases: ['Homabay', 'Homa-Bay', 'Mbita', 'Oyugis', 'Kendu Bay'],
+    subCounties: [
+      ['Kasipul', ['West Kasipul', 'South Kasipul', 'Central Kasipul', 'East Kamagak', 'West Kamagak']],
+      ['Kabondo Kasipul', ['Kabondo East', 'Kabondo West', 'Kokwanyo/Kakelo', 'Kojwach']],
+      ['Karachuonyo', ['West Karachuonyo', 'North Karachuonyo', 'Central', 'Kanyaluo', 'Kibiri', 'Wangchieng', 'Kendu Bay Town']],
+      ['Rangwe', ['West Gem', 'East Gem', 'Kagan', 'Kochia']],
+      ['Homa Bay Town', ['Homa Bay Central', 'Homa Bay Arujo', 'Homa Bay West', 'Homa Bay East']],
+      ['Ndhiwa', ['Kwabwai', 'Kanyadoto', 'Kanyikela', 'North Kabuoch', 'Kabuoch South/Pala', 'Kanyamwa Kologi', 'Kanyamwa Kosewe']],
+      ['Suba North', ['Mfangano Island', 'Rusinga Island', 'Kasgunga', 'Gembe', 'Lambwe']],
+      ['Suba South', ['Gwassi South', 'Gwassi North', 'Kaksingri West', 'Ruma Kaksingri East']]
+    ]
+  },
+  {
+    code: '044',
+    name: 'Migori',
+    centroid: [34.4731, -1.0634],
+    bbox: [34.00, -1.45, 34.85, -0.80],
+    aliases: ['Awendo', 'Rongo', 'Isebania', 'Kehancha'],
+    subCounties: [
+      ['Rongo', ['North Kamagambo', 'Central Kamagambo', 'East Kamagambo', 'South Kamagambo']],
+      ['Awendo', ['North Sakwa', 'South Sakwa', 'West Sakwa', 'Central Sakwa']],
+      ['Suna East', ['God Jope', 'Suna Central', 'Kakrao', 'Kwa']],
+      ['Suna West', ['Wiga', 'Wasweta II', 'Ragana-Oruba', 'Wasimbete']],
+      ['Uriri', ['West Kanyamkago', 'North Kanyamkago', 'Central Kanyamkago', 'South Kanyamkago', 'East Kanyamkago']],
+      ['Nyatike', ["Kachien'g", 'Kanyasa', 'North Kadem', 'Macalder/Kanyarwanda', 'Kaler', 'Got Kachola', 'Muhuru']],
+      ['Kuria West', ['Bukira East', 'Bukira Central/Ikerege', 'Isibania', 'Makerero', 'Masaba', 'Tagare', 'Nyamosense/Komosoko']],
+      ['Kuria East', ['Gokeharaka/Getambwega', 'Ntimaru West', 'Ntimaru East', 'Nyabasi East', 'Nyabasi West']]
+    ]
+  },
+  {
+    code: '045',
+    name: 'Kisii',
+    centroid: [34.7680, -0.6817],
+    bbox: [34.55, -0.95, 34.95, -0.50],
+    aliases: ['Gusii', 'Ogembo', 'Keroka'],
+    subCounties: [
+      ['Bonchari', ['Bomariba', 'Bogiakumu', 'Bomorenda', 'Riana']],
+      ['South Mugirango', ['Tabaka', "Boikang'a", 'Bogetenga', 'Borabu/Chitago', 'Moticho', 'Getenga']],
+      ['Bomachoge Borabu', ['Bombaba Borabu', 'Boochi Borabu', 'Bokimonge', 'Magenche']],
+      ['Bobasi', ['Masige West', 'Masige East', 'Bobasi Central', 'Nyacheki', 'Bobasi Bogetaorio', 'Bobasi Chache', 'Sameta/Mokwerero', 'Bobasi Boitangare']],
+      ['Bomachoge Chache', ['Majoge', 'Boochi/Tendere', 'Bosoti/Sengera']],
+      ['Nyaribari Masaba', ['Ichuni', 'Nyamasibi', 'Masimba', 'Gesusu', 'Kiamokama']],
+      ['Nyaribari Chache', ['Bobaracho', 'Kisii Central', 'Keumbu', 'Kiogoro', 'Birongo', 'Ibeno']],
+      ['Kitutu Chache North', ['Monyerero', 'Sensi', 'Marani', 'Kegogi']],
+      ['Kitutu Chache South', ['Bogusero', 'Bogeka', 'Nyakoe', 'Kitutu Central', 'Nyatieko']]
+    ]
+  },
+  {
+    code: '046',
+    name: 'Nyamira',
+    centroid: [34.9358, -0.5633],
+    bbox: [34.75, -0.80, 35.10, -0.40],
+    aliases: ['Nyansiongo'],
+    subCounties: [
+      ['Kitutu Masaba', ['Rigoma', 'Gachuba', 'Kemera', 'Magombo', 'Manga', 'Gesima']],
+      ['West Mugirango', ['Nyamaiya', 'Bogichora', 'Bosamaro', 'Bonyamatuta', 'Township']],
+      ['North Mugirango', ['Itibo', 'Bomwagamo', 'Bokeira', 'Magwagwa', 'Ekerenyo']],
+      ['Borabu', ['Mekenene', 'Kiabonyoru', 'Nyansiongo', 'Esise']]
+    ]
+  },
+  {
+    code: '047',
+    name: 'Nairobi',
+    centroid: [36.8172, -1.2864],
+    bbox: [36.65, -1.45, 37.10, -1.16],
+    aliases: ['Nairobi City', 'Nbi', 'Nrb'],
+    subCounties: [
+      ['Westlands', ['Kitisuru', 'Parklands/Highridge', 'Karura', 'Kangemi', 'Mountain View']],
+      ['Dagoretti North', ['Kilimani', 'Kawangware', 'Gatina', 'Kileleshwa', 'Kabiro']],
+      ['Dagoretti South', ['Mutu-ini', 'Ngando', 'Riruta', 'Uthiru/Ruthimitu', 'Waithaka']],
+      ["Lang'ata", ['Karen', 'Nairobi West', 'Mugumo-ini', 'South C', 'Nyayo Highrise']],
+      ['Kibra', ['Laini Saba', 'Lindi', 'Makina', 'Woodley/Kenyatta Golf Course', "Sarang'ombe"]],
+      ['Roysambu', ['Githurai', 'Kahawa West', 'Zimmerman', 'Roysambu', 'Kahawa']],
+      ['Kasarani', ['Clay City', 'Mwiki', 'Kasarani', 'Njiru', 'Ruai']],
+      ['Ruaraka', ['Baba Dogo', 'Utalii', 'Mathare North', 'Lucky Summer', 'Korogocho']],
+      ['Embakasi South', ['Imara Daima', 'Kwa Njenga', 'Kwa Reuben', 'Pipeline', 'Kware']],
+      ['Embakasi North', ['Kariobangi North', 'Dandora Area I', 'Dandora Area II', 'Dandora Area III', 'Dandora Area IV']],
+      ['Embakasi Central', ['Kayole North', 'Kayole Central', 'Kayole South', 'Komarock', 'Matopeni/Spring Valley']],
+      ['Embakasi East', ['Upper Savannah', 'Lower Savannah', 'Embakasi', 'Utawala', 'Mihango']],
+      ['Embakasi West', ['Umoja I', 'Umoja II', 'Mowlem', 'Kariobangi South']],
+      ['Makadara', ['Maringo/Hamza', 'Viwandani', 'Harambee', 'Makongeni']],
+      ['Kamukunji', ['Pumwani', 'Eastleigh North', 'Eastleigh South', 'Airbase', 'California']],
+      ['Starehe', ['Nairobi Central', 'Ngara', 'Ziwani/Kariokor', 'Pangani', 'Landimawe', 'Nairobi South']],
+      ['Mathare', ['Hospital', 'Mabatini', 'Huruma', 'Ngei', 'Mlango Kubwa', 'Kiamaiko']]
+    ]
+  }
+];
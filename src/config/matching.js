@@ -0,0 +1,60 @@
+// src/config/matching.js
+
+/**
+ * Surplus-to-need matching (services/matchingService.js).
+ *
+ * A surplus and a need listing are compared only when they share a
+ * category, their quantities can be converted to a common unit and they
+ * are within MAX_DISTANCE_KM. Each factor then scores 0..1 and the
+ * weighted sum (out of 100) is the match score; pairs scoring below
+ * MIN_SCORE are not suggested.
+ */
+const MATCH_WEIGHTS = {
+  quantity: 25,
+  price: 20,
+  quality: 15,
+  distance: 25,
+  urgency: 15
+};
+
+const MIN_SCORE = 50;
+const MAX_DISTANCE_KM = 200;
+
+// Suggestions kept per listing, best first
+const MAX_SUGGESTIONS_PER_LISTING = 10;
+
+// Listing units in a base unit per dimension. Bags are the standard
+// 90 kg produce bag; units, crates and "other" only match the same unit.
+const UNIT_CONVERSIONS = {
+  kg: { base: 'kg', factor: 1 },
+  tons: { base: 'kg', factor: 1000 },
+  bags: { base: 'kg', factor: 90 },
+  liters: { base: 'liters', factor: 1 },
+  units: { base: 'units', factor: 1 },
+  crates: { base: 'crates', factor: 1 },
+  other: { base: 'other', factor: 1 }
+};
+
+// Higher is better; a need's grade is the lowest it accepts
+const QUALITY_RANKS = {
+  grade_a: 3,
+  grade_b: 2,
+  grade_c: 1,
+  mixed: 1
+};
+
+const URGENCY_SCORES = {
+  high: 1,
+  medium: 0.6,
+  low: 0.3
+};
+
+module.exports = {
+  MATCH_WEIGHTS,
+  MIN_SCORE,
+  MAX_DISTANCE_KM,
+  MAX_SUGGESTIONS_PER_LISTING,
+  UNIT_CONVERSIONS,
+  QUALITY_RANKS,
+  URGENCY_SCORES
+};
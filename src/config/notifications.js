@@ -0,0 +1,68 @@
+// src/config/notifications.js
+
+/**
+ * Notification types users can control, one entry per type.
+ *
+ * `channels` are the defaults for users who have not changed their
+ * preferences. `events` are the socket and webhook events that belong to
+ * the type, so the webhook path can tell which preference applies.
+ * Security alerts (new device, lockout, password change) are not listed
+ * here on purpose: they always go out.
+ */
+const NOTIFICATION_CHANNELS = ['socket', 'push', 'sms', 'email'];
+
+const NOTIFICATION_TYPES = {
+  message: {
+    description: 'New chat messages',
+    channels: ['socket', 'push'],
+    events: ['chat:message', 'message.created']
+  },
+  offer: {
+    description: 'Offers made on your listings and replies to your offers',
+    channels: ['socket', 'push', 'sms'],
+    events: ['offer.made', 'offer.accepted', 'offer.rejected', 'chat:offer:accepted', 'chat:offer:rejected']
+  },
+  booking: {
+    description: 'Bookings of your transport and storage services',
+    channels: ['socket', 'push', 'sms', 'email'],
+    events: ['transport.booked', 'storage.booked']
+  },
+  listing_expiry: {
+    description: 'Listings and services about to expire or that have expired',
+    channels: ['socket', 'email'],
+    events: [
+      'listing.expiring', 'listing.expired',
+      'transport.expiring', 'transport.expired',
+      'storage.expiring', 'storage.expired'
+    ]
+  },
+  rating: {
+    description: 'New ratings and reviews of you',
+    channels: ['socket', 'push'],
+    events: ['rating.received']
+  },
+  match: {
+    description: 'Suggested matches for your listings and their outcome',
+    channels: ['socket', 'push'],
+    events: ['listing.match_suggested', 'listing.match_accepted', 'listing.matched']
+  },
+  saved_search: {
+    description: 'New listings matching your saved searches',
+    channels: ['socket', 'push'],
+    events: ['search.matched']
+  }
+};
+
+const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+// Event name -> notification type
+const EVENT_TYPES = Object.fromEntries(
+  Object.entries(NOTIFICATION_TYPES).flatMap(([type, { events }]) => events.map(event => [event, type]))
+);
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPES,
+  DEFAULT_TIMEZONE,
+  EVENT_TYPES
+};
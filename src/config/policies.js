@@ -0,0 +1,233 @@
+// src/config/policies.js
+
+/**
+ * Permission policies, one entry per action.
+ *
+ * An action is allowed when the user has one of its `roles`, or when one of
+ * its `relations` holds between the user and the resource (see
+ * permission.middleware.js). To give a new role access, add it to the
+ * actions here instead of editing controllers.
+ *
+ * `description` completes the sentence "Not authorized to ...".
+ */
+const POLICIES = {
+  // ===============================
+  // Listings
+  // ===============================
+  'listing.create': {
+    description: 'create product listings',
+    roles: ['farmer']
+  },
+  'listing.view_all': {
+    description: 'view all listings',
+    roles: ['admin']
+  },
+  'listing.view_hidden': {
+    description: 'view this listing',
+    roles: ['admin'],
+    relations: ['owner', 'organisation_staff']
+  },
+  'listing.update': {
+    description: 'update this listing',
+    relations: ['owner', 'organisation_staff']
+  },
+  'listing.delete': {
+    description: 'delete this listing',
+    roles: ['admin'],
+    relations: ['owner', 'organisation_staff']
+  },
+  'listing.close': {
+    description: 'close this listing',
+    relations: ['owner', 'organisation_staff']
+  },
+  'listing.renew': {
+    description: 'renew this listing',
+    relations: ['owner', 'organisation_staff']
+  },
+  'listing.match': {
+    description: 'mark this listing as matched',
+    relations: ['owner', 'organisation_staff']
+  },
+  'listing.images.manage': {
+    description: 'manage images for this listing',
+    relations: ['owner', 'organisation_staff']
+  },
+  'listing.recommendations.view': {
+    description: 'view recommendations for this listing',
+    relations: ['owner', 'organisation_staff']
+  },
+  'listing.transport_needs.view': {
+    description: 'view listings needing transport',
+    roles: ['transport']
+  },
+  'listing.storage_needs.view': {
+    description: 'view listings needing storage',
+    roles: ['storage']
+  },
+
+  // ===============================
+  // Transport services
+  // ===============================
+  'transport.create': {
+    description: 'create transport services',
+    roles: ['transport']
+  },
+  'transport.view_all': {
+    description: 'view all transport services',
+    roles: ['admin']
+  },
+  'transport.view_hidden': {
+    description: 'view this transport service',
+    roles: ['admin'],
+    relations: ['owner']
+  },
+  'transport.update': {
+    description: 'update this transport service',
+    roles: ['admin'],
+    relations: ['owner']
+  },
+  'transport.delete': {
+    description: 'delete this transport service',
+    roles: ['admin'],
+    relations: ['owner']
+  },
+  'transport.renew': {
+    description: 'renew this transport service',
+    relations: ['owner']
+  },
+  'transport.book': {
+    description: 'book transport for this listing',
+    relations: ['owner', 'organisation_staff'] // resource: the listing being moved
+  },
+  'transport.complete': {
+    description: 'complete this transport service',
+    relations: ['owner']
+  },
+  'transport.booking.cancel': {
+    description: 'cancel this booking',
+    relations: ['owner', 'booker']
+  },
+
+  // ===============================
+  // Storage facilities
+  // ===============================
+  'storage.create': {
+    description: 'create storage facilities',
+    roles: ['storage']
+  },
+  'storage.view_all': {
+    description: 'view all storage facilities',
+    roles: ['admin']
+  },
+  'storage.view_hidden': {
+    description: 'view this storage facility',
+    roles: ['admin'],
+    relations: ['owner']
+  },
+  'storage.update': {
+    description: 'update this storage facility',
+    roles: ['admin'],
+    relations: ['owner']
+  },
+  'storage.delete': {
+    description: 'delete this storage facility',
+    roles: ['admin'],
+    relations: ['owner']
+  },
+  'storage.renew': {
+    description: 'renew this storage facility',
+    relations: ['owner']
+  },
+  'storage.book': {
+    description: 'book storage for this listing',
+    relations: ['owner', 'organisation_staff'] // resource: the listing being stored
+  },
+  'storage.booking.release': {
+    description: 'release this storage space',
+    relations: ['owner', 'booker']
+  },
+
+  // ===============================
+  // Chats
+  // ===============================
+  'chat.offer.respond': {
+    description: 'respond to offers on this listing',
+    relations: ['owner'] // resource: the listing the offer is for
+  },
+  'chat.moderate': {
+    description: 'moderate this chat',
+    roles: ['admin'],
+    relations: ['participant']
+  },
+
+  // ===============================
+  // Organisations (cooperatives)
+  // ===============================
+  'organisation.view': {
+    description: 'view this organisation',
+    roles: ['admin'],
+    relations: ['member']
+  },
+  'organisation.update': {
+    description: 'update this organisation',
+    roles: ['admin'],
+    relations: ['manager']
+  },
+  'organisation.members.manage': {
+    description: 'manage members of this organisation',
+    roles: ['admin'],
+    relations: ['manager']
+  },
+  'organisation.members.contact': {
+    description: 'see the phone numbers of members of this organisation',
+    roles: ['admin'],
+    relations: ['manager']
+  },
+  'organisation.act': {
+    description: 'act on behalf of this organisation',
+    relations: ['staff']
+  },
+
+  // ===============================
+  // KYC documents
+  // ===============================
+  'kyc.document.submit': {
+    description: 'submit documents for this service',
+    relations: ['owner'] // resource: the transport or storage service
+  },
+  'kyc.document.view': {
+    description: 'view this document',
+    roles: ['admin'],
+    relations: ['owner']
+  },
+  'kyc.review': {
+    description: 'review KYC documents',
+    roles: ['admin']
+  },
+
+  // ===============================
+  // Users and security
+  // ===============================
+  'user.roles.manage': {
+    description: 'manage user roles',
+    roles: ['admin']
+  },
+  'user.moderate': {
+    description: 'moderate users',
+    roles: ['admin']
+  },
+  'review.moderate': {
+    description: 'moderate ratings',
+    roles: ['admin']
+  },
+  'security.lockouts.manage': {
+    description: 'manage login lockouts',
+    roles: ['admin']
+  },
+  'audit.view': {
+    description: 'view the audit log',
+    roles: ['admin']
+  }
+};
+
+module.exports = { POLICIES };
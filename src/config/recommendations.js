@@ -0,0 +1,74 @@
+// src/config/recommendations.js
+
+/**
+ * Transport and storage recommendations for a listing
+ * (services/recommendationService.js).
+ *
+ * Only live services within MAX_DISTANCE_KM that accept the listing's
+ * produce are considered. Each factor then scores 0..1 and the weighted
+ * sum (out of 100) is the recommendation score.
+ */
+const RECOMMENDATION_WEIGHTS = {
+  proximity: 25,
+  capacity: 15,
+  temperature: 15,
+  product: 10,
+  schedule: 10,
+  price: 10,
+  rating: 10,
+  verification: 5
+};
+
+// How far a route point or storage facility may be from the listing
+const MAX_DISTANCE_KM = 100;
+
+const MAX_RECOMMENDATIONS = 10;
+
+// Storage period priced when the listing doesn't say how long it needs
+const DEFAULT_STORAGE_DAYS = 30;
+
+// Produce that has to be kept cold; listings with a shelf life up to
+// PERISHABLE_SHELF_LIFE_DAYS count as perishable whatever the category
+const PERISHABLE_CATEGORIES = ['milk', 'vegetables', 'fruits'];
+const PERISHABLE_SHELF_LIFE_DAYS = 7;
+
+// Uncooled transport is still acceptable for perishables on short trips
+const UNCOOLED_TRIP_KM = 50;
+
+// Transport cargo types that can carry each listing category
+const CARGO_TYPES = {
+  maize: ['agricultural', 'packaged'],
+  wheat: ['agricultural', 'packaged'],
+  milk: ['perishable'],
+  vegetables: ['perishable', 'agricultural'],
+  fruits: ['perishable', 'agricultural'],
+  livestock: ['livestock'],
+  other: ['agricultural', 'packaged', 'other']
+};
+
+// Storage product types that fit each listing category
+const STORAGE_PRODUCTS = {
+  maize: ['grains'],
+  wheat: ['grains'],
+  milk: ['dairy'],
+  vegetables: ['vegetables'],
+  fruits: ['fruits'],
+  livestock: ['other'],
+  other: ['other']
+};
+
+// Liquids are carried and stored by weight, taken as 1 kg per litre
+const KG_PER_LITER = 1;
+
+module.exports = {
+  RECOMMENDATION_WEIGHTS,
+  MAX_DISTANCE_KM,
+  MAX_RECOMMENDATIONS,
+  DEFAULT_STORAGE_DAYS,
+  PERISHABLE_CATEGORIES,
+  PERISHABLE_SHELF_LIFE_DAYS,
+  UNCOOLED_TRIP_KM,
+  CARGO_TYPES,
+  STORAGE_PRODUCTS,
+  KG_PER_LITER
+};
@@ -44,17 +44,73 @@ class RedisClient {
     this.client.on('end', () => console.log('Redis connection closed'));
   }
 
-  // Create mock client with Socket.IO compatible methods
+  // Create mock client with Socket.IO compatible methods.
+  // Keys live in an in-memory Map so tokens, codes and counters
+  // still behave in development without Redis (single process only).
   createMockClient() {
+    const store = new Map();
+
+    const read = (key) => {
+      const entry = store.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        store.delete(key);
+        return null;
+      }
+      return entry;
+    };
+
+    const write = (key, value, ttl = null) => {
+      store.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+    };
+
     const mockClient = {
-      get: () => Promise.resolve(null),
-      set: () => Promise.resolve('OK'),
-      setEx: () => Promise.resolve('OK'),
-      del: () => Promise.resolve(0),
-      hSet: () => Promise.resolve(0),
-      hGet: () => Promise.resolve(null),
-      hGetAll: () => Promise.resolve({}),
-      expire: () => Promise.resolve(0),
+      get: (key) => Promise.resolve(read(key) ? read(key).value : null),
+      set: (key, value, mode, ttl) => {
+        write(key, String(value), mode === 'EX' ? ttl : null);
+        return Promise.resolve('OK');
+      },
+      setEx: (key, ttl, value) => {
+        write(key, String(value), ttl);
+        return Promise.resolve('OK');
+      },
+      del: (key) => Promise.resolve(store.delete(key) ? 1 : 0),
+      exists: (key) => Promise.resolve(read(key) ? 1 : 0),
+      incr: (key) => {
+        const entry = read(key);
+        const value = (entry ? parseInt(entry.value, 10) || 0 : 0) + 1;
+        store.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+        return Promise.resolve(value);
+      },
+      ttl: (key) => {
+        const entry = read(key);
+        if (!entry) return Promise.resolve(-2);
+        if (!entry.expiresAt) return Promise.resolve(-1);
+        return Promise.resolve(Math.ceil((entry.expiresAt - Date.now()) / 1000));
+      },
+      hSet: (key, field, value) => {
+        const entry = read(key) || { value: {}, expiresAt: null };
+        entry.value[field] = String(value);
+        store.set(key, entry);
+        return Promise.resolve(1);
+      },
+      hGet: (key, field) => {
+        const entry = read(key);
+        return Promise.resolve(entry && entry.value[field] !== undefined ? entry.value[field] : null);
+      },
+      hGetAll: (key) => Promise.resolve(read(key) ? { ...read(key).value } : {}),
+      hDel: (key, field) => {
+        const entry = read(key);
+        if (!entry || entry.value[field] === undefined) return Promise.resolve(0);
+        delete entry.value[field];
+        return Promise.resolve(1);
+      },
+      expire: (key, seconds) => {
+        const entry = read(key);
+        if (!entry) return Promise.resolve(0);
+        entry.expiresAt = Date.now() + seconds * 1000;
+        return Promise.resolve(1);
+      },
       connect: () => Promise.resolve(),
       quit: () => Promise.resolve(),
       disconnect: () => Promise.resolve(),
@@ -67,9 +123,18 @@ class RedisClient {
       publish: () => Promise.resolve(0),
       subscribe: () => Promise.resolve(),
       unsubscribe: () => Promise.resolve(),
-      sAdd: () => Promise.resolve(0),
-      sRem: () => Promise.resolve(0),
-      sMembers: () => Promise.resolve([])
+      sAdd: (key, member) => {
+        const entry = read(key) || { value: new Set(), expiresAt: null };
+        const added = entry.value.has(String(member)) ? 0 : 1;
+        entry.value.add(String(member));
+        store.set(key, entry);
+        return Promise.resolve(added);
+      },
+      sRem: (key, member) => {
+        const entry = read(key);
+        return Promise.resolve(entry && entry.value.delete(String(member)) ? 1 : 0);
+      },
+      sMembers: (key) => Promise.resolve(read(key) ? Array.from(read(key).value) : [])
     };
     return mockClient;
   }
@@ -171,6 +236,16 @@ class RedisClient {
     }
   }
 
+  async hdel(key, field) {
+    if (!this.client.hDel || typeof this.client.hDel !== 'function') return 0;
+    try {
+      return await this.client.hDel(key, field);
+    } catch (error) {
+      console.error('Redis hdel error:', error);
+      return 0;
+    }
+  }
+
   async expire(key, seconds) {
     if (!this.client.expire || typeof this.client.expire !== 'function') return 0;
     try {
@@ -181,6 +256,66 @@ class RedisClient {
     }
   }
 
+  async exists(key) {
+    if (!this.client.exists || typeof this.client.exists !== 'function') return 0;
+    try {
+      return await this.client.exists(key);
+    } catch (error) {
+      console.error('Redis exists error:', error);
+      return 0;
+    }
+  }
+
+  async incr(key) {
+    if (!this.client.incr || typeof this.client.incr !== 'function') return 0;
+    try {
+      return await this.client.incr(key);
+    } catch (error) {
+      console.error('Redis incr error:', error);
+      return 0;
+    }
+  }
+
+  async ttl(key) {
+    if (!this.client.ttl || typeof this.client.ttl !== 'function') return -2;
+    try {
+      return await this.client.ttl(key);
+    } catch (error) {
+      console.error('Redis ttl error:', error);
+      return -2;
+    }
+  }
+
+  async sadd(key, member) {
+    if (!this.client.sAdd || typeof this.client.sAdd !== 'function') return 0;
+    try {
+      return await this.client.sAdd(key, member);
+    } catch (error) {
+      console.error('Redis sadd error:', error);
+      return 0;
+    }
+  }
+
+  async srem(key, member) {
+    if (!this.client.sRem || typeof this.client.sRem !== 'function') return 0;
+    try {
+      return await this.client.sRem(key, member);
+    } catch (error) {
+      console.error('Redis srem error:', error);
+      return 0;
+    }
+  }
+
+  async smembers(key) {
+    if (!this.client.sMembers || typeof this.client.sMembers !== 'function') return [];
+    try {
+      return await this.client.sMembers(key) || [];
+    } catch (error) {
+      console.error('Redis smembers error:', error);
+      return [];
+    }
+  }
+
   // User session management with fallback
   async setUserSession(userId, socketId, userData) {
     if (!this.client.hSet || typeof this.client.hSet !== 'function') {
@@ -219,6 +354,51 @@ class RedisClient {
       userData: session.userData ? JSON.parse(session.userData) : null
     };
   }
+
+  async removeUserSession(userId) {
+    if (this._userSessions) delete this._userSessions[userId];
+    return this.del(`user:${userId}:session`);
+  }
+
+  // Presence: users with at least one connected socket
+  async setUserOnline(userId) {
+    return this.hset('users:online', userId, new Date().toISOString());
+  }
+
+  async setUserOffline(userId) {
+    return this.hdel('users:online', userId);
+  }
+
+  async isUserOnline(userId) {
+    return Boolean(await this.hget('users:online', userId));
+  }
+
+  async getOnlineUsers() {
+    return this.hgetall('users:online');
+  }
+
+  // Connected sockets per user and per login session (a user may have several devices)
+  async addSocket(userId, sessionId, socketId) {
+    await this.sadd(`user:${userId}:sockets`, socketId);
+    await this.expire(`user:${userId}:sockets`, 86400);
+    if (sessionId) {
+      await this.sadd(`session:${sessionId}:sockets`, socketId);
+      await this.expire(`session:${sessionId}:sockets`, 86400);
+    }
+  }
+
+  // Returns how many sockets the user still has connected
+  async removeSocket(userId, sessionId, socketId) {
+    await this.srem(`user:${userId}:sockets`, socketId);
+    if (sessionId) {
+      await this.srem(`session:${sessionId}:sockets`, socketId);
+    }
+    return (await this.smembers(`user:${userId}:sockets`)).length;
+  }
+
+  async getSessionSockets(sessionId) {
+    return this.smembers(`session:${sessionId}:sockets`);
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,55 @@
+// src/config/search.js
+
+/**
+ * Produce vocabulary for listing search, one entry per canonical term.
+ *
+ * A search word matching the term or any of its synonyms (English or
+ * Swahili) searches for all of them, and words a letter or two off are
+ * corrected to the nearest vocabulary word first ("maze" finds maize).
+ */
+const PRODUCE_SYNONYMS = {
+  maize: ['corn', 'mahindi', 'mbembe'],
+  milk: ['maziwa', 'dairy'],
+  wheat: ['ngano'],
+  vegetables: ['vegetable', 'mboga', 'greens'],
+  fruits: ['fruit', 'matunda'],
+  livestock: ['mifugo', 'cattle', 'ng\'ombe', 'goats', 'mbuzi', 'sheep', 'kondoo'],
+  beans: ['maharagwe', 'maharage'],
+  potatoes: ['potato', 'viazi', 'waru'],
+  sweet_potatoes: ['viazi vitamu'],
+  tomatoes: ['tomato', 'nyanya'],
+  onions: ['onion', 'vitunguu'],
+  cabbage: ['kabichi'],
+  kale: ['sukuma', 'sukuma wiki', 'sukumawiki'],
+  spinach: ['spinachi'],
+  bananas: ['banana', 'ndizi'],
+  mangoes: ['mango', 'maembe', 'embe'],
+  avocados: ['avocado', 'parachichi'],
+  oranges: ['orange', 'machungwa'],
+  pineapples: ['pineapple', 'nanasi', 'mananasi'],
+  rice: ['mchele', 'mpunga'],
+  sorghum: ['mtama'],
+  millet: ['wimbi', 'uwele'],
+  cassava: ['muhogo', 'mihogo'],
+  groundnuts: ['peanuts', 'njugu'],
+  green_grams: ['ndengu', 'pojo'],
+  coffee: ['kahawa'],
+  tea: ['chai'],
+  eggs: ['egg', 'mayai'],
+  chicken: ['poultry', 'kuku'],
+  honey: ['asali'],
+  fish: ['samaki']
+};
+
+// Price bands (KES) for the price facet; the last band is open-ended
+const PRICE_BANDS = [0, 1000, 5000, 10000, 50000, 100000];
+
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+module.exports = {
+  PRODUCE_SYNONYMS,
+  PRICE_BANDS,
+  SEARCH_PAGE_SIZE,
+  MAX_SEARCH_PAGE_SIZE
+};
@@ -0,0 +1,154 @@
+const { validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+
+const MAX_KEYS_PER_USER = 10;
+
+// @desc    Create an API key
+// @route   POST /api/api-keys
+// @access  Private
+exports.createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const activeKeys = await ApiKey.countDocuments({ user: req.user.id, revokedAt: null });
+    if (activeKeys >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      user: req.user.id,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: apiKey,
+      key // Only returned once
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get my API keys
+// @route   GET /api/api-keys
+// @access  Private
+exports.getApiKeys = async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user.id }).sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: keys.length,
+      scopes: ApiKey.SCOPES,
+      data: keys
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update an API key's name or scopes
+// @route   PUT /api/api-keys/:id
+// @access  Private
+exports.updateApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revoked keys cannot be changed'
+      });
+    }
+
+    if (req.body.name !== undefined) apiKey.name = req.body.name;
+    if (req.body.scopes !== undefined) apiKey.scopes = [...new Set(req.body.scopes)];
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key updated',
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedReason = req.body?.reason;
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { auditService } = require('../services/auditService');
+
+// @desc    Query the audit log
+// @route   GET /api/audit
+// @access  Private (Admin)
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { actor, targetType, targetId, action, from, to, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (actor) query.actor = new mongoose.Types.ObjectId(actor);
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ seq: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .populate('actor', 'name email roles'),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: entries
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit logs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Check the hash chain for tampering
+// @route   GET /api/audit/verify
+// @access  Private (Admin)
+exports.verifyAuditLog = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const result = await auditService.verifyChain({
+      fromSeq: parseInt(req.query.fromSeq) || 1,
+      limit: parseInt(req.query.limit) || 10000
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying audit log',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,69 +1,44 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
+const Review = require('../models/Review');
+const Listing = require('../models/Listing');
+const Transport = require('../models/Transport');
+const Storage = require('../models/Storage');
+const { tokenService } = require('../services/tokenService');
+const { mailService } = require('../services/mailService');
+const { otpService } = require('../services/otpService');
+const { bruteForceService } = require('../services/bruteForceService');
+const { webhookService } = require('../services/webhookService');
+const { reviewService, RATED_ROLES } = require('../services/reviewService');
+const { ledgerService } = require('../services/ledgerService');
+const { auditService } = require('../services/auditService');
+const { privacyService } = require('../services/privacyService');
+const { blockService } = require('../services/blockService');
+const { notificationService } = require('../services/notificationService');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } = require('../config/notifications');
+const { normalizePhone } = require('../utils/phone');
+const { toCsv } = require('../utils/csv');
+const { DEFAULT_COORDINATES, findCounty, getCountyCoordinates, normalizeLocation } = require('../utils/geography');
+const { notifyUser } = require('../socket/socket');
+const { can, forbidden } = require('../middlewares/permission.middleware');
 const { validationResult } = require('express-validator');
 
-const COUNTY_COORDS = {
-  Nairobi: [36.8172, -1.2864],
-  Mombasa: [39.6682, -4.0435],
-  Kisumu: [34.7617, -0.0917],
-  Nakuru: [36.0667, -0.3031],
-  Eldoret: [35.2698, 0.5143],
-  Thika: [37.0736, -1.0330],
-  Kakamega: [34.7500, 0.2833],
-  Kisii: [34.7833, -0.6833],
-  Meru: [37.6493, 0.0471],
-  Nyeri: [36.9478, -0.4167],
-  Machakos: [37.2667, -1.5167],
-  Kiambu: [36.8356, -1.1711],
-  Muranga: [37.1500, -0.7833],
-  Kirinyaga: [37.2833, -0.6833],
-  Nyandarua: [36.3833, -0.5333],
-  Laikipia: [36.8333, 0.4167],
-  Narok: [35.8667, -1.0833],
-  Kajiado: [36.7833, -1.8333],
-  Makueni: [37.6333, -1.8167],
-  Kitui: [38.0167, -1.3667],
-  Garissa: [39.6500, -0.4500],
-  Wajir: [40.0667, 1.7500],
-  Mandera: [41.8500, 3.9333],
-  Marsabit: [36.9167, 2.3333],
-  Isiolo: [37.5833, 0.3500],
-  Lamu: [40.9000, -2.2667],
-  TanaRiver: [40.1167, -1.2000],
-  Kilifi: [39.8500, -3.6333],
-  Kwale: [39.4167, -4.1833],
-  "Taita Taveta": [38.3667, -3.3667],
-  Busia: [34.1000, 0.4500],
-  Siaya: [34.2833, 0.0667],
-  "Homa Bay": [34.6333, -0.5333],
-  Migori: [34.4667, -1.0667],
-  Bomet: [35.3500, -0.7667],
-  Kericho: [35.2833, -0.3667],
-  Bungoma: [34.5667, 0.5667],
-  Vihiga: [34.7333, 0.0833],
-  "Trans Nzoia": [35.0000, 1.0333],
-  "Uasin Gishu": [35.2833, 0.5167],
-  "Elgeyo Marakwet": [35.5667, 0.6333],
-  Nandi: [35.1000, 0.1333],
-  Baringo: [35.9833, 0.5000],
-  Samburu: [37.5167, 0.5333],
-  Turkana: [36.0000, 3.1000],
-  "West Pokot": [35.5000, 1.2333],
-};
-
 /**
  * Normalize location input into:
  * { location: {...}, coordinates: { type: 'Point', coordinates: [lng, lat] } }
- * Any county not in COUNTY_COORDS defaults to Nairobi coordinates.
+ * County, sub-county and ward are checked against the geography module;
+ * `error` is set when they do not match. Without GPS or a known county
+ * the coordinates default to Nairobi.
  */
 const parseLocationData = (location) => {
-  const defaultCoords = COUNTY_COORDS['Nairobi'];
-
-  let coordinates = { type: 'Point', coordinates: defaultCoords };
+  let coordinates = { type: 'Point', coordinates: [...DEFAULT_COORDINATES] };
   let locationData = {};
 
   if (!location) return { location: locationData, coordinates };
 
+  const { value: place, error } = typeof location === 'object' ? normalizeLocation(location) : { value: {} };
+  if (error) return { error };
+
   // CASE 1: GPS object { lat, lng, ... }
   if (typeof location === 'object' && typeof location.lat === 'number' && typeof location.lng === 'number') {
     coordinates.coordinates = [Number(location.lng), Number(location.lat)];
@@ -75,6 +50,7 @@ const parseLocationData = (location) => {
         ward: location.ward || null,
         town: location.town || null,
         street: location.street || null,
+        ...place
       },
       landmark: location.landmark || null,
     };
@@ -83,20 +59,23 @@ const parseLocationData = (location) => {
 
   // CASE 2: Object with county info (no GPS)
   if (typeof location === 'object' && location.county) {
-    const fallback = COUNTY_COORDS[location.county] || defaultCoords; // fallback to Nairobi if county not found
-    coordinates.coordinates = fallback;
+    coordinates.coordinates = getCountyCoordinates(place.county);
     locationData = {
-      name: location.county,
-      address: { county: location.county, town: location.town || null },
+      name: place.county,
+      address: { ...place, town: location.town || null },
     };
     return { location: locationData, coordinates };
   }
 
-  // CASE 3: Simple string
+  // CASE 3: Simple string, which may name a county
   if (typeof location === 'string') {
-    const fallback = COUNTY_COORDS[location] || defaultCoords; // fallback to Nairobi
-    coordinates.coordinates = fallback;
-    locationData = { name: location };
+    const county = findCounty(location);
+    if (county) {
+      coordinates.coordinates = [...county.centroid];
+      locationData = { name: location, address: { county: county.name, countyCode: county.code } };
+    } else {
+      locationData = { name: location };
+    }
     return { location: locationData, coordinates };
   }
 
@@ -104,6 +83,12 @@ const parseLocationData = (location) => {
   return { location: {}, coordinates };
 };
 
+// A review of the given user, or null for unknown or malformed ids
+const findReview = (userId, reviewId) => {
+  if (!mongoose.isValidObjectId(reviewId)) return null;
+  return Review.findOne({ _id: reviewId, target: userId });
+};
+
 /**
  * Format user response with role-specific data
  */
@@ -113,8 +98,10 @@ const formatUserResponse = (user) => {
     name: user.name,
     email: user.email,
     phone: user.phone,
+    phoneVerified: user.phoneVerified || false,
     roles: user.roles,
     primaryRole: user.primaryRole,
+    activeRole: user.resolveActiveRole(),
     bio: user.bio,
     location: {
       name: user.location?.name,
@@ -122,16 +109,22 @@ const formatUserResponse = (user) => {
       county: user.location?.address?.county,
       town: user.location?.address?.town
     },
+    privacy: {
+      locationPrecision: user.privacy?.locationPrecision || 'ward',
+      discoverableBy: user.privacy?.discoverableBy || []
+    },
+    notificationPreferences: notificationService.preferencesFor(user),
+    language: user.language || null,
     profileStatus: user.profileStatus,
     isVerified: user.isVerified,
-    ratings: user.ratings || [],
     averageRating: user.averageRating || 0,
+    ratingCount: user.ratingCount || 0,
+    ratingScore: user.ratingScore || 0,
     roleRatings: user.roleRatings || {
-      farmer: { average: 0, count: 0 },
-      transport: { average: 0, count: 0 },
-      storage: { average: 0, count: 0 }
+      farmer: { average: 0, count: 0, score: 0 },
+      transport: { average: 0, count: 0, score: 0 },
+      storage: { average: 0, count: 0, score: 0 }
     },
-    transactions: user.transactions || [],
     totalTransactions: user.totalTransactions || 0,
     createdAt: user.createdAt,
     updatedAt: user.updatedAt
@@ -157,6 +150,105 @@ const formatUserResponse = (user) => {
   return baseResponse;
 };
 
+// Settings and history only the user themself sees
+const OWNER_ONLY_FIELDS = ['privacy', 'notificationPreferences', 'totalTransactions'];
+
+/**
+ * Another user's view of a profile
+ */
+const formatPublicProfile = (user) => {
+  const profile = formatUserResponse(user);
+  OWNER_ONLY_FIELDS.forEach(field => delete profile[field]);
+  return profile;
+};
+
+/**
+ * Start a session for the user and return the token fields for the response
+ */
+const issueAuthTokens = async (user, req) => {
+  const meta = {
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    deviceId: req.get('x-device-id'),
+    deviceName: req.get('x-device-name')
+  };
+  const { accessToken, refreshToken, expiresIn, activeRole, sessionId, isNewDevice } =
+    await tokenService.issueTokens(user, meta);
+
+  // Warn the user on their other devices and by email; a stolen phone shows up here
+  if (isNewDevice) {
+    const signIn = {
+      sessionId,
+      deviceName: meta.deviceName || null,
+      userAgent: meta.userAgent || null,
+      ip: meta.ip,
+      timestamp: new Date().toISOString()
+    };
+    notifyUser(user._id, 'session:new_device', signIn)
+      .catch(err => console.error('New device notification error:', err));
+    if (user.email) {
+      mailService.sendNewDeviceSignIn(user, signIn);
+    }
+  }
+
+  return { token: accessToken, refreshToken, expiresIn, activeRole };
+};
+
+/**
+ * Validate a phone change; a new number has to be verified again
+ */
+const buildPhoneUpdate = async (user, phone) => {
+  const normalizedPhone = normalizePhone(phone);
+  if (!normalizedPhone) return { error: 'Please provide a valid Kenyan phone number' };
+
+  if (normalizedPhone === user.phone) return { update: {} };
+
+  // Only a verified number belongs to an account; an unverified one is
+  // just a claim and must not lock the owner of the number out
+  if (await User.exists({ phone: normalizedPhone, phoneVerified: true, _id: { $ne: user._id } }))
+    return { error: 'Phone number is already in use' };
+
+  return { update: { phone: normalizedPhone, phoneVerified: false, phoneVerifiedAt: null } };
+};
+
+const otpErrorResponse = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...(error.retryAfter !== undefined ? { retryAfter: error.retryAfter } : {}),
+  ...(error.attemptsRemaining !== undefined ? { attemptsRemaining: error.attemptsRemaining } : {})
+});
+
+/**
+ * Notify owners of freshly locked accounts and emit a security event
+ */
+const handleLockouts = async (lockouts, user, req) => {
+  for (const lockout of lockouts) {
+    console.warn(`[Security] ${lockout.scope} lockout for ${lockout.id} after ${lockout.failures} failed logins from ${req.ip}`);
+
+    if (lockout.scope !== 'account' || !user) continue;
+
+    const lockMinutes = bruteForceService.lockDuration / 60;
+
+    // Password sign-in is by email, so a locked account always has one;
+    // phone-only accounts sign in with OTP codes and are never locked here
+    const unlockToken = await bruteForceService.createUnlockToken(lockout.id);
+    await mailService.sendAccountLocked(user, unlockToken, lockMinutes);
+
+    await webhookService.triggerWebhook(
+      'security.lockout',
+      {
+        userId: user._id.toString(),
+        scope: lockout.scope,
+        failures: lockout.failures,
+        ip: req.ip,
+        lockedForSeconds: bruteForceService.lockDuration,
+        timestamp: new Date().toISOString()
+      },
+      user._id.toString()
+    ).catch(err => console.error('Webhook error:', err));
+  }
+};
+
 /* ======================================================
    REGISTER
 ====================================================== */
@@ -182,7 +274,15 @@ const register = async (req, res) => {
     const userExists = await User.findOne({ email });
     if (userExists) return res.status(400).json({ success: false, message: 'User already exists with this email' });
 
-    const { location: loc, coordinates } = parseLocationData(location);
+    const normalizedPhone = phone ? normalizePhone(phone) : undefined;
+    if (phone && !normalizedPhone)
+      return res.status(400).json({ success: false, message: 'Please provide a valid Kenyan phone number' });
+
+    if (normalizedPhone && await User.exists({ phone: normalizedPhone, phoneVerified: true }))
+      return res.status(400).json({ success: false, message: 'User already exists with this phone number' });
+
+    const { location: loc, coordinates, error: locationError } = parseLocationData(location);
+    if (locationError) return res.status(400).json({ success: false, message: locationError });
 
     // CLEAN coordinates for MongoDB
     const cleanCoordinates = {
@@ -206,19 +306,23 @@ const register = async (req, res) => {
       email,
       password,
       name,
-      phone,
+      phone: normalizedPhone,
       roles: roles || ['farmer'],
       location: loc,
       coordinates: cleanCoordinates,
       roleSpecificInfo
     });
 
-    const token = generateToken(user._id, user.roles);
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await mailService.sendEmailVerification(user, verificationToken);
+
+    const tokens = await issueAuthTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: formatUserResponse(user)
     });
   } catch (error) {
@@ -236,18 +340,40 @@ const login = async (req, res) => {
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     const { email, password } = req.body;
+
+    const guard = await bruteForceService.check(email, req.ip);
+    if (!guard.allowed) {
+      res.set('Retry-After', String(guard.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: guard.locked
+          ? 'Too many failed attempts. Sign-in is temporarily locked'
+          : 'Too many failed attempts. Please wait before trying again',
+        locked: guard.locked,
+        retryAfter: guard.retryAfter
+      });
+    }
+
     const user = await User.findOne({ email }).select('+password');
-    if (!user || !(await user.comparePassword(password)))
+    if (!user || !(await user.comparePassword(password))) {
+      const lockouts = await bruteForceService.recordFailure(email, req.ip);
+      await handleLockouts(lockouts, user, req);
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    await bruteForceService.recordSuccess(email);
 
     if (!['active', 'verified'].includes(user.profileStatus))
       return res.status(401).json({ success: false, message: `Account is ${user.profileStatus}` });
 
-    const token = generateToken(user._id, user.roles);
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.isVerified)
+      return res.status(403).json({ success: false, message: 'Please verify your email before logging in' });
+
+    const tokens = await issueAuthTokens(user, req);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: formatUserResponse(user)
     });
   } catch (error) {
@@ -289,14 +415,27 @@ const getProfile = async (req, res) => {
 ====================================================== */
 const updateProfile = async (req, res) => {
   try {
-    const { name, phone, location } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, phone, location, language } = req.body;
     const update = {};
     
     if (name) update.name = name;
-    if (phone) update.phone = phone;
+    if (language) update.language = language;
+    // null goes back to following Accept-Language
+    if (language === null) update.$unset = { language: 1 };
+    if (phone) {
+      const phoneUpdate = await buildPhoneUpdate(req.user, phone);
+      if (phoneUpdate.error) return res.status(400).json({ success: false, message: phoneUpdate.error });
+      Object.assign(update, phoneUpdate.update);
+    }
 
     if (location) {
       const parsed = parseLocationData(location);
+      if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
       update.location = parsed.location;
       update.coordinates = {
         type: 'Point',
@@ -317,6 +456,9 @@ const updateProfile = async (req, res) => {
       });
     }
 
+    // Answer in the language just chosen
+    req.user.language = user.language;
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -392,7 +534,9 @@ const getUsersByRole = async (req, res) => {
     
     let query = { 
       roles: role, 
-      profileStatus: { $in: ['active', 'verified'] } 
+      _id: { $ne: req.user._id },
+      profileStatus: { $in: ['active', 'verified'] },
+      ...privacyService.discoverableBy(req.user, req.activeRole)
     };
     
     // Add role-specific filters
@@ -404,9 +548,9 @@ const getUsersByRole = async (req, res) => {
       query['roleSpecificInfo.storage.availableCapacity'] = { $gt: 0 };
     }
     
-    // Add location filter if coordinates provided
+    // Add location filter if coordinates provided (against blurred points)
     if (lat && lng) {
-      query.coordinates = {
+      query.discoveryCoordinates = {
         $near: {
           $geometry: {
             type: 'Point',
@@ -417,22 +561,32 @@ const getUsersByRole = async (req, res) => {
       };
     }
     
-    const users = await User.find(query)
-      .select('name email phone roles location coordinates profileStatus roleSpecificInfo averageRating roleRatings totalTransactions')
+    await blockService.excludeHidden(query, '_id', req.user.id);
+
+    // $near already orders by distance; otherwise best rated in this role first
+    let usersQuery = User.find(query)
+      .select('name email phone phoneVerified roles location coordinates privacy profileStatus roleSpecificInfo averageRating roleRatings totalTransactions')
       .limit(50);
+    if (!query.discoveryCoordinates) {
+      usersQuery = usersQuery.sort({ [`roleRatings.${role}.score`]: -1, _id: 1 });
+    }
+    const users = await usersQuery;
     
     const formattedUsers = users.map(user => {
+      const location = privacyService.locationFor(user);
       const baseUser = {
         id: user._id,
         name: user.name,
         email: user.email,
         phone: user.phone,
+        phoneVerified: user.phoneVerified || false,
         roles: user.roles,
-        location: user.location,
-        coordinates: user.coordinates?.coordinates || [0, 0],
+        location,
+        coordinates: location?.coordinates || null,
         profileStatus: user.profileStatus,
         averageRating: user.averageRating,
         roleSpecificRating: user.roleRatings?.[role]?.average || 0,
+        ratingScore: user.roleRatings?.[role]?.score || 0,
         ratingCount: user.roleRatings?.[role]?.count || 0,
         totalTransactions: user.totalTransactions || 0
       };
@@ -486,6 +640,169 @@ const updateLocation = async (req, res) => {
   });
 };
 
+/* ======================================================
+   LOCATION PRIVACY
+====================================================== */
+const getPrivacySettings = async (req, res) => {
+  res.json({
+    success: true,
+    privacy: formatUserResponse(req.user).privacy,
+    // What other users currently see
+    visibleLocation: privacyService.locationFor(req.user)
+  });
+};
+
+const updatePrivacySettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { locationPrecision, discoverableBy } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (locationPrecision !== undefined) user.privacy.locationPrecision = locationPrecision;
+    if (discoverableBy !== undefined) user.privacy.discoverableBy = [...new Set(discoverableBy)];
+
+    // Re-blurs discoveryCoordinates in the save hook
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Privacy settings updated',
+      privacy: formatUserResponse(user).privacy,
+      visibleLocation: privacyService.locationFor(user)
+    });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/* ======================================================
+   NOTIFICATION PREFERENCES
+====================================================== */
+const getNotificationPreferences = async (req, res) => {
+  res.json({
+    success: true,
+    notificationPreferences: notificationService.preferencesFor(req.user),
+    types: Object.fromEntries(
+      Object.entries(NOTIFICATION_TYPES).map(([type, { description }]) => [type, description])
+    ),
+    channels: NOTIFICATION_CHANNELS
+  });
+};
+
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { channels, quietHours, digest } = req.body;
+    const user = await User.findById(req.user.id);
+
+    Object.entries(channels || {}).forEach(([type, list]) => {
+      user.set(`notificationPreferences.channels.${type}`, [...new Set(list)]);
+    });
+    ['enabled', 'start', 'end', 'timezone'].forEach(field => {
+      if (quietHours?.[field] !== undefined) user.set(`notificationPreferences.quietHours.${field}`, quietHours[field]);
+    });
+    ['enabled', 'hour'].forEach(field => {
+      if (digest?.[field] !== undefined) user.set(`notificationPreferences.digest.${field}`, digest[field]);
+    });
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      notificationPreferences: notificationService.preferencesFor(user)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/* ======================================================
+   BLOCKED USERS
+====================================================== */
+const getBlockedUsers = async (req, res) => {
+  try {
+    const blocked = await blockService.list(req.user.id);
+
+    res.json({
+      success: true,
+      count: blocked.length,
+      blockedUsers: blocked.map(entry => ({
+        user: entry.user ? { id: entry.user._id, name: entry.user.name, roles: entry.user.roles } : null,
+        reason: entry.reason,
+        blockedAt: entry.blockedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const blockUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await blockService.block(req.user.id, req.params.id, req.body.reason);
+
+    res.status(201).json({
+      success: true,
+      message: 'User blocked'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const unblockUser = async (req, res) => {
+  try {
+    await blockService.unblock(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 /* ======================================================
    NEARBY USERS
 ====================================================== */
@@ -493,8 +810,10 @@ const getNearbyUsers = async (req, res) => {
   const { lat, lng, maxDistance = 5000, role } = req.query;
   if (!lat || !lng) return res.status(400).json({ success: false, message: 'Latitude and longitude required' });
 
+  // Search blurred points only, so distance filters cannot be used to
+  // narrow down anyone's exact location
   const query = {
-    coordinates: { 
+    discoveryCoordinates: { 
       $near: { 
         $geometry: { 
           type: 'Point', 
@@ -503,7 +822,9 @@ const getNearbyUsers = async (req, res) => {
         $maxDistance: Number(maxDistance) 
       } 
     },
+    _id: { $ne: req.user._id },
     profileStatus: { $in: ['active', 'verified'] },
+    ...privacyService.discoverableBy(req.user, req.activeRole)
   };
 
   // Filter by role if specified
@@ -511,8 +832,10 @@ const getNearbyUsers = async (req, res) => {
     query.roles = role;
   }
 
+  await blockService.excludeHidden(query, '_id', req.user.id);
+
   const users = await User.find(query)
-    .select('name roles location coordinates profileStatus roleSpecificInfo averageRating')
+    .select('name roles location coordinates privacy profileStatus roleSpecificInfo averageRating phoneVerified')
     .limit(30);
 
   res.json({ 
@@ -523,12 +846,9 @@ const getNearbyUsers = async (req, res) => {
       name: user.name,
       roles: user.roles,
       primaryRole: user.primaryRole,
-      location: {
-        name: user.location?.name,
-        coordinates: user.coordinates.coordinates,
-        county: user.location?.address?.county
-      },
+      location: privacyService.locationFor(user),
       profileStatus: user.profileStatus,
+      phoneVerified: user.phoneVerified || false,
       averageRating: user.averageRating
     }))
   });
@@ -549,9 +869,13 @@ const getUserById = async (req, res) => {
       });
     }
 
+    // Exact location only for the user themself, admins and counterparties
+    const profile = formatPublicProfile(user);
+    profile.location = await privacyService.visibleLocation(req.user, user);
+
     res.json({
       success: true,
-      user: formatUserResponse(user)
+      user: profile
     });
   } catch (error) {
     console.error('Get user by ID error:', error);
@@ -563,7 +887,7 @@ const getUserById = async (req, res) => {
 };
 
 /* ======================================================
-   SUBMIT RATING FOR USER WITH ROLE CONTEXT
+   SUBMIT RATING FOR A COMPLETED TRANSACTION
 ====================================================== */
 const submitRating = async (req, res) => {
   try {
@@ -572,13 +896,13 @@ const submitRating = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { rating, comment, roleContext } = req.body;
+    const { rating, comment, transactionType, transactionId } = req.body;
     const userId = req.params.id;
     const raterId = req.user.id;
 
     // Check if user exists
-    const user = await User.findById(userId);
-    if (!user) {
+    const userExists = await User.exists({ _id: userId });
+    if (!userExists) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -593,51 +917,74 @@ const submitRating = async (req, res) => {
       });
     }
 
-    // Validate roleContext if provided
-    if (roleContext && !['farmer', 'transport', 'storage'].includes(roleContext)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid role context'
-      });
-    }
-
-    // Check if user has the role being rated
-    if (roleContext && !user.roles.includes(roleContext)) {
-      return res.status(400).json({
+    if (await blockService.isBlocked(raterId, userId)) {
+      return res.status(403).json({
         success: false,
-        message: `User doesn't have ${roleContext} role`
+        message: 'You cannot rate this user'
       });
     }
 
-    // Check if rater has already rated this user for this role
-    const existingRating = user.ratings.find(r => 
-      r.fromUserId.toString() === raterId && 
-      r.roleContext === roleContext
+    // Ratings must come from a completed interaction between the two users;
+    // the transaction decides which role is being rated
+    const { transaction, roleContext } = await reviewService.resolveTransaction(
+      raterId,
+      userId,
+      transactionType,
+      transactionId
     );
 
+    // One rating per rater per transaction
+    const existingRating = await Review.exists({
+      rater: raterId,
+      'transaction.type': transaction.type,
+      'transaction.id': transaction.id
+    });
+
     if (existingRating) {
       return res.status(400).json({
         success: false,
-        message: `You have already rated this user as ${roleContext || 'general'}`
+        message: 'You have already rated this user for this transaction'
       });
     }
 
-    // Add rating
-    const newRating = await user.addRating({
-      fromUserId: raterId,
+    const review = await Review.create({
+      target: userId,
+      rater: raterId,
       rating: parseInt(rating),
       comment: comment || '',
-      roleContext: roleContext || null
+      roleContext,
+      raterRole: req.activeRole,
+      transaction
+    });
+
+    const summary = await reviewService.recalculate(userId);
+
+    notificationService.notify(userId, 'rating', {
+      event: 'rating.received',
+      data: { reviewId: review._id, rating: review.rating, roleContext, raterId },
+      title: 'You have a new rating',
+      text: `${req.user.name} rated you ${review.rating}/5${review.comment ? `: "${review.comment}"` : ''}`
     });
 
     res.json({
       success: true,
       message: 'Rating submitted successfully',
-      rating: newRating,
-      averageRating: user.averageRating,
-      roleSpecificRating: roleContext ? user.roleRatings[roleContext] : null
+      rating: review.toPublicJSON(),
+      averageRating: summary.averageRating,
+      ratingScore: summary.ratingScore,
+      roleSpecificRating: roleContext ? summary[`roleRatings.${roleContext}`] : null
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    // Lost a race with a duplicate submission (unique index)
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already rated this user for this transaction'
+      });
+    }
     console.error('Submit rating error:', error);
     res.status(500).json({
       success: false,
@@ -655,7 +1002,11 @@ const updateProfileDetails = async (req, res) => {
     const updateData = {};
 
     if (name) updateData.name = name;
-    if (phone) updateData.phone = phone;
+    if (phone) {
+      const phoneUpdate = await buildPhoneUpdate(req.user, phone);
+      if (phoneUpdate.error) return res.status(400).json({ success: false, message: phoneUpdate.error });
+      Object.assign(updateData, phoneUpdate.update);
+    }
     if (bio) updateData.bio = bio;
     if (farm) updateData.farm = farm;
 
@@ -687,15 +1038,16 @@ const updateProfileDetails = async (req, res) => {
 };
 
 /* ======================================================
-   GET USER RATINGS WITH ROLE FILTER
+   GET USER RATINGS WITH ROLE FILTER (CURSOR PAGINATED)
 ====================================================== */
 const getUserRatings = async (req, res) => {
   try {
-    const { role } = req.query;
-    
+    const { role, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
     const user = await User.findById(req.params.id)
-      .select('ratings averageRating roleRatings name roles');
-    
+      .select('averageRating ratingCount ratingScore roleRatings name roles');
+
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -703,41 +1055,60 @@ const getUserRatings = async (req, res) => {
       });
     }
 
-    let filteredRatings = user.ratings || [];
-    
-    // Filter by role if specified
-    if (role && ['farmer', 'transport', 'storage'].includes(role)) {
-      filteredRatings = filteredRatings.filter(rating => rating.roleContext === role);
-    }
-
-    // Populate fromUserId with user details
-    const populatedRatings = await Promise.all(
-      filteredRatings.map(async (rating) => {
-        const rater = await User.findById(rating.fromUserId)
-          .select('name roles');
-        return {
-          ...rating.toObject(),
-          fromUser: rater ? {
-            id: rater._id,
-            name: rater.name,
-            primaryRole: rater.primaryRole
-          } : null
-        };
-      })
-    );
+    const roleFilter = RATED_ROLES.includes(role) ? role : null;
+    const query = { target: user._id, status: 'visible' };
+    if (roleFilter) query.roleContext = roleFilter;
+
+    // Newest first; the cursor is the id of the last review on the previous page
+    if (cursor) {
+      if (!mongoose.isValidObjectId(cursor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      query._id = { $lt: cursor };
+    }
+
+    const [reviews, histogram] = await Promise.all([
+      Review.find(query)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate('rater', 'name roles activeRole'),
+      reviewService.histogram(user._id, roleFilter)
+    ]);
+
+    const hasMore = reviews.length > limit;
+    const page = hasMore ? reviews.slice(0, limit) : reviews;
+
+    const ratings = page.map(review => {
+      const { rater, ...rest } = review.toPublicJSON();
+      return {
+        ...rest,
+        fromUser: review.rater ? {
+          id: review.rater._id,
+          name: review.rater.name,
+          primaryRole: review.rater.primaryRole
+        } : null
+      };
+    });
 
     res.json({
       success: true,
-      ratings: populatedRatings,
+      ratings,
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+      histogram,
       averageRating: user.averageRating || 0,
+      ratingCount: user.ratingCount || 0,
+      ratingScore: user.ratingScore || 0,
       roleRatings: user.roleRatings || {
-        farmer: { average: 0, count: 0 },
-        transport: { average: 0, count: 0 },
-        storage: { average: 0, count: 0 }
+        farmer: { average: 0, count: 0, score: 0 },
+        transport: { average: 0, count: 0, score: 0 },
+        storage: { average: 0, count: 0, score: 0 }
       },
       userName: user.name,
       userRoles: user.roles,
-      filteredByRole: role || 'all'
+      filteredByRole: roleFilter || 'all'
     });
   } catch (error) {
     console.error('Get user ratings error:', error);
@@ -749,55 +1120,48 @@ const getUserRatings = async (req, res) => {
 };
 
 /* ======================================================
-   GET ROLE-SPECIFIC STATS
+   REPLY TO A RATING (RATED USER, ONCE)
 ====================================================== */
-const getRoleStats = async (req, res) => {
+const replyToRating = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.id !== req.user.id) {
+      return res.status(403).json({
         success: false,
-        message: 'User not found'
+        message: 'Only the rated user can reply to a rating'
       });
     }
 
-    const stats = {
-      roles: user.roles,
-      roleInfo: {},
-      roleStats: {}
-    };
+    const review = await findReview(req.user.id, req.params.ratingId);
 
-    // Add role-specific info and stats
-    user.roles.forEach(role => {
-      if (user.roleSpecificInfo && user.roleSpecificInfo[role]) {
-        stats.roleInfo[role] = user.roleSpecificInfo[role];
-      }
-      
-      if (user.roleRatings && user.roleRatings[role]) {
-        stats.roleStats[role] = user.roleRatings[role];
-      } else {
-        stats.roleStats[role] = { average: 0, count: 0 };
-      }
-    });
+    if (!review || review.status === 'removed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Rating not found'
+      });
+    }
 
-    // Count transactions by role
-    if (user.transactions && user.transactions.length > 0) {
-      const transactionCounts = {};
-      user.roles.forEach(role => {
-        transactionCounts[role] = user.transactions.filter(
-          t => t.roleInvolved === role
-        ).length;
+    if (review.reply?.text) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already replied to this rating'
       });
-      stats.transactionCounts = transactionCounts;
     }
 
+    review.reply = { text: req.body.text, createdAt: new Date() };
+    await review.save();
+
     res.json({
       success: true,
-      stats
+      message: 'Reply added',
+      reply: review.reply
     });
   } catch (error) {
-    console.error('Get role stats error:', error);
+    console.error('Reply to rating error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -806,21 +1170,276 @@ const getRoleStats = async (req, res) => {
 };
 
 /* ======================================================
-   ADD/REMOVE ROLES (ADMIN ONLY)
+   REPORT A RATING FOR MODERATION
 ====================================================== */
-const updateUserRoles = async (req, res) => {
+const reportRating = async (req, res) => {
   try {
-    const { userId, roles } = req.body;
-    
-    // Check if current user is admin
-    if (!req.user.roles.includes('admin')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Validate roles
+    const review = await findReview(req.params.id, req.params.ratingId);
+
+    if (!review || review.status === 'removed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Rating not found'
+      });
+    }
+
+    if (review.reports.some(report => report.reportedBy?.toString() === req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this rating'
+      });
+    }
+
+    review.reports.push({ reportedBy: req.user.id, reason: req.body.reason });
+    review.reportCount = review.reports.length;
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Rating reported. A moderator will review it.'
+    });
+  } catch (error) {
+    console.error('Report rating error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/* ======================================================
+   ADMIN: LIST REPORTED RATINGS
+====================================================== */
+const getReportedRatings = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { status: 'visible', reportCount: { $gt: 0 } };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .sort({ reportCount: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .populate('target', 'name roles')
+        .populate('rater', 'name roles')
+        .populate('reports.reportedBy', 'name'),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      ratings: reviews
+    });
+  } catch (error) {
+    console.error('Get reported ratings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/* ======================================================
+   ADMIN: REMOVE A RATING
+====================================================== */
+const removeRating = async (req, res) => {
+  try {
+    const review = await findReview(req.params.id, req.params.ratingId);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rating not found'
+      });
+    }
+
+    if (review.status === 'removed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating has already been removed'
+      });
+    }
+
+    review.status = 'removed';
+    review.removedBy = req.user.id;
+    review.removedAt = new Date();
+    review.removalReason = req.body?.reason;
+    await review.save();
+
+    // Removed ratings no longer count towards the averages
+    const summary = await reviewService.recalculate(review.target);
+
+    res.json({
+      success: true,
+      message: 'Rating removed',
+      averageRating: summary.averageRating,
+      ratingScore: summary.ratingScore,
+      roleRatings: {
+        farmer: summary['roleRatings.farmer'],
+        transport: summary['roleRatings.transport'],
+        storage: summary['roleRatings.storage']
+      }
+    });
+  } catch (error) {
+    console.error('Remove rating error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/* ======================================================
+   TRANSACTION LEDGER (JSON OR CSV)
+====================================================== */
+const LEDGER_CSV_COLUMNS = [
+  { key: 'date', header: 'Date' },
+  { key: 'type', header: 'Type' },
+  { key: 'direction', header: 'Direction' },
+  { key: 'product', header: 'Product' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'unit', header: 'Unit' },
+  { key: 'price', header: 'Amount' },
+  { key: 'currency', header: 'Currency' },
+  { key: 'status', header: 'Status' },
+  { key: 'roleInvolved', header: 'Role' },
+  { key: 'reference.type', header: 'Reference Type' },
+  { key: 'reference.id', header: 'Reference ID' },
+  { key: 'id', header: 'Entry ID' }
+];
+
+const getTransactions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, direction, status, role, from, to, period = 'month', format, page = 1, limit = 50 } = req.query;
+    const filters = { type, direction, status, role, from, to };
+
+    if (format === 'csv') {
+      const { entries } = await ledgerService.getLedger(req.user.id, filters, { period, limit: null });
+      const filename = `transactions-${new Date().toISOString().slice(0, 10)}.csv`;
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(toCsv(LEDGER_CSV_COLUMNS, entries));
+    }
+
+    const { entries, total, periods } = await ledgerService.getLedger(req.user.id, filters, {
+      period,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      period,
+      periods,
+      transactions: entries
+    });
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/* ======================================================
+   GET ROLE-SPECIFIC STATS
+====================================================== */
+const getRoleStats = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const stats = {
+      roles: user.roles,
+      activeRole: req.activeRole,
+      roleInfo: {},
+      roleStats: {}
+    };
+
+    // Add role-specific info and stats
+    user.roles.forEach(role => {
+      if (user.roleSpecificInfo && user.roleSpecificInfo[role]) {
+        stats.roleInfo[role] = user.roleSpecificInfo[role];
+      }
+      
+      if (user.roleRatings && user.roleRatings[role]) {
+        stats.roleStats[role] = user.roleRatings[role];
+      } else {
+        stats.roleStats[role] = { average: 0, count: 0, score: 0 };
+      }
+    });
+
+    // Count transactions by role
+    if (user.transactions && user.transactions.length > 0) {
+      const transactionCounts = {};
+      user.roles.forEach(role => {
+        transactionCounts[role] = user.transactions.filter(
+          t => t.roleInvolved === role
+        ).length;
+      });
+      stats.transactionCounts = transactionCounts;
+    }
+
+    // Dashboard summary for the role the user is acting in
+    if (req.activeRole) {
+      stats.active = {
+        role: req.activeRole,
+        info: stats.roleInfo[req.activeRole] || {},
+        rating: stats.roleStats[req.activeRole],
+        transactions: stats.transactionCounts ? stats.transactionCounts[req.activeRole] : 0
+      };
+    }
+
+    res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    console.error('Get role stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/* ======================================================
+   ADD/REMOVE ROLES (ADMIN ONLY)
+====================================================== */
+const updateUserRoles = async (req, res) => {
+  try {
+    const { userId, roles } = req.body;
+    
+    // Check if current user may manage roles
+    if (!can(req.user, 'user.roles.manage')) {
+      return forbidden(res, 'user.roles.manage');
+    }
+
+    // Validate roles
     const validRoles = ['farmer', 'transport', 'storage', 'admin'];
     const invalidRoles = roles.filter(role => !validRoles.includes(role));
     
@@ -831,18 +1450,26 @@ const updateUserRoles = async (req, res) => {
       });
     }
 
+    const previous = await User.findById(userId).select('roles');
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
     const user = await User.findByIdAndUpdate(
       userId,
       { roles },
       { new: true, runValidators: true }
     ).select('-password -__v');
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    await auditService.record(req, {
+      action: 'user.roles.update',
+      target: { type: 'user', id: user._id },
+      before: { roles: previous.roles },
+      after: { roles: user.roles }
+    });
 
     res.json({
       success: true,
@@ -859,9 +1486,713 @@ const updateUserRoles = async (req, res) => {
 };
 
 /* ======================================================
-   LOGOUT
+   FORGOT PASSWORD
+====================================================== */
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      await mailService.sendPasswordReset(user, resetToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   RESET PASSWORD (one-time token from email)
+====================================================== */
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+passwordResetToken +passwordResetExpires');
+
+    if (!user)
+      return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await tokenService.revokeAllForUser(user._id, 'password_reset');
+    await mailService.sendPasswordChanged(user);
+
+    res.json({ success: true, message: 'Password reset successfully. Please log in again.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   CHANGE PASSWORD (logged in)
+====================================================== */
+const changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user || !(await user.comparePassword(currentPassword)))
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other device, then start a fresh session for this one
+    await tokenService.revokeAllForUser(user._id, 'password_changed');
+    await mailService.sendPasswordChanged(user);
+
+    const tokens = await issueAuthTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   VERIFY EMAIL
+====================================================== */
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    }).select('+emailVerificationToken +emailVerificationExpires');
+
+    if (!user)
+      return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired' });
+
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ success: true, message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   RESEND VERIFICATION EMAIL
+====================================================== */
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.email)
+      return res.status(400).json({ success: false, message: 'Add an email address to your profile first' });
+
+    if (user.isVerified)
+      return res.status(400).json({ success: false, message: 'Email is already verified' });
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await mailService.sendEmailVerification(user, verificationToken);
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   REQUEST OTP (phone login / registration)
 ====================================================== */
-const logout = (req, res) => res.json({ success: true, message: 'Logged out' });
+const requestOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) return res.status(400).json({ success: false, message: 'Please provide a valid Kenyan phone number' });
+
+    const result = await otpService.requestCode(phone, 'login');
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      ...result
+    });
+  } catch (error) {
+    if (error.statusCode) return otpErrorResponse(res, error);
+    console.error('Request OTP error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   VERIFY OTP (logs in, or registers a new phone-only account)
+====================================================== */
+const verifyOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { code, name, roles, location } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) return res.status(400).json({ success: false, message: 'Please provide a valid Kenyan phone number' });
+
+    // Only an account that verified this number signs in with it. Someone
+    // else may have typed the number into their profile without owning it.
+    let user = await User.findOne({ phone, phoneVerified: true });
+
+    // Check registration details before the code is consumed
+    if (!user && !name)
+      return res.status(400).json({ success: false, message: 'Name is required to create an account' });
+
+    await otpService.verifyCode(phone, code, 'login');
+
+    let isNewUser = false;
+
+    if (user) {
+      if (!['active', 'verified'].includes(user.profileStatus))
+        return res.status(401).json({ success: false, message: `Account is ${user.profileStatus}` });
+    } else {
+      const { location: loc, coordinates, error: locationError } = parseLocationData(location);
+      if (locationError) return res.status(400).json({ success: false, message: locationError });
+
+      user = await User.create({
+        name,
+        phone,
+        phoneVerified: true,
+        phoneVerifiedAt: new Date(),
+        roles: roles || ['farmer'],
+        location: loc,
+        coordinates: {
+          type: 'Point',
+          coordinates: [Number(coordinates.coordinates[0]), Number(coordinates.coordinates[1])]
+        }
+      });
+      isNewUser = true;
+    }
+
+    const tokens = await issueAuthTokens(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: isNewUser ? 'User registered successfully' : 'Logged in successfully',
+      isNewUser,
+      ...tokens,
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    if (error.statusCode) return otpErrorResponse(res, error);
+    console.error('Verify OTP error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   REQUEST PHONE VERIFICATION (logged in)
+====================================================== */
+const requestPhoneVerification = async (req, res) => {
+  try {
+    if (!req.user.phone)
+      return res.status(400).json({ success: false, message: 'Add a phone number to your profile first' });
+
+    if (req.user.phoneVerified)
+      return res.status(400).json({ success: false, message: 'Phone number is already verified' });
+
+    const result = await otpService.requestCode(req.user.phone, 'verify');
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      ...result
+    });
+  } catch (error) {
+    if (error.statusCode) return otpErrorResponse(res, error);
+    console.error('Request phone verification error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   VERIFY PHONE (logged in)
+====================================================== */
+const verifyPhone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    if (!req.user.phone)
+      return res.status(400).json({ success: false, message: 'Add a phone number to your profile first' });
+
+    if (await User.exists({ phone: req.user.phone, phoneVerified: true, _id: { $ne: req.user._id } }))
+      return res.status(400).json({ success: false, message: 'Phone number is already in use' });
+
+    await otpService.verifyCode(req.user.phone, req.body.code, 'verify');
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { phoneVerified: true, phoneVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully',
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    if (error.statusCode) return otpErrorResponse(res, error);
+    // Another account verified the number in the meantime
+    if (error.code === 11000)
+      return res.status(400).json({ success: false, message: 'Phone number is already in use' });
+    console.error('Verify phone error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   UNLOCK ACCOUNT (emailed token)
+====================================================== */
+const unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token)
+      return res.status(400).json({ success: false, message: 'Unlock token is required' });
+
+    const identifier = await bruteForceService.redeemUnlockToken(token);
+    if (!identifier)
+      return res.status(400).json({ success: false, message: 'Unlock link is invalid or has expired' });
+
+    res.json({ success: true, message: 'Account unlocked. You can sign in again.' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Hide or restore everything a user offers in the marketplace
+ */
+const setOwnerContentSuspended = async (userId, suspended) => {
+  const [listings, transports, storages] = await Promise.all([
+    Listing.updateMany({ owner: userId }, { ownerSuspended: suspended }),
+    Transport.updateMany({ owner: userId }, { ownerSuspended: suspended }),
+    Storage.updateMany({ owner: userId }, { ownerSuspended: suspended })
+  ]);
+
+  return {
+    listings: listings.modifiedCount,
+    transports: transports.modifiedCount,
+    storages: storages.modifiedCount
+  };
+};
+
+/* ======================================================
+   SEARCH USERS (ADMIN ONLY)
+====================================================== */
+const searchUsers = async (req, res) => {
+  try {
+    const { q, status, role, verified, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (status && status !== 'all') query.profileStatus = status;
+    if (role && role !== 'all') query.roles = role;
+    if (verified !== undefined) query.isVerified = verified === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('-password -__v -transactions')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      users: users.map(user => ({
+        ...formatUserResponse(user),
+        suspension: user.suspension,
+        moderationHistory: user.moderationHistory
+      }))
+    });
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   SUSPEND USER (ADMIN ONLY)
+====================================================== */
+const suspendUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { reason } = req.body;
+
+    if (req.params.id === req.user.id)
+      return res.status(400).json({ success: false, message: 'You cannot suspend your own account' });
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    if (user.profileStatus === 'suspended')
+      return res.status(400).json({ success: false, message: 'User is already suspended' });
+
+    user.suspension = {
+      reason,
+      suspendedAt: new Date(),
+      suspendedBy: req.user._id,
+      previousStatus: user.profileStatus
+    };
+    user.profileStatus = 'suspended';
+    user.moderationHistory.push({ action: 'suspend', reason, by: req.user._id });
+    await user.save({ validateBeforeSave: false });
+
+    // Kill every session and socket, then hide their offers
+    await tokenService.revokeAllForUser(user._id, 'suspended');
+    const hidden = await setOwnerContentSuspended(user._id, true);
+
+    console.log(`[Moderation] User ${user._id} suspended by ${req.user.id}: ${reason}`);
+    await auditService.record(req, {
+      action: 'user.suspend',
+      target: { type: 'user', id: user._id },
+      before: { profileStatus: user.suspension.previousStatus },
+      after: { profileStatus: user.profileStatus },
+      metadata: { reason, hidden }
+    });
+
+    res.json({
+      success: true,
+      message: 'User suspended successfully',
+      hidden,
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   REINSTATE USER (ADMIN ONLY)
+====================================================== */
+const reinstateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { reason } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    if (user.profileStatus !== 'suspended')
+      return res.status(400).json({ success: false, message: 'User is not suspended' });
+
+    user.profileStatus = user.suspension?.previousStatus || 'active';
+    user.suspension = undefined;
+    user.moderationHistory.push({ action: 'reinstate', reason, by: req.user._id });
+    await user.save({ validateBeforeSave: false });
+
+    const restored = await setOwnerContentSuspended(user._id, false);
+
+    console.log(`[Moderation] User ${user._id} reinstated by ${req.user.id}: ${reason}`);
+    await auditService.record(req, {
+      action: 'user.reinstate',
+      target: { type: 'user', id: user._id },
+      before: { profileStatus: 'suspended' },
+      after: { profileStatus: user.profileStatus },
+      metadata: { reason, restored }
+    });
+
+    res.json({
+      success: true,
+      message: 'User reinstated successfully',
+      restored,
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Reinstate user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   MARK USER VERIFIED (ADMIN ONLY)
+====================================================== */
+const verifyUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    if (user.profileStatus === 'suspended')
+      return res.status(400).json({ success: false, message: 'Reinstate the user before verifying them' });
+
+    if (user.profileStatus === 'verified')
+      return res.status(400).json({ success: false, message: 'User is already verified' });
+
+    user.profileStatus = 'verified';
+    user.moderationHistory.push({ action: 'verify', reason: req.body?.reason, by: req.user._id });
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'User marked as verified',
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Verify user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   LIST LOCKOUTS (ADMIN ONLY)
+====================================================== */
+const getLockouts = async (req, res) => {
+  try {
+    const lockouts = await bruteForceService.listLockouts();
+
+    res.json({
+      success: true,
+      count: lockouts.length,
+      lockouts
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   CLEAR LOCKOUT (ADMIN ONLY)
+====================================================== */
+const clearLockout = async (req, res) => {
+  try {
+    const { scope, identifier } = req.params;
+
+    if (!['account', 'ip'].includes(scope))
+      return res.status(400).json({ success: false, message: 'Scope must be account or ip' });
+
+    const cleared = await bruteForceService.clear(scope, identifier);
+
+    console.log(`[Security] ${scope} lockout for ${identifier} cleared by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: cleared ? 'Lockout cleared' : 'No active lockout found; failure counters reset'
+    });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   REFRESH TOKENS
+====================================================== */
+const refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { accessToken, refreshToken: newRefreshToken, expiresIn, activeRole } = await tokenService.rotateRefreshToken(
+      req.body.refreshToken,
+      (userId) => User.findById(userId)
+    );
+
+    res.json({
+      success: true,
+      token: accessToken,
+      refreshToken: newRefreshToken,
+      expiresIn,
+      activeRole
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({ success: false, message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   SWITCH ACTIVE ROLE (multi-role users)
+====================================================== */
+const switchRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { role } = req.body;
+
+    if (!req.user.roles.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: `You don't have the ${role} role`
+      });
+    }
+
+    if (!req.tokenSessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role switching requires a signed-in session'
+      });
+    }
+
+    // Remember the choice so new sessions start in this role
+    await User.updateOne({ _id: req.user._id }, { activeRole: role });
+    req.user.activeRole = role;
+
+    const { accessToken, refreshToken: newRefreshToken, expiresIn, activeRole } = await tokenService.switchActiveRole(
+      req.user,
+      req.tokenSessionId,
+      role
+    );
+
+    res.json({
+      success: true,
+      message: `You are now acting as ${activeRole}`,
+      activeRole,
+      token: accessToken,
+      refreshToken: newRefreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({ success: false, message: error.message });
+    }
+    console.error('Switch role error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   SESSIONS AND DEVICES
+====================================================== */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user._id, req.tokenSessionId);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!await tokenService.sessionBelongsTo(req.user._id, sessionId)) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    await tokenService.revokeSession(req.user._id.toString(), sessionId);
+
+    res.json({
+      success: true,
+      message: sessionId === req.tokenSessionId ? 'Logged out' : 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Signs out every other device; ?includeCurrent=true signs out this one too
+const revokeAllSessions = async (req, res) => {
+  try {
+    if (req.query.includeCurrent === 'true' || !req.tokenSessionId) {
+      await tokenService.revokeAllForUser(req.user._id, 'revoked');
+      return res.json({ success: true, message: 'All sessions revoked' });
+    }
+
+    const revoked = await tokenService.revokeOtherSessions(req.user._id, req.tokenSessionId);
+
+    res.json({
+      success: true,
+      message: 'All other sessions revoked',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+/* ======================================================
+   LOGOUT (current session, or every device with allDevices)
+====================================================== */
+const logout = async (req, res) => {
+  try {
+    if (req.body?.allDevices === true || !req.tokenSessionId) {
+      await tokenService.revokeAllForUser(req.user._id, 'logout');
+    } else {
+      await tokenService.revokeSession(req.user._id.toString(), req.tokenSessionId);
+    }
+
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
 
 module.exports = {
   register,
@@ -871,12 +2202,45 @@ module.exports = {
   updateRoleProfile,
   getUsersByRole,
   updateLocation,
+  getPrivacySettings,
+  updatePrivacySettings,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
   getNearbyUsers,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  refreshToken,
+  switchRole,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerificationEmail,
+  requestOtp,
+  verifyOtp,
+  requestPhoneVerification,
+  verifyPhone,
+  unlockAccount,
+  getLockouts,
+  clearLockout,
+  searchUsers,
+  suspendUser,
+  reinstateUser,
+  verifyUser,
   getUserById,
   submitRating,
   updateProfileDetails,
   getUserRatings,
+  replyToRating,
+  reportRating,
+  getReportedRatings,
+  removeRating,
+  getTransactions,
   getRoleStats,
   updateUserRoles
 };
\ No newline at end of file
@@ -8,7 +8,14 @@ const mongoose = require('mongoose');
 // Services
 const { messageQueue } = require('../services/messageQueue');
 const { webhookService } = require('../services/webhookService');
-const { getIO, notifyUser, isUserOnline, getOnlineUsersCount, getUserPresence } = require('../socket/socket');
+const { ledgerService } = require('../services/ledgerService');
+const { auditService } = require('../services/auditService');
+const { blockService } = require('../services/blockService');
+const { notificationService } = require('../services/notificationService');
+const { can, forbidden } = require('../middlewares/permission.middleware');
+const { languageOf } = require('../middlewares/i18n.middleware');
+const { joiOptions, translate } = require('../utils/i18n');
+const { getIO, emitLocalized, notifyUser, isUserOnline, getOnlineUsersCount, getUserPresence } = require('../socket/socket');
 
 // Validation schemas (you can move these to separate validation files)
 const Joi = require('joi');
@@ -48,7 +55,7 @@ const offerSchema = Joi.object({
 
 const validateRequest = (schema) => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body, { abortEarly: false });
+    const { error } = schema.validate(req.body, { abortEarly: false, ...joiOptions(languageOf(req)) });
     if (error) {
       const errors = error.details.map(detail => ({
         field: detail.path.join('.'),
@@ -64,6 +71,11 @@ const validateRequest = (schema) => {
   };
 };
 
+// System messages are stored in English; show them in the reader's language
+const localizeSystemText = (message, language) => (
+  message?.type === 'system' ? { ...message, text: translate(language, message.text) } : message
+);
+
 // @desc    Get user's chats with Redis caching
 // @route   GET /api/chats
 // @access  Private
@@ -79,7 +91,10 @@ exports.getChats = async (req, res) => {
       return res.json({
         success: true,
         cached: true,
-        data: JSON.parse(cachedChats)
+        data: JSON.parse(cachedChats).map(chat => ({
+          ...chat,
+          lastMessage: localizeSystemText(chat.lastMessage, languageOf(req))
+        }))
       });
     }
     
@@ -89,7 +104,7 @@ exports.getChats = async (req, res) => {
       status: { $ne: 'archived' }
     })
     .populate('listing', 'title category type status images isExpired timeRemaining')
-    .populate('participants', 'name roles profileStatus')
+    .populate('participants', 'name roles phoneVerified profileStatus')
     .populate('lastMessage.sender', 'name')
     .populate('initiator', 'name')
     .sort('-updatedAt')
@@ -133,7 +148,10 @@ exports.getChats = async (req, res) => {
     res.json({
       success: true,
       count: formattedChats.length,
-      data: formattedChats
+      data: formattedChats.map(chat => ({
+        ...chat,
+        lastMessage: localizeSystemText(chat.lastMessage, languageOf(req))
+      }))
     });
 
   } catch (error) {
@@ -253,13 +271,20 @@ exports.getOrCreateChat = async (req, res) => {
       });
     }
 
+    if (await blockService.isBlocked(req.user.id, listing.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot start a chat with this user'
+      });
+    }
+
     // Check if chat already exists
     let chat = await Chat.findOne({
       listing: listingId,
       participants: { $all: [req.user.id, listing.owner] },
       status: { $ne: 'archived' }
     })
-    .populate('participants', 'name roles profileStatus')
+    .populate('participants', 'name roles phoneVerified profileStatus')
     .populate('listing', 'title category type');
 
     // Filter out if user deleted the chat
@@ -295,7 +320,7 @@ exports.getOrCreateChat = async (req, res) => {
 
       // Populate the new chat
       chat = await Chat.findById(chat._id)
-        .populate('participants', 'name roles profileStatus')
+        .populate('participants', 'name roles phoneVerified profileStatus')
         .populate('listing', 'title category type')
         .populate('initiator', 'name');
 
@@ -465,7 +490,7 @@ exports.getMessages = async (req, res) => {
 
     res.json({
       success: true,
-      data: messages.reverse(), // Return in chronological order
+      data: messages.reverse().map(message => localizeSystemText(message, languageOf(req))), // Return in chronological order
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -499,7 +524,7 @@ exports.sendMessage = [
         _id: chatId,
         participants: req.user.id,
         status: 'active'
-      }).populate('participants', 'name roles');
+      }).populate('participants', 'name roles phoneVerified');
 
       if (!chat) {
         return res.status(404).json({
@@ -644,7 +669,7 @@ exports.sendOffer = [
         _id: chatId,
         participants: req.user.id,
         status: 'active'
-      }).populate('participants', 'name roles')
+      }).populate('participants', 'name roles phoneVerified')
         .populate('listing', 'title category');
 
       if (!chat) {
@@ -680,6 +705,7 @@ exports.sendOffer = [
 
       // Update chat with active offer
       chat.activeOffer = {
+        message: message._id,
         price,
         quantity,
         unit,
@@ -767,7 +793,7 @@ exports.respondToOffer = async (req, res) => {
       participants: req.user.id,
       status: 'active',
       'activeOffer.status': 'pending'
-    }).populate('participants', 'name roles');
+    }).populate('participants', 'name roles phoneVerified');
 
     if (!chat) {
       return res.status(404).json({
@@ -778,26 +804,49 @@ exports.respondToOffer = async (req, res) => {
 
     // Check if user is the listing owner (only owner can accept/reject offers)
     const listing = await Listing.findById(chat.listing);
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only listing owner can respond to offers'
-      });
+    if (!can(req.user, 'chat.offer.respond', listing)) {
+      return forbidden(res, 'chat.offer.respond');
     }
 
-    // Update offer status
-    const message = await Message.findById(offerId);
-    if (!message || message.type !== 'offer') {
+    // Only this chat's pending offer can be answered
+    let message = await Message.findOne({
+      _id: offerId,
+      chat: chat._id,
+      type: 'offer',
+      'offerDetails.status': 'pending'
+    });
+    if (!message || (chat.activeOffer.message && !chat.activeOffer.message.equals(message._id))) {
       return res.status(404).json({
         success: false,
         message: 'Offer not found'
       });
     }
 
-    // Map action to status value
+    if (message.sender.equals(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot respond to your own offer'
+      });
+    }
+
+    // Map action to status value; the conditional update keeps two
+    // responses to the same offer from both going through
     const status = action === 'accept' ? 'accepted' : 'rejected';
-    message.offerDetails.status = status;
-    await message.save();
+    message = await Message.findOneAndUpdate(
+      { _id: message._id, 'offerDetails.status': 'pending' },
+      {
+        'offerDetails.status': status,
+        'offerDetails.respondedBy': req.user.id,
+        'offerDetails.respondedAt': new Date()
+      },
+      { new: true }
+    );
+    if (!message) {
+      return res.status(409).json({
+        success: false,
+        message: 'This offer has already been answered'
+      });
+    }
 
     // Update chat active offer
     if (chat.activeOffer) {
@@ -830,24 +879,35 @@ exports.respondToOffer = async (req, res) => {
         timestamp: new Date().toISOString()
       });
 
-      // Also send system message
-      io.to(`chat_${chatId}`).emit('chat:message', {
+      // Also send system message, in each participant's language
+      emitLocalized(`chat_${chatId}`, 'chat:message', (language) => ({
         chatId,
         message: {
           _id: systemMessage._id,
-          text: systemMessage.text,
+          text: translate(language, systemMessage.text),
           type: 'system',
           createdAt: systemMessage.createdAt
         }
-      });
+      }));
     }
 
+    // Tell the buyer, who may not have the chat open
+    notificationService.notify(message.sender, 'offer', {
+      event: action === 'accept' ? 'offer.accepted' : 'offer.rejected',
+      data: { chatId, offerId, listingId: listing._id },
+      title: `Offer ${action}ed`,
+      text: `${req.user.name} ${action}ed your offer of ${message.offerDetails.quantity}${message.offerDetails.unit} at KES ${message.offerDetails.price} for ${listing.title}`
+    });
+
     // If offer accepted, mark listing as matched
     if (action === 'accept') {
       await listing.markAsMatched(
         message.sender, // The one who made the offer
         null // No matched listing ID for single listing
       );
+
+      // Record the sale and purchase on both parties' ledgers
+      await ledgerService.recordOffer(listing, message);
       
       // Trigger webhook for offer acceptance
       await webhookService.triggerWebhook('offer.accepted', {
@@ -878,7 +938,7 @@ exports.respondToOffer = async (req, res) => {
       message: `Offer ${action}ed successfully`,
       data: {
         offer: message.offerDetails,
-        systemMessage: systemMessage.text
+        systemMessage: req.t(systemMessage.text)
       }
     });
 
@@ -907,10 +967,8 @@ exports.updateChatStatus = async (req, res) => {
       });
     }
 
-    const chat = await Chat.findOne({
-      _id: chatId,
-      participants: req.user.id
-    }).populate('participants', 'name roles');
+    const chat = await Chat.findById(chatId)
+      .populate('participants', 'name roles phoneVerified');
 
     if (!chat) {
       return res.status(404).json({
@@ -919,8 +977,27 @@ exports.updateChatStatus = async (req, res) => {
       });
     }
 
+    // Participants manage their own chats; moderators can act on any chat
+    if (!can(req.user, 'chat.moderate', chat)) {
+      return forbidden(res, 'chat.moderate');
+    }
+
+    // A user-level block keeps every chat between the two closed
+    const [first, second] = chat.participants.map(p => p._id);
+    if (status === 'active' && await blockService.isBlocked(first, second)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unblock this user before reopening the chat'
+      });
+    }
+
     // Store previous status for webhook
     const previousStatus = chat.status;
+    const previousBlock = {
+      status: chat.status,
+      blockedBy: chat.blockedBy,
+      blockReason: chat.blockReason
+    };
 
     // Update status
     chat.status = status;
@@ -938,6 +1015,19 @@ exports.updateChatStatus = async (req, res) => {
 
     await chat.save();
 
+    if (status === 'blocked' || previousStatus === 'blocked') {
+      await auditService.record(req, {
+        action: status === 'blocked' ? 'chat.block' : 'chat.unblock',
+        target: { type: 'chat', id: chat._id },
+        before: previousBlock,
+        after: {
+          status: chat.status,
+          blockedBy: chat.blockedBy,
+          blockReason: chat.blockReason
+        }
+      });
+    }
+
     // Send real-time notification
     const io = getIO();
     if (io) {
@@ -1012,7 +1102,14 @@ exports.getOnlineStatus = async (req, res) => {
       });
     }
 
+    // Presence is never shown across a block
+    const hidden = (await blockService.hiddenUserIds(req.user.id)).map(id => id.toString());
+
     const onlineStatus = await Promise.all(chat.participants.map(async (participant) => {
+      if (hidden.includes(participant._id.toString())) {
+        return { userId: participant._id, name: participant.name, isOnline: false, lastSeen: null };
+      }
+
       const isOnline = await isUserOnline(participant._id.toString());
       const presence = await getUserPresence(participant._id.toString());
       
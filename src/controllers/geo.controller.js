@@ -0,0 +1,46 @@
+const { validationResult } = require('express-validator');
+const { COUNTIES, resolve } = require('../utils/geography');
+
+// Geography only changes with boundary reviews, so let clients cache it
+const CACHE_CONTROL = 'public, max-age=86400';
+
+// @desc    All counties with their sub-counties and wards
+// @route   GET /api/geo/counties
+// @access  Public
+exports.getCounties = (req, res) => {
+  res.set('Cache-Control', CACHE_CONTROL);
+  res.json({
+    success: true,
+    count: COUNTIES.length,
+    data: COUNTIES.map(county => ({
+      code: county.code,
+      name: county.name,
+      aliases: county.aliases,
+      centroid: county.centroid,
+      bbox: county.bbox,
+      subCounties: county.subCounties
+    }))
+  });
+};
+
+// @desc    Autocomplete a county, sub-county or ward name
+// @route   GET /api/geo/resolve?q=
+// @access  Public
+exports.resolvePlace = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { q, types, limit = 10 } = req.query;
+
+  const matches = resolve(q, {
+    types: types ? types.split(',') : undefined,
+    limit: parseInt(limit)
+  });
+
+  res.set('Cache-Control', CACHE_CONTROL);
+  res.json({
+    success: true,
+    count: matches.length,
+    data: matches
+  });
+};
@@ -2,6 +2,7 @@ const Listing = require('../models/Listing');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const { can, forbidden } = require('../middlewares/permission.middleware');
 
 // For production, you'd use cloud storage (AWS S3, Cloudinary, etc.)
 // For now, we'll implement local storage with a note about cloud migration
@@ -21,11 +22,8 @@ exports.uploadImages = async (req, res) => {
     }
 
     // Check ownership
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to upload images for this listing'
-      });
+    if (!can(req.user, 'listing.images.manage', listing)) {
+      return forbidden(res, 'listing.images.manage');
     }
 
     // Check if files were uploaded
@@ -110,11 +108,8 @@ exports.removeImage = async (req, res) => {
     }
 
     // Check ownership
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to remove images from this listing'
-      });
+    if (!can(req.user, 'listing.images.manage', listing)) {
+      return forbidden(res, 'listing.images.manage');
     }
 
     // Use the model method
@@ -157,11 +152,8 @@ exports.setPrimaryImage = async (req, res) => {
     }
 
     // Check ownership
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to modify images for this listing'
-      });
+    if (!can(req.user, 'listing.images.manage', listing)) {
+      return forbidden(res, 'listing.images.manage');
     }
 
     // Use the model method
@@ -204,11 +196,8 @@ exports.reorderImages = async (req, res) => {
     }
 
     // Check ownership
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to modify images for this listing'
-      });
+    if (!can(req.user, 'listing.images.manage', listing)) {
+      return forbidden(res, 'listing.images.manage');
     }
 
     // Validate order array
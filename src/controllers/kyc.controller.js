@@ -0,0 +1,393 @@
+const fs = require('fs');
+const { validationResult } = require('express-validator');
+const KycDocument = require('../models/KycDocument');
+const Transport = require('../models/Transport');
+const Storage = require('../models/Storage');
+const { notifyUser } = require('../socket/socket');
+const { verificationService } = require('../services/verificationService');
+const { can, forbidden } = require('../middlewares/permission.middleware');
+
+const SUBJECT_MODELS = {
+  transport: Transport,
+  storage: Storage
+};
+
+// Remove an uploaded file when the request is rejected
+function discardUpload(req) {
+  if (req.file) {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+}
+
+// @desc    Upload a KYC document for a transport or storage service
+// @route   POST /api/kyc/documents
+// @access  Private (Transporters and storage providers)
+exports.uploadDocument = async (req, res) => {
+  try {
+    const { subjectType, subjectId, documentType, title, documentNumber, issuedBy, expiresAt } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No document uploaded'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUpload(req);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!SUBJECT_MODELS[subjectType]) {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Subject type must be transport or storage'
+      });
+    }
+
+    if (!KycDocument.DOCUMENT_TYPES[subjectType].includes(documentType)) {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: `Document type must be one of: ${KycDocument.DOCUMENT_TYPES[subjectType].join(', ')}`
+      });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Document has already expired'
+      });
+    }
+
+    const subject = await SUBJECT_MODELS[subjectType].findById(subjectId);
+
+    if (!subject) {
+      discardUpload(req);
+      return res.status(404).json({
+        success: false,
+        message: `${subjectType === 'transport' ? 'Transport service' : 'Storage facility'} not found`
+      });
+    }
+
+    if (!can(req.user, 'kyc.document.submit', subject)) {
+      discardUpload(req);
+      return forbidden(res, 'kyc.document.submit');
+    }
+
+    const document = await KycDocument.create({
+      owner: req.user.id,
+      subjectType,
+      subject: subject._id,
+      subjectModel: subjectType === 'transport' ? 'Transport' : 'Storage',
+      documentType,
+      title,
+      documentNumber,
+      issuedBy,
+      expiresAt,
+      file: {
+        path: req.file.path,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document submitted for review',
+      data: document
+    });
+
+  } catch (error) {
+    discardUpload(req);
+    console.error('Upload KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get my submitted documents
+// @route   GET /api/kyc/documents/my
+// @access  Private
+exports.getMyDocuments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { status, subjectType, subjectId } = req.query;
+
+    const query = { owner: req.user.id };
+    if (status) query.status = status;
+    if (subjectType) query.subjectType = subjectType;
+    if (subjectId) query.subject = subjectId;
+
+    const documents = await KycDocument.find(query)
+      .populate('subject', 'title isVerified')
+      .populate('comments.author', 'name roles')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+
+  } catch (error) {
+    console.error('Get my KYC documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your documents',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single document
+// @route   GET /api/kyc/documents/:id
+// @access  Private (Owner or admin)
+exports.getDocument = async (req, res) => {
+  try {
+    const document = await KycDocument.findById(req.params.id)
+      .populate('owner', 'name email phone roles')
+      .populate('subject', 'title isVerified')
+      .populate('reviewedBy', 'name')
+      .populate('comments.author', 'name roles');
+
+    if (!document || !can(req.user, 'kyc.document.view', document)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: document
+    });
+
+  } catch (error) {
+    console.error('Get KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Download the document file
+// @route   GET /api/kyc/documents/:id/file
+// @access  Private (Owner or admin)
+exports.getDocumentFile = async (req, res) => {
+  try {
+    const document = await KycDocument.findById(req.params.id).select('+file.path');
+
+    if (!document || !can(req.user, 'kyc.document.view', document)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (!fs.existsSync(document.file.path)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document file is no longer available'
+      });
+    }
+
+    res.setHeader('Content-Type', document.file.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(document.file.originalName || 'document')}"`);
+    res.sendFile(document.file.path);
+
+  } catch (error) {
+    console.error('Get KYC document file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching document file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Comment on a document
+// @route   POST /api/kyc/documents/:id/comments
+// @access  Private (Owner or admin)
+exports.addComment = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required'
+      });
+    }
+
+    const document = await KycDocument.findById(req.params.id);
+
+    if (!document || !can(req.user, 'kyc.document.view', document)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    document.comments.push({ author: req.user.id, text });
+    await document.save();
+    await document.populate('comments.author', 'name roles');
+
+    // Let the other party know
+    if (document.owner.toString() !== req.user.id) {
+      notifyUser(document.owner, 'kyc:comment', {
+        documentId: document._id,
+        documentType: document.documentType,
+        text
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: document.comments
+    });
+
+  } catch (error) {
+    console.error('Add KYC comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get documents awaiting review
+// @route   GET /api/kyc/admin/queue
+// @access  Private (Admin only)
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const {
+      status = 'pending',
+      subjectType,
+      documentType,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (subjectType) query.subjectType = subjectType;
+    if (documentType) query.documentType = documentType;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Oldest submissions first
+    const documents = await KycDocument.find(query)
+      .populate('owner', 'name email phone roles profileStatus')
+      .populate('subject', 'title isVerified')
+      .sort('createdAt')
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await KycDocument.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: documents.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      data: documents
+    });
+
+  } catch (error) {
+    console.error('Get KYC review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching review queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Approve or reject a document
+// @route   PUT /api/kyc/admin/documents/:id/review
+// @access  Private (Admin only)
+exports.reviewDocument = async (req, res) => {
+  try {
+    const { decision, comment } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approve or reject'
+      });
+    }
+
+    if (decision === 'reject' && (!comment || !comment.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A comment explaining the rejection is required'
+      });
+    }
+
+    const document = await KycDocument.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    document.status = decision === 'approve' ? 'approved' : 'rejected';
+    document.reviewedBy = req.user.id;
+    document.reviewedAt = new Date();
+    if (comment && comment.trim()) {
+      document.comments.push({ author: req.user.id, text: comment });
+    }
+    await document.save();
+
+    const subject = await verificationService.refresh(document.subjectType, document.subject);
+
+    notifyUser(document.owner, 'kyc:reviewed', {
+      documentId: document._id,
+      documentType: document.documentType,
+      status: document.status,
+      comment,
+      isVerified: subject ? subject.isVerified : false
+    });
+
+    res.json({
+      success: true,
+      message: `Document ${document.status}`,
+      data: {
+        document,
+        verification: subject ? {
+          isVerified: subject.isVerified,
+          verificationDetails: subject.verificationDetails,
+          certifications: subject.certifications
+        } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Review KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reviewing document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -2,97 +2,25 @@ const Listing = require('../models/Listing');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 const { webhookService } = require('../services/webhookService');
-
-// County coordinates mapping
-const COUNTY_COORDS = {
-  'Nairobi': [36.8172, -1.2864],
-  'Mombasa': [39.6682, -4.0435],
-  'Kisumu': [34.7617, -0.0917],
-  'Nakuru': [36.0667, -0.3031],
-  'Eldoret': [35.2698, 0.5143],
-  'Thika': [37.0736, -1.0330],
-  'Kakamega': [34.7500, 0.2833],
-  'Kisii': [34.7833, -0.6833],
-  'Meru': [37.6493, 0.0471],
-  'Nyeri': [36.9478, -0.4167],
-  'Machakos': [37.2667, -1.5167],
-  'Kiambu': [36.8356, -1.1711],
-  'Muranga': [37.1500, -0.7833],
-  'Kirinyaga': [37.2833, -0.6833],
-  'Nyandarua': [36.3833, -0.5333],
-  'Laikipia': [36.8333, 0.4167],
-  'Narok': [35.8667, -1.0833],
-  'Kajiado': [36.7833, -1.8333],
-  'Makueni': [37.6333, -1.8167],
-  'Kitui': [38.0167, -1.3667],
-  'Garissa': [39.6500, -0.4500],
-  'Wajir': [40.0667, 1.7500],
-  'Mandera': [41.8500, 3.9333],
-  'Marsabit': [36.9167, 2.3333],
-  'Isiolo': [37.5833, 0.3500],
-  'Lamu': [40.9000, -2.2667],
-  'Tana River': [40.1167, -1.2000],
-  'Kilifi': [39.8500, -3.6333],
-  'Kwale': [39.4167, -4.1833],
-  'Taita Taveta': [38.3667, -3.3667],
-  'Busia': [34.1000, 0.4500],
-  'Siaya': [34.2833, 0.0667],
-  'Homa Bay': [34.6333, -0.5333],
-  'Migori': [34.4667, -1.0667],
-  'Bomet': [35.3500, -0.7667],
-  'Kericho': [35.2833, -0.3667],
-  'Bungoma': [34.5667, 0.5667],
-  'Vihiga': [34.7333, 0.0833],
-  'Trans Nzoia': [35.0000, 1.0333],
-  'Uasin Gishu': [35.2833, 0.5167],
-  'Elgeyo Marakwet': [35.5667, 0.6333],
-  'Nandi': [35.1000, 0.1333],
-  'Baringo': [35.9833, 0.5000],
-  'Samburu': [37.5167, 0.5333],
-  'Turkana': [36.0000, 3.1000],
-  'West Pokot': [35.5000, 1.2333],
+const { organisationService } = require('../services/organisationService');
+const { auditService } = require('../services/auditService');
+const { blockService } = require('../services/blockService');
+const { searchService } = require('../services/searchService');
+const { savedSearchService } = require('../services/savedSearchService');
+const { matchingService } = require('../services/matchingService');
+const { recommendationService } = require('../services/recommendationService');
+const { SEARCH_PAGE_SIZE, MAX_SEARCH_PAGE_SIZE } = require('../config/search');
+const { RENEWAL_DAYS } = require('../config/expiry');
+const { getCountyCoordinates, countyName, normalizeLocation, distanceKm } = require('../utils/geography');
+const { can, forbidden } = require('../middlewares/permission.middleware');
+
+// Distance in km between two [lng, lat] points, to 2 decimal places (0 if
+// either point is invalid)
+const calculateDistance = (from, to) => {
+  const distance = distanceKm(from, to);
+  return Number.isNaN(distance) ? 0 : Math.round(distance * 100) / 100;
 };
 
-// Helper function to get coordinates for a county
-function getCountyCoordinates(countyName) {
-  // Try exact match first
-  if (COUNTY_COORDS[countyName]) {
-    return COUNTY_COORDS[countyName];
-  }
-  
-  // Try case-insensitive match
-  const normalizedCounty = Object.keys(COUNTY_COORDS).find(
-    key => key.toLowerCase() === countyName.toLowerCase()
-  );
-  
-  if (normalizedCounty) {
-    return COUNTY_COORDS[normalizedCounty];
-  }
-  
-  // Return Nairobi as default if county not found
-  return COUNTY_COORDS['Nairobi'];
-}
-
-// Helper function to calculate distance between two coordinates (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  // Ensure we have valid numbers
-  if (isNaN(lat1) || isNaN(lon1) || isNaN(lat2) || isNaN(lon2)) {
-    return 0;
-  }
-  
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * (Math.PI / 180);
-  const dLon = (lon2 - lon1) * (Math.PI / 180);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * (Math.PI / 180)) * Math.cos(lat2 * (Math.PI / 180)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
-  
-  return Math.round(distance * 100) / 100;
-}
-
 // ============================================
 // 1. PERSONAL LISTINGS (User's own posts)
 // ============================================
@@ -106,12 +34,19 @@ exports.getMyListings = async (req, res) => {
       status, 
       type, 
       category,
+      role = req.activeRole,
       page = 1, 
       limit = 20 
     } = req.query;
     
     // Build query for user's own listings
     const query = { owner: req.user.id };
+
+    // Scope to the role the user is acting in (role=all lists everything).
+    // Untagged listings predate role switching and were created as farmer.
+    if (role && role !== 'all') {
+      query.ownerRole = role === 'farmer' ? { $in: ['farmer', null] } : role;
+    }
     
     if (status && status !== 'all') {
       query.status = status;
@@ -130,7 +65,7 @@ exports.getMyListings = async (req, res) => {
 
     // Execute query
     const listings = await Listing.find(query)
-      .populate('owner', 'name roles averageRating phone')
+      .populate('owner', 'name roles averageRating phoneVerified phone')
       .populate('matchedWith', 'name phone')
       .populate('matchedListing', 'title category')
       .populate('transportBooking', 'title route')
@@ -211,7 +146,8 @@ exports.getMarketplaceListings = async (req, res) => {
     const query = {
       owner: { $ne: req.user.id }, // Exclude own listings
       status: 'active',
-      expiryDate: { $gt: new Date() }
+      expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true }
     };
 
     // Apply filters
@@ -244,9 +180,12 @@ exports.getMarketplaceListings = async (req, res) => {
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // Hide listings between users who have blocked each other
+    await blockService.excludeHidden(query, 'owner', req.user.id);
+
     // Execute query
     const listings = await Listing.find(query)
-      .populate('owner', 'name roles averageRating profileStatus')
+      .populate('owner', 'name roles averageRating phoneVerified profileStatus')
       .populate('transportBooking', 'title route')
       .populate('storageBooking', 'title locationDetails')
       .populate('matchedWith', 'name')
@@ -264,12 +203,7 @@ exports.getMarketplaceListings = async (req, res) => {
       
       // Add distance if user has coordinates
       if (userCoords?.coordinates && listing.location?.coordinates) {
-        listingObj.distance = calculateDistance(
-          userCoords.coordinates[1], // user lat
-          userCoords.coordinates[0], // user lng
-          listing.location.coordinates[1], // listing lat
-          listing.location.coordinates[0]  // listing lng
-        );
+        listingObj.distance = calculateDistance(userCoords.coordinates, listing.location.coordinates);
       }
       
       // Mark as not own listing
@@ -341,7 +275,7 @@ exports.getListings = async (req, res) => {
     if (type && type !== 'all') query.type = type;
     if (category && category !== 'all') query.category = category;
     if (urgency && urgency !== 'all') query.urgency = urgency;
-    if (county && county !== 'all') query['locationDetails.county'] = { $regex: county, $options: 'i' };
+    if (county && county !== 'all') query['locationDetails.county'] = countyName(county);
     if (needsTransport && needsTransport !== 'all') query['requirements.needsTransport'] = needsTransport === 'true';
     if (needsStorage && needsStorage !== 'all') query['requirements.needsStorage'] = needsStorage === 'true';
     
@@ -350,6 +284,11 @@ exports.getListings = async (req, res) => {
       query.owner = { $ne: req.user.id };
     }
 
+    // Hide listings of suspended owners (admins still see them)
+    if (!can(req.user, 'listing.view_all')) {
+      query.ownerSuspended = { $ne: true };
+    }
+
     // Build sort
     const sort = {};
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -357,9 +296,12 @@ exports.getListings = async (req, res) => {
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // Hide listings between users who have blocked each other
+    await blockService.excludeHidden(query, 'owner', req.user.id);
+
     // Execute query
     const listings = await Listing.find(query)
-      .populate('owner', 'name roles averageRating profileStatus')
+      .populate('owner', 'name roles averageRating phoneVerified profileStatus')
       .populate('transportBooking', 'title route')
       .populate('storageBooking', 'title locationDetails')
       .populate('matchedWith', 'name')
@@ -410,11 +352,8 @@ exports.getListings = async (req, res) => {
 exports.createListing = async (req, res) => {
   try {
     // Check if user has farmer role
-    if (!req.user.roles.includes('farmer')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only users with farmer role can create product listings'
-      });
+    if (!can(req.user, 'listing.create')) {
+      return forbidden(res, 'listing.create');
     }
 
     const { 
@@ -427,15 +366,27 @@ exports.createListing = async (req, res) => {
       locationDetails,
       requirements,
       urgency,
-      expiryDays = 7
+      expiryDays = 7,
+      organisationId
     } = req.body;
 
+    const { error: locationError } = normalizeLocation(locationDetails);
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
+
+    // Managers and clerks can list on behalf of their organisation
+    const organisation = await organisationService.resolveActingOrganisation(req.user, organisationId);
+
     // Get user's location
     const user = await User.findById(req.user.id);
     
-    // Check if user already has an active listing in same category
+    // Check if user (or the organisation) already has an active listing in same category
     const existingActiveListing = await Listing.findOne({
-      owner: req.user.id,
+      ...(organisation ? { organisation: organisation._id } : { owner: req.user.id, organisation: null }),
       category,
       status: 'active',
       expiryDate: { $gt: new Date() }
@@ -444,7 +395,7 @@ exports.createListing = async (req, res) => {
     if (existingActiveListing) {
       return res.status(400).json({
         success: false,
-        message: `You already have an active ${category} listing. Please close it before creating a new one.`
+        message: `${organisation ? organisation.name + ' already has' : 'You already have'} an active ${category} listing. Please close it before creating a new one.`
       });
     }
 
@@ -457,8 +408,8 @@ exports.createListing = async (req, res) => {
     if (locationDetails?.county) {
       coordinates = getCountyCoordinates(locationDetails.county);
     } else {
-      // Use user coordinates if no county specified
-      coordinates = user.coordinates.coordinates;
+      // Listings are public, so use the owner's location as blurred by their privacy setting
+      coordinates = user.discoveryPoint()?.coordinates || getCountyCoordinates(user.location?.address?.county);
     }
 
     // Create listing
@@ -472,6 +423,8 @@ exports.createListing = async (req, res) => {
       requirements,
       urgency: urgency || 'medium',
       owner: req.user.id,
+      ownerRole: req.activeRole,
+      organisation: organisation?._id,
       location: {
         type: 'Point',
         coordinates: coordinates
@@ -491,6 +444,11 @@ exports.createListing = async (req, res) => {
 
     await listing.save();
 
+    // Alert users whose saved searches this listing matches, and suggest
+    // matching listings of the opposite type
+    savedSearchService.onListingChanged(listing);
+    matchingService.runFor(listing);
+
     res.status(201).json({
       success: true,
       data: listing,
@@ -498,6 +456,12 @@ exports.createListing = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Create listing error:', error);
     res.status(500).json({
       success: false,
@@ -513,13 +477,14 @@ exports.createListing = async (req, res) => {
 exports.getListing = async (req, res) => {
   try {
     const listing = await Listing.findById(req.params.id)
-      .populate('owner', 'name roles averageRating phone bio farm.yearsFarming')
+      .populate('owner', 'name roles averageRating phoneVerified phone bio farm.yearsFarming')
       .populate('transportBooking', 'title route vehicleDetails pricing')
       .populate('storageBooking', 'title locationDetails facilityDetails pricing')
       .populate('matchedWith', 'name phone')
       .populate('matchedListing', 'title category');
 
-    if (!listing) {
+    // Listings of suspended owners are only visible to the owner and admins
+    if (!listing || (listing.ownerSuspended && !can(req.user, 'listing.view_hidden', listing))) {
       return res.status(404).json({
         success: false,
         message: 'Listing not found'
@@ -559,11 +524,8 @@ exports.updateListing = async (req, res) => {
     }
 
     // Check ownership
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this listing'
-      });
+    if (!can(req.user, 'listing.update', listing)) {
+      return forbidden(res, 'listing.update');
     }
 
     // Don't allow updates if listing is matched or closed
@@ -574,6 +536,15 @@ exports.updateListing = async (req, res) => {
       });
     }
 
+    const { value: place, error: locationError } = normalizeLocation(req.body.locationDetails);
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
+    const previousCounty = listing.locationDetails?.county;
+
     // Update only allowed fields
     const allowedUpdates = [
       'title', 'description', 'productDetails', 'price', 
@@ -587,9 +558,8 @@ exports.updateListing = async (req, res) => {
     });
 
     // If locationDetails.county is updated, update coordinates too
-    if (req.body.locationDetails?.county && req.body.locationDetails.county !== listing.locationDetails?.county) {
-      const newCoordinates = getCountyCoordinates(req.body.locationDetails.county);
-      listing.location.coordinates = newCoordinates;
+    if (place.county && place.county !== previousCounty) {
+      listing.location.coordinates = getCountyCoordinates(place.county);
     }
 
     // Update tags based on requirements
@@ -601,8 +571,14 @@ exports.updateListing = async (req, res) => {
       listing.tags = tagsToUpdate;
     }
 
+    listing.changedAt = new Date();
     await listing.save();
 
+    // Alert users whose saved searches this listing now matches, and
+    // rescore its match suggestions
+    savedSearchService.onListingChanged(listing);
+    matchingService.runFor(listing);
+
     res.json({
       success: true,
       data: listing,
@@ -634,14 +610,28 @@ exports.deleteListing = async (req, res) => {
     }
 
     // Check ownership (only owner or admin can delete)
-    if (listing.owner.toString() !== req.user.id && !req.user.roles.includes('admin')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this listing'
-      });
+    if (!can(req.user, 'listing.delete', listing)) {
+      return forbidden(res, 'listing.delete');
     }
 
     await listing.deleteOne();
+    await matchingService.withdraw(listing, 'listing_deleted');
+
+    await auditService.record(req, {
+      action: 'listing.delete',
+      target: { type: 'listing', id: listing._id },
+      before: {
+        owner: listing.owner,
+        organisation: listing.organisation,
+        type: listing.type,
+        category: listing.category,
+        title: listing.title,
+        status: listing.status,
+        productDetails: listing.productDetails,
+        price: listing.price
+      },
+      after: null
+    });
 
     res.json({
       success: true,
@@ -673,14 +663,12 @@ exports.closeListing = async (req, res) => {
     }
 
     // Check ownership
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to close this listing'
-      });
+    if (!can(req.user, 'listing.close', listing)) {
+      return forbidden(res, 'listing.close');
     }
 
     await listing.markAsClosed();
+    await matchingService.withdraw(listing, 'listing_closed');
 
     res.json({
       success: true,
@@ -697,6 +685,87 @@ exports.closeListing = async (req, res) => {
   }
 };
 
+// @desc    Renew listing, extending its expiry date
+// @route   PUT /api/listings/:id/renew
+// @access  Private
+exports.renewListing = async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    // Check ownership
+    if (!can(req.user, 'listing.renew', listing)) {
+      return forbidden(res, 'listing.renew');
+    }
+
+    // Only live and expired listings can be renewed
+    if (['matched', 'closed'].includes(listing.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot renew a ${listing.status} listing`
+      });
+    }
+
+    const { default: defaultDays, max: maxDays } = RENEWAL_DAYS.listing;
+    const days = req.body.days === undefined ? defaultDays : Number(req.body.days);
+    if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `Renewal must be between 1 and ${maxDays} days`
+      });
+    }
+
+    // Bringing an expired listing back must not leave two active listings
+    // in one category
+    if (listing.status === 'expired') {
+      const existingActiveListing = await Listing.findOne({
+        _id: { $ne: listing._id },
+        ...(listing.organisation ? { organisation: listing.organisation } : { owner: listing.owner, organisation: null }),
+        category: listing.category,
+        status: 'active',
+        expiryDate: { $gt: new Date() }
+      });
+
+      if (existingActiveListing) {
+        return res.status(400).json({
+          success: false,
+          message: `There is already an active ${listing.category} listing. Please close it before renewing this one.`
+        });
+      }
+    }
+
+    listing.renew(days, maxDays);
+    listing.status = 'active';
+    listing.closedAt = undefined;
+    listing.changedAt = new Date();
+    await listing.save();
+
+    // A renewed listing is back in saved-search alerts and matching
+    savedSearchService.onListingChanged(listing);
+    matchingService.runFor(listing);
+
+    res.json({
+      success: true,
+      data: listing,
+      message: `Listing renewed until ${listing.expiryDate.toISOString().slice(0, 10)}`
+    });
+
+  } catch (error) {
+    console.error('Renew listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error renewing listing',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Mark listing as matched
 // @route   PUT /api/listings/:id/match
 // @access  Private
@@ -713,14 +782,12 @@ exports.markAsMatched = async (req, res) => {
     }
 
     // Check ownership
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to mark this listing as matched'
-      });
+    if (!can(req.user, 'listing.match', listing)) {
+      return forbidden(res, 'listing.match');
     }
 
     await listing.markAsMatched(matchedWith, matchedListing);
+    await matchingService.withdraw(listing, 'matched_elsewhere');
 
     // Trigger webhook for listing match
     await webhookService.triggerWebhook(
@@ -781,6 +848,13 @@ exports.contactOwner = async (req, res) => {
       });
     }
 
+    if (await blockService.isBlocked(req.user.id, listing.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot contact this user'
+      });
+    }
+
     // Get owner details (excluding sensitive info)
     const owner = await User.findById(listing.owner)
       .select('name phone roles averageRating');
@@ -827,11 +901,8 @@ exports.contactOwner = async (req, res) => {
 exports.getListingsNeedingTransport = async (req, res) => {
   try {
     // Check if user has transport role
-    if (!req.user.roles.includes('transport')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only transporters can access this endpoint'
-      });
+    if (!can(req.user, 'listing.transport_needs.view')) {
+      return forbidden(res, 'listing.transport_needs.view');
     }
 
     const { 
@@ -851,12 +922,13 @@ exports.getListingsNeedingTransport = async (req, res) => {
       'requirements.needsTransport': true,
       status: 'active',
       expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true },
       owner: { $ne: req.user.id } // Exclude own listings
     };
 
     // Location filter
     if (county) {
-      query['locationDetails.county'] = { $regex: county, $options: 'i' };
+      query['locationDetails.county'] = countyName(county);
     } else {
       // Filter by distance from transporter
       query.location = {
@@ -881,8 +953,11 @@ exports.getListingsNeedingTransport = async (req, res) => {
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // Hide listings between users who have blocked each other
+    await blockService.excludeHidden(query, 'owner', req.user.id);
+
     const listings = await Listing.find(query)
-      .populate('owner', 'name roles averageRating locationDetails')
+      .populate('owner', 'name roles averageRating phoneVerified locationDetails')
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -891,10 +966,7 @@ exports.getListingsNeedingTransport = async (req, res) => {
     // Calculate distances
     const listingsWithDistance = listings.map(listing => {
       const listingObj = listing.toObject();
-      listingObj.distance = calculateDistance(
-        userCoords[1], userCoords[0],
-        listing.location.coordinates[1], listing.location.coordinates[0]
-      );
+      listingObj.distance = calculateDistance(userCoords, listing.location.coordinates);
       return listingObj;
     });
 
@@ -926,11 +998,8 @@ exports.getListingsNeedingTransport = async (req, res) => {
 exports.getListingsNeedingStorage = async (req, res) => {
   try {
     // Check if user has storage role
-    if (!req.user.roles.includes('storage')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only storage providers can access this endpoint'
-      });
+    if (!can(req.user, 'listing.storage_needs.view')) {
+      return forbidden(res, 'listing.storage_needs.view');
     }
 
     const { 
@@ -950,12 +1019,13 @@ exports.getListingsNeedingStorage = async (req, res) => {
       'requirements.needsStorage': true,
       status: 'active',
       expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true },
       owner: { $ne: req.user.id } // Exclude own listings
     };
 
     // Location filter
     if (county) {
-      query['locationDetails.county'] = { $regex: county, $options: 'i' };
+      query['locationDetails.county'] = countyName(county);
     } else {
       // Filter by distance from storage provider
       query.location = {
@@ -980,8 +1050,11 @@ exports.getListingsNeedingStorage = async (req, res) => {
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // Hide listings between users who have blocked each other
+    await blockService.excludeHidden(query, 'owner', req.user.id);
+
     const listings = await Listing.find(query)
-      .populate('owner', 'name roles averageRating locationDetails')
+      .populate('owner', 'name roles averageRating phoneVerified locationDetails')
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -990,10 +1063,7 @@ exports.getListingsNeedingStorage = async (req, res) => {
     // Calculate distances
     const listingsWithDistance = listings.map(listing => {
       const listingObj = listing.toObject();
-      listingObj.distance = calculateDistance(
-        userCoords[1], userCoords[0],
-        listing.location.coordinates[1], listing.location.coordinates[0]
-      );
+      listingObj.distance = calculateDistance(userCoords, listing.location.coordinates);
       return listingObj;
     });
 
@@ -1034,20 +1104,16 @@ exports.getRecommendedTransports = async (req, res) => {
     }
 
     // Check ownership
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view recommended transports for this listing'
-      });
+    if (!can(req.user, 'listing.recommendations.view', listing)) {
+      return forbidden(res, 'listing.recommendations.view');
     }
 
-    // This function now calls the transport controller's getTransports function
-    // Since transports are in a separate controller, we need to import it
-    // For now, we'll return a message indicating this feature needs to be implemented
+    const recommendations = await recommendationService.recommendTransports(listing, { t: req.t });
+
     res.json({
       success: true,
-      message: 'Recommended transports feature needs to be implemented in transport controller',
-      data: []
+      count: recommendations.length,
+      data: recommendations
     });
 
   } catch (error) {
@@ -1075,20 +1141,16 @@ exports.getRecommendedStorages = async (req, res) => {
     }
 
     // Check ownership
-    if (listing.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view recommended storages for this listing'
-      });
+    if (!can(req.user, 'listing.recommendations.view', listing)) {
+      return forbidden(res, 'listing.recommendations.view');
     }
 
-    // This function now calls the storage controller's getStorages function
-    // Since storages are in a separate controller, we need to import it
-    // For now, we'll return a message indicating this feature needs to be implemented
+    const recommendations = await recommendationService.recommendStorages(listing, { t: req.t });
+
     res.json({
       success: true,
-      message: 'Recommended storages feature needs to be implemented in storage controller',
-      data: []
+      count: recommendations.length,
+      data: recommendations
     });
 
   } catch (error) {
@@ -1101,7 +1163,7 @@ exports.getRecommendedStorages = async (req, res) => {
   }
 };
 
-// @desc    Search listings
+// @desc    Search listings, ranked by relevance with facet counts
 // @route   GET /api/listings/search
 // @access  Private
 exports.searchListings = async (req, res) => {
@@ -1112,62 +1174,67 @@ exports.searchListings = async (req, res) => {
       type, 
       minQuantity, 
       maxQuantity,
+      minPrice,
+      maxPrice,
+      quality,
       county,
-      sortBy = 'recent'
+      sortBy = 'relevance',
+      page = 1,
+      limit = SEARCH_PAGE_SIZE
     } = req.query;
 
-    const query = {
-      status: 'active',
-      expiryDate: { $gt: new Date() },
-      owner: { $ne: req.user.id }
-    };
+    const query = searchService.filterFor(
+      { category, type, quality, county, minPrice, maxPrice, minQuantity, maxQuantity },
+      req.user.id
+    );
 
-    // Text search
-    if (q) {
-      query.$or = [
-        { title: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { tags: { $regex: q, $options: 'i' } }
-      ];
-    }
-
-    // Filters
-    if (category) query.category = category;
-    if (type) query.type = type;
-    if (county) query['locationDetails.county'] = { $regex: county, $options: 'i' };
-    
-    // Quantity filters
-    if (minQuantity || maxQuantity) {
-      query['productDetails.quantity'] = {};
-      if (minQuantity) query['productDetails.quantity'].$gte = parseFloat(minQuantity);
-      if (maxQuantity) query['productDetails.quantity'].$lte = parseFloat(maxQuantity);
-    }
-
-    // Sort
-    let sort = {};
+    // Sort; relevance needs a search query and falls back to most recent
+    let sort = null;
     switch (sortBy) {
-      case 'recent':
-        sort.createdAt = -1;
+      case 'relevance':
+        sort = q ? null : { createdAt: -1 };
         break;
       case 'urgent':
-        sort.urgency = -1;
-        sort.createdAt = -1;
+        sort = { urgency: -1, createdAt: -1 };
         break;
       case 'quantity':
-        sort['productDetails.quantity'] = -1;
+        sort = { 'productDetails.quantity': -1 };
+        break;
+      case 'price_low':
+        sort = { 'price.amount': 1 };
+        break;
+      case 'price_high':
+        sort = { 'price.amount': -1 };
         break;
       default:
-        sort.createdAt = -1;
+        sort = { createdAt: -1 };
     }
 
-    const listings = await Listing.find(query)
-      .populate('owner', 'name roles averageRating')
-      .sort(sort)
-      .limit(50);
+    // Hide listings between users who have blocked each other
+    await blockService.excludeHidden(query, 'owner', req.user.id);
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+
+    const { listings, total, facets, corrections } = await searchService.search({
+      q,
+      filter: query,
+      sort,
+      page: pageNumber,
+      limit: pageSize
+    });
 
     res.json({
       success: true,
       count: listings.length,
+      total,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize)
+      },
+      corrections,
+      facets,
       data: listings
     });
 
@@ -1213,6 +1280,7 @@ exports.getMapListings = async (req, res) => {
       },
       status: 'active',
       expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true },
       owner: { $ne: req.user.id }
     };
 
@@ -1220,6 +1288,9 @@ exports.getMapListings = async (req, res) => {
     if (type) query.type = type;
     if (category) query.category = category;
 
+    // Hide listings between users who have blocked each other
+    await blockService.excludeHidden(query, 'owner', req.user.id);
+
     const listings = await Listing.find(query)
       .select('title type category location locationDetails urgency createdAt productDetails.quantity productDetails.unit')
       .populate('owner', 'name')
@@ -1281,7 +1352,8 @@ exports.getNearbyListings = async (req, res) => {
         }
       },
       status: 'active',
-      expiryDate: { $gt: new Date() }
+      expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true }
     };
 
     // Only exclude user's own listings if includeSelf is false
@@ -1313,9 +1385,12 @@ exports.getNearbyListings = async (req, res) => {
         sort.createdAt = -1;
     }
 
+    // Hide listings between users who have blocked each other
+    await blockService.excludeHidden(query, 'owner', req.user.id);
+
     // Execute query
     const listings = await Listing.find(query)
-      .populate('owner', 'name roles averageRating location.address.county')
+      .populate('owner', 'name roles averageRating phoneVerified location.address.county')
       .sort(sort)
       .limit(parseInt(limit));
 
@@ -1325,10 +1400,7 @@ exports.getNearbyListings = async (req, res) => {
       
       // Add distance information
       if (coordinates && listing.location.coordinates) {
-        listingObj.distance = calculateDistance(
-          coordinates[1], coordinates[0], // lat, lng
-          listing.location.coordinates[1], listing.location.coordinates[0]
-        );
+        listingObj.distance = calculateDistance(coordinates, listing.location.coordinates);
       }
       
       return listingObj;
@@ -0,0 +1,119 @@
+const Listing = require('../models/Listing');
+const MatchSuggestion = require('../models/MatchSuggestion');
+const { matchingService } = require('../services/matchingService');
+const { can, forbidden } = require('../middlewares/permission.middleware');
+
+// @desc    Get match suggestions for my listings
+// @route   GET /api/listings/matches
+// @access  Private
+exports.getMatchSuggestions = async (req, res) => {
+  try {
+    const { status = 'suggested' } = req.query;
+
+    if (status !== 'all' && !MatchSuggestion.SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: all, ${MatchSuggestion.SUGGESTION_STATUSES.join(', ')}`
+      });
+    }
+
+    const suggestions = await matchingService.forUser(req.user.id, {
+      status: status === 'all' ? null : status
+    });
+
+    res.json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+
+  } catch (error) {
+    console.error('Get match suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching match suggestions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get match suggestions for one of my listings
+// @route   GET /api/listings/:id/matches
+// @access  Private (Owner)
+exports.getListingMatches = async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    if (!can(req.user, 'listing.recommendations.view', listing)) {
+      return forbidden(res, 'listing.recommendations.view');
+    }
+
+    const suggestions = await matchingService.forUser(listing.owner, { listingId: listing._id });
+
+    res.json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+
+  } catch (error) {
+    console.error('Get listing matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching match suggestions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Accept or decline a match suggestion
+// @route   PUT /api/listings/matches/:matchId/:action
+// @access  Private (Owner of either listing)
+exports.respondToMatch = async (req, res) => {
+  try {
+    const { matchId, action } = req.params;
+
+    if (!['accept', 'decline'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action. Must be "accept" or "decline"'
+      });
+    }
+
+    const suggestion = await matchingService.respond(
+      matchId,
+      action,
+      (listing) => can(req.user, 'listing.match', listing)
+    );
+
+    res.json({
+      success: true,
+      message: suggestion.status === 'accepted'
+        ? 'Match confirmed. Both listings are now matched.'
+        : action === 'accept' ? 'Match accepted. Waiting for the other owner.' : 'Match declined',
+      data: suggestion
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Respond to match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error responding to match suggestion',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
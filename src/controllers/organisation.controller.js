@@ -0,0 +1,674 @@
+const { validationResult } = require('express-validator');
+const Organisation = require('../models/Organisation');
+const OrganisationInvite = require('../models/OrganisationInvite');
+const User = require('../models/User');
+const Listing = require('../models/Listing');
+const { organisationService } = require('../services/organisationService');
+const { mailService } = require('../services/mailService');
+const { smsService } = require('../services/smsService');
+const { notifyUser } = require('../socket/socket');
+const { normalizePhone } = require('../utils/phone');
+const { can, forbidden } = require('../middlewares/permission.middleware');
+
+// Load the organisation from :id and check the action, or send the error response
+async function loadOrganisation(req, res, action) {
+  const organisation = await Organisation.findById(req.params.id);
+
+  if (!organisation) {
+    res.status(404).json({
+      success: false,
+      message: 'Organisation not found'
+    });
+    return null;
+  }
+
+  if (!can(req.user, action, organisation)) {
+    forbidden(res, action);
+    return null;
+  }
+
+  return organisation;
+}
+
+function serviceErrorResponse(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+// @desc    Create an organisation (the creator becomes its manager)
+// @route   POST /api/organisations
+// @access  Private
+exports.createOrganisation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const { name, type, description, registrationNumber, categories, contact, locationDetails } = req.body;
+
+    const organisation = await Organisation.create({
+      name,
+      type,
+      description,
+      registrationNumber,
+      categories,
+      contact: contact ? { ...contact, phone: contact.phone ? normalizePhone(contact.phone) : undefined } : undefined,
+      locationDetails,
+      createdBy: req.user.id
+    });
+
+    await organisationService.addMember(req.user.id, organisation._id, 'manager');
+
+    res.status(201).json({
+      success: true,
+      message: 'Organisation created successfully',
+      data: organisation
+    });
+
+  } catch (error) {
+    console.error('Create organisation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating organisation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get organisations I belong to
+// @route   GET /api/organisations/my
+// @access  Private
+exports.getMyOrganisations = async (req, res) => {
+  try {
+    const memberships = req.user.organisations || [];
+    const organisations = await Organisation.find({
+      _id: { $in: memberships.map(m => m.organisation) }
+    }).sort('name');
+
+    const data = organisations.map(organisation => ({
+      ...organisation.toObject(),
+      myRole: req.user.organisationRole(organisation._id)
+    }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get my organisations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your organisations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get single organisation
+// @route   GET /api/organisations/:id
+// @access  Private (Members and admins)
+exports.getOrganisation = async (req, res) => {
+  try {
+    const organisation = await loadOrganisation(req, res, 'organisation.view');
+    if (!organisation) return;
+
+    await organisation.populate('createdBy', 'name');
+
+    res.json({
+      success: true,
+      data: {
+        ...organisation.toObject(),
+        myRole: req.user.organisationRole(organisation._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organisation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching organisation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update organisation details
+// @route   PUT /api/organisations/:id
+// @access  Private (Managers and admins)
+exports.updateOrganisation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const organisation = await loadOrganisation(req, res, 'organisation.update');
+    if (!organisation) return;
+
+    const allowedUpdates = ['name', 'type', 'description', 'registrationNumber', 'categories', 'contact', 'locationDetails'];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        organisation[field] = req.body[field];
+      }
+    });
+
+    if (req.body.contact?.phone) {
+      organisation.contact.phone = normalizePhone(req.body.contact.phone);
+    }
+
+    await organisation.save();
+
+    res.json({
+      success: true,
+      message: 'Organisation updated successfully',
+      data: organisation
+    });
+
+  } catch (error) {
+    console.error('Update organisation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating organisation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get aggregated organisation stats
+// @route   GET /api/organisations/:id/stats
+// @access  Private (Members and admins)
+exports.getOrganisationStats = async (req, res) => {
+  try {
+    const organisation = await loadOrganisation(req, res, 'organisation.view');
+    if (!organisation) return;
+
+    const stats = await organisationService.getStats(organisation._id);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Get organisation stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching organisation stats',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get listings made on behalf of the organisation
+// @route   GET /api/organisations/:id/listings
+// @access  Private (Members and admins)
+exports.getOrganisationListings = async (req, res) => {
+  try {
+    const organisation = await loadOrganisation(req, res, 'organisation.view');
+    if (!organisation) return;
+
+    const { status, category, page = 1, limit = 20 } = req.query;
+
+    const query = { organisation: organisation._id };
+    if (status && status !== 'all') query.status = status;
+    if (category && category !== 'all') query.category = category;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const listings = await Listing.find(query)
+      .populate('owner', 'name phone')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Listing.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: listings.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      data: listings
+    });
+
+  } catch (error) {
+    console.error('Get organisation listings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching organisation listings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ============================================
+// MEMBERS
+// ============================================
+
+// @desc    Get organisation members
+// @route   GET /api/organisations/:id/members
+// @access  Private (Members and admins)
+exports.getMembers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const organisation = await loadOrganisation(req, res, 'organisation.view');
+    if (!organisation) return;
+
+    const { role, q, page = 1, limit = 50 } = req.query;
+
+    const membership = { organisation: organisation._id };
+    if (role) membership.role = role;
+
+    const query = { organisations: { $elemMatch: membership } };
+    if (q) {
+      query.name = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(query)
+      .select('name phone phoneVerified roles averageRating location.address organisations')
+      .sort('name')
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    // Phone numbers are only shown to the organisation's managers
+    const showPhones = can(req.user, 'organisation.members.contact', organisation);
+
+    const members = users.map(user => {
+      const entry = user.organisations.find(m => m.organisation.toString() === organisation._id.toString());
+      return {
+        id: user._id,
+        name: user.name,
+        ...(showPhones && { phone: user.phone }),
+        phoneVerified: user.phoneVerified || false,
+        roles: user.roles,
+        averageRating: user.averageRating,
+        county: user.location?.address?.county,
+        memberRole: entry.role,
+        joinedAt: entry.joinedAt
+      };
+    });
+
+    res.json({
+      success: true,
+      count: members.length,
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      data: members
+    });
+
+  } catch (error) {
+    console.error('Get organisation members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching members',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/organisations/:id/members/:userId
+// @access  Private (Managers and admins)
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const organisation = await loadOrganisation(req, res, 'organisation.members.manage');
+    if (!organisation) return;
+
+    await organisationService.setMemberRole(req.params.userId, organisation._id, req.body.role);
+
+    notifyUser(req.params.userId, 'organisation:role_changed', {
+      organisationId: organisation._id,
+      name: organisation.name,
+      role: req.body.role
+    });
+
+    res.json({
+      success: true,
+      message: `Member is now a ${req.body.role}`
+    });
+
+  } catch (error) {
+    serviceErrorResponse(res, error, 'Error updating member role');
+  }
+};
+
+// @desc    Remove a member, or leave the organisation
+// @route   DELETE /api/organisations/:id/members/:userId
+// @access  Private (Managers, admins, or the member themselves)
+exports.removeMember = async (req, res) => {
+  try {
+    // Anyone may leave; removing others needs member management rights
+    const leaving = req.params.userId === req.user.id;
+
+    if (!leaving) {
+      const allowed = await loadOrganisation(req, res, 'organisation.members.manage');
+      if (!allowed) return;
+    }
+
+    const organisation = await Organisation.findById(req.params.id);
+    if (!organisation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organisation not found'
+      });
+    }
+
+    await organisationService.removeMember(req.params.userId, organisation._id);
+
+    if (!leaving) {
+      notifyUser(req.params.userId, 'organisation:removed', {
+        organisationId: organisation._id,
+        name: organisation.name
+      });
+    }
+
+    res.json({
+      success: true,
+      message: leaving ? `You left ${organisation.name}` : 'Member removed'
+    });
+
+  } catch (error) {
+    serviceErrorResponse(res, error, 'Error removing member');
+  }
+};
+
+// ============================================
+// INVITATIONS
+// ============================================
+
+// @desc    Invite someone by email or phone
+// @route   POST /api/organisations/:id/invitations
+// @access  Private (Managers and admins)
+exports.inviteMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const organisation = await loadOrganisation(req, res, 'organisation.members.manage');
+    if (!organisation) return;
+
+    const { email, role = 'member' } = req.body;
+    const phone = req.body.phone ? normalizePhone(req.body.phone) : null;
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a valid email or Kenyan phone number to invite'
+      });
+    }
+
+    const address = email ? { email: email.toLowerCase() } : { phone };
+
+    // Already a member?
+    const existingUser = await User.findOne(address).select('name organisations');
+    if (existingUser && existingUser.organisationRole(organisation._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This person is already a member'
+      });
+    }
+
+    // Replace any earlier pending invite to the same address
+    await OrganisationInvite.updateMany(
+      { organisation: organisation._id, ...address, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() }
+    );
+
+    const invite = new OrganisationInvite({
+      organisation: organisation._id,
+      ...address,
+      role,
+      invitedBy: req.user.id
+    });
+    const token = invite.createToken();
+    await invite.save();
+
+    if (email) {
+      mailService.sendOrganisationInvite(email, organisation, req.user, token, role);
+    } else {
+      smsService.sendOrganisationInvite(phone, organisation, req.user, role);
+    }
+
+    if (existingUser) {
+      notifyUser(existingUser._id, 'organisation:invited', {
+        invitationId: invite._id,
+        organisationId: organisation._id,
+        name: organisation.name,
+        role,
+        invitedBy: req.user.name
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email || phone}`,
+      data: invite
+    });
+
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get organisation invitations
+// @route   GET /api/organisations/:id/invitations
+// @access  Private (Managers and admins)
+exports.getInvitations = async (req, res) => {
+  try {
+    const organisation = await loadOrganisation(req, res, 'organisation.members.manage');
+    if (!organisation) return;
+
+    const { status = 'pending' } = req.query;
+
+    const query = { organisation: organisation._id };
+    if (status !== 'all') query.status = status;
+
+    const invitations = await OrganisationInvite.find(query)
+      .populate('invitedBy', 'name')
+      .populate('respondedBy', 'name')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/organisations/:id/invitations/:inviteId
+// @access  Private (Managers and admins)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const organisation = await loadOrganisation(req, res, 'organisation.members.manage');
+    if (!organisation) return;
+
+    const invite = await OrganisationInvite.findOneAndUpdate(
+      { _id: req.params.inviteId, organisation: organisation._id, status: 'pending' },
+      { status: 'revoked', respondedBy: req.user.id, respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      data: invite
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get invitations addressed to me
+// @route   GET /api/organisations/invitations
+// @access  Private
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await OrganisationInvite.findPendingForUser(req.user)
+      .populate('organisation', 'name type locationDetails')
+      .populate('invitedBy', 'name')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching your invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Accept an invitation, by emailed token or by id for invitations addressed to me
+// @route   POST /api/organisations/invitations/accept
+// @access  Private
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token, invitationId } = req.body;
+
+    let invite = null;
+    if (token) {
+      invite = await OrganisationInvite.findPendingByToken(token);
+    } else if (invitationId) {
+      const addressedToMe = await OrganisationInvite.findPendingForUser(req.user);
+      invite = addressedToMe.find(i => i._id.toString() === invitationId) || null;
+    }
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or expired'
+      });
+    }
+
+    const organisation = await Organisation.findById(invite.organisation);
+    if (!organisation || organisation.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Organisation not found'
+      });
+    }
+
+    await organisationService.addMember(req.user.id, organisation._id, invite.role);
+
+    invite.status = 'accepted';
+    invite.respondedBy = req.user.id;
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    notifyUser(invite.invitedBy, 'organisation:invite_accepted', {
+      organisationId: organisation._id,
+      memberId: req.user.id,
+      name: req.user.name,
+      role: invite.role
+    });
+
+    res.json({
+      success: true,
+      message: `You joined ${organisation.name} as a ${invite.role}`,
+      data: {
+        organisation,
+        role: invite.role
+      }
+    });
+
+  } catch (error) {
+    serviceErrorResponse(res, error, 'Error accepting invitation');
+  }
+};
+
+// @desc    Decline an invitation addressed to me
+// @route   POST /api/organisations/invitations/:inviteId/decline
+// @access  Private
+exports.declineInvitation = async (req, res) => {
+  try {
+    const addressedToMe = await OrganisationInvite.findPendingForUser(req.user);
+    const invite = addressedToMe.find(i => i._id.toString() === req.params.inviteId);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or expired'
+      });
+    }
+
+    invite.status = 'declined';
+    invite.respondedBy = req.user.id;
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error declining invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
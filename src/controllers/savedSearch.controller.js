@@ -0,0 +1,256 @@
+const { validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const { savedSearchService } = require('../services/savedSearchService');
+const { countyName } = require('../utils/geography');
+const { SEARCH_PAGE_SIZE, MAX_SEARCH_PAGE_SIZE } = require('../config/search');
+
+const MAX_SAVED_SEARCHES = 20;
+
+const FILTER_FIELDS = ['category', 'type', 'quality', 'county', 'minPrice', 'maxPrice', 'minQuantity', 'maxQuantity'];
+
+// Saved search fields from a request body; only those present are returned
+const searchFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.query !== undefined) fields.query = body.query || undefined;
+
+  if (body.filters !== undefined) {
+    fields.filters = {};
+    FILTER_FIELDS.forEach(field => {
+      if (body.filters?.[field] !== undefined && body.filters[field] !== null && body.filters[field] !== '') {
+        fields.filters[field] = body.filters[field];
+      }
+    });
+    if (fields.filters.county) fields.filters.county = countyName(fields.filters.county);
+  }
+
+  if (body.near !== undefined) {
+    fields.near = body.near
+      ? { coordinates: [Number(body.near.lng), Number(body.near.lat)], radiusKm: Number(body.near.radiusKm) }
+      : { coordinates: undefined, radiusKm: undefined };
+  }
+
+  if (body.alerts !== undefined) fields['alerts.frequency'] = body.alerts;
+
+  return fields;
+};
+
+const findOwn = (req) => SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+
+// @desc    Save a listing search
+// @route   POST /api/saved-searches
+// @access  Private
+exports.createSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const count = await SavedSearch.countDocuments({ user: req.user.id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_SAVED_SEARCHES} saved searches. Delete one first.`
+      });
+    }
+
+    const savedSearch = new SavedSearch({ user: req.user.id });
+    savedSearch.set(searchFields(req.body));
+    await savedSearch.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: savedSearch
+    });
+
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving search',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get my saved searches, with the number of new matches for each
+// @route   GET /api/saved-searches
+// @access  Private
+exports.getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.id })
+      .select('-alerts.alertedListings')
+      .sort('-createdAt');
+
+    const data = await Promise.all(savedSearches.map(async (savedSearch) => ({
+      ...savedSearch.toObject(),
+      newMatches: await savedSearchService.countSince(savedSearch, savedSearch.lastViewedAt)
+    })));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved searches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a saved search
+// @route   GET /api/saved-searches/:id
+// @access  Private
+exports.getSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await findOwn(req).select('-alerts.alertedListings');
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...savedSearch.toObject(),
+        newMatches: await savedSearchService.countSince(savedSearch, savedSearch.lastViewedAt)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved search',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update a saved search
+// @route   PUT /api/saved-searches/:id
+// @access  Private
+exports.updateSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const savedSearch = await findOwn(req);
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    savedSearch.set(searchFields(req.body));
+
+    // Listings held for a daily alert go out with the next instant one
+    if (savedSearch.alerts.frequency !== 'daily') savedSearch.alerts.pending = [];
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: savedSearch
+    });
+
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating saved search',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private
+exports.deleteSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting saved search',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Listings matching a saved search since it was last viewed.
+//          Viewing the first page marks the matches as seen; later pages
+//          pass the `since` returned with the first.
+// @route   GET /api/saved-searches/:id/matches
+// @access  Private
+exports.getSavedSearchMatches = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const savedSearch = await findOwn(req);
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || SEARCH_PAGE_SIZE, MAX_SEARCH_PAGE_SIZE);
+    const since = req.query.since ? new Date(req.query.since) : savedSearch.lastViewedAt;
+    const viewedAt = new Date();
+
+    const { listings, total } = await savedSearchService.matchesSince(savedSearch, since, { page, limit });
+
+    if (page === 1) {
+      savedSearch.lastViewedAt = viewedAt;
+      await savedSearch.save();
+    }
+
+    res.json({
+      success: true,
+      count: listings.length,
+      total,
+      since,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: listings
+    });
+
+  } catch (error) {
+    console.error('Get saved search matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved search matches',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -2,29 +2,13 @@ const Storage = require('../models/Storage');
 const User = require('../models/User');
 const Listing = require('../models/Listing');
 const { webhookService } = require('../services/webhookService');
-
-const COUNTY_COORDS = {
-  'Nairobi': [36.8172, -1.2864],
-  'Mombasa': [39.6682, -4.0435],
-  // ... (same as before, keep all counties)
-};
-
-// Helper function to get coordinates for a county
-function getCountyCoordinates(countyName) {
-  if (COUNTY_COORDS[countyName]) {
-    return COUNTY_COORDS[countyName];
-  }
-  
-  const normalizedCounty = Object.keys(COUNTY_COORDS).find(
-    key => key.toLowerCase() === countyName.toLowerCase()
-  );
-  
-  if (normalizedCounty) {
-    return COUNTY_COORDS[normalizedCounty];
-  }
-  
-  return COUNTY_COORDS['Nairobi'];
-}
+const { ledgerService } = require('../services/ledgerService');
+const { blockService } = require('../services/blockService');
+const { notificationService } = require('../services/notificationService');
+const { organisationService } = require('../services/organisationService');
+const { can, forbidden } = require('../middlewares/permission.middleware');
+const { getCountyCoordinates, countyName, normalizeLocation, mergeLocation } = require('../utils/geography');
+const { RENEWAL_DAYS } = require('../config/expiry');
 
 // @desc    Get all storage facilities
 // @route   GET /api/storages
@@ -39,6 +23,7 @@ exports.getStorages = async (req, res) => {
       maxCapacity,
       temperatureControlled,
       productType,
+      verified,
       page = 1,
       limit = 20,
       sortBy = 'createdAt',
@@ -53,7 +38,7 @@ exports.getStorages = async (req, res) => {
     }
     
     // Location filter
-    if (county) query['locationDetails.county'] = { $regex: county, $options: 'i' };
+    if (county) query['locationDetails.county'] = countyName(county);
     
     // Facility filters
     if (facilityType) query.facilityType = facilityType;
@@ -71,18 +56,22 @@ exports.getStorages = async (req, res) => {
     
     // Product type filter
     if (productType) query.acceptedProducts = productType;
+
+    // Only providers with an approved facility permit
+    if (verified === 'true') query.isVerified = true;
     
     // Status filter
     query.status = 'active';
     query.expiryDate = { $gt: new Date() };
     
     // For non-owners, only show available storage
-    if (!req.user.roles.includes('admin')) {
+    if (!can(req.user, 'storage.view_all')) {
       query.owner = { $ne: req.user.id };
+      query.ownerSuspended = { $ne: true };
     }
 
-    // Build sort
-    const sort = {};
+    // Build sort (verified providers rank first)
+    const sort = { isVerified: -1 };
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     // Pagination
@@ -124,11 +113,8 @@ exports.getStorages = async (req, res) => {
 exports.createStorage = async (req, res) => {
   try {
     // Check if user has storage role
-    if (!req.user.roles.includes('storage')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only users with storage role can create storage facilities'
-      });
+    if (!can(req.user, 'storage.create')) {
+      return forbidden(res, 'storage.create');
     }
 
     const { 
@@ -152,6 +138,14 @@ exports.createStorage = async (req, res) => {
       });
     }
 
+    const { error: locationError } = normalizeLocation(locationDetails);
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
+
     // Get coordinates for county
     const coordinates = getCountyCoordinates(locationDetails.county);
 
@@ -180,7 +174,7 @@ exports.createStorage = async (req, res) => {
     // Add tags
     storage.tags = [
       facilityType,
-      locationDetails.county,
+      countyName(locationDetails.county),
       ...services
     ];
 
@@ -238,6 +232,7 @@ exports.getNearbyStorages = async (req, res) => {
       availability: { $in: ['available', 'partially_available'] },
       status: 'active',
       expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true },
       owner: { $ne: req.user.id } // Exclude user's own facilities
     };
 
@@ -307,7 +302,8 @@ exports.getStorage = async (req, res) => {
       .populate('owner', 'name roles averageRating phone bio roleSpecificInfo.storage')
       .populate('currentBookings.bookedBy', 'name phone');
 
-    if (!storage) {
+    // Services of suspended owners are only visible to the owner and admins
+    if (!storage || (storage.ownerSuspended && !can(req.user, 'storage.view_hidden', storage))) {
       return res.status(404).json({
         success: false,
         message: 'Storage facility not found'
@@ -347,18 +343,15 @@ exports.updateStorage = async (req, res) => {
     }
 
     // Check ownership
-    if (storage.owner.toString() !== req.user.id && !req.user.roles.includes('admin')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this storage facility'
-      });
+    if (!can(req.user, 'storage.update', storage)) {
+      return forbidden(res, 'storage.update');
     }
 
     // Allowed updates
     const allowedUpdates = [
       'title', 'description', 'facilityDetails', 'services', 
       'pricing', 'acceptedProducts', 'productRestrictions', 
-      'availability', 'images', 'tags', 'certifications'
+      'availability', 'images', 'tags'
     ];
     
     allowedUpdates.forEach(field => {
@@ -367,10 +360,23 @@ exports.updateStorage = async (req, res) => {
       }
     });
 
-    // Update location if provided
-    if (req.body.locationDetails?.county) {
-      storage.locationDetails.county = req.body.locationDetails.county;
-      storage.location.coordinates = getCountyCoordinates(req.body.locationDetails.county);
+    // Update location if provided; parts left out keep their stored value
+    if (req.body.locationDetails) {
+      const details = mergeLocation(storage.locationDetails, req.body.locationDetails);
+      const { error: locationError } = normalizeLocation(details);
+      if (locationError) {
+        return res.status(400).json({
+          success: false,
+          message: locationError
+        });
+      }
+
+      storage.locationDetails.county = details.county;
+      storage.locationDetails.subCounty = details.subCounty;
+      storage.locationDetails.ward = details.ward;
+      if (req.body.locationDetails.county) {
+        storage.location.coordinates = getCountyCoordinates(details.county);
+      }
     }
 
     await storage.save();
@@ -391,6 +397,60 @@ exports.updateStorage = async (req, res) => {
   }
 };
 
+// @desc    Renew storage facility, extending its expiry date
+// @route   PUT /api/storages/:id/renew
+// @access  Private (Owner only)
+exports.renewStorage = async (req, res) => {
+  try {
+    const storage = await Storage.findById(req.params.id);
+
+    if (!storage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Storage facility not found'
+      });
+    }
+
+    // Check ownership
+    if (!can(req.user, 'storage.renew', storage)) {
+      return forbidden(res, 'storage.renew');
+    }
+
+    if (storage.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot renew a closed storage facility'
+      });
+    }
+
+    const { default: defaultDays, max: maxDays } = RENEWAL_DAYS.storage;
+    const days = req.body.days === undefined ? defaultDays : Number(req.body.days);
+    if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `Renewal must be between 1 and ${maxDays} days`
+      });
+    }
+
+    storage.renew(days, maxDays);
+    await storage.save();
+
+    res.json({
+      success: true,
+      data: storage,
+      message: `Storage facility renewed until ${storage.expiryDate.toISOString().slice(0, 10)}`
+    });
+
+  } catch (error) {
+    console.error('Renew storage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error renewing storage facility',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Book storage facility
 // @route   POST /api/storages/:id/book
 // @access  Private
@@ -401,18 +461,34 @@ exports.bookStorage = async (req, res) => {
       quantity, 
       startDate, 
       endDate,
-      listingId 
+      listingId,
+      organisationId
     } = req.body;
 
     const storage = await Storage.findById(req.params.id);
 
-    if (!storage) {
+    if (!storage || storage.ownerSuspended) {
       return res.status(404).json({
         success: false,
         message: 'Storage facility not found'
       });
     }
 
+    if (await blockService.isBlocked(req.user.id, storage.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot book services from this user'
+      });
+    }
+
+    // Expired facilities keep their status until renewed, but can't be booked
+    if (storage.expiryDate && storage.expiryDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This storage facility has expired'
+      });
+    }
+
     // Check if storage has capacity
     if (storage.facilityDetails.availableCapacity < quantity) {
       return res.status(400).json({
@@ -429,9 +505,16 @@ exports.bookStorage = async (req, res) => {
       });
     }
 
+    // Bookings can be made on behalf of an organisation, directly or through one of its listings
+    const organisation = await organisationService.resolveActingOrganisation(req.user, organisationId);
+    const listing = listingId ? await Listing.findById(listingId) : null;
+    const bookedForListing = listing && can(req.user, 'storage.book', listing) ? listing : null;
+
     // Prepare booking data
     const bookingData = {
       bookedBy: req.user.id,
+      bookedAs: req.activeRole,
+      organisation: organisation?._id || bookedForListing?.organisation,
       product,
       quantity,
       startDate: new Date(startDate),
@@ -443,19 +526,25 @@ exports.bookStorage = async (req, res) => {
     await storage.bookStorage(bookingData);
 
     // Update listing if provided
-    if (listingId) {
-      const listing = await Listing.findById(listingId);
-      if (listing && listing.owner.toString() === req.user.id) {
-        await listing.bookStorage(storage._id);
-      }
+    if (bookedForListing) {
+      await bookedForListing.bookStorage(storage._id);
     }
 
+    notificationService.notify(storage.owner, 'booking', {
+      event: 'storage.booked',
+      data: { storageId: storage._id, product, quantity, startDate, endDate, bookedBy: req.user.id },
+      title: 'Storage booked',
+      text: `${req.user.name} booked ${quantity} of space for ${product} at ${storage.title}, ${new Date(startDate).toDateString()} to ${new Date(endDate).toDateString()}`
+    });
+
     // Trigger webhook
     await webhookService.triggerWebhook(
       'storage.booked',
       {
         storageId: storage._id,
         bookedBy: req.user.id,
+        bookedAs: req.activeRole,
+        organisationId: bookingData.organisation,
         product,
         quantity,
         startDate,
@@ -477,6 +566,12 @@ exports.bookStorage = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Book storage error:', error);
     res.status(500).json({
       success: false,
@@ -511,18 +606,18 @@ exports.releaseStorage = async (req, res) => {
     }
 
     // Check authorization (owner or the user who booked it)
-    const isOwner = storage.owner.toString() === req.user.id;
-    const isBooker = booking.bookedBy?.toString() === req.user.id;
-    
-    if (!isOwner && !isBooker) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to release this storage space'
-      });
+    if (!can(req.user, 'storage.booking.release', storage, { booking })) {
+      return forbidden(res, 'storage.booking.release');
     }
 
+    const wasActive = booking.status === 'active';
     await storage.releaseStorage(bookingId, quantity);
 
+    // Record the booking on both ledgers when it is first released
+    if (wasActive) {
+      await ledgerService.recordStorage(storage, booking);
+    }
+
     res.json({
       success: true,
       message: 'Storage space released successfully',
@@ -556,11 +651,8 @@ exports.deleteStorage = async (req, res) => {
     }
 
     // Check ownership
-    if (storage.owner.toString() !== req.user.id && !req.user.roles.includes('admin')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this storage facility'
-      });
+    if (!can(req.user, 'storage.delete', storage)) {
+      return forbidden(res, 'storage.delete');
     }
 
     // Don't allow deletion if there are active bookings
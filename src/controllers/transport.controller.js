@@ -2,43 +2,26 @@ const Transport = require('../models/Transport');
 const User = require('../models/User');
 const Listing = require('../models/Listing');
 const { webhookService } = require('../services/webhookService');
-
-const COUNTY_COORDS = {
-  'Nairobi': [36.8172, -1.2864],
-  'Mombasa': [39.6682, -4.0435],
-  // ... (same as before, keep all counties)
-};
-
-// Helper function to get coordinates for a county
-function getCountyCoordinates(countyName) {
-  if (COUNTY_COORDS[countyName]) {
-    return COUNTY_COORDS[countyName];
-  }
-  
-  const normalizedCounty = Object.keys(COUNTY_COORDS).find(
-    key => key.toLowerCase() === countyName.toLowerCase()
-  );
-  
-  if (normalizedCounty) {
-    return COUNTY_COORDS[normalizedCounty];
-  }
-  
-  return COUNTY_COORDS['Nairobi'];
-}
-
-// Helper function to calculate distance
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * (Math.PI / 180);
-  const dLon = (lon2 - lon1) * (Math.PI / 180);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * (Math.PI / 180)) * Math.cos(lat2 * (Math.PI / 180)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
-  
-  return Math.round(distance * 100) / 100;
+const { ledgerService } = require('../services/ledgerService');
+const { auditService } = require('../services/auditService');
+const { blockService } = require('../services/blockService');
+const { notificationService } = require('../services/notificationService');
+const { organisationService } = require('../services/organisationService');
+const { can, forbidden } = require('../middlewares/permission.middleware');
+const { getCountyCoordinates, countyName, normalizeLocation, mergeLocation, distanceKm } = require('../utils/geography');
+const { RENEWAL_DAYS } = require('../config/expiry');
+
+// Distance in km between two [lng, lat] points, to 2 decimal places
+const calculateDistance = (from, to) => Math.round(distanceKm(from, to) * 100) / 100;
+
+// Let the owner know their transport was booked
+function notifyBooked(transport, bookedBy, listingId) {
+  return notificationService.notify(transport.owner, 'booking', {
+    event: 'transport.booked',
+    data: { transportId: transport._id, listingId, bookedBy: bookedBy.id },
+    title: 'Transport booked',
+    text: `${bookedBy.name} booked ${transport.title}`
+  });
 }
 
 // @desc    Get all transport services
@@ -54,6 +37,7 @@ exports.getTransports = async (req, res) => {
       serviceType,
       minCapacity,
       availability,
+      verified,
       page = 1,
       limit = 20,
       sortBy = 'createdAt',
@@ -68,8 +52,8 @@ exports.getTransports = async (req, res) => {
     }
     
     // Location filters
-    if (fromCounty) query['route.from.county'] = { $regex: fromCounty, $options: 'i' };
-    if (toCounty) query['route.to.county'] = { $regex: toCounty, $options: 'i' };
+    if (fromCounty) query['route.from.county'] = countyName(fromCounty);
+    if (toCounty) query['route.to.county'] = countyName(toCounty);
     
     // Vehicle filters
     if (vehicleType) query['vehicleDetails.vehicleType'] = vehicleType;
@@ -80,16 +64,20 @@ exports.getTransports = async (req, res) => {
     if (minCapacity) {
       query['vehicleDetails.capacity'] = { $gte: parseInt(minCapacity) };
     }
+
+    // Only transporters with approved KYC documents
+    if (verified === 'true') query.isVerified = true;
     
     // For non-owners, only show available transports
-    if (!req.user.roles.includes('admin')) {
+    if (!can(req.user, 'transport.view_all')) {
       query.owner = { $ne: req.user.id };
       query.status = 'available';
       query.expiryDate = { $gt: new Date() };
+      query.ownerSuspended = { $ne: true };
     }
 
-    // Build sort
-    const sort = {};
+    // Build sort (verified transporters rank first)
+    const sort = { isVerified: -1 };
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     // Pagination
@@ -131,11 +119,8 @@ exports.getTransports = async (req, res) => {
 exports.createTransport = async (req, res) => {
   try {
     // Check if user has transport role
-    if (!req.user.roles.includes('transport')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only users with transport role can create transport services'
-      });
+    if (!can(req.user, 'transport.create')) {
+      return forbidden(res, 'transport.create');
     }
 
     const { 
@@ -158,15 +143,20 @@ exports.createTransport = async (req, res) => {
       });
     }
 
+    const locationError = normalizeLocation(route.from).error || normalizeLocation(route.to).error;
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
+
     // Get coordinates for counties
     const fromCoords = getCountyCoordinates(route.from.county);
     const toCoords = getCountyCoordinates(route.to.county);
 
     // Calculate estimated distance
-    const estimatedDistance = calculateDistance(
-      fromCoords[1], fromCoords[0],
-      toCoords[1], toCoords[0]
-    );
+    const estimatedDistance = calculateDistance(fromCoords, toCoords);
 
     // Create transport service
     const transport = new Transport({
@@ -186,7 +176,7 @@ exports.createTransport = async (req, res) => {
           coordinates: toCoords
         },
         via: route.via?.map(viaPoint => ({
-          county: viaPoint.county,
+          county: countyName(viaPoint.county),
           coordinates: viaPoint.coordinates || getCountyCoordinates(viaPoint.county)
         })) || []
       },
@@ -204,8 +194,8 @@ exports.createTransport = async (req, res) => {
     transport.tags = [
       serviceType,
       vehicleDetails.vehicleType,
-      route.from.county,
-      route.to.county
+      countyName(route.from.county),
+      countyName(route.to.county)
     ];
 
     await transport.save();
@@ -324,7 +314,8 @@ exports.getTransport = async (req, res) => {
       .populate('bookedBy', 'name phone')
       .populate('bookedForListing', 'title category productDetails');
 
-    if (!transport) {
+    // Services of suspended owners are only visible to the owner and admins
+    if (!transport || (transport.ownerSuspended && !can(req.user, 'transport.view_hidden', transport))) {
       return res.status(404).json({
         success: false,
         message: 'Transport service not found'
@@ -364,11 +355,8 @@ exports.updateTransport = async (req, res) => {
     }
 
     // Check ownership
-    if (transport.owner.toString() !== req.user.id && !req.user.roles.includes('admin')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this transport service'
-      });
+    if (!can(req.user, 'transport.update', transport)) {
+      return forbidden(res, 'transport.update');
     }
 
     // Don't allow updates if booked or in transit
@@ -391,21 +379,35 @@ exports.updateTransport = async (req, res) => {
       }
     });
 
-    // Update route if provided
+    // Update route if provided; parts of an end point left out keep their
+    // stored value
     if (req.body.route) {
-      if (req.body.route.from?.county) {
-        transport.route.from.county = req.body.route.from.county;
-        transport.route.from.coordinates = getCountyCoordinates(req.body.route.from.county);
+      const from = req.body.route.from ? mergeLocation(transport.route.from, req.body.route.from) : null;
+      const to = req.body.route.to ? mergeLocation(transport.route.to, req.body.route.to) : null;
+
+      const locationError = normalizeLocation(from).error || normalizeLocation(to).error;
+      if (locationError) {
+        return res.status(400).json({
+          success: false,
+          message: locationError
+        });
+      }
+
+      if (from) {
+        transport.route.from.county = from.county;
+        transport.route.from.subCounty = from.subCounty;
+        transport.route.from.coordinates = getCountyCoordinates(from.county);
       }
-      if (req.body.route.to?.county) {
-        transport.route.to.county = req.body.route.to.county;
-        transport.route.to.coordinates = getCountyCoordinates(req.body.route.to.county);
+      if (to) {
+        transport.route.to.county = to.county;
+        transport.route.to.subCounty = to.subCounty;
+        transport.route.to.coordinates = getCountyCoordinates(to.county);
       }
       
       // Recalculate distance
       const estimatedDistance = calculateDistance(
-        transport.route.from.coordinates[1], transport.route.from.coordinates[0],
-        transport.route.to.coordinates[1], transport.route.to.coordinates[0]
+        transport.route.from.coordinates,
+        transport.route.to.coordinates
       );
       
       transport.pricing.estimatedDistance = estimatedDistance;
@@ -429,12 +431,66 @@ exports.updateTransport = async (req, res) => {
   }
 };
 
+// @desc    Renew transport service, extending its expiry date
+// @route   PUT /api/transports/:id/renew
+// @access  Private (Owner only)
+exports.renewTransport = async (req, res) => {
+  try {
+    const transport = await Transport.findById(req.params.id);
+
+    if (!transport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transport service not found'
+      });
+    }
+
+    // Check ownership
+    if (!can(req.user, 'transport.renew', transport)) {
+      return forbidden(res, 'transport.renew');
+    }
+
+    if (['completed', 'cancelled'].includes(transport.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot renew a ${transport.status} transport service`
+      });
+    }
+
+    const { default: defaultDays, max: maxDays } = RENEWAL_DAYS.transport;
+    const days = req.body.days === undefined ? defaultDays : Number(req.body.days);
+    if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `Renewal must be between 1 and ${maxDays} days`
+      });
+    }
+
+    transport.renew(days, maxDays);
+    await transport.save();
+
+    res.json({
+      success: true,
+      data: transport,
+      message: `Transport service renewed until ${transport.expiryDate.toISOString().slice(0, 10)}`
+    });
+
+  } catch (error) {
+    console.error('Renew transport error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error renewing transport service',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Book transport service
 // @route   POST /api/transports/:id/book
 // @access  Private
 exports.bookTransport = async (req, res) => {
   try {
-    const { listingId } = req.body;
+    const { listingId, organisationId } = req.body;
     const transport = await Transport.findById(req.params.id);
 
     if (!transport) {
@@ -445,13 +501,28 @@ exports.bookTransport = async (req, res) => {
     }
 
     // Check if transport is available
-    if (transport.status !== 'available') {
+    if (transport.status !== 'available' || transport.ownerSuspended) {
       return res.status(400).json({
         success: false,
         message: 'Transport service is not available'
       });
     }
 
+    // Expired services keep their status until renewed, but can't be booked
+    if (transport.expiryDate && transport.expiryDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This transport service has expired'
+      });
+    }
+
+    if (await blockService.isBlocked(req.user.id, transport.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot book services from this user'
+      });
+    }
+
     // Check if listing exists and belongs to user
     if (listingId) {
       const listing = await Listing.findById(listingId);
@@ -462,18 +533,16 @@ exports.bookTransport = async (req, res) => {
         });
       }
 
-      if (listing.owner.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to book transport for this listing'
-        });
+      if (!can(req.user, 'transport.book', listing)) {
+        return forbidden(res, 'transport.book');
       }
 
-      // Book the transport
-      await transport.bookTransport(req.user.id, listingId);
+      // Book the transport (on behalf of the listing's organisation, if any)
+      await transport.bookTransport(req.user.id, listingId, req.activeRole, listing.organisation);
       
       // Update listing with transport booking
       await listing.bookTransport(transport._id);
+      notifyBooked(transport, req.user, listingId);
 
       // Trigger webhook
       await webhookService.triggerWebhook(
@@ -481,6 +550,8 @@ exports.bookTransport = async (req, res) => {
         {
           transportId: transport._id,
           bookedBy: req.user.id,
+          bookedAs: req.activeRole,
+          organisationId: listing.organisation,
           listingId: listingId,
           owner: transport.owner,
           timestamp: new Date().toISOString()
@@ -498,9 +569,11 @@ exports.bookTransport = async (req, res) => {
         }
       });
     } else {
-      // Book without listing (direct booking)
-      await transport.bookTransport(req.user.id);
-      
+      // Book without listing (direct booking), optionally for an organisation
+      const organisation = await organisationService.resolveActingOrganisation(req.user, organisationId);
+      await transport.bookTransport(req.user.id, null, req.activeRole, organisation?._id);
+      notifyBooked(transport, req.user, null);
+
       res.json({
         success: true,
         message: 'Transport service booked successfully',
@@ -512,6 +585,12 @@ exports.bookTransport = async (req, res) => {
     }
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Book transport error:', error);
     res.status(500).json({
       success: false,
@@ -536,11 +615,8 @@ exports.completeTransport = async (req, res) => {
     }
 
     // Check ownership
-    if (transport.owner.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to complete this transport service'
-      });
+    if (!can(req.user, 'transport.complete', transport)) {
+      return forbidden(res, 'transport.complete');
     }
 
     // Check if transport is booked or in transit
@@ -553,6 +629,11 @@ exports.completeTransport = async (req, res) => {
 
     await transport.completeTransport();
 
+    const listing = transport.bookedForListing
+      ? await Listing.findById(transport.bookedForListing).select('title category productDetails')
+      : null;
+    await ledgerService.recordTransport(transport, listing);
+
     res.json({
       success: true,
       message: 'Transport service marked as completed'
@@ -583,14 +664,8 @@ exports.cancelTransport = async (req, res) => {
     }
 
     // Check authorization (owner or the user who booked it)
-    const isOwner = transport.owner.toString() === req.user.id;
-    const isBooker = transport.bookedBy?.toString() === req.user.id;
-    
-    if (!isOwner && !isBooker) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to cancel this booking'
-      });
+    if (!can(req.user, 'transport.booking.cancel', transport)) {
+      return forbidden(res, 'transport.booking.cancel');
     }
 
     // Check if transport is booked
@@ -601,8 +676,29 @@ exports.cancelTransport = async (req, res) => {
       });
     }
 
+    const booking = {
+      status: transport.status,
+      bookedBy: transport.bookedBy,
+      bookedAs: transport.bookedAs,
+      bookedForOrganisation: transport.bookedForOrganisation,
+      bookedForListing: transport.bookedForListing
+    };
+
     await transport.cancelBooking();
 
+    await auditService.record(req, {
+      action: 'transport.booking.cancel',
+      target: { type: 'transport', id: transport._id },
+      before: booking,
+      after: {
+        status: transport.status,
+        bookedBy: transport.bookedBy,
+        bookedAs: transport.bookedAs,
+        bookedForOrganisation: transport.bookedForOrganisation,
+        bookedForListing: transport.bookedForListing
+      }
+    });
+
     // If there was a listing, update it
     if (transport.bookedForListing) {
       const listing = await Listing.findById(transport.bookedForListing);
@@ -643,11 +739,8 @@ exports.deleteTransport = async (req, res) => {
     }
 
     // Check ownership
-    if (transport.owner.toString() !== req.user.id && !req.user.roles.includes('admin')) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this transport service'
-      });
+    if (!can(req.user, 'transport.delete', transport)) {
+      return forbidden(res, 'transport.delete');
     }
 
     // Don't allow deletion if booked or in transit
@@ -0,0 +1,12 @@
+// src/locales/en.js
+
+/**
+ * English. Messages are written in English in the code and the English
+ * text is the key in every catalog, so entries are only needed here to
+ * reword a message. Joi keeps its built-in English messages.
+ */
+module.exports = {
+  name: 'English',
+  messages: {},
+  joi: {}
+};
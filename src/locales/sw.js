@@ -0,0 +1,703 @@
+// src/locales/sw.js
+
+/**
+ * Swahili. Keys are the English messages used in the code; {placeholders}
+ * match messages built from a template (see utils/i18n.js).
+ */
+const messages = {
+  // ===============================
+  // General
+  // ===============================
+  'Server error': 'Hitilafu ya seva',
+  'Something went wrong!': 'Kuna tatizo limetokea!',
+  'Route not found': 'Njia haikupatikana',
+  'Validation error': 'Hitilafu ya uthibitishaji',
+  'Invalid value': 'Thamani si sahihi',
+  'File too large. Maximum size is 5MB.': 'Faili ni kubwa mno. Ukubwa wa juu ni MB 5.',
+  'Too many files. Maximum 4 images allowed.': 'Faili ni nyingi mno. Picha 4 tu zinaruhusiwa.',
+  'Unknown error': 'Hitilafu isiyojulikana',
+
+  // Values that appear inside other messages
+  farmer: 'mkulima',
+  transport: 'msafirishaji',
+  storage: 'mtoa huduma ya hifadhi',
+  admin: 'msimamizi',
+  manager: 'meneja',
+  clerk: 'karani',
+  member: 'mwanachama',
+  active: 'hai',
+  available: 'inayopatikana',
+  booked: 'iliyowekwa',
+  in_transit: 'iliyo safarini',
+  completed: 'iliyokamilika',
+  cancelled: 'iliyoghairiwa',
+  closed: 'iliyofungwa',
+  expired: 'iliyoisha muda',
+  matched: 'iliyolinganishwa',
+  blocked: 'imezuiwa',
+  archived: 'imehifadhiwa kwenye kumbukumbu',
+  suspended: 'imesimamishwa',
+  pending: 'inasubiri',
+  approved: 'imeidhinishwa',
+  rejected: 'imekataliwa',
+  accept: 'kukubali',
+  reject: 'kukataa',
+  started: 'imeanza',
+  stopped: 'imesimama',
+
+  // ===============================
+  // Authentication and accounts
+  // ===============================
+  'Not authorized': 'Hauruhusiwi',
+  'Not authorized, no token': 'Hauruhusiwi, tokeni haipo',
+  'Invalid token': 'Tokeni si sahihi',
+  'Token expired': 'Muda wa tokeni umeisha',
+  'Token revoked': 'Tokeni imebatilishwa',
+  'Invalid or expired API key': 'Ufunguo wa API si sahihi au umeisha muda',
+  'Account suspended': 'Akaunti imesimamishwa',
+  'Account is {status}': 'Akaunti {status}',
+  'User not authenticated': 'Mtumiaji hajathibitishwa',
+  'User role {roles} is not authorized to access this route': 'Jukumu la mtumiaji {roles} haliruhusiwi kufikia njia hii',
+  'Not authorized to {action}': 'Huna ruhusa ya {action}',
+  'perform this action': 'kufanya kitendo hiki',
+  'Unknown permission action: {action}': 'Kitendo cha ruhusa kisichojulikana: {action}',
+  'Invalid credentials': 'Taarifa za kuingia si sahihi',
+  'Please verify your email before logging in': 'Tafadhali thibitisha barua pepe yako kabla ya kuingia',
+  'User already exists with this email': 'Tayari kuna mtumiaji mwenye barua pepe hii',
+  'User already exists with this phone number': 'Tayari kuna mtumiaji mwenye nambari hii ya simu',
+  'User registered successfully': 'Mtumiaji amesajiliwa',
+  'Name is required to create an account': 'Jina linahitajika ili kufungua akaunti',
+  'Please provide a valid Kenyan phone number': 'Tafadhali weka nambari sahihi ya simu ya Kenya',
+  'Phone number is already in use': 'Nambari hii ya simu tayari inatumika',
+  'Logged out': 'Umetoka',
+  'Session not found': 'Kikao hakikupatikana',
+  'All sessions revoked': 'Vikao vyote vimebatilishwa',
+  'All other sessions revoked': 'Vikao vingine vyote vimebatilishwa',
+  'Role switching requires a signed-in session': 'Kubadilisha jukumu kunahitaji kikao ulichoingia',
+  'You are now acting as {role}': 'Sasa unatumia jukumu la {role}',
+  'You don\'t have the {role} role': 'Huna jukumu la {role}',
+  'User doesn\'t have {role} role': 'Mtumiaji hana jukumu la {role}',
+  'Invalid role specified': 'Jukumu lililotajwa si sahihi',
+  'Invalid roles: {roles}': 'Majukumu si sahihi: {roles}',
+  'If an account exists for that email, a reset link has been sent': 'Ikiwa kuna akaunti yenye barua pepe hiyo, kiungo cha kubadilisha nenosiri kimetumwa',
+  'Reset link is invalid or has expired': 'Kiungo cha kubadilisha nenosiri si sahihi au kimeisha muda',
+  'Password reset successfully. Please log in again.': 'Nenosiri limebadilishwa. Tafadhali ingia tena.',
+  'Current password is incorrect': 'Nenosiri la sasa si sahihi',
+  'Password changed successfully': 'Nenosiri limebadilishwa',
+  'Verification link is invalid or has expired': 'Kiungo cha uthibitishaji si sahihi au kimeisha muda',
+  'Email verified successfully': 'Barua pepe imethibitishwa',
+  'Add an email address to your profile first': 'Kwanza ongeza barua pepe kwenye wasifu wako',
+  'Email is already verified': 'Barua pepe tayari imethibitishwa',
+  'Verification email sent': 'Barua pepe ya uthibitishaji imetumwa',
+  'Verification code sent': 'Msimbo wa uthibitishaji umetumwa',
+  'Add a phone number to your profile first': 'Kwanza ongeza nambari ya simu kwenye wasifu wako',
+  'Phone number is already verified': 'Nambari ya simu tayari imethibitishwa',
+  'Phone number verified successfully': 'Nambari ya simu imethibitishwa',
+  'Unlock link is invalid or has expired': 'Kiungo cha kufungua akaunti si sahihi au kimeisha muda',
+  'Account unlocked. You can sign in again.': 'Akaunti imefunguliwa. Unaweza kuingia tena.',
+  'Unlock token is required': 'Tokeni ya kufungua inahitajika',
+  'Scope must be account or ip': 'Upeo lazima uwe account au ip',
+
+  // ===============================
+  // Profiles and users
+  // ===============================
+  'User not found': 'Mtumiaji hakupatikana',
+  'Profile updated successfully': 'Wasifu umesasishwa',
+  '{role} profile updated successfully': 'Wasifu wa {role} umesasishwa',
+  'Latitude and longitude are required': 'Latitudo na longitudo zinahitajika',
+  'Latitude and longitude required': 'Latitudo na longitudo zinahitajika',
+  'Privacy settings updated': 'Mipangilio ya faragha imesasishwa',
+  'Notification preferences updated': 'Mapendeleo ya arifa yamesasishwa',
+  'User roles updated successfully': 'Majukumu ya mtumiaji yamesasishwa',
+  'You cannot suspend your own account': 'Huwezi kusimamisha akaunti yako mwenyewe',
+  'User is already suspended': 'Mtumiaji tayari amesimamishwa',
+  'User suspended successfully': 'Mtumiaji amesimamishwa',
+  'User is not suspended': 'Mtumiaji hajasimamishwa',
+  'User reinstated successfully': 'Mtumiaji amerejeshwa',
+  'Reinstate the user before verifying them': 'Mrejeshe mtumiaji kabla ya kumthibitisha',
+  'User is already verified': 'Mtumiaji tayari amethibitishwa',
+  'User marked as verified': 'Mtumiaji amewekwa kama aliyethibitishwa',
+  'Unknown county "{county}"': 'Kaunti "{county}" haijulikani',
+  '"{subCounty}" is not a sub-county of {county}': '"{subCounty}" si kaunti ndogo ya {county}',
+  '"{ward}" is not a ward of {subCounty}': '"{ward}" si wadi ya {subCounty}',
+
+  // Blocking
+  'User blocked': 'Mtumiaji amezuiwa',
+  'User unblocked': 'Mtumiaji ameondolewa kizuizi',
+  'You cannot block yourself': 'Huwezi kujizuia mwenyewe',
+  'User is already blocked': 'Mtumiaji tayari amezuiwa',
+  'User is not blocked': 'Mtumiaji hajazuiwa',
+  'This action is not available between you and this user': 'Kitendo hiki hakipatikani kati yako na mtumiaji huyu',
+
+  // ===============================
+  // Ratings and transactions
+  // ===============================
+  'Cannot rate yourself': 'Huwezi kujikadiria mwenyewe',
+  'You cannot rate this user': 'Huwezi kumkadiria mtumiaji huyu',
+  'You have already rated this user for this transaction': 'Tayari umemkadiria mtumiaji huyu kwa muamala huu',
+  'Rating submitted successfully': 'Ukadiriaji umewasilishwa',
+  'Invalid cursor': 'Kielekezi si sahihi',
+  'Only the rated user can reply to a rating': 'Aliyekadiriwa pekee ndiye anayeweza kujibu ukadiriaji',
+  'Rating not found': 'Ukadiriaji haukupatikana',
+  'You have already replied to this rating': 'Tayari umejibu ukadiriaji huu',
+  'Reply added': 'Jibu limeongezwa',
+  'You have already reported this rating': 'Tayari umeripoti ukadiriaji huu',
+  'Rating reported. A moderator will review it.': 'Ukadiriaji umeripotiwa. Msimamizi atauangalia.',
+  'Rating has already been removed': 'Ukadiriaji tayari umeondolewa',
+  'Rating removed': 'Ukadiriaji umeondolewa',
+  'You can only rate the other party of a transaction you took part in': 'Unaweza kumkadiria tu mhusika mwingine wa muamala ulioshiriki',
+  'Only accepted offers can be rated': 'Ofa zilizokubaliwa pekee ndizo zinazoweza kukadiriwa',
+  'Listing for this offer no longer exists': 'Tangazo la ofa hii halipo tena',
+  'Only completed transport services can be rated': 'Huduma za usafiri zilizokamilika pekee ndizo zinazoweza kukadiriwa',
+  'Storage booking not found': 'Nafasi ya hifadhi iliyowekwa haikupatikana',
+  'Only completed storage bookings can be rated': 'Nafasi za hifadhi zilizokamilika pekee ndizo zinazoweza kukadiriwa',
+  'Invalid transaction type': 'Aina ya muamala si sahihi',
+
+  // ===============================
+  // Listings and images
+  // ===============================
+  'Listing not found': 'Tangazo halikupatikana',
+  'Listing created successfully': 'Tangazo limeundwa',
+  'Listing updated successfully': 'Tangazo limesasishwa',
+  'Listing deleted successfully': 'Tangazo limefutwa',
+  'Listing closed successfully': 'Tangazo limefungwa',
+  'Listing marked as matched successfully': 'Tangazo limewekwa kama lililolinganishwa',
+  'Cannot update a {status} listing': 'Huwezi kubadilisha tangazo {status}',
+  'Cannot renew a {status} listing': 'Huwezi kuhuisha tangazo {status}',
+  'There is already an active {category} listing. Please close it before renewing this one.': 'Tayari kuna tangazo hai la {category}. Tafadhali lifunge kabla ya kuhuisha hili.',
+  'Renewal must be between 1 and {max} days': 'Muda wa kuhuisha lazima uwe kati ya siku 1 na {max}',
+  'Listing renewed until {date}': 'Tangazo limehuishwa hadi {date}',
+  'Error renewing listing': 'Hitilafu katika kuhuisha tangazo',
+  'You already have an active {category} listing. Please close it before creating a new one.': 'Tayari una tangazo hai la {category}. Tafadhali lifunge kabla ya kuunda jipya.',
+  '{organisation} already has an active {category} listing. Please close it before creating a new one.': '{organisation} tayari lina tangazo hai la {category}. Tafadhali lifunge kabla ya kuunda jipya.',
+  'Cannot contact owner of inactive listing': 'Huwezi kuwasiliana na mmiliki wa tangazo lisilo hai',
+  'Cannot contact yourself': 'Huwezi kujiwasiliana mwenyewe',
+  'You cannot contact this user': 'Huwezi kuwasiliana na mtumiaji huyu',
+  'Contact request sent successfully': 'Ombi la mawasiliano limetumwa',
+  'Map bounds are required': 'Mipaka ya ramani inahitajika',
+  'Error fetching your listings': 'Hitilafu katika kupata matangazo yako',
+  'Error fetching marketplace listings': 'Hitilafu katika kupata matangazo ya soko',
+  'Error fetching listings': 'Hitilafu katika kupata matangazo',
+  'Error creating listing': 'Hitilafu katika kuunda tangazo',
+  'Error fetching listing': 'Hitilafu katika kupata tangazo',
+  'Error updating listing': 'Hitilafu katika kusasisha tangazo',
+  'Error deleting listing': 'Hitilafu katika kufuta tangazo',
+  'Error closing listing': 'Hitilafu katika kufunga tangazo',
+  'Error marking listing as matched': 'Hitilafu katika kuweka tangazo kama lililolinganishwa',
+  'Error contacting owner': 'Hitilafu katika kuwasiliana na mmiliki',
+  'Error fetching recommended transports': 'Hitilafu katika kupata huduma za usafiri zinazopendekezwa',
+  'Error fetching recommended storages': 'Hitilafu katika kupata maghala yanayopendekezwa',
+  'Error searching listings': 'Hitilafu katika kutafuta matangazo',
+  'Error fetching map listings': 'Hitilafu katika kupata matangazo ya ramani',
+  'No files uploaded': 'Hakuna faili zilizopakiwa',
+  '{count} image(s) uploaded successfully': 'Picha {count} zimepakiwa',
+  'Maximum 4 images allowed. You have {current} images and trying to add {added}.': 'Picha 4 tu zinaruhusiwa. Una picha {current} na unajaribu kuongeza {added}.',
+  'Maximum of 4 images allowed per listing': 'Picha 4 tu zinaruhusiwa kwa kila tangazo',
+  'Image removed successfully': 'Picha imeondolewa',
+  'Primary image set successfully': 'Picha kuu imewekwa',
+  'Invalid order array': 'Mpangilio wa picha si sahihi',
+  'Images reordered successfully': 'Picha zimepangwa upya',
+  'Error uploading images': 'Hitilafu katika kupakia picha',
+  'Error removing image': 'Hitilafu katika kuondoa picha',
+  'Error setting primary image': 'Hitilafu katika kuweka picha kuu',
+  'Error reordering images': 'Hitilafu katika kupanga picha upya',
+
+  // ===============================
+  // Chats, messages and offers
+  // ===============================
+  'Chat not found': 'Mazungumzo hayakupatikana',
+  'Chat not found or access denied': 'Mazungumzo hayakupatikana au huna ruhusa',
+  'Chat deleted successfully': 'Mazungumzo yamefutwa',
+  'Chat {status} successfully': 'Mazungumzo {status}',
+  'Cannot start chat for inactive listing': 'Huwezi kuanzisha mazungumzo kwa tangazo lisilo hai',
+  'Cannot start chat with yourself': 'Huwezi kuanzisha mazungumzo na wewe mwenyewe',
+  'You cannot start a chat with this user': 'Huwezi kuanzisha mazungumzo na mtumiaji huyu',
+  'This chat has been blocked': 'Mazungumzo haya yamezuiwa',
+  'Unblock this user before reopening the chat': 'Mwondolee mtumiaji huyu kizuizi kabla ya kufungua mazungumzo tena',
+  'Rate limit exceeded. Please wait before sending more messages.': 'Umezidi kikomo. Tafadhali subiri kabla ya kutuma ujumbe zaidi.',
+  'Message sent successfully': 'Ujumbe umetumwa',
+  'There is already a pending offer in this chat': 'Tayari kuna ofa inayosubiri katika mazungumzo haya',
+  'Offer sent successfully': 'Ofa imetumwa',
+  'Invalid action. Must be "accept" or "reject"': 'Kitendo si sahihi. Lazima kiwe "accept" au "reject"',
+  'Chat or pending offer not found': 'Mazungumzo au ofa inayosubiri haikupatikana',
+  'Offer not found': 'Ofa haikupatikana',
+  'You cannot respond to your own offer': 'Huwezi kujibu ofa yako mwenyewe',
+  'This offer has already been answered': 'Ofa hii tayari imejibiwa',
+  'Offer accepted successfully': 'Ofa imekubaliwa',
+  'Offer rejected successfully': 'Ofa imekataliwa',
+  'Invalid status. Must be "active", "blocked", or "archived"': 'Hali si sahihi. Lazima iwe "active", "blocked" au "archived"',
+  'isTyping must be a boolean value': 'isTyping lazima iwe kweli au si kweli',
+  'Typing indicator {state}': 'Kiashiria cha kuandika {state}',
+  'Search query must be at least 2 characters': 'Neno la kutafuta lazima liwe na angalau herufi 2',
+  'Error fetching chats': 'Hitilafu katika kupata mazungumzo',
+  'Error deleting chat': 'Hitilafu katika kufuta mazungumzo',
+  'Error creating chat': 'Hitilafu katika kuanzisha mazungumzo',
+  'Error fetching messages': 'Hitilafu katika kupata ujumbe',
+  'Error sending message': 'Hitilafu katika kutuma ujumbe',
+  'Error sending offer': 'Hitilafu katika kutuma ofa',
+  'Error responding to offer': 'Hitilafu katika kujibu ofa',
+  'Error updating chat status': 'Hitilafu katika kubadilisha hali ya mazungumzo',
+  'Error fetching online status': 'Hitilafu katika kupata hali ya kuwa mtandaoni',
+  'Error getting chat health': 'Hitilafu katika kupata hali ya huduma ya mazungumzo',
+  'Error getting offline messages': 'Hitilafu katika kupata ujumbe uliokusubiri',
+  'Error sending typing indicator': 'Hitilafu katika kutuma kiashiria cha kuandika',
+  'Error searching messages': 'Hitilafu katika kutafuta ujumbe',
+
+  // System chat messages
+  'Offer accepted: {quantity}{unit} at KES {price}': 'Ofa imekubaliwa: {quantity}{unit} kwa KES {price}',
+  'Offer rejected: {quantity}{unit} at KES {price}': 'Ofa imekataliwa: {quantity}{unit} kwa KES {price}',
+
+  // Notifications
+  'Offer accepted': 'Ofa imekubaliwa',
+  'Offer rejected': 'Ofa imekataliwa',
+  '{name} accepted your offer of {quantity}{unit} at KES {price} for {listing}': '{name} amekubali ofa yako ya {quantity}{unit} kwa KES {price} kwa {listing}',
+  '{name} rejected your offer of {quantity}{unit} at KES {price} for {listing}': '{name} amekataa ofa yako ya {quantity}{unit} kwa KES {price} kwa {listing}',
+  'New offer from {name}': 'Ofa mpya kutoka kwa {name}',
+  'New message from {name}': 'Ujumbe mpya kutoka kwa {name}',
+  '{quantity}{unit} at KES {price}': '{quantity}{unit} kwa KES {price}',
+  'Sent you a message': 'Amekutumia ujumbe',
+  'Transport booked': 'Usafiri umewekwa',
+  '{name} booked {transport}': '{name} ameweka {transport}',
+  'Storage booked': 'Hifadhi imewekwa',
+  '{name} booked {quantity} of space for {product} at {storage}, {start} to {end}': '{name} ameweka nafasi ya {quantity} kwa {product} katika {storage}, {start} hadi {end}',
+  'You have a new rating': 'Umepata ukadiriaji mpya',
+  '{name} rated you {rating}/5: "{comment}"': '{name} amekukadiria {rating}/5: "{comment}"',
+  '{name} rated you {rating}/5': '{name} amekukadiria {rating}/5',
+  'Listing expired': 'Tangazo limeisha muda',
+  'New match for "{name}"': 'Tangazo jipya linalolingana na "{name}"',
+  'New matches for "{name}"': 'Matangazo mapya yanayolingana na "{name}"',
+  '{count} new listing(s) match your saved search': 'Matangazo mapya {count} yanalingana na utafutaji wako uliohifadhiwa',
+  'Your listing "{title}" has expired and is no longer shown to buyers': 'Tangazo lako "{title}" limeisha muda na halionyeshwi tena kwa wanunuzi',
+  'Listing expiring soon': 'Tangazo linakaribia kuisha muda',
+  'Your listing "{title}" expires in {time}. Renew it to keep it visible to buyers.': 'Tangazo lako "{title}" litaisha muda baada ya {time}. Lihuishe ili liendelee kuonekana kwa wanunuzi.',
+  'Transport service expiring soon': 'Huduma ya usafiri inakaribia kuisha muda',
+  'Your transport service "{title}" expires in {time}. Renew it to keep it visible to farmers.': 'Huduma yako ya usafiri "{title}" itaisha muda baada ya {time}. Ihuishe ili iendelee kuonekana kwa wakulima.',
+  'Transport service expired': 'Huduma ya usafiri imeisha muda',
+  'Your transport service "{title}" has expired and is no longer shown to farmers. Renew it to list it again.': 'Huduma yako ya usafiri "{title}" imeisha muda na haionyeshwi tena kwa wakulima. Ihuishe ili kuitangaza tena.',
+  'Storage facility expiring soon': 'Ghala linakaribia kuisha muda',
+  'Your storage facility "{title}" expires in {time}. Renew it to keep it visible to farmers.': 'Ghala lako "{title}" litaisha muda baada ya {time}. Lihuishe ili liendelee kuonekana kwa wakulima.',
+  'Storage facility expired': 'Ghala limeisha muda',
+  'Your storage facility "{title}" has expired and is no longer shown to farmers. Renew it to list it again.': 'Ghala lako "{title}" limeisha muda na halionyeshwi tena kwa wakulima. Lihuishe ili kulitangaza tena.',
+  '1 hour': 'saa 1',
+  '{count} hours': 'saa {count}',
+  '{count} days': 'siku {count}',
+
+  // ===============================
+  // Match suggestions
+  // ===============================
+  'Match suggestion not found': 'Pendekezo la ulinganisho halikupatikana',
+  'Not authorized to respond to this match': 'Huna ruhusa ya kujibu ulinganisho huu',
+  'This match suggestion has been {status}': 'Pendekezo hili la ulinganisho {status}',
+  withdrawn: 'limeondolewa',
+  'One of the listings is no longer available': 'Mojawapo ya matangazo haipatikani tena',
+  'Invalid action. Must be "accept" or "decline"': 'Kitendo si sahihi. Lazima kiwe "accept" au "decline"',
+  'Status must be one of: {statuses}': 'Hali lazima iwe mojawapo ya: {statuses}',
+  'Match confirmed. Both listings are now matched.': 'Ulinganisho umethibitishwa. Matangazo yote mawili sasa yamelinganishwa.',
+  'Match accepted. Waiting for the other owner.': 'Ulinganisho umekubaliwa. Tunasubiri mmiliki mwingine.',
+  'Match declined': 'Ulinganisho umekataliwa',
+  'Error fetching match suggestions': 'Hitilafu katika kupata mapendekezo ya ulinganisho',
+  'Error responding to match suggestion': 'Hitilafu katika kujibu pendekezo la ulinganisho',
+  'New match suggestion': 'Pendekezo jipya la ulinganisho',
+  '"{other}" could match your listing "{listing}"': '"{other}" linaweza kulingana na tangazo lako "{listing}"',
+  'Match accepted': 'Ulinganisho umekubaliwa',
+  'The owner of "{other}" accepted the match with your listing "{listing}"': 'Mmiliki wa "{other}" amekubali ulinganisho na tangazo lako "{listing}"',
+  'Listing matched': 'Tangazo limelinganishwa',
+  'Your listing "{listing}" is now matched with "{other}"': 'Tangazo lako "{listing}" sasa limelinganishwa na "{other}"',
+
+  // ===============================
+  // Transport and storage recommendations
+  // ===============================
+  'Route starts {distance} km from your listing': 'Safari inaanzia km {distance} kutoka tangazo lako',
+  'Route passes {distance} km from your listing, via {county}': 'Safari inapita km {distance} kutoka tangazo lako, kupitia {county}',
+  'Route passes {distance} km from your listing': 'Safari inapita km {distance} kutoka tangazo lako',
+  'Route ends {distance} km from your listing': 'Safari inaishia km {distance} kutoka tangazo lako',
+  '{distance} km from your listing': 'Km {distance} kutoka tangazo lako',
+  'Capacity not stated; ask the provider': 'Uwezo wa kubeba haujatajwa; uliza mtoa huduma',
+  'Carries up to {capacity} kg': 'Hubeba hadi kg {capacity}',
+  'Carries up to {capacity} kg, enough for your {quantity} kg in one trip': 'Hubeba hadi kg {capacity}, zinatosha kg {quantity} zako kwa safari moja',
+  'Carries {capacity} kg of your {quantity} kg, about {trips} trips': 'Hubeba kg {capacity} kati ya kg {quantity} zako, takriban safari {trips}',
+  '{available} kg of space free': 'Nafasi ya kg {available} iko wazi',
+  '{available} kg of space free, enough for your {quantity} kg': 'Nafasi ya kg {available} iko wazi, inatosha kg {quantity} zako',
+  '{available} kg of space free, {percent}% of your {quantity} kg': 'Nafasi ya kg {available} iko wazi, {percent}% ya kg {quantity} zako',
+  'Your produce does not need refrigeration': 'Mazao yako hayahitaji jokofu',
+  'Refrigerated, suitable for perishable produce': 'Ina jokofu, inafaa kwa mazao yanayoharibika haraka',
+  'Not refrigerated, acceptable for a short {distance} km trip': 'Haina jokofu, inakubalika kwa safari fupi ya km {distance}',
+  'Not refrigerated; perishable produce may spoil on a {distance} km trip': 'Haina jokofu; mazao yanayoharibika haraka yanaweza kuharibika kwa safari ya km {distance}',
+  'Your produce does not need cold storage': 'Mazao yako hayahitaji hifadhi ya baridi',
+  'Temperature controlled ({min} to {max}°C), suitable for perishable produce': 'Joto linadhibitiwa ({min} hadi {max}°C), inafaa kwa mazao yanayoharibika haraka',
+  'Temperature controlled, suitable for perishable produce': 'Joto linadhibitiwa, inafaa kwa mazao yanayoharibika haraka',
+  'Not temperature controlled; perishable produce may spoil': 'Joto halidhibitiwi; mazao yanayoharibika haraka yanaweza kuharibika',
+  'Accepts {types} cargo': 'Hubeba mizigo ya aina: {types}',
+  'Does not say which cargo it accepts': 'Haijataja mizigo inayobeba',
+  'Accepts {products}': 'Hupokea: {products}',
+  'Does not say which produce it accepts': 'Haijataja mazao inayopokea',
+  'Available now': 'Inapatikana sasa',
+  'Available from {date}': 'Inapatikana kuanzia {date}',
+  'Starts on {date}, after your listing expires': 'Inaanza {date}, baada ya tangazo lako kuisha muda',
+  'Runs {recurrence}': 'Hufanya safari {recurrence}',
+  daily: 'kila siku',
+  weekly: 'kila wiki',
+  monthly: 'kila mwezi',
+  once: 'mara moja',
+  'Listed for only {available} of the {days} days you need': 'Imetangazwa kwa siku {available} tu kati ya siku {days} unazohitaji',
+  'Minimum booking is {minimum} days, longer than the {days} days you need': 'Muda wa chini wa kuhifadhi ni siku {minimum}, zaidi ya siku {days} unazohitaji',
+  'Available for the {days} days you need': 'Inapatikana kwa siku {days} unazohitaji',
+  'Price depends on the load; ask the provider for a quote': 'Bei inategemea mzigo; muulize mtoa huduma akupe makadirio',
+  'About KES {price}, the lowest of these options': 'Takriban KES {price}, bei ya chini zaidi kati ya chaguo hizi',
+  'About KES {price}, {percent}% above the lowest option': 'Takriban KES {price}, {percent}% zaidi ya chaguo la bei ya chini',
+  'Not rated yet': 'Bado haijakadiriwa',
+  'Rated {average}/5 by {count} customer(s)': 'Imekadiriwa {average}/5 na wateja {count}',
+  'Verified provider': 'Mtoa huduma aliyethibitishwa',
+  'Licence or insurance verified': 'Leseni au bima imethibitishwa',
+  'Not verified yet': 'Bado hajathibitishwa',
+
+  // ===============================
+  // Saved searches
+  // ===============================
+  'Search saved successfully': 'Utafutaji umehifadhiwa',
+  'Saved search not found': 'Utafutaji uliohifadhiwa haukupatikana',
+  'Saved search updated successfully': 'Utafutaji uliohifadhiwa umesasishwa',
+  'Saved search deleted successfully': 'Utafutaji uliohifadhiwa umefutwa',
+  'You can have at most {max} saved searches. Delete one first.': 'Unaweza kuhifadhi tafuta zisizozidi {max}. Futa mojawapo kwanza.',
+  'Error saving search': 'Hitilafu katika kuhifadhi utafutaji',
+  'Error fetching saved searches': 'Hitilafu katika kupata tafuta zilizohifadhiwa',
+  'Error fetching saved search': 'Hitilafu katika kupata utafutaji uliohifadhiwa',
+  'Error updating saved search': 'Hitilafu katika kusasisha utafutaji uliohifadhiwa',
+  'Error deleting saved search': 'Hitilafu katika kufuta utafutaji uliohifadhiwa',
+  'Error fetching saved search matches': 'Hitilafu katika kupata matangazo yanayolingana',
+  'Search text must be less than 200 characters': 'Maandishi ya kutafuta lazima yawe chini ya herufi 200',
+  'Filters must be an object': 'Vichujio lazima viwe kitu (object)',
+  'Invalid category': 'Kundi si sahihi',
+  'Type must be surplus or need': 'Aina lazima iwe surplus au need',
+  'Invalid quality grade': 'Daraja la ubora si sahihi',
+  'Price and quantity filters must be positive numbers': 'Vichujio vya bei na kiasi lazima viwe nambari chanya',
+  'near must be an object': 'near lazima iwe kitu (object)',
+  'Radius must be between 1 and 500 km': 'Umbali lazima uwe kati ya km 1 na 500',
+  'Alerts must be one of: {values}': 'Arifa lazima ziwe mojawapo ya: {values}',
+  'since must be a valid date': 'since lazima iwe tarehe sahihi',
+
+  // ===============================
+  // Transport
+  // ===============================
+  'Transport service not found': 'Huduma ya usafiri haikupatikana',
+  'Transport service created successfully': 'Huduma ya usafiri imeundwa',
+  'Transport service updated successfully': 'Huduma ya usafiri imesasishwa',
+  'Transport service deleted successfully': 'Huduma ya usafiri imefutwa',
+  'Transport service is not available': 'Huduma ya usafiri haipatikani',
+  'This transport service has expired': 'Huduma hii ya usafiri imeisha muda',
+  'This storage facility has expired': 'Ghala hili limeisha muda',
+  'Transport service booked successfully': 'Huduma ya usafiri imewekwa',
+  'Transport service marked as completed': 'Huduma ya usafiri imewekwa kama iliyokamilika',
+  'Transport booking cancelled successfully': 'Uwekaji wa usafiri umeghairiwa',
+  'Cannot update a {status} transport service': 'Huwezi kubadilisha huduma ya usafiri {status}',
+  'Cannot delete a {status} transport service': 'Huwezi kufuta huduma ya usafiri {status}',
+  'Cannot cancel a {status} transport service': 'Huwezi kughairi huduma ya usafiri {status}',
+  'Cannot complete a {status} transport service': 'Huwezi kukamilisha huduma ya usafiri {status}',
+  'Cannot renew a {status} transport service': 'Huwezi kuhuisha huduma ya usafiri {status}',
+  'Transport service renewed until {date}': 'Huduma ya usafiri imehuishwa hadi {date}',
+  'Error renewing transport service': 'Hitilafu katika kuhuisha huduma ya usafiri',
+  'Route information (from and to counties) is required': 'Taarifa za njia (kaunti ya kuanzia na ya kufikia) zinahitajika',
+  'From and to counties are required': 'Kaunti ya kuanzia na ya kufikia zinahitajika',
+  'You cannot book services from this user': 'Huwezi kuweka huduma kutoka kwa mtumiaji huyu',
+  'Error fetching transport services': 'Hitilafu katika kupata huduma za usafiri',
+  'Error creating transport service': 'Hitilafu katika kuunda huduma ya usafiri',
+  'Error fetching your transport services': 'Hitilafu katika kupata huduma zako za usafiri',
+  'Error fetching transport service': 'Hitilafu katika kupata huduma ya usafiri',
+  'Error updating transport service': 'Hitilafu katika kusasisha huduma ya usafiri',
+  'Error booking transport service': 'Hitilafu katika kuweka huduma ya usafiri',
+  'Error completing transport service': 'Hitilafu katika kukamilisha huduma ya usafiri',
+  'Error cancelling transport booking': 'Hitilafu katika kughairi uwekaji wa usafiri',
+  'Error deleting transport service': 'Hitilafu katika kufuta huduma ya usafiri',
+
+  // ===============================
+  // Storage
+  // ===============================
+  'Storage facility not found': 'Ghala halikupatikana',
+  'Storage facility created successfully': 'Ghala limeundwa',
+  'Storage facility updated successfully': 'Ghala limesasishwa',
+  'Storage facility deleted successfully': 'Ghala limefutwa',
+  'Cannot renew a closed storage facility': 'Huwezi kuhuisha ghala lililofungwa',
+  'Storage facility renewed until {date}': 'Ghala limehuishwa hadi {date}',
+  'Error renewing storage facility': 'Hitilafu katika kuhuisha ghala',
+  'Storage facility booked successfully': 'Nafasi ya ghala imewekwa',
+  'Storage space released successfully': 'Nafasi ya hifadhi imeachiliwa',
+  'County information is required': 'Taarifa za kaunti zinahitajika',
+  'Insufficient storage capacity available': 'Hakuna nafasi ya kutosha ya hifadhi',
+  'Insufficient capacity available': 'Hakuna nafasi ya kutosha',
+  'This product type is not accepted by this storage facility': 'Aina hii ya bidhaa haipokelewi na ghala hili',
+  'Booking not found': 'Uwekaji haukupatikana',
+  'Cannot delete storage facility with active bookings': 'Huwezi kufuta ghala lenye nafasi zilizowekwa',
+  'Error fetching storage facilities': 'Hitilafu katika kupata maghala',
+  'Error creating storage facility': 'Hitilafu katika kuunda ghala',
+  'Error fetching your storage facilities': 'Hitilafu katika kupata maghala yako',
+  'Error fetching storage facility': 'Hitilafu katika kupata ghala',
+  'Error updating storage facility': 'Hitilafu katika kusasisha ghala',
+  'Error booking storage facility': 'Hitilafu katika kuweka nafasi ya ghala',
+  'Error releasing storage space': 'Hitilafu katika kuachilia nafasi ya hifadhi',
+  'Error deleting storage facility': 'Hitilafu katika kufuta ghala',
+
+  // ===============================
+  // KYC documents
+  // ===============================
+  'No document uploaded': 'Hakuna hati iliyopakiwa',
+  'Subject type must be transport or storage': 'Aina ya huduma lazima iwe transport au storage',
+  'Document type must be one of: {types}': 'Aina ya hati lazima iwe mojawapo ya: {types}',
+  'Document has already expired': 'Hati tayari imeisha muda',
+  'Document submitted for review': 'Hati imewasilishwa kwa ukaguzi',
+  'Document not found': 'Hati haikupatikana',
+  'Document file is no longer available': 'Faili ya hati haipatikani tena',
+  'Document {status}': 'Hati {status}',
+  'Comment text is required': 'Maandishi ya maoni yanahitajika',
+  'Comment added': 'Maoni yameongezwa',
+  'Decision must be approve or reject': 'Uamuzi lazima uwe approve au reject',
+  'A comment explaining the rejection is required': 'Maoni yanayoeleza sababu ya kukataa yanahitajika',
+  'Error uploading document': 'Hitilafu katika kupakia hati',
+  'Error fetching your documents': 'Hitilafu katika kupata hati zako',
+  'Error fetching document': 'Hitilafu katika kupata hati',
+  'Error fetching document file': 'Hitilafu katika kupata faili ya hati',
+  'Error adding comment': 'Hitilafu katika kuongeza maoni',
+  'Error fetching review queue': 'Hitilafu katika kupata orodha ya ukaguzi',
+  'Error reviewing document': 'Hitilafu katika kukagua hati',
+
+  // ===============================
+  // Organisations
+  // ===============================
+  'Organisation not found': 'Shirika halikupatikana',
+  'Organisation created successfully': 'Shirika limeundwa',
+  'Organisation updated successfully': 'Shirika limesasishwa',
+  'Not authorized to act on behalf of this organisation': 'Huna ruhusa ya kutenda kwa niaba ya shirika hili',
+  'User is already a member of this organisation': 'Mtumiaji tayari ni mwanachama wa shirika hili',
+  'Member not found': 'Mwanachama hakupatikana',
+  'Member is now a {role}': 'Mwanachama sasa ni {role}',
+  'An organisation needs at least one manager. Appoint another manager first.': 'Shirika linahitaji angalau meneja mmoja. Teua meneja mwingine kwanza.',
+  'Provide a valid email or Kenyan phone number to invite': 'Weka barua pepe sahihi au nambari ya simu ya Kenya ili kualika',
+  'This person is already a member': 'Mtu huyu tayari ni mwanachama',
+  'Invitation sent to {recipient}': 'Mwaliko umetumwa kwa {recipient}',
+  'Pending invitation not found': 'Mwaliko unaosubiri haukupatikana',
+  'Invitation revoked': 'Mwaliko umebatilishwa',
+  'Invitation not found or expired': 'Mwaliko haukupatikana au umeisha muda',
+  'Invitation declined': 'Mwaliko umekataliwa',
+  'You joined {organisation} as a {role}': 'Umejiunga na {organisation} kama {role}',
+  'Error creating organisation': 'Hitilafu katika kuunda shirika',
+  'Error fetching your organisations': 'Hitilafu katika kupata mashirika yako',
+  'Error fetching organisation': 'Hitilafu katika kupata shirika',
+  'Error updating organisation': 'Hitilafu katika kusasisha shirika',
+  'Error fetching organisation stats': 'Hitilafu katika kupata takwimu za shirika',
+  'Error fetching organisation listings': 'Hitilafu katika kupata matangazo ya shirika',
+  'Error fetching members': 'Hitilafu katika kupata wanachama',
+  'Error sending invitation': 'Hitilafu katika kutuma mwaliko',
+  'Error fetching invitations': 'Hitilafu katika kupata mialiko',
+  'Error revoking invitation': 'Hitilafu katika kubatilisha mwaliko',
+  'Error fetching your invitations': 'Hitilafu katika kupata mialiko yako',
+  'Error declining invitation': 'Hitilafu katika kukataa mwaliko',
+
+  // ===============================
+  // API keys, audit log and webhooks
+  // ===============================
+  'API key created. Copy it now, it will not be shown again.': 'Ufunguo wa API umeundwa. Unakili sasa, hautaonyeshwa tena.',
+  'API key not found': 'Ufunguo wa API haukupatikana',
+  'API key updated': 'Ufunguo wa API umesasishwa',
+  'API key revoked': 'Ufunguo wa API umebatilishwa',
+  'Revoked keys cannot be changed': 'Funguo zilizobatilishwa haziwezi kubadilishwa',
+  'You can have at most {max} active API keys. Revoke one first.': 'Unaweza kuwa na funguo za API zisizozidi {max}. Batilisha mmoja kwanza.',
+  'Error creating API key': 'Hitilafu katika kuunda ufunguo wa API',
+  'Error fetching API keys': 'Hitilafu katika kupata funguo za API',
+  'Error updating API key': 'Hitilafu katika kusasisha ufunguo wa API',
+  'Error revoking API key': 'Hitilafu katika kubatilisha ufunguo wa API',
+  'Error fetching audit logs': 'Hitilafu katika kupata kumbukumbu za ukaguzi',
+  'Error verifying audit log': 'Hitilafu katika kuthibitisha kumbukumbu za ukaguzi',
+  'Webhook registered successfully': 'Webhook imesajiliwa',
+  'Webhook updated successfully': 'Webhook imesasishwa',
+  'Webhook deleted successfully': 'Webhook imefutwa',
+  'Webhook not found': 'Webhook haikupatikana',
+  'Webhook is disabled': 'Webhook imezimwa',
+  'Webhook test successful': 'Jaribio la webhook limefaulu',
+  'Webhook test failed': 'Jaribio la webhook limeshindwa',
+  'Dead letter queue retry initiated': 'Kujaribu tena foleni ya zilizoshindikana kumeanzishwa',
+  'Invalid webhook URL: {reason}': 'URL ya webhook si sahihi: {reason}',
+  'Webhook URL must use HTTPS in production': 'URL ya webhook lazima itumie HTTPS katika uzalishaji',
+  'Webhook URL uses a potentially dangerous port': 'URL ya webhook inatumia mlango unaoweza kuwa hatari',
+  'Webhook URL cannot point to private/internal network in production': 'URL ya webhook haiwezi kuelekeza kwenye mtandao wa ndani katika uzalishaji',
+  'Error registering webhook': 'Hitilafu katika kusajili webhook',
+  'Error getting webhooks': 'Hitilafu katika kupata webhooks',
+  'Error getting webhook': 'Hitilafu katika kupata webhook',
+  'Error updating webhook': 'Hitilafu katika kusasisha webhook',
+  'Error deleting webhook': 'Hitilafu katika kufuta webhook',
+  'Error testing webhook': 'Hitilafu katika kujaribu webhook',
+  'Error getting webhook stats': 'Hitilafu katika kupata takwimu za webhook',
+  'Error getting webhook overview': 'Hitilafu katika kupata muhtasari wa webhook',
+  'Error retrying dead letter queue': 'Hitilafu katika kujaribu tena foleni ya zilizoshindikana',
+
+  // ===============================
+  // Role access
+  // ===============================
+  'Farmer access granted': 'Ruhusa ya mkulima imetolewa',
+  'Transporter access granted': 'Ruhusa ya msafirishaji imetolewa',
+  'Storage provider access granted': 'Ruhusa ya mtoa huduma ya hifadhi imetolewa',
+  'Admin access granted': 'Ruhusa ya msimamizi imetolewa',
+  'Service provider access granted': 'Ruhusa ya mtoa huduma imetolewa',
+
+  // ===============================
+  // Validation (express-validator)
+  // ===============================
+  'Please provide a valid email': 'Tafadhali weka barua pepe sahihi',
+  'Please provide a valid phone number': 'Tafadhali weka nambari sahihi ya simu',
+  'Password must be at least 6 characters long': 'Nenosiri lazima liwe na angalau herufi 6',
+  'Password is required': 'Nenosiri linahitajika',
+  'Current password is required': 'Nenosiri la sasa linahitajika',
+  'Name is required': 'Jina linahitajika',
+  'Name cannot be empty': 'Jina haliwezi kuwa tupu',
+  'Name is required (max 100 characters)': 'Jina linahitajika (herufi 100 zaidi)',
+  'Name cannot be empty (max 100 characters)': 'Jina haliwezi kuwa tupu (herufi 100 zaidi)',
+  'Name must be between 2 and 100 characters': 'Jina lazima liwe na herufi kati ya 2 na 100',
+  'Roles must be an array': 'Majukumu lazima yawe orodha',
+  'Invalid role': 'Jukumu si sahihi',
+  'Valid role is required': 'Jukumu sahihi linahitajika',
+  'Role must be farmer, transport or storage': 'Jukumu lazima liwe farmer, transport au storage',
+  'Role must be manager, clerk or member': 'Jukumu lazima liwe manager, clerk au member',
+  'Roles must be one of: {roles}': 'Majukumu lazima yawe mojawapo ya: {roles}',
+  'Role info must be an object': 'Taarifa za jukumu lazima ziwe kitu (object)',
+  'Farmer info must be an object': 'Taarifa za mkulima lazima ziwe kitu (object)',
+  'Transport info must be an object': 'Taarifa za usafiri lazima ziwe kitu (object)',
+  'Storage info must be an object': 'Taarifa za hifadhi lazima ziwe kitu (object)',
+  'Farm must be an object': 'Taarifa za shamba lazima ziwe kitu (object)',
+  'Data must be an object': 'Data lazima iwe kitu (object)',
+  'Refresh token is required': 'Tokeni ya kuonyesha upya inahitajika',
+  'Reset token is required': 'Tokeni ya kubadilisha nenosiri inahitajika',
+  'Verification token is required': 'Tokeni ya uthibitishaji inahitajika',
+  'Phone number is required': 'Nambari ya simu inahitajika',
+  'A 6-digit code is required': 'Msimbo wa tarakimu 6 unahitajika',
+  'Valid latitude is required': 'Latitudo sahihi inahitajika',
+  'Valid longitude is required': 'Longitudo sahihi inahitajika',
+  'Location precision must be one of: {precisions}': 'Usahihi wa eneo lazima uwe mojawapo ya: {precisions}',
+  'discoverableBy must be an array of roles': 'discoverableBy lazima iwe orodha ya majukumu',
+  'channels must map notification types to channel lists': 'channels lazima ioanishe aina za arifa na orodha za njia',
+  'Notification types must be: {types}': 'Aina za arifa lazima ziwe: {types}',
+  'Each notification type takes an array of channels': 'Kila aina ya arifa inahitaji orodha ya njia',
+  'Channels must be one of: {channels}': 'Njia lazima ziwe mojawapo ya: {channels}',
+  'quietHours.enabled must be true or false': 'quietHours.enabled lazima iwe true au false',
+  'quietHours.start must be HH:mm': 'quietHours.start lazima iwe HH:mm',
+  'quietHours.end must be HH:mm': 'quietHours.end lazima iwe HH:mm',
+  'Unknown timezone': 'Saa za eneo hazijulikani',
+  'digest.enabled must be true or false': 'digest.enabled lazima iwe true au false',
+  'digest.hour must be between 0 and 23': 'digest.hour lazima iwe kati ya 0 na 23',
+  'Language must be one of: {languages}': 'Lugha lazima iwe mojawapo ya: {languages}',
+  'Invalid user ID': 'Kitambulisho cha mtumiaji si sahihi',
+  'Valid user ID is required': 'Kitambulisho sahihi cha mtumiaji kinahitajika',
+  'Invalid actor ID': 'Kitambulisho cha mhusika si sahihi',
+  'Invalid subject ID': 'Kitambulisho cha huduma si sahihi',
+  'Valid subject ID is required': 'Kitambulisho sahihi cha huduma kinahitajika',
+  'Reason must be less than 500 characters': 'Sababu lazima iwe chini ya herufi 500',
+  'Reason must be between 3 and 500 characters': 'Sababu lazima iwe na herufi kati ya 3 na 500',
+  'A reason between 3 and 500 characters is required': 'Sababu yenye herufi kati ya 3 na 500 inahitajika',
+  'Rating must be between 1 and 5': 'Ukadiriaji lazima uwe kati ya 1 na 5',
+  'Comment must be less than 500 characters': 'Maoni lazima yawe chini ya herufi 500',
+  'Reply must be between 1 and 500 characters': 'Jibu lazima liwe na herufi kati ya 1 na 500',
+  'Bio must be less than 500 characters': 'Wasifu mfupi lazima uwe chini ya herufi 500',
+  'Description must be less than 1000 characters': 'Maelezo lazima yawe chini ya herufi 1000',
+  'Valid transaction ID is required': 'Kitambulisho sahihi cha muamala kinahitajika',
+  'Transaction type must be one of: {types}': 'Aina ya muamala lazima iwe mojawapo ya: {types}',
+  'Direction must be income or expense': 'Mwelekeo lazima uwe income au expense',
+  'Invalid status': 'Hali si sahihi',
+  'Format must be json or csv': 'Muundo lazima uwe json au csv',
+  'Period must be one of: {periods}': 'Kipindi lazima kiwe mojawapo ya: {periods}',
+  'Invalid organisation type': 'Aina ya shirika si sahihi',
+  'Categories must be an array': 'Makundi lazima yawe orodha',
+  'Unknown county': 'Kaunti haijulikani',
+  'At least one scope is required': 'Angalau upeo mmoja unahitajika',
+  'Invalid scope': 'Upeo si sahihi',
+  'Expiry must be between 1 and 365 days': 'Muda wa kuisha lazima uwe kati ya siku 1 na 365',
+  'from must be a valid date': 'from lazima iwe tarehe sahihi',
+  'to must be a valid date': 'to lazima iwe tarehe sahihi',
+  'Page must be a positive number': 'Ukurasa lazima uwe nambari chanya',
+  'fromSeq must be a positive number': 'fromSeq lazima iwe nambari chanya',
+  'Limit must be between 1 and 50': 'Kikomo lazima kiwe kati ya 1 na 50',
+  'Limit must be between 1 and 200': 'Kikomo lazima kiwe kati ya 1 na 200',
+  'Limit must be between 1 and 100000': 'Kikomo lazima kiwe kati ya 1 na 100000',
+  'Search text is required': 'Maandishi ya kutafuta yanahitajika',
+  'Types must be a comma-separated list of: {types}': 'Aina lazima ziwe orodha iliyotenganishwa kwa koma ya: {types}',
+
+  // ===============================
+  // Permission descriptions ("Not authorized to ...")
+  // ===============================
+  'act on behalf of this organisation': 'kutenda kwa niaba ya shirika hili',
+  'book storage for this listing': 'kuweka nafasi ya hifadhi kwa tangazo hili',
+  'book transport for this listing': 'kuweka usafiri kwa tangazo hili',
+  'cancel this booking': 'kughairi uwekaji huu',
+  'close this listing': 'kufunga tangazo hili',
+  'renew this listing': 'kuhuisha tangazo hili',
+  'renew this storage facility': 'kuhuisha ghala hili',
+  'renew this transport service': 'kuhuisha huduma hii ya usafiri',
+  'complete this transport service': 'kukamilisha huduma hii ya usafiri',
+  'create product listings': 'kuunda matangazo ya bidhaa',
+  'create storage facilities': 'kuunda maghala',
+  'create transport services': 'kuunda huduma za usafiri',
+  'delete this listing': 'kufuta tangazo hili',
+  'delete this storage facility': 'kufuta ghala hili',
+  'delete this transport service': 'kufuta huduma hii ya usafiri',
+  'manage images for this listing': 'kusimamia picha za tangazo hili',
+  'manage login lockouts': 'kusimamia vizuizi vya kuingia',
+  'manage members of this organisation': 'kusimamia wanachama wa shirika hili',
+  'see the phone numbers of members of this organisation': 'kuona nambari za simu za wanachama wa shirika hili',
+  'manage user roles': 'kusimamia majukumu ya watumiaji',
+  'mark this listing as matched': 'kuweka tangazo hili kama lililolinganishwa',
+  'moderate ratings': 'kusimamia ukadiriaji',
+  'moderate this chat': 'kusimamia mazungumzo haya',
+  'moderate users': 'kusimamia watumiaji',
+  'release this storage space': 'kuachilia nafasi hii ya hifadhi',
+  'respond to offers on this listing': 'kujibu ofa za tangazo hili',
+  'review KYC documents': 'kukagua hati za KYC',
+  'submit documents for this service': 'kuwasilisha hati za huduma hii',
+  'update this listing': 'kusasisha tangazo hili',
+  'update this organisation': 'kusasisha shirika hili',
+  'update this storage facility': 'kusasisha ghala hili',
+  'update this transport service': 'kusasisha huduma hii ya usafiri',
+  'view all listings': 'kuona matangazo yote',
+  'view all storage facilities': 'kuona maghala yote',
+  'view all transport services': 'kuona huduma zote za usafiri',
+  'view listings needing storage': 'kuona matangazo yanayohitaji hifadhi',
+  'view listings needing transport': 'kuona matangazo yanayohitaji usafiri',
+  'view recommendations for this listing': 'kuona mapendekezo ya tangazo hili',
+  'view the audit log': 'kuona kumbukumbu za ukaguzi',
+  'view this document': 'kuona hati hii',
+  'view this listing': 'kuona tangazo hili',
+  'view this organisation': 'kuona shirika hili',
+  'view this storage facility': 'kuona ghala hili',
+  'view this transport service': 'kuona huduma hii ya usafiri'
+};
+
+// Joi error templates, by error code
+const joi = {
+  'any.required': '{{#label}} inahitajika',
+  'any.only': '{{#label}} lazima iwe mojawapo ya {{#valids}}',
+  'any.unknown': '{{#label}} hairuhusiwi',
+  'any.invalid': '{{#label}} ina thamani isiyoruhusiwa',
+  'alternatives.match': '{{#label}} hailingani na muundo wowote unaoruhusiwa',
+  'alternatives.types': '{{#label}} si ya aina inayoruhusiwa',
+  'array.base': '{{#label}} lazima iwe orodha',
+  'array.includes': '{{#label}} ina kipengele kisichoruhusiwa',
+  'array.length': '{{#label}} lazima iwe na vipengele {{#limit}}',
+  'array.max': '{{#label}} haiwezi kuwa na vipengele zaidi ya {{#limit}}',
+  'array.min': '{{#label}} lazima iwe na angalau vipengele {{#limit}}',
+  'boolean.base': '{{#label}} lazima iwe kweli au si kweli',
+  'date.base': '{{#label}} lazima iwe tarehe sahihi',
+  'number.base': '{{#label}} lazima iwe nambari',
+  'number.integer': '{{#label}} lazima iwe nambari kamili',
+  'number.max': '{{#label}} haiwezi kuzidi {{#limit}}',
+  'number.min': '{{#label}} lazima iwe angalau {{#limit}}',
+  'number.positive': '{{#label}} lazima iwe nambari chanya',
+  'object.base': '{{#label}} lazima iwe kitu (object)',
+  'object.unknown': '{{#label}} hairuhusiwi',
+  'string.base': '{{#label}} lazima iwe maandishi',
+  'string.email': '{{#label}} lazima iwe barua pepe sahihi',
+  'string.empty': '{{#label}} haiwezi kuwa tupu',
+  'string.max': '{{#label}} haiwezi kuzidi herufi {{#limit}}',
+  'string.min': '{{#label}} lazima iwe na angalau herufi {{#limit}}',
+  'string.uri': '{{#label}} lazima iwe URL sahihi'
+};
+
+module.exports = {
+  name: 'Kiswahili',
+  messages,
+  joi
+};
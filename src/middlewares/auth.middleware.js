@@ -1,9 +1,91 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { tokenService } = require('../services/tokenService');
+
+// Resources reachable with an API key, by mount path
+const API_KEY_RESOURCES = {
+  '/api/listings': 'listings',
+  '/api/chats': 'chats',
+  '/api/transports': 'transports',
+  '/api/storages': 'storages',
+  '/api/webhooks': 'webhooks'
+};
+
+// Only record key usage once a minute to avoid a write per request
+const LAST_USED_INTERVAL = 60 * 1000;
+
+// Scope an API key needs for this request, or null if keys are not accepted here
+const requiredScope = (req) => {
+  const resource = API_KEY_RESOURCES[req.baseUrl];
+  if (!resource) return null;
+
+  if (['GET', 'HEAD'].includes(req.method)) return `${resource}:read`;
+  return resource === 'webhooks' ? 'webhooks:manage' : `${resource}:write`;
+};
+
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findActiveByKey(req.headers['x-api-key']);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired API key'
+      });
+    }
+
+    const scope = requiredScope(req);
+    if (!scope || !apiKey.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: scope ? `API key is missing the ${scope} scope` : 'API keys cannot access this resource'
+      });
+    }
+
+    req.user = await User.findById(apiKey.user).select('-password');
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.user.profileStatus === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account suspended'
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.tokenSessionId = null;
+    req.activeRole = req.user.resolveActiveRole();
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL) {
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip })
+        .catch(err => console.error('API key usage tracking error:', err));
+    }
+
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error);
+    res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+};
 
 const protect = async (req, res, next) => {
   let token;
 
+  // Server-to-server integrations authenticate with an API key instead of a JWT
+  if (!req.headers.authorization && req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next);
+  }
+
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith('Bearer')
@@ -15,6 +97,14 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject logged-out sessions and tokens issued before a revoke-all
+      if (await tokenService.isAccessTokenRevoked(decoded)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token revoked'
+        });
+      }
+
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -25,6 +115,19 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (req.user.profileStatus === 'suspended') {
+        return res.status(403).json({
+          success: false,
+          message: 'Account suspended'
+        });
+      }
+
+      req.tokenSessionId = decoded.sid || null;
+      req.activeRole = req.user.resolveActiveRole(decoded.activeRole);
+
+      tokenService.touchSession(req.tokenSessionId, req.ip)
+        .catch(err => console.error('Session activity tracking error:', err));
+
       next();
     } catch (error) {
       console.error('Auth middleware error:', error);
@@ -0,0 +1,29 @@
+// src/middlewares/i18n.middleware.js
+const { negotiateLanguage, resolveLanguage, translate, localizeBody } = require('../utils/i18n');
+
+/**
+ * Language for a request: the signed-in user's profile setting, falling
+ * back to the Accept-Language header. Read when the response is sent, so
+ * it sees the user that auth attached later in the chain.
+ */
+const languageOf = (req) => resolveLanguage(req.user?.language || req.language);
+
+/**
+ * Negotiate the response language and translate JSON responses into it.
+ * Adds req.t() for messages built outside the response body.
+ */
+const localize = (req, res, next) => {
+  req.language = negotiateLanguage(req.get('accept-language'));
+  req.t = (text, params) => translate(languageOf(req), text, params);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const language = languageOf(req);
+    res.set('Content-Language', language);
+    return json(localizeBody(body, language));
+  };
+
+  next();
+};
+
+module.exports = { localize, languageOf };
@@ -0,0 +1,85 @@
+// src/middlewares/permission.middleware.js
+const { POLICIES } = require('../config/policies');
+
+// ObjectId, populated document or plain id as a string
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+const organisationRole = (user, organisationId) => {
+  return user.organisationRole ? user.organisationRole(organisationId) : null;
+};
+
+/**
+ * Relations between a user and a resource that policies can refer to.
+ * `context` carries extra records for nested resources (e.g. a booking).
+ */
+const RELATIONS = {
+  owner: (user, resource) => idOf(resource?.owner) === user.id,
+  booker: (user, resource, context) => idOf((context.booking || resource)?.bookedBy) === user.id,
+  participant: (user, resource) => (resource?.participants || []).some(p => idOf(p) === user.id),
+
+  // The resource is an organisation the user belongs to
+  member: (user, resource) => Boolean(organisationRole(user, resource?._id)),
+  manager: (user, resource) => organisationRole(user, resource?._id) === 'manager',
+  staff: (user, resource) => ['manager', 'clerk'].includes(organisationRole(user, resource?._id)),
+
+  // The resource was created on behalf of an organisation the user runs
+  organisation_staff: (user, resource) => ['manager', 'clerk'].includes(organisationRole(user, resource?.organisation))
+};
+
+/**
+ * Check whether a user may perform an action, optionally on a resource
+ */
+const can = (user, action, resource = null, context = {}) => {
+  const policy = POLICIES[action];
+  if (!policy) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  if (!user) return false;
+
+  if ((policy.roles || []).some(role => user.roles.includes(role))) {
+    return true;
+  }
+
+  if (!resource) return false;
+
+  return (policy.relations || []).some(relation => RELATIONS[relation](user, resource, context));
+};
+
+// Consistent 403 response for a denied action
+const forbidden = (res, action) => {
+  return res.status(403).json({
+    success: false,
+    message: `Not authorized to ${POLICIES[action]?.description || 'perform this action'}`,
+    action
+  });
+};
+
+/**
+ * Route guard for actions that do not depend on a specific resource
+ */
+const permit = (action) => {
+  if (!POLICIES[action]) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated'
+      });
+    }
+
+    if (!can(req.user, action)) {
+      return forbidden(res, action);
+    }
+
+    next();
+  };
+};
+
+module.exports = { can, forbidden, permit };
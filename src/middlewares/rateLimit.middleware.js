@@ -0,0 +1,37 @@
+// src/middlewares/rateLimit.middleware.js
+const redisClient = require('../config/redis');
+
+/**
+ * Fixed-window limit per client IP, e.g.
+ * rateLimit({ name: 'register', max: 10, windowSeconds: 3600 })
+ */
+const rateLimit = ({ name, max, windowSeconds, message = 'Too many requests. Please try again later' }) => {
+  return async (req, res, next) => {
+    try {
+      const key = `ratelimit:${name}:${req.ip}`;
+      const count = await redisClient.incr(key);
+
+      if (count === 1) {
+        await redisClient.expire(key, windowSeconds);
+      }
+
+      if (count > max) {
+        const retryAfter = await redisClient.ttl(key);
+        res.set('Retry-After', String(Math.max(retryAfter, 1)));
+        return res.status(429).json({
+          success: false,
+          message,
+          retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never block requests because the limiter store is unavailable
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,15 @@
+// src/middlewares/requestId.middleware.js
+const crypto = require('crypto');
+
+/**
+ * Tag each request with an id (the caller's X-Request-Id if it looks sane)
+ * and echo it back, so logs and audit entries can be tied to a request.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
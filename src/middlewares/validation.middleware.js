@@ -1,7 +1,10 @@
 // src/middlewares/validation.middleware.js
+const { joiOptions } = require('../utils/i18n');
+const { languageOf } = require('./i18n.middleware');
+
 const validate = (schema) => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body, { abortEarly: false });
+    const { error } = schema.validate(req.body, { abortEarly: false, ...joiOptions(languageOf(req)) });
     
     if (error) {
       const errors = error.details.map(detail => ({
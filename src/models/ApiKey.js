@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Scopes a key can be granted; resource:read covers GET requests,
+// resource:write (webhooks:manage for webhooks) covers everything else
+const SCOPES = [
+  'listings:read',
+  'listings:write',
+  'chats:read',
+  'chats:write',
+  'transports:read',
+  'transports:write',
+  'storages:read',
+  'storages:write',
+  'webhooks:read',
+  'webhooks:manage'
+];
+
+const KEY_PREFIX = 'fck_';
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    // Leading characters of the key, shown so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+
+    scopes: [{
+      type: String,
+      enum: SCOPES
+    }],
+
+    expiresAt: {
+      type: Date
+    },
+
+    lastUsedAt: {
+      type: Date
+    },
+
+    lastUsedIp: {
+      type: String
+    },
+
+    revokedAt: {
+      type: Date
+    },
+
+    revokedReason: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// ===============================
+// Indexes
+// ===============================
+ApiKeySchema.index({ user: 1, createdAt: -1 });
+
+// ===============================
+// Virtuals
+// ===============================
+ApiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || new Date() < this.expiresAt;
+});
+
+// ===============================
+// Methods
+// ===============================
+ApiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// ===============================
+// Static Methods
+// ===============================
+ApiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Create a new random key. The plain key is only ever returned here.
+ApiKeySchema.statics.generateKey = function() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: this.hashKey(key)
+  };
+};
+
+ApiKeySchema.statics.findActiveByKey = function(key) {
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: null,
+    $or: [
+      { expiresAt: { $exists: false } },
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  });
+};
+
+ApiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
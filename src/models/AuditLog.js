@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    // Position in the hash chain; unique so concurrent writers cannot fork it
+    seq: {
+      type: Number,
+      required: true,
+      unique: true
+    },
+
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    actorRoles: [String],
+
+    // e.g. 'user.roles.update', 'listing.delete'
+    action: {
+      type: String,
+      required: true
+    },
+
+    target: {
+      type: {
+        type: String,
+        required: true
+      },
+      id: {
+        type: String,
+        required: true
+      }
+    },
+
+    // Changed fields: { field: { before, after } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    ip: String,
+    userAgent: String,
+    requestId: String,
+
+    createdAt: {
+      type: Date,
+      required: true
+    },
+
+    prevHash: {
+      type: String,
+      required: true
+    },
+
+    hash: {
+      type: String,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+// ===============================
+// Indexes
+// ===============================
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+// ===============================
+// Append-only
+// ===============================
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+].forEach(operation => {
+  AuditLogSchema.pre(operation, appendOnly);
+});
+
+// ===============================
+// Hashing
+// ===============================
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted keys so the same entry always hashes the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = canonicalize(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+AuditLogSchema.statics.GENESIS_HASH = GENESIS_HASH;
+
+/**
+ * Hash of an entry's content chained to the previous entry's hash.
+ * Set AUDIT_LOG_SECRET to make it an HMAC, so the chain cannot be
+ * recomputed by someone with only database access.
+ */
+AuditLogSchema.statics.computeHash = function(entry) {
+  const content = JSON.parse(JSON.stringify({
+    seq: entry.seq,
+    actor: entry.actor || null,
+    actorRoles: entry.actorRoles || [],
+    action: entry.action,
+    target: entry.target,
+    changes: entry.changes || {},
+    metadata: entry.metadata || {},
+    ip: entry.ip || null,
+    userAgent: entry.userAgent || null,
+    requestId: entry.requestId || null,
+    createdAt: new Date(entry.createdAt).toISOString(),
+    prevHash: entry.prevHash
+  }));
+
+  const payload = JSON.stringify(canonicalize(content));
+  const secret = process.env.AUDIT_LOG_SECRET;
+
+  return secret
+    ? crypto.createHmac('sha256', secret).update(payload).digest('hex')
+    : crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -67,6 +67,11 @@ const ChatSchema = new mongoose.Schema(
 
     // Offer negotiation
     activeOffer: {
+      // The offer message this summarises
+      message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+      },
       price: Number,
       quantity: Number,
       unit: String,
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+// Accepted document types per verified resource
+const DOCUMENT_TYPES = {
+  transport: ['driving_license', 'insurance_certificate', 'vehicle_inspection'],
+  storage: ['facility_permit', 'insurance_certificate', 'certification', 'inspection_report']
+};
+
+const KycDocumentSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // ===============================
+    // What the document verifies
+    // ===============================
+    subjectType: {
+      type: String,
+      enum: ['transport', 'storage'],
+      required: true
+    },
+
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: 'subjectModel'
+    },
+
+    subjectModel: {
+      type: String,
+      enum: ['Transport', 'Storage'],
+      required: true
+    },
+
+    documentType: {
+      type: String,
+      enum: [...new Set([...DOCUMENT_TYPES.transport, ...DOCUMENT_TYPES.storage])],
+      required: true
+    },
+
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+
+    documentNumber: {
+      type: String,
+      trim: true
+    },
+
+    issuedBy: {
+      type: String,
+      trim: true
+    },
+
+    // Document validity; expired documents no longer count towards verification
+    expiresAt: {
+      type: Date
+    },
+
+    // ===============================
+    // Stored file (kept out of the public uploads folder)
+    // ===============================
+    file: {
+      path: { type: String, required: true, select: false },
+      originalName: { type: String, trim: true },
+      mimeType: { type: String },
+      size: { type: Number }
+    },
+
+    // ===============================
+    // Review
+    // ===============================
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    reviewedAt: {
+      type: Date
+    },
+
+    comments: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [1000, 'Comment cannot exceed 1000 characters']
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// ===============================
+// Indexes
+// ===============================
+KycDocumentSchema.index({ status: 1, createdAt: 1 });
+KycDocumentSchema.index({ subject: 1, documentType: 1, status: 1 });
+KycDocumentSchema.index({ owner: 1, createdAt: -1 });
+
+// ===============================
+// Virtuals
+// ===============================
+KycDocumentSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt) && new Date() > this.expiresAt;
+});
+
+KycDocumentSchema.virtual('fileUrl').get(function() {
+  return `/api/kyc/documents/${this._id}/file`;
+});
+
+// ===============================
+// Static Methods
+// ===============================
+
+// Approved, unexpired documents for a transport or storage record
+KycDocumentSchema.statics.findValidForSubject = function(subjectId) {
+  return this.find({
+    subject: subjectId,
+    status: 'approved',
+    $or: [
+      { expiresAt: { $exists: false } },
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  }).sort('-reviewedAt');
+};
+
+KycDocumentSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = mongoose.model('KycDocument', KycDocumentSchema);
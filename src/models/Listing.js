@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const kenyaLocation = require('./plugins/kenyaLocation');
+const expiry = require('./plugins/expiry');
+const { countyName } = require('../utils/geography');
 
 const ListingSchema = new mongoose.Schema(
   {
@@ -24,6 +27,18 @@ const ListingSchema = new mongoose.Schema(
       required: true
     },
 
+    // Role the owner was acting in when creating the listing
+    ownerRole: {
+      type: String,
+      enum: ['farmer', 'transport', 'storage']
+    },
+
+    // Set when a manager or clerk lists on behalf of a cooperative
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organisation'
+    },
+
     // ===============================
     // Listing Type & Category (Only agricultural products)
     // ===============================
@@ -205,6 +220,13 @@ const ListingSchema = new mongoose.Schema(
       type: Date
     },
 
+    // When the listing was posted, edited or renewed. Unlike updatedAt,
+    // view and chat counters don't touch it; saved-search feeds go by it.
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+
     // ===============================
     // Service Matches
     // ===============================
@@ -285,6 +307,12 @@ const ListingSchema = new mongoose.Schema(
     isFeatured: {
       type: Boolean,
       default: false
+    },
+
+    // Hidden from the marketplace while the owner is suspended
+    ownerSuspended: {
+      type: Boolean,
+      default: false
     }
   },
   {
@@ -294,16 +322,26 @@ const ListingSchema = new mongoose.Schema(
   }
 );
 
+// County, sub-county and ward must exist; stored under canonical names
+ListingSchema.plugin(kenyaLocation, { paths: ['locationDetails'] });
+ListingSchema.plugin(expiry);
+
 // ===============================
 // Indexes (Section 5)
 // ===============================
 ListingSchema.index({ location: '2dsphere' });
 ListingSchema.index({ status: 1, type: 1, createdAt: -1 });
 ListingSchema.index({ owner: 1, status: 1, createdAt: -1 });
+ListingSchema.index({ organisation: 1, status: 1, createdAt: -1 });
 ListingSchema.index({ category: 1, status: 1, urgency: 1 });
 ListingSchema.index({ expiryDate: 1, status: 1 });
 ListingSchema.index({ 'requirements.needsTransport': 1, status: 1 });
 ListingSchema.index({ 'requirements.needsStorage': 1, status: 1 });
+// Full-text search (services/searchService.js), title matches weigh most
+ListingSchema.index(
+  { title: 'text', category: 'text', tags: 'text', description: 'text' },
+  { name: 'listing_text_search', weights: { title: 10, category: 8, tags: 5, description: 1 } }
+);
 
 // ===============================
 // Virtuals
@@ -410,7 +448,8 @@ ListingSchema.statics.findNearby = function(coordinates, maxDistance = 20000) {
       }
     },
     status: 'active',
-    expiryDate: { $gt: new Date() }
+    expiryDate: { $gt: new Date() },
+    ownerSuspended: { $ne: true }
   });
 };
 
@@ -432,11 +471,12 @@ ListingSchema.statics.findNeedingTransport = function(county = null) {
   const query = {
     'requirements.needsTransport': true,
     status: 'active',
-    expiryDate: { $gt: new Date() }
+    expiryDate: { $gt: new Date() },
+    ownerSuspended: { $ne: true }
   };
 
   if (county) {
-    query['locationDetails.county'] = { $regex: county, $options: 'i' };
+    query['locationDetails.county'] = countyName(county);
   }
 
   return this.find(query);
@@ -446,11 +486,12 @@ ListingSchema.statics.findNeedingStorage = function(county = null) {
   const query = {
     'requirements.needsStorage': true,
     status: 'active',
-    expiryDate: { $gt: new Date() }
+    expiryDate: { $gt: new Date() },
+    ownerSuspended: { $ne: true }
   };
 
   if (county) {
-    query['locationDetails.county'] = { $regex: county, $options: 'i' };
+    query['locationDetails.county'] = countyName(county);
   }
 
   return this.find(query);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const SUGGESTION_STATUSES = ['suggested', 'accepted', 'declined', 'withdrawn'];
+const RESPONSES = ['pending', 'accepted', 'declined'];
+
+// A surplus and a need listing the matching engine paired up. Both owners
+// see it; it becomes a match once both accept, and either can decline.
+const MatchSuggestionSchema = new mongoose.Schema(
+  {
+    surplus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: true
+    },
+
+    need: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      required: true
+    },
+
+    surplusOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    needOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // 0..100, see config/matching.js
+    score: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    },
+
+    // Per-factor scores (0..1) behind the total
+    breakdown: {
+      quantity: Number,
+      price: Number,
+      quality: Number,
+      distance: Number,
+      urgency: Number
+    },
+
+    distanceKm: Number,
+
+    // How much of the need the surplus covers, in the need's unit
+    quantity: {
+      amount: Number,
+      unit: String
+    },
+
+    status: {
+      type: String,
+      enum: SUGGESTION_STATUSES,
+      default: 'suggested'
+    },
+
+    surplusResponse: {
+      type: String,
+      enum: RESPONSES,
+      default: 'pending'
+    },
+
+    needResponse: {
+      type: String,
+      enum: RESPONSES,
+      default: 'pending'
+    },
+
+    // Why a suggestion was withdrawn, e.g. 'listing_closed'
+    withdrawnReason: String,
+
+    respondedAt: Date,
+    matchedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+MatchSuggestionSchema.index({ surplus: 1, need: 1 }, { unique: true });
+MatchSuggestionSchema.index({ surplusOwner: 1, status: 1, score: -1 });
+MatchSuggestionSchema.index({ needOwner: 1, status: 1, score: -1 });
+MatchSuggestionSchema.index({ need: 1, status: 1 });
+
+MatchSuggestionSchema.statics.SUGGESTION_STATUSES = SUGGESTION_STATUSES;
+
+/**
+ * Which side of the suggestion a listing id is on: 'surplus', 'need' or null
+ */
+MatchSuggestionSchema.methods.sideOf = function(listingId) {
+  const id = (listingId._id || listingId).toString();
+  if ((this.surplus._id || this.surplus).toString() === id) return 'surplus';
+  if ((this.need._id || this.need).toString() === id) return 'need';
+  return null;
+};
+
+module.exports = mongoose.model('MatchSuggestion', MatchSuggestionSchema);
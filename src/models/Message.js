@@ -55,7 +55,13 @@ const MessageSchema = new mongoose.Schema(
         type: String,
         enum: ['pending', 'accepted', 'rejected', 'expired'],
         default: 'pending'
-      }
+      },
+      // The listing owner who accepted or rejected the offer
+      respondedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      respondedAt: Date
     },
 
     // For location messages
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } = require('../config/notifications');
+
+// Push, SMS and email notifications held back by quiet hours or waiting
+// for the user's daily digest. Anything sent straight away is not stored.
+const NotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    type: {
+      type: String,
+      enum: Object.keys(NOTIFICATION_TYPES),
+      required: true
+    },
+
+    // Socket / webhook event the notification came from, e.g. 'offer.accepted'
+    event: String,
+
+    title: {
+      type: String,
+      required: true
+    },
+
+    text: {
+      type: String,
+      required: true
+    },
+
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    // Channels still to deliver on
+    channels: [{
+      type: String,
+      enum: NOTIFICATION_CHANNELS
+    }],
+
+    // Part of the daily email digest rather than held by quiet hours
+    digest: {
+      type: Boolean,
+      default: false
+    },
+
+    deliverAfter: Date,
+    deliveredAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ===============================
+// Indexes
+// ===============================
+// Held notifications that are due
+NotificationSchema.index({ deliveredAt: 1, digest: 1, deliverAfter: 1 });
+// A user's pending digest
+NotificationSchema.index({ user: 1, digest: 1, deliveredAt: 1, createdAt: 1 });
+// Delivered notifications are kept for 30 days
+NotificationSchema.index({ deliveredAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const kenyaLocation = require('./plugins/kenyaLocation');
+
+// Members are stored on User.organisations; this holds the organisation itself
+const OrganisationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organisation name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    type: {
+      type: String,
+      enum: ['cooperative', 'company', 'association', 'other'],
+      default: 'cooperative'
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+
+    registrationNumber: {
+      type: String,
+      trim: true
+    },
+
+    // Main produce handled, e.g. milk for dairy co-ops
+    categories: [{
+      type: String,
+      enum: ['maize', 'milk', 'wheat', 'vegetables', 'fruits', 'livestock', 'other']
+    }],
+
+    contact: {
+      email: { type: String, trim: true, lowercase: true },
+      phone: { type: String, trim: true }
+    },
+
+    locationDetails: {
+      county: { type: String, trim: true },
+      town: { type: String, trim: true }
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'suspended'],
+      default: 'active'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Canonical county name and code
+OrganisationSchema.plugin(kenyaLocation, { paths: ['locationDetails'] });
+
+OrganisationSchema.index({ name: 1 });
+OrganisationSchema.index({ 'locationDetails.county': 1, type: 1 });
+
+module.exports = mongoose.model('Organisation', OrganisationSchema);
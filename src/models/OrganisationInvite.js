@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const INVITE_TTL_DAYS = 7;
+
+const OrganisationInviteSchema = new mongoose.Schema(
+  {
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organisation',
+      required: true
+    },
+
+    // Invitee, by email or normalized phone (+254...)
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+
+    phone: {
+      type: String,
+      trim: true
+    },
+
+    role: {
+      type: String,
+      enum: ['manager', 'clerk', 'member'],
+      default: 'member'
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'revoked'],
+      default: 'pending'
+    },
+
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    respondedAt: {
+      type: Date
+    },
+
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+OrganisationInviteSchema.index({ organisation: 1, status: 1 });
+OrganisationInviteSchema.index({ email: 1, status: 1 });
+OrganisationInviteSchema.index({ phone: 1, status: 1 });
+OrganisationInviteSchema.index({ tokenHash: 1 });
+
+OrganisationInviteSchema.virtual('isExpired').get(function() {
+  return new Date() > this.expiresAt;
+});
+
+// Create an invite token; only its hash is stored
+OrganisationInviteSchema.methods.createToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  return token;
+};
+
+OrganisationInviteSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: crypto.createHash('sha256').update(String(token)).digest('hex'),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Pending invites addressed to a user's verified email or phone
+OrganisationInviteSchema.statics.findPendingForUser = function(user) {
+  const addressedTo = [];
+  if (user.email && user.isVerified) addressedTo.push({ email: user.email.toLowerCase() });
+  if (user.phone && user.phoneVerified) addressedTo.push({ phone: user.phone });
+  if (addressedTo.length === 0) return this.find({ _id: null });
+
+  return this.find({
+    $or: addressedTo,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+OrganisationInviteSchema.statics.INVITE_TTL_DAYS = INVITE_TTL_DAYS;
+
+module.exports = mongoose.model('OrganisationInvite', OrganisationInviteSchema);
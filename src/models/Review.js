@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const ReviewSchema = new mongoose.Schema(
+  {
+    // User being rated
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    rater: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    },
+
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+
+    roleContext: {  // Which role was being rated (if user has multiple)
+      type: String,
+      enum: ['farmer', 'transport', 'storage']
+    },
+
+    raterRole: {  // Which role the rater was acting in
+      type: String,
+      enum: ['farmer', 'transport', 'storage']
+    },
+
+    transaction: {  // Completed interaction the review is for
+      type: {
+        type: String,
+        enum: ['offer', 'transport', 'storage_booking']
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId
+      }
+    },
+
+    reply: {  // One public reply from the rated user
+      text: {
+        type: String,
+        trim: true,
+        maxlength: 500
+      },
+      createdAt: Date
+    },
+
+    reports: [{
+      reportedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
+    reportCount: {
+      type: Number,
+      default: 0
+    },
+
+    status: {
+      type: String,
+      enum: ['visible', 'removed'],
+      default: 'visible'
+    },
+
+    removedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    removedAt: Date,
+    removalReason: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ===============================
+// Indexes
+// ===============================
+// Profile pages page through a user's reviews newest first, optionally by role
+ReviewSchema.index({ target: 1, status: 1, _id: -1 });
+ReviewSchema.index({ target: 1, roleContext: 1, status: 1, _id: -1 });
+ReviewSchema.index({ rater: 1, createdAt: -1 });
+// One review per rater per transaction
+ReviewSchema.index(
+  { rater: 1, 'transaction.type': 1, 'transaction.id': 1 },
+  { unique: true, partialFilterExpression: { 'transaction.id': { $exists: true } } }
+);
+// Moderation queue
+ReviewSchema.index({ status: 1, reportCount: -1 });
+
+// ===============================
+// Methods
+// ===============================
+// Shape shown to other users: reports and moderation details stay with admins
+ReviewSchema.methods.toPublicJSON = function() {
+  const { reports, reportCount, removedBy, removedAt, removalReason, __v, ...rest } = this.toObject();
+  return rest;
+};
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const ALERT_FREQUENCIES = ['instant', 'daily', 'off'];
+
+// Listings already alerted on, kept so edits to a listing don't alert twice
+const MAX_ALERTED_LISTINGS = 200;
+
+// A listing search a user runs often, re-run against new and updated
+// listings to alert them (services/savedSearchService.js)
+const SavedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    // Search text, as for GET /api/listings/search
+    query: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Search text cannot exceed 200 characters']
+    },
+
+    filters: {
+      category: String,
+      type: {
+        type: String,
+        enum: ['surplus', 'need']
+      },
+      quality: String,
+      // Canonical county name (utils/geography countyName)
+      county: String,
+      minPrice: Number,
+      maxPrice: Number,
+      minQuantity: Number,
+      maxQuantity: Number
+    },
+
+    // Radius around a point, as for GET /api/listings/nearby
+    near: {
+      coordinates: {
+        type: [Number], // [lng, lat]
+        default: undefined
+      },
+      radiusKm: {
+        type: Number,
+        min: 1,
+        max: 500
+      }
+    },
+
+    alerts: {
+      frequency: {
+        type: String,
+        enum: ALERT_FREQUENCIES,
+        default: 'instant'
+      },
+      // Listing ids counted towards the next daily alert
+      pending: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Listing'
+      }],
+      alertedListings: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Listing'
+      }],
+      lastAlertedAt: Date
+    },
+
+    // "Matches since last viewed" starts from here
+    lastViewedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+SavedSearchSchema.index({ user: 1, createdAt: -1 });
+SavedSearchSchema.index({ 'alerts.frequency': 1, 'filters.category': 1 });
+
+SavedSearchSchema.statics.ALERT_FREQUENCIES = ALERT_FREQUENCIES;
+SavedSearchSchema.statics.MAX_ALERTED_LISTINGS = MAX_ALERTED_LISTINGS;
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const kenyaLocation = require('./plugins/kenyaLocation');
+const expiry = require('./plugins/expiry');
+const { countyName } = require('../utils/geography');
 
 const StorageSchema = new mongoose.Schema(
   {
@@ -221,6 +224,14 @@ const StorageSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
+      bookedAs: {  // Role the booker was acting in
+        type: String,
+        enum: ['farmer', 'transport', 'storage']
+      },
+      organisation: {  // Organisation the booking was made on behalf of
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organisation'
+      },
       product: {
         type: String,
         required: true
@@ -302,6 +313,12 @@ const StorageSchema = new mongoose.Schema(
       default: false
     },
 
+    // Hidden from the marketplace while the owner is suspended
+    ownerSuspended: {
+      type: Boolean,
+      default: false
+    },
+
     // ===============================
     // Verification & Certifications
     // ===============================
@@ -329,6 +346,10 @@ const StorageSchema = new mongoose.Schema(
   }
 );
 
+// Validate and canonicalise the facility's county / sub-county / ward
+StorageSchema.plugin(kenyaLocation, { paths: ['locationDetails'] });
+StorageSchema.plugin(expiry);
+
 // ===============================
 // Indexes
 // ===============================
@@ -420,7 +441,8 @@ StorageSchema.statics.findAvailableByLocation = function(county, maxDistance = 5
   const query = {
     availability: { $in: ['available', 'partially_available'] },
     status: 'active',
-    expiryDate: { $gt: new Date() }
+    expiryDate: { $gt: new Date() },
+    ownerSuspended: { $ne: true }
   };
 
   if (coords) {
@@ -434,7 +456,7 @@ StorageSchema.statics.findAvailableByLocation = function(county, maxDistance = 5
       }
     };
   } else if (county) {
-    query['locationDetails.county'] = { $regex: county, $options: 'i' };
+    query['locationDetails.county'] = countyName(county);
   }
 
   return this.find(query);
@@ -444,11 +466,12 @@ StorageSchema.statics.findByProductType = function(productType, county = null) {
   const query = {
     acceptedProducts: productType,
     availability: { $in: ['available', 'partially_available'] },
-    status: 'active'
+    status: 'active',
+    ownerSuspended: { $ne: true }
   };
 
   if (county) {
-    query['locationDetails.county'] = { $regex: county, $options: 'i' };
+    query['locationDetails.county'] = countyName(county);
   }
 
   return this.find(query);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const kenyaLocation = require('./plugins/kenyaLocation');
+const expiry = require('./plugins/expiry');
+const { countyName } = require('../utils/geography');
 
 const TransportSchema = new mongoose.Schema(
   {
@@ -229,6 +232,18 @@ const TransportSchema = new mongoose.Schema(
       ref: 'User'
     },
 
+    // Role the booker was acting in
+    bookedAs: {
+      type: String,
+      enum: ['farmer', 'transport', 'storage']
+    },
+
+    // Organisation the booking was made on behalf of
+    bookedForOrganisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organisation'
+    },
+
     bookedForListing: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Listing'
@@ -291,6 +306,12 @@ const TransportSchema = new mongoose.Schema(
       default: false
     },
 
+    // Hidden from the marketplace while the owner is suspended
+    ownerSuspended: {
+      type: Boolean,
+      default: false
+    },
+
     // ===============================
     // Verification
     // ===============================
@@ -321,6 +342,10 @@ const TransportSchema = new mongoose.Schema(
   }
 );
 
+// Route end points must name real counties / sub-counties
+TransportSchema.plugin(kenyaLocation, { paths: ['route.from', 'route.to'] });
+TransportSchema.plugin(expiry);
+
 // ===============================
 // Indexes
 // ===============================
@@ -362,9 +387,11 @@ TransportSchema.methods.incrementInquiryCount = function() {
   return this.save();
 };
 
-TransportSchema.methods.bookTransport = function(userId, listingId) {
+TransportSchema.methods.bookTransport = function(userId, listingId, bookedAs, organisationId) {
   this.status = 'booked';
   this.bookedBy = userId;
+  this.bookedAs = bookedAs;
+  this.bookedForOrganisation = organisationId || null;
   this.bookedForListing = listingId;
   this.bookedAt = new Date();
   return this.save();
@@ -379,6 +406,8 @@ TransportSchema.methods.completeTransport = function() {
 TransportSchema.methods.cancelBooking = function() {
   this.status = 'available';
   this.bookedBy = null;
+  this.bookedAs = null;
+  this.bookedForOrganisation = null;
   this.bookedForListing = null;
   this.bookedAt = null;
   return this.save();
@@ -390,15 +419,16 @@ TransportSchema.methods.cancelBooking = function() {
 TransportSchema.statics.findAvailable = function(fromCounty = null, toCounty = null) {
   const query = {
     status: 'available',
-    expiryDate: { $gt: new Date() }
+    expiryDate: { $gt: new Date() },
+    ownerSuspended: { $ne: true }
   };
 
   if (fromCounty) {
-    query['route.from.county'] = { $regex: fromCounty, $options: 'i' };
+    query['route.from.county'] = countyName(fromCounty);
   }
 
   if (toCounty) {
-    query['route.to.county'] = { $regex: toCounty, $options: 'i' };
+    query['route.to.county'] = countyName(toCounty);
   }
 
   return this.find(query);
@@ -425,7 +455,8 @@ TransportSchema.statics.findByRoute = function(fromCoords, toCoords, maxDistance
       }
     },
     status: 'available',
-    expiryDate: { $gt: new Date() }
+    expiryDate: { $gt: new Date() },
+    ownerSuspended: { $ne: true }
   });
 };
 
@@ -1,69 +1,48 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-
-const COUNTY_COORDS = {
-  Nairobi: [36.8172, -1.2864],
-  Mombasa: [39.6682, -4.0435],
-  Kisumu: [34.7617, -0.0917],
-  Nakuru: [36.0667, -0.3031],
-  Eldoret: [35.2698, 0.5143],
-  Thika: [37.0736, -1.0330],
-  Kakamega: [34.7500, 0.2833],
-  Kisii: [34.7833, -0.6833],
-  Meru: [37.6493, 0.0471],
-  Nyeri: [36.9478, -0.4167],
-  Machakos: [37.2667, -1.5167],
-  Kiambu: [36.8356, -1.1711],
-  Muranga: [37.1500, -0.7833],
-  Kirinyaga: [37.2833, -0.6833],
-  Nyandarua: [36.3833, -0.5333],
-  Laikipia: [36.8333, 0.4167],
-  Narok: [35.8667, -1.0833],
-  Kajiado: [36.7833, -1.8333],
-  Makueni: [37.6333, -1.8167],
-  Kitui: [38.0167, -1.3667],
-  Garissa: [39.6500, -0.4500],
-  Wajir: [40.0667, 1.7500],
-  Mandera: [41.8500, 3.9333],
-  Marsabit: [36.9167, 2.3333],
-  Isiolo: [37.5833, 0.3500],
-  Lamu: [40.9000, -2.2667],
-  TanaRiver: [40.1167, -1.2000],
-  Kilifi: [39.8500, -3.6333],
-  Kwale: [39.4167, -4.1833],
-  "Taita Taveta": [38.3667, -3.3667],
-  Busia: [34.1000, 0.4500],
-  Siaya: [34.2833, 0.0667],
-  "Homa Bay": [34.6333, -0.5333],
-  Migori: [34.4667, -1.0667],
-  Bomet: [35.3500, -0.7667],
-  Kericho: [35.2833, -0.3667],
-  Bungoma: [34.5667, 0.5667],
-  Vihiga: [34.7333, 0.0833],
-  "Trans Nzoia": [35.0000, 1.0333],
-  "Uasin Gishu": [35.2833, 0.5167],
-  "Elgeyo Marakwet": [35.5667, 0.6333],
-  Nandi: [35.1000, 0.1333],
-  Baringo: [35.9833, 0.5000],
-  Samburu: [37.5167, 0.5333],
-  Turkana: [36.0000, 3.1000],
-  "West Pokot": [35.5000, 1.2333],
-};
+const crypto = require('crypto');
+const kenyaLocation = require('./plugins/kenyaLocation');
+const { DEFAULT_COORDINATES, LOCATION_PRECISIONS, fuzzCoordinates } = require('../utils/geography');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES, DEFAULT_TIMEZONE } = require('../config/notifications');
+const { TIME_OF_DAY, isValidTimezone } = require('../utils/timezone');
+const { LANGUAGES } = require('../utils/i18n');
+
+const DISCOVERY_ROLES = ['farmer', 'transport', 'storage'];
+
+// One channel list per notification type, defaulting to the config
+const notificationChannels = Object.fromEntries(
+  Object.entries(NOTIFICATION_TYPES).map(([type, { channels }]) => [type, {
+    type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+    default: () => [...channels],
+  }])
+);
 
 const UserSchema = new mongoose.Schema(
   {
     email: {
       type: String,
-      required: [true, 'Please provide an email'],
+      // Phone-only accounts (OTP registration) may have no email
+      required: [function () { return !this.phone; }, 'Please provide an email or phone number'],
       unique: true,
+      sparse: true,
       lowercase: true,
       trim: true,
       match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
     },
 
-    phone: { type: String, trim: true, sparse: true },
+    phone: { type: String, trim: true },
 
-    password: { type: String, required: [true, 'Please provide a password'], minlength: 6, select: false },
+    phoneVerified: { type: Boolean, default: false },
+
+    phoneVerifiedAt: { type: Date },
+
+    // Phone-only accounts sign in with OTP codes and have no password
+    password: {
+      type: String,
+      required: [function () { return !this.phone; }, 'Please provide a password'],
+      minlength: 6,
+      select: false
+    },
 
     name: { type: String, required: [true, 'Please provide your name'], trim: true },
 
@@ -74,6 +53,42 @@ const UserSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Role the user last acted in (see resolveActiveRole); new sessions start in it
+    activeRole: {
+      type: String,
+      enum: ['farmer', 'transport', 'storage']
+    },
+
+    // Cooperatives and other organisations the user belongs to
+    organisations: [{
+      organisation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organisation',
+        required: true
+      },
+      role: {
+        type: String,
+        enum: ['manager', 'clerk', 'member'],
+        default: 'member'
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
+    // Users this user has blocked; enforced in both directions (see blockService)
+    blockedUsers: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      reason: { type: String, trim: true, maxlength: 500 },
+      blockedAt: { type: Date, default: Date.now }
+    }],
+
     // ===============================
     // Location info
     // ===============================
@@ -102,7 +117,7 @@ const UserSchema = new mongoose.Schema(
       coordinates: {
         type: [Number], // [lng, lat]
         required: true,
-        default: COUNTY_COORDS['Nairobi'],
+        default: () => [...DEFAULT_COORDINATES],
         validate: {
           validator: function (val) {
             return val.length === 2 && val.every((v) => typeof v === 'number');
@@ -112,6 +127,64 @@ const UserSchema = new mongoose.Schema(
       },
     },
 
+    // ===============================
+    // Location privacy
+    // ===============================
+    privacy: {
+      // How precisely other users see where this user is
+      locationPrecision: {
+        type: String,
+        enum: LOCATION_PRECISIONS,
+        default: 'ward',
+      },
+      // Roles allowed to find this user in nearby / role searches
+      discoverableBy: {
+        type: [{ type: String, enum: DISCOVERY_ROLES }],
+        default: () => [...DISCOVERY_ROLES],
+      },
+    },
+
+    // ===============================
+    // Language
+    // ===============================
+    // Language for API responses and notifications; unset follows the
+    // client's Accept-Language header
+    language: {
+      type: String,
+      enum: LANGUAGES,
+    },
+
+    // ===============================
+    // Notification preferences
+    // ===============================
+    notificationPreferences: {
+      // Channels each notification type goes to; an empty list mutes it
+      channels: notificationChannels,
+      // Push, SMS and email are held until quiet hours end
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00', match: [TIME_OF_DAY, 'Use HH:mm for quiet hours'] },
+        end: { type: String, default: '07:00', match: [TIME_OF_DAY, 'Use HH:mm for quiet hours'] },
+        timezone: {
+          type: String,
+          default: DEFAULT_TIMEZONE,
+          validate: { validator: isValidTimezone, message: 'Unknown timezone' },
+        },
+      },
+      // Collect email notifications into one email a day, sent at `hour` local time
+      digest: {
+        enabled: { type: Boolean, default: false },
+        hour: { type: Number, min: 0, max: 23, default: 7 },
+      },
+    },
+
+    // `coordinates` blurred to privacy.locationPrecision; what discovery
+    // queries search and return. Unset when the location is hidden.
+    discoveryCoordinates: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },
+    },
+
     profileStatus: {
       type: String,
       enum: ['active', 'pending', 'suspended', 'verified'],
@@ -120,6 +193,36 @@ const UserSchema = new mongoose.Schema(
 
     isVerified: { type: Boolean, default: false },
 
+    // ===============================
+    // Admin moderation
+    // ===============================
+    suspension: {
+      reason: { type: String, trim: true, maxlength: 500 },
+      suspendedAt: { type: Date },
+      suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      previousStatus: { type: String, enum: ['active', 'pending', 'verified'] }
+    },
+
+    moderationHistory: [{
+      action: {
+        type: String,
+        enum: ['suspend', 'reinstate', 'verify'],
+        required: true
+      },
+      reason: { type: String, trim: true, maxlength: 500 },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      at: { type: Date, default: Date.now }
+    }],
+
+    // ===============================
+    // One-time auth tokens (stored hashed)
+    // ===============================
+    passwordResetToken: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+    emailVerificationToken: { type: String, select: false },
+    emailVerificationExpires: { type: Date, select: false },
+    passwordChangedAt: { type: Date },
+
     // Bio field
     bio: {
       type: String,
@@ -234,38 +337,7 @@ const UserSchema = new mongoose.Schema(
       }
     },
 
-    // Ratings system
-    ratings: [{
-      id: {
-        type: String,
-        required: true
-      },
-      fromUserId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-      },
-      rating: {
-        type: Number,
-        required: true,
-        min: 1,
-        max: 5
-      },
-      comment: {
-        type: String,
-        trim: true,
-        maxlength: 500
-      },
-      date: {
-        type: Date,
-        default: Date.now
-      },
-      roleContext: {  // Which role was being rated (if user has multiple)
-        type: String,
-        enum: ['farmer', 'transport', 'storage']
-      }
-    }],
-
+    // Rating summaries; the reviews themselves live in the Review collection
     averageRating: {
       type: Number,
       default: 0,
@@ -273,19 +345,35 @@ const UserSchema = new mongoose.Schema(
       max: 5
     },
 
+    ratingCount: {
+      type: Number,
+      default: 0
+    },
+
+    // Confidence-weighted rating used for ranking (see reviewService)
+    ratingScore: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5
+    },
+
     // Role-specific average ratings
     roleRatings: {
       farmer: {
         average: { type: Number, default: 0, min: 0, max: 5 },
-        count: { type: Number, default: 0 }
+        count: { type: Number, default: 0 },
+        score: { type: Number, default: 0, min: 0, max: 5 }
       },
       transport: {
         average: { type: Number, default: 0, min: 0, max: 5 },
-        count: { type: Number, default: 0 }
+        count: { type: Number, default: 0 },
+        score: { type: Number, default: 0, min: 0, max: 5 }
       },
       storage: {
         average: { type: Number, default: 0, min: 0, max: 5 },
-        count: { type: Number, default: 0 }
+        count: { type: Number, default: 0 },
+        score: { type: Number, default: 0, min: 0, max: 5 }
       }
     },
 
@@ -312,10 +400,18 @@ const UserSchema = new mongoose.Schema(
         type: String,
         required: true
       },
-      price: {
+      price: {  // Total amount of the entry
         type: Number,
         required: true
       },
+      currency: {
+        type: String,
+        default: 'KES'
+      },
+      direction: {  // Money in (sales, services provided) or out
+        type: String,
+        enum: ['income', 'expense']
+      },
       date: {
         type: Date,
         default: Date.now
@@ -328,6 +424,23 @@ const UserSchema = new mongoose.Schema(
       roleInvolved: {
         type: String,
         enum: ['farmer', 'transport', 'storage']
+      },
+      counterparty: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      listing: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Listing'
+      },
+      reference: {  // Record the entry came from
+        type: {
+          type: String,
+          enum: ['offer', 'transport', 'storage_booking']
+        },
+        id: {
+          type: mongoose.Schema.Types.ObjectId
+        }
       }
     }],
 
@@ -352,11 +465,27 @@ const UserSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Address county, sub-county and ward are checked against the geography module
+UserSchema.plugin(kenyaLocation, { paths: ['location.address'] });
+
 // 2dsphere index for GeoJSON queries
 UserSchema.index({ coordinates: '2dsphere' });
+UserSchema.index({ discoveryCoordinates: '2dsphere' });
+
+// Phone numbers are stored normalized (+254...). Several accounts may
+// claim a number, but only one can have verified it: that one signs in
+// with OTP codes for it (see migrate-user-indexes.js)
+UserSchema.index({ phone: 1 });
+UserSchema.index(
+  { phone: 1, phoneVerified: 1 },
+  { name: 'phone_verified_unique', unique: true, partialFilterExpression: { phoneVerified: true } }
+);
 
 // Index for role-based queries
 UserSchema.index({ roles: 1 });
+UserSchema.index({ profileStatus: 1, createdAt: -1 });
+UserSchema.index({ 'organisations.organisation': 1 });
+UserSchema.index({ 'blockedUsers.user': 1 });
 UserSchema.index({ 'roleSpecificInfo.transport.availability': 1 });
 UserSchema.index({ 'roleSpecificInfo.storage.availableCapacity': 1 });
 
@@ -365,14 +494,74 @@ UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) this.passwordChangedAt = new Date();
+  next();
+});
+
+// ===============================
+// Discovery location
+// ===============================
+UserSchema.methods.discoveryPoint = function () {
+  const point = fuzzCoordinates(
+    this.coordinates?.coordinates,
+    this.privacy?.locationPrecision || 'ward',
+    this.location?.address?.county
+  );
+  return point ? { type: 'Point', coordinates: point } : undefined;
+};
+
+const LOCATION_FIELDS = /^(coordinates|location|privacy)(\.|$)/;
+
+UserSchema.pre('save', function (next) {
+  if (this.isNew || ['coordinates', 'location', 'privacy'].some(field => this.isModified(field))) {
+    this.discoveryCoordinates = this.discoveryPoint();
+  }
   next();
 });
 
+// findByIdAndUpdate skips save hooks, so refresh the blurred point afterwards
+UserSchema.post('findOneAndUpdate', async function (doc) {
+  if (!doc) return;
+
+  const update = this.getUpdate() || {};
+  const fields = [...Object.keys(update), ...Object.keys(update.$set || {}), ...Object.keys(update.$unset || {})];
+  if (!fields.some(field => LOCATION_FIELDS.test(field))) return;
+
+  const user = await this.model.findById(doc._id).select('coordinates location privacy');
+  if (!user) return;
+
+  const point = user.discoveryPoint();
+  await this.model.updateOne(
+    { _id: user._id },
+    point ? { $set: { discoveryCoordinates: point } } : { $unset: { discoveryCoordinates: '' } }
+  );
+});
+
 // Password comparison
 UserSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password || !candidatePassword) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// One-time tokens: the raw token is emailed, only its hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+UserSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  return token;
+};
+
+UserSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  return token;
+};
+
+UserSchema.statics.hashToken = hashToken;
+
 // Role-specific methods
 UserSchema.methods.hasRole = function(role) {
   return this.roles.includes(role);
@@ -390,38 +579,22 @@ UserSchema.methods.updateRoleInfo = function(role, data) {
   return this.save();
 };
 
-// Add rating with role context
-UserSchema.methods.addRating = async function(ratingData) {
-  const newRating = {
-    id: `r-${Date.now()}`,
-    fromUserId: ratingData.fromUserId,
-    rating: ratingData.rating,
-    comment: ratingData.comment || '',
-    date: new Date(),
-    roleContext: ratingData.roleContext || null
-  };
-
-  this.ratings.push(newRating);
-
-  // Update overall average rating
-  const totalRatings = this.ratings.length;
-  const sumRatings = this.ratings.reduce((sum, r) => sum + r.rating, 0);
-  this.averageRating = sumRatings / totalRatings;
-
-  // Update role-specific rating if roleContext provided
-  if (ratingData.roleContext && ['farmer', 'transport', 'storage'].includes(ratingData.roleContext)) {
-    const role = ratingData.roleContext;
-    const roleRatings = this.ratings.filter(r => r.roleContext === role);
-    
-    if (roleRatings.length > 0) {
-      const roleSum = roleRatings.reduce((sum, r) => sum + r.rating, 0);
-      this.roleRatings[role].average = roleSum / roleRatings.length;
-      this.roleRatings[role].count = roleRatings.length;
-    }
-  }
+// Role the user is acting in: the requested one if they hold it,
+// else the last one they switched to, else their first marketplace role
+UserSchema.methods.resolveActiveRole = function(requestedRole) {
+  const actingRoles = this.roles.filter(role => ['farmer', 'transport', 'storage'].includes(role));
 
-  await this.save();
-  return newRating;
+  if (requestedRole && actingRoles.includes(requestedRole)) return requestedRole;
+  if (this.activeRole && actingRoles.includes(this.activeRole)) return this.activeRole;
+  return actingRoles[0] || null;
+};
+
+// Role the user holds in an organisation, or null if not a member
+UserSchema.methods.organisationRole = function(organisationId) {
+  if (!organisationId) return null;
+  const id = (organisationId._id || organisationId).toString();
+  const membership = (this.organisations || []).find(m => m.organisation.toString() === id);
+  return membership ? membership.role : null;
 };
 
 // Listing helpers
@@ -449,9 +622,9 @@ UserSchema.virtual('formattedLocation').get(function () {
   return parts.length ? parts.join(', ') : 'Location not specified';
 });
 
-// Virtual: primary role (first role in array)
+// Virtual: primary role (the active role, else first role in array)
 UserSchema.virtual('primaryRole').get(function () {
-  return this.roles[0] || 'farmer';
+  return this.resolveActiveRole() || this.roles[0] || 'farmer';
 });
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
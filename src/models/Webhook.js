@@ -17,6 +17,11 @@ const validEvents = [
   'chat.blocked',
   'chat.unblocked',
   'listing.matched',
+  'listing.match_suggested',
+  'search.matched',
+  'listing.expiring',
+  'listing.expired',
+  'security.lockout',
   'test',
   '*' // Wildcard for all events
 ];
@@ -0,0 +1,42 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Bookkeeping for records with an expiryDate that owners are reminded
+ * about and can renew (see services/expiryService.js).
+ *
+ *   schema.plugin(expiry);
+ *
+ * Renewing keeps the record itself, so its chats, images and stats stay.
+ */
+module.exports = function expiry(schema) {
+  schema.add({
+    // Reminder lead times (hours) already sent for the current expiryDate
+    expiryRemindersSent: [{ type: Number }],
+
+    // When the owner was told the record expired
+    expiredNotifiedAt: { type: Date },
+
+    renewedAt: { type: Date },
+
+    renewalCount: {
+      type: Number,
+      default: 0
+    }
+  });
+
+  /**
+   * Push expiryDate `days` past the later of now and the current expiry,
+   * but no further than `maxDays` from now, and re-arm the reminders
+   */
+  schema.methods.renew = function(days, maxDays) {
+    const now = Date.now();
+    const from = Math.max(now, this.expiryDate ? this.expiryDate.getTime() : now);
+
+    this.expiryDate = new Date(Math.min(from + days * DAY_MS, now + maxDays * DAY_MS));
+    this.expiryRemindersSent = [];
+    this.expiredNotifiedAt = undefined;
+    this.renewedAt = new Date(now);
+    this.renewalCount = (this.renewalCount || 0) + 1;
+    return this;
+  };
+};
@@ -0,0 +1,45 @@
+const { normalizeLocation } = require('../../utils/geography');
+
+/**
+ * Validates { county, subCounty, ward } sub-documents against the shared
+ * Kenya geography and stores canonical names plus their codes.
+ *
+ *   schema.plugin(kenyaLocation, { paths: ['locationDetails'] });
+ *
+ * Only runs when the county, sub-county or ward changed, so records saved
+ * before validation existed stay writable until they are migrated.
+ */
+module.exports = function kenyaLocation(schema, { paths }) {
+  paths.forEach(path => {
+    schema.add({
+      countyCode: { type: String },
+      subCountyCode: { type: String },
+      wardCode: { type: String }
+    }, `${path}.`);
+  });
+
+  schema.pre('validate', function(next) {
+    paths.forEach(path => {
+      const changed = ['county', 'subCounty', 'ward'].some(field => this.isModified(`${path}.${field}`));
+      if (!changed) return;
+
+      const details = this.get(path) || {};
+      const { value, error } = normalizeLocation({
+        county: details.county,
+        subCounty: details.subCounty,
+        ward: details.ward
+      });
+
+      if (error) {
+        this.invalidate(`${path}.county`, error);
+        return;
+      }
+
+      ['county', 'countyCode', 'subCounty', 'subCountyCode', 'ward', 'wardCode'].forEach(field => {
+        if (value[field] !== undefined) this.set(`${path}.${field}`, value[field]);
+        else if (field.endsWith('Code')) this.set(`${path}.${field}`, undefined);
+      });
+    });
+    next();
+  });
+};
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const apiKeyController = require('../controllers/apiKey.controller');
+const ApiKey = require('../models/ApiKey');
+const { protect } = require('../middlewares/auth.middleware');
+
+// Validation rules
+const createApiKeyValidation = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(ApiKey.SCOPES).withMessage('Invalid scope'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }).withMessage('Expiry must be between 1 and 365 days')
+];
+
+const updateApiKeyValidation = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+  body('scopes').optional().isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').optional().isIn(ApiKey.SCOPES).withMessage('Invalid scope')
+];
+
+// Keys are managed with a user session only, never with another key
+router.use(protect);
+
+router.route('/')
+  .get(apiKeyController.getApiKeys)
+  .post(createApiKeyValidation, apiKeyController.createApiKey);
+
+router.route('/:id')
+  .put(updateApiKeyValidation, apiKeyController.updateApiKey)
+  .delete(apiKeyController.revokeApiKey);
+
+module.exports = router;
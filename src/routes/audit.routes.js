@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const auditController = require('../controllers/audit.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { permit } = require('../middlewares/permission.middleware');
+
+// Validation rules
+const auditQueryValidation = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('targetType').optional().isString().trim(),
+  query('targetId').optional().isString().trim(),
+  query('action').optional().isString().trim(),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+];
+
+const verifyValidation = [
+  query('fromSeq').optional().isInt({ min: 1 }).withMessage('fromSeq must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100000 }).withMessage('Limit must be between 1 and 100000')
+];
+
+router.use(protect, permit('audit.view'));
+
+router.get('/', auditQueryValidation, auditController.getAuditLogs);
+router.get('/verify', verifyValidation, auditController.verifyAuditLog);
+
+module.exports = router;
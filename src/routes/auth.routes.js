@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { 
   register, 
   login, 
@@ -9,17 +9,63 @@ const {
   updateRoleProfile,
   getUsersByRole,
   updateLocation,
+  getPrivacySettings,
+  updatePrivacySettings,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
   getNearbyUsers,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  refreshToken,
+  switchRole,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerificationEmail,
+  requestOtp,
+  verifyOtp,
+  requestPhoneVerification,
+  verifyPhone,
+  unlockAccount,
+  getLockouts,
+  clearLockout,
+  searchUsers,
+  suspendUser,
+  reinstateUser,
+  verifyUser,
   getUserById,         
   submitRating,        
   updateProfileDetails, 
   getUserRatings,
+  replyToRating,
+  reportRating,
+  getReportedRatings,
+  removeRating,
+  getTransactions,
   getRoleStats,
   updateUserRoles
 } = require('../controllers/auth.controller');
 const { protect } = require('../middlewares/auth.middleware');
 const { authorize } = require('../middlewares/role.middleware');
+const { permit } = require('../middlewares/permission.middleware');
+const { rateLimit } = require('../middlewares/rateLimit.middleware');
+const { TRANSACTION_TYPES } = require('../services/reviewService');
+const { PERIOD_FORMATS } = require('../services/ledgerService');
+const { DISCOVERY_ROLES } = require('../services/privacyService');
+const { LOCATION_PRECISIONS } = require('../utils/geography');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } = require('../config/notifications');
+const { TIME_OF_DAY, isValidTimezone } = require('../utils/timezone');
+const { LANGUAGES } = require('../utils/i18n');
+
+// Per-IP limits on unauthenticated account creation and code requests
+const registerLimiter = rateLimit({ name: 'register', max: 10, windowSeconds: 3600 });
+const otpLimiter = rateLimit({ name: 'otp', max: 20, windowSeconds: 3600 });
 
 // Validation middleware
 const registerValidation = [
@@ -41,10 +87,50 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const refreshValidation = [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+];
+
+const changePasswordValidation = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+];
+
+const verifyEmailValidation = [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+];
+
+const otpRequestValidation = [
+  body('phone').notEmpty().withMessage('Phone number is required')
+];
+
+const otpVerifyValidation = [
+  body('phone').notEmpty().withMessage('Phone number is required'),
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('A 6-digit code is required'),
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('roles').optional().isArray().withMessage('Roles must be an array'),
+  body('roles.*').optional().isIn(['farmer', 'transport', 'storage']).withMessage('Invalid role'),
+  body('location').optional()
+];
+
+const phoneCodeValidation = [
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('A 6-digit code is required')
+];
+
 const updateProfileValidation = [
   body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
   body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
-  body('location').optional()
+  body('location').optional(),
+  body('language').optional({ nullable: true }).isIn(LANGUAGES).withMessage(`Language must be one of: ${LANGUAGES.join(', ')}`)
 ];
 
 const updateLocationValidation = [
@@ -55,10 +141,58 @@ const updateLocationValidation = [
   body('town').optional().trim()
 ];
 
+const privacyValidation = [
+  body('locationPrecision').optional().isIn(LOCATION_PRECISIONS)
+    .withMessage(`Location precision must be one of: ${LOCATION_PRECISIONS.join(', ')}`),
+  body('discoverableBy').optional().isArray().withMessage('discoverableBy must be an array of roles'),
+  body('discoverableBy.*').isIn(DISCOVERY_ROLES).withMessage(`Roles must be one of: ${DISCOVERY_ROLES.join(', ')}`)
+];
+
+const notificationValidation = [
+  body('channels').optional().isObject().withMessage('channels must map notification types to channel lists')
+    .custom(channels => Object.keys(channels).every(type => NOTIFICATION_TYPES[type]))
+    .withMessage(`Notification types must be: ${Object.keys(NOTIFICATION_TYPES).join(', ')}`),
+  body('channels.*').isArray().withMessage('Each notification type takes an array of channels'),
+  body('channels.*.*').isIn(NOTIFICATION_CHANNELS).withMessage(`Channels must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`),
+  body('quietHours.enabled').optional().isBoolean().withMessage('quietHours.enabled must be true or false'),
+  body('quietHours.start').optional().matches(TIME_OF_DAY).withMessage('quietHours.start must be HH:mm'),
+  body('quietHours.end').optional().matches(TIME_OF_DAY).withMessage('quietHours.end must be HH:mm'),
+  body('quietHours.timezone').optional().custom(isValidTimezone).withMessage('Unknown timezone'),
+  body('digest.enabled').optional().isBoolean().withMessage('digest.enabled must be true or false'),
+  body('digest.hour').optional().isInt({ min: 0, max: 23 }).toInt().withMessage('digest.hour must be between 0 and 23')
+];
+
+const blockValidation = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+];
+
 const ratingValidation = [
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('comment').optional().isString().trim().isLength({ max: 500 }).withMessage('Comment must be less than 500 characters'),
-  body('roleContext').optional().isIn(['farmer', 'transport', 'storage']).withMessage('Invalid role context')
+  body('transactionType').isIn(TRANSACTION_TYPES).withMessage(`Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}`),
+  body('transactionId').isMongoId().withMessage('Valid transaction ID is required')
+];
+
+const transactionsValidation = [
+  query('type').optional().isIn(['sale', 'purchase', 'transport', 'storage']).withMessage('Invalid transaction type'),
+  query('direction').optional().isIn(['income', 'expense']).withMessage('Direction must be income or expense'),
+  query('status').optional().isIn(['pending', 'completed', 'cancelled']).withMessage('Invalid status'),
+  query('role').optional().isIn(['farmer', 'transport', 'storage']).withMessage('Invalid role'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('period').optional().isIn(Object.keys(PERIOD_FORMATS)).withMessage(`Period must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}`),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+];
+
+const ratingReplyValidation = [
+  body('text').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Reply must be between 1 and 500 characters')
+];
+
+const ratingReportValidation = [
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters')
 ];
 
 const profileDetailsValidation = [
@@ -79,9 +213,24 @@ const updateRolesValidation = [
   body('roles.*').isIn(['farmer', 'transport', 'storage', 'admin']).withMessage('Invalid role')
 ];
 
+const switchRoleValidation = [
+  body('role').isIn(['farmer', 'transport', 'storage']).withMessage('Role must be farmer, transport or storage')
+];
+
+const moderationValidation = [
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('A reason between 3 and 500 characters is required')
+];
+
 // Public routes
-router.post('/register', registerValidation, register);
+router.post('/register', registerLimiter, registerValidation, register);
 router.post('/login', loginValidation, login);
+router.post('/refresh', refreshValidation, refreshToken);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/verify-email', verifyEmailValidation, verifyEmail);
+router.post('/otp/request', otpLimiter, otpRequestValidation, requestOtp);
+router.post('/otp/verify', otpLimiter, otpVerifyValidation, verifyOtp);
+router.post('/unlock', otpLimiter, unlockAccount);
 
 // Protected routes (all authenticated users)
 router.get('/profile', protect, getProfile);
@@ -89,20 +238,46 @@ router.put('/profile', protect, updateProfileValidation, updateProfile);
 router.put('/profile/details', protect, profileDetailsValidation, updateProfileDetails);
 router.put('/profile/role', protect, roleProfileValidation, updateRoleProfile);
 router.get('/profile/stats', protect, getRoleStats);
+router.get('/profile/transactions', protect, transactionsValidation, getTransactions);
 router.put('/location', protect, updateLocationValidation, updateLocation);
+router.get('/profile/privacy', protect, getPrivacySettings);
+router.put('/profile/privacy', protect, privacyValidation, updatePrivacySettings);
+router.get('/profile/notifications', protect, getNotificationPreferences);
+router.put('/profile/notifications', protect, notificationValidation, updateNotificationPreferences);
+router.get('/blocks', protect, getBlockedUsers);
+router.post('/users/:id/block', protect, blockValidation, blockUser);
+router.delete('/users/:id/block', protect, unblockUser);
 router.get('/users/nearby', protect, getNearbyUsers);
 router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:sessionId', protect, revokeSession);
+router.post('/role/switch', protect, switchRoleValidation, switchRole);
+router.put('/change-password', protect, changePasswordValidation, changePassword);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
+router.post('/phone/verification', protect, requestPhoneVerification);
+router.post('/phone/verify', protect, phoneCodeValidation, verifyPhone);
 
 // User profile routes
 router.get('/users/:id', protect, getUserById); // Get user by ID
 router.get('/users/:id/ratings', protect, getUserRatings); // Get user ratings
 router.post('/users/:id/ratings', protect, ratingValidation, submitRating); // Submit rating
+router.post('/users/:id/ratings/:ratingId/reply', protect, ratingReplyValidation, replyToRating); // Reply to a rating
+router.post('/users/:id/ratings/:ratingId/report', protect, ratingReportValidation, reportRating); // Report a rating
 
 // Role-specific routes
 router.get('/users/role/:role', protect, getUsersByRole); // Get users by role
 
 // Admin routes
-router.put('/admin/roles', protect, authorize('admin'), updateRolesValidation, updateUserRoles);
+router.put('/admin/roles', protect, permit('user.roles.manage'), updateRolesValidation, updateUserRoles);
+router.get('/admin/lockouts', protect, permit('security.lockouts.manage'), getLockouts);
+router.delete('/admin/lockouts/:scope/:identifier', protect, permit('security.lockouts.manage'), clearLockout);
+router.get('/admin/users', protect, permit('user.moderate'), searchUsers);
+router.put('/admin/users/:id/suspend', protect, permit('user.moderate'), moderationValidation, suspendUser);
+router.put('/admin/users/:id/reinstate', protect, permit('user.moderate'), moderationValidation, reinstateUser);
+router.put('/admin/users/:id/verify', protect, permit('user.moderate'), verifyUser);
+router.get('/admin/ratings/reported', protect, permit('review.moderate'), getReportedRatings);
+router.put('/admin/users/:id/ratings/:ratingId/remove', protect, permit('review.moderate'), removeRating);
 
 // Test role-protected routes
 router.get('/test/farmer', protect, authorize('farmer'), (req, res) => {
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const geoController = require('../controllers/geo.controller');
+
+const PLACE_TYPES = ['county', 'sub_county', 'ward'];
+
+// Validation rules
+const resolveValidation = [
+  query('q').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Search text is required'),
+  query('types').optional().custom(value => value.split(',').every(type => PLACE_TYPES.includes(type)))
+    .withMessage(`Types must be a comma-separated list of: ${PLACE_TYPES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+// Public so registration forms can autocomplete before sign-in
+router.get('/counties', geoController.getCounties);
+router.get('/resolve', resolveValidation, geoController.resolvePlace);
+
+module.exports = router;
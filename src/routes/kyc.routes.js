@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const kycController = require('../controllers/kyc.controller');
+const documentUpload = require('../config/documentUpload');
+const { protect } = require('../middlewares/auth.middleware');
+const { authorize } = require('../middlewares/role.middleware');
+const { permit } = require('../middlewares/permission.middleware');
+
+// Validation rules
+const uploadValidation = [
+  body('subjectId').isMongoId().withMessage('Valid subject ID is required')
+];
+
+const myDocumentsValidation = [
+  query('subjectId').optional().isMongoId().withMessage('Invalid subject ID')
+];
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+// Document submission routes
+router.route('/documents')
+  .post(authorize('transport', 'storage'), documentUpload.single('document'), uploadValidation, kycController.uploadDocument);
+
+router.route('/documents/my')
+  .get(myDocumentsValidation, kycController.getMyDocuments);
+
+router.route('/documents/:id')
+  .get(kycController.getDocument);
+
+router.route('/documents/:id/file')
+  .get(kycController.getDocumentFile);
+
+router.route('/documents/:id/comments')
+  .post(kycController.addComment);
+
+// Admin review routes
+router.route('/admin/queue')
+  .get(permit('kyc.review'), kycController.getReviewQueue);
+
+router.route('/admin/documents/:id/review')
+  .put(permit('kyc.review'), kycController.reviewDocument);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const listingController = require('../controllers/listing.controller');
 const imageController = require('../controllers/image.controller');
+const matchController = require('../controllers/match.controller');
 const upload = require('../config/multer');
 const { protect } = require('../middlewares/auth.middleware');
 const { authorize } = require('../middlewares/role.middleware');
@@ -36,6 +37,13 @@ router.route('/search')
 router.route('/map-view')
   .get(listingController.getMapListings);
 
+// Match suggestions between surplus and need listings
+router.route('/matches')
+  .get(matchController.getMatchSuggestions);
+
+router.route('/matches/:matchId/:action')
+  .put(matchController.respondToMatch);
+
 // Image routes
 router.route('/:id/images')
   .post(upload.array('images', 4), imageController.uploadImages);
@@ -58,9 +66,15 @@ router.route('/:id')
 router.route('/:id/close')
   .put(listingController.closeListing);
 
+router.route('/:id/renew')
+  .put(listingController.renewListing);
+
 router.route('/:id/match')
   .put(listingController.markAsMatched);
 
+router.route('/:id/matches')
+  .get(matchController.getListingMatches);
+
 router.route('/:id/contact')
   .post(listingController.contactOwner);
 
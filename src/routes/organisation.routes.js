@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const organisationController = require('../controllers/organisation.controller');
+const { findCounty } = require('../utils/geography');
+const { protect } = require('../middlewares/auth.middleware');
+
+// Validation rules
+const organisationValidation = [
+  body('name').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('type').optional().isIn(['cooperative', 'company', 'association', 'other']).withMessage('Invalid organisation type'),
+  body('description').optional().isString().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+  body('categories').optional().isArray().withMessage('Categories must be an array'),
+  body('contact.email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('contact.phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('locationDetails.county').optional().custom(value => Boolean(findCounty(value))).withMessage('Unknown county')
+];
+
+const updateOrganisationValidation = [
+  body('name').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  ...organisationValidation.slice(1)
+];
+
+const memberRoleValidation = [
+  body('role').isIn(['manager', 'clerk', 'member']).withMessage('Role must be manager, clerk or member')
+];
+
+const membersQueryValidation = [
+  query('q').optional().isString().isLength({ max: 200 }).withMessage('Search text must be less than 200 characters'),
+  query('role').optional().isIn(['manager', 'clerk', 'member']).withMessage('Role must be manager, clerk or member'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+];
+
+const inviteValidation = [
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('role').optional().isIn(['manager', 'clerk', 'member']).withMessage('Role must be manager, clerk or member')
+];
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+router.route('/')
+  .post(organisationValidation, organisationController.createOrganisation);
+
+router.route('/my')
+  .get(organisationController.getMyOrganisations);
+
+// Invitations addressed to the current user
+router.route('/invitations')
+  .get(organisationController.getMyInvitations);
+
+router.route('/invitations/accept')
+  .post(organisationController.acceptInvitation);
+
+router.route('/invitations/:inviteId/decline')
+  .post(organisationController.declineInvitation);
+
+// Single organisation routes
+router.route('/:id')
+  .get(organisationController.getOrganisation)
+  .put(updateOrganisationValidation, organisationController.updateOrganisation);
+
+router.route('/:id/stats')
+  .get(organisationController.getOrganisationStats);
+
+router.route('/:id/listings')
+  .get(organisationController.getOrganisationListings);
+
+router.route('/:id/members')
+  .get(membersQueryValidation, organisationController.getMembers);
+
+router.route('/:id/members/:userId')
+  .put(memberRoleValidation, organisationController.updateMemberRole)
+  .delete(organisationController.removeMember);
+
+router.route('/:id/invitations')
+  .get(organisationController.getInvitations)
+  .post(inviteValidation, organisationController.inviteMember);
+
+router.route('/:id/invitations/:inviteId')
+  .delete(organisationController.revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const savedSearchController = require('../controllers/savedSearch.controller');
+const SavedSearch = require('../models/SavedSearch');
+const { findCounty } = require('../utils/geography');
+const { protect } = require('../middlewares/auth.middleware');
+
+const CATEGORIES = ['maize', 'milk', 'wheat', 'vegetables', 'fruits', 'livestock', 'other'];
+const QUALITIES = ['grade_a', 'grade_b', 'grade_c', 'mixed', 'not_specified'];
+
+// Validation rules
+const searchValidation = [
+  body('query').optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage('Search text must be less than 200 characters'),
+  body('filters').optional({ nullable: true }).isObject().withMessage('Filters must be an object'),
+  body('filters.category').optional({ values: 'falsy' }).isIn(CATEGORIES).withMessage('Invalid category'),
+  body('filters.type').optional({ values: 'falsy' }).isIn(['surplus', 'need']).withMessage('Type must be surplus or need'),
+  body('filters.quality').optional({ values: 'falsy' }).isIn(QUALITIES).withMessage('Invalid quality grade'),
+  body('filters.county').optional({ values: 'falsy' }).custom(value => Boolean(findCounty(value))).withMessage('Unknown county'),
+  body(['filters.minPrice', 'filters.maxPrice', 'filters.minQuantity', 'filters.maxQuantity'])
+    .optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Price and quantity filters must be positive numbers'),
+  body('near').optional({ nullable: true }).isObject().withMessage('near must be an object'),
+  body('near.lat').if(body('near').exists({ values: 'null' })).isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('near.lng').if(body('near').exists({ values: 'null' })).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body('near.radiusKm').if(body('near').exists({ values: 'null' })).isFloat({ min: 1, max: 500 }).withMessage('Radius must be between 1 and 500 km'),
+  body('alerts').optional().isIn(SavedSearch.ALERT_FREQUENCIES).withMessage(`Alerts must be one of: ${SavedSearch.ALERT_FREQUENCIES.join(', ')}`)
+];
+
+const createSavedSearchValidation = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+  ...searchValidation
+];
+
+const updateSavedSearchValidation = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+  ...searchValidation
+];
+
+const matchesValidation = [
+  query('since').optional().isISO8601().withMessage('since must be a valid date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+router.use(protect);
+
+router.route('/')
+  .get(savedSearchController.getSavedSearches)
+  .post(createSavedSearchValidation, savedSearchController.createSavedSearch);
+
+router.route('/:id')
+  .get(savedSearchController.getSavedSearch)
+  .put(updateSavedSearchValidation, savedSearchController.updateSavedSearch)
+  .delete(savedSearchController.deleteSavedSearch);
+
+router.get('/:id/matches', matchesValidation, savedSearchController.getSavedSearchMatches);
+
+module.exports = router;
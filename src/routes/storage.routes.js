@@ -23,6 +23,9 @@ router.route('/:id')
   .put(storageController.updateStorage)
   .delete(storageController.deleteStorage);
 
+router.route('/:id/renew')
+  .put(storageController.renewStorage);
+
 router.route('/:id/book')
   .post(storageController.bookStorage);
 
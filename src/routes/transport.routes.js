@@ -23,6 +23,9 @@ router.route('/:id')
   .put(transportController.updateTransport)
   .delete(transportController.deleteTransport);
 
+router.route('/:id/renew')
+  .put(transportController.renewTransport);
+
 router.route('/:id/book')
   .post(transportController.bookTransport);
 
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middlewares/auth.middleware');
 const { webhookService } = require('../services/webhookService');
+const { auditService } = require('../services/auditService');
 const { validate } = require('../middlewares/validation.middleware');
 const Joi = require('joi');
 
@@ -25,6 +26,11 @@ const validEvents = [
   'chat.blocked',
   'chat.unblocked',
   'listing.matched',
+  'listing.match_suggested',
+  'search.matched',
+  'listing.expiring',
+  'listing.expired',
+  'security.lockout',
   'test',
   '*'
 ];
@@ -129,6 +135,15 @@ router.put('/:webhookId', validate(updateWebhookSchema), async (req, res) => {
       req.user.id,
       req.body
     );
+
+    // Never log the secret itself, only that it changed
+    if (result.newSecret) {
+      await auditService.record(req, {
+        action: 'webhook.secret.rotate',
+        target: { type: 'webhook', id: req.params.webhookId },
+        metadata: { secretRotatedAt: result.data.secretRotatedAt }
+      });
+    }
     
     res.json({
       success: true,
@@ -20,6 +20,10 @@ redisClient.connect().catch(err => {
 // Initialize Socket.IO
 socket.initializeSocket(server);
 
+// Scheduled jobs
+require('./utils/expiryCleanup');
+require('./utils/notificationScheduler');
+
 // Database connection
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/farm-connect', {
   useNewUrlParser: true,
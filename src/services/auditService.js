@@ -0,0 +1,120 @@
+// src/services/auditService.js
+const AuditLog = require('../models/AuditLog');
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Plain JSON copy so what is hashed is exactly what is stored
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Append-only, hash-chained record of sensitive actions
+ * (role changes, deletions, cancellations, secret rotations, blocks).
+ */
+class AuditService {
+  /**
+   * Fields that differ between two snapshots: { field: { before, after } }.
+   * Pass null for `after` when the record was deleted.
+   */
+  diff(before = {}, after = {}) {
+    before = toPlain(before) || {};
+    after = toPlain(after) || {};
+
+    const changes = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+      if (!isEqual(before[field], after[field])) {
+        changes[field] = { before: before[field] ?? null, after: after[field] ?? null };
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Record an action taken during a request. Never throws: a failed
+   * audit write is logged rather than failing the user's request.
+   */
+  async record(req, { action, target, before, after, metadata }) {
+    try {
+      return await this.append({
+        actor: req.user?._id || null,
+        actorRoles: req.user?.roles || [],
+        action,
+        target: { type: target.type, id: target.id.toString() },
+        changes: before !== undefined || after !== undefined ? this.diff(before, after) : {},
+        metadata: toPlain(metadata) || {},
+        ip: req.ip,
+        userAgent: req.get ? req.get('user-agent') : undefined,
+        requestId: req.id
+      });
+    } catch (error) {
+      console.error(`Audit log error (${action}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Link an entry to the end of the chain. Two writers racing for the
+   * same seq hit the unique index; the loser re-reads the head and retries.
+   */
+  async append(entry) {
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const head = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+
+      const record = {
+        ...entry,
+        seq: head ? head.seq + 1 : 1,
+        prevHash: head ? head.hash : AuditLog.GENESIS_HASH,
+        createdAt: new Date()
+      };
+      record.hash = AuditLog.computeHash(record);
+
+      try {
+        return await AuditLog.create(record);
+      } catch (error) {
+        if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Re-hash the chain (or a range of it) and report the first broken link
+   */
+  async verifyChain({ fromSeq = 1, limit = 10000 } = {}) {
+    const entries = await AuditLog.find({ seq: { $gte: fromSeq } })
+      .sort({ seq: 1 })
+      .limit(limit)
+      .lean();
+
+    let expectedPrev = null;
+    if (fromSeq > 1) {
+      const previous = await AuditLog.findOne({ seq: fromSeq - 1 }).select('hash').lean();
+      expectedPrev = previous ? previous.hash : null;
+    } else {
+      expectedPrev = AuditLog.GENESIS_HASH;
+    }
+
+    let expectedSeq = fromSeq;
+    for (const entry of entries) {
+      const problem =
+        entry.seq !== expectedSeq ? 'missing entry' :
+        expectedPrev && entry.prevHash !== expectedPrev ? 'chain link mismatch' :
+        AuditLog.computeHash(entry) !== entry.hash ? 'content hash mismatch' :
+        null;
+
+      if (problem) {
+        return { valid: false, checked: entry.seq - fromSeq, brokenAt: expectedSeq, reason: problem };
+      }
+
+      expectedPrev = entry.hash;
+      expectedSeq += 1;
+    }
+
+    return { valid: true, checked: entries.length, lastSeq: expectedSeq - 1 };
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = { auditService };
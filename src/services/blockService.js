@@ -0,0 +1,139 @@
+// src/services/blockService.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const redisClient = require('../config/redis');
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * User-level blocking. A block works both ways: neither user can chat,
+ * make or answer offers, book or rate the other, see the other's
+ * presence, or find the other's listings.
+ */
+class BlockService {
+  async block(userId, targetId, reason) {
+    if (idOf(userId) === idOf(targetId)) {
+      throw serviceError('You cannot block yourself', 400);
+    }
+
+    if (!mongoose.isValidObjectId(targetId) || !(await User.exists({ _id: targetId }))) {
+      throw serviceError('User not found', 404);
+    }
+
+    const blockedAt = new Date();
+    const result = await User.updateOne(
+      { _id: userId, 'blockedUsers.user': { $ne: targetId } },
+      { $push: { blockedUsers: { user: targetId, reason, blockedAt } } }
+    );
+
+    if (!result.modifiedCount) {
+      throw serviceError('User is already blocked', 400);
+    }
+
+    // Close the conversations they already have; stamped with the block
+    // time so unblocking reopens exactly these
+    await Chat.updateMany(
+      { participants: { $all: [userId, targetId] }, status: 'active' },
+      { $set: { status: 'blocked', blockedBy: userId, blockedAt, blockReason: reason || 'User blocked' } }
+    );
+    await this.clearChatCache(userId, targetId);
+
+    return { blockedAt };
+  }
+
+  async unblock(userId, targetId) {
+    const user = await User.findById(userId).select('blockedUsers');
+    const entry = user?.blockedUsers.find(b => idOf(b.user) === idOf(targetId));
+    if (!entry) {
+      throw serviceError('User is not blocked', 404);
+    }
+
+    await User.updateOne({ _id: userId }, { $pull: { blockedUsers: { user: entry.user } } });
+
+    // Reopen the chats this block closed, unless the other user blocks back
+    if (!(await this.isBlocked(userId, targetId))) {
+      await Chat.updateMany(
+        { participants: { $all: [userId, targetId] }, status: 'blocked', blockedBy: userId, blockedAt: entry.blockedAt },
+        { $set: { status: 'active', blockedBy: null, blockedAt: null, blockReason: null } }
+      );
+    }
+    await this.clearChatCache(userId, targetId);
+  }
+
+  async list(userId) {
+    const user = await User.findById(userId)
+      .select('blockedUsers')
+      .populate('blockedUsers.user', 'name roles');
+    return user ? user.blockedUsers : [];
+  }
+
+  /**
+   * Whether either user has blocked the other
+   */
+  async isBlocked(userId, otherId) {
+    if (!userId || !otherId) return false;
+    return Boolean(await User.exists({
+      $or: [
+        { _id: userId, 'blockedUsers.user': otherId },
+        { _id: otherId, 'blockedUsers.user': userId }
+      ]
+    }));
+  }
+
+  /**
+   * Throws a 403 when the two users have blocked each other either way
+   */
+  async assertNotBlocked(userId, otherId) {
+    if (await this.isBlocked(userId, otherId)) {
+      throw serviceError('This action is not available between you and this user', 403);
+    }
+  }
+
+  /**
+   * Ids of users hidden from `userId`: those they blocked and those who blocked them
+   */
+  async hiddenUserIds(userId) {
+    const [user, blockers] = await Promise.all([
+      User.findById(userId).select('blockedUsers.user').lean(),
+      User.find({ 'blockedUsers.user': userId }).select('_id').lean()
+    ]);
+
+    return [
+      ...(user?.blockedUsers || []).map(b => b.user),
+      ...blockers.map(b => b._id)
+    ];
+  }
+
+  /**
+   * Add "not owned by a hidden user" to a query on `field`, keeping any
+   * condition already on it (e.g. { $ne: me })
+   */
+  async excludeHidden(query, field, userId) {
+    const hidden = await this.hiddenUserIds(userId);
+    if (!hidden.length) return query;
+
+    const current = query[field];
+    if (current === undefined) {
+      query[field] = { $nin: hidden };
+    } else if (current && typeof current === 'object' && !mongoose.isValidObjectId(current)) {
+      query[field] = { ...current, $nin: [...(current.$nin || []), ...hidden] };
+    }
+    return query;
+  }
+
+  async clearChatCache(...userIds) {
+    await Promise.all(userIds.map(id => redisClient.del(`user:${id}:chats`)));
+  }
+}
+
+// Create singleton instance
+const blockService = new BlockService();
+
+module.exports = { blockService };
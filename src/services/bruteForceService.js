@@ -0,0 +1,198 @@
+// src/services/bruteForceService.js
+const crypto = require('crypto');
+const redisClient = require('../config/redis');
+
+/**
+ * Failed-attempt tracking for login, per account identifier and per IP.
+ * Failures first add a growing delay, then lock the account or IP.
+ */
+class BruteForceService {
+  constructor() {
+    this.failureWindow = 15 * 60; // failures are counted over 15 minutes
+    this.accountDelayAfter = 3; // failures before delays start
+    this.ipDelayAfter = 20; // IPs are often shared (carrier NAT, cybercafes)
+    this.maxDelay = 60; // seconds
+    this.accountLockAfter = 10;
+    this.ipLockAfter = 50;
+    this.lockDuration = 30 * 60; // 30 minutes
+    this.unlockTokenTtl = 30 * 60;
+    this.locksKey = 'auth:locks';
+  }
+
+  failKey(scope, id) {
+    return `auth:fail:${scope}:${id}`;
+  }
+
+  delayKey(scope, id) {
+    return `auth:delay:${scope}:${id}`;
+  }
+
+  lockKey(scope, id) {
+    return `auth:lock:${scope}:${id}`;
+  }
+
+  unlockKey(tokenHash) {
+    return `auth:unlock:${tokenHash}`;
+  }
+
+  normalizeIdentifier(identifier) {
+    return String(identifier || '').trim().toLowerCase();
+  }
+
+  /**
+   * Check whether an attempt may proceed.
+   * Returns { allowed, locked, retryAfter }
+   */
+  async check(identifier, ip) {
+    const account = this.normalizeIdentifier(identifier);
+
+    for (const [scope, id] of [['account', account], ['ip', ip]]) {
+      if (!id) continue;
+
+      const lockTtl = await redisClient.ttl(this.lockKey(scope, id));
+      if (lockTtl > 0) {
+        return { allowed: false, locked: true, scope, retryAfter: lockTtl };
+      }
+
+      const delayTtl = await redisClient.ttl(this.delayKey(scope, id));
+      if (delayTtl > 0) {
+        return { allowed: false, locked: false, scope, retryAfter: delayTtl };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  async countFailure(scope, id) {
+    const key = this.failKey(scope, id);
+    const failures = await redisClient.incr(key);
+    if (failures === 1) {
+      await redisClient.expire(key, this.failureWindow);
+    }
+    return failures;
+  }
+
+  progressiveDelay(failures, delayAfter) {
+    if (failures < delayAfter) return 0;
+    return Math.min(2 ** (failures - delayAfter), this.maxDelay);
+  }
+
+  /**
+   * Record a failed attempt. Returns the lockouts this failure triggered
+   * so the caller can notify the account owner.
+   */
+  async recordFailure(identifier, ip) {
+    const account = this.normalizeIdentifier(identifier);
+    const lockouts = [];
+
+    const targets = [
+      ['account', account, this.accountDelayAfter, this.accountLockAfter],
+      ['ip', ip, this.ipDelayAfter, this.ipLockAfter]
+    ];
+
+    for (const [scope, id, delayAfter, lockAfter] of targets) {
+      if (!id) continue;
+
+      const failures = await this.countFailure(scope, id);
+
+      if (failures >= lockAfter) {
+        await this.lock(scope, id, failures);
+        lockouts.push({ scope, id, failures });
+        continue;
+      }
+
+      const delay = this.progressiveDelay(failures, delayAfter);
+      if (delay > 0) {
+        await redisClient.set(this.delayKey(scope, id), '1', delay);
+      }
+    }
+
+    return lockouts;
+  }
+
+  async recordSuccess(identifier) {
+    const account = this.normalizeIdentifier(identifier);
+    await redisClient.del(this.failKey('account', account));
+    await redisClient.del(this.delayKey('account', account));
+  }
+
+  async lock(scope, id, failures) {
+    await redisClient.set(
+      this.lockKey(scope, id),
+      JSON.stringify({ failures, lockedAt: new Date().toISOString() }),
+      this.lockDuration
+    );
+    await redisClient.sadd(this.locksKey, `${scope}:${id}`);
+    await redisClient.del(this.failKey(scope, id));
+    await redisClient.del(this.delayKey(scope, id));
+  }
+
+  async clear(scope, id) {
+    id = scope === 'account' ? this.normalizeIdentifier(id) : id;
+
+    const existed = await redisClient.del(this.lockKey(scope, id));
+    await redisClient.del(this.failKey(scope, id));
+    await redisClient.del(this.delayKey(scope, id));
+    await redisClient.srem(this.locksKey, `${scope}:${id}`);
+
+    return existed > 0;
+  }
+
+  /**
+   * List current lockouts, pruning entries that already expired
+   */
+  async listLockouts() {
+    const members = await redisClient.smembers(this.locksKey);
+    const lockouts = [];
+
+    for (const member of members) {
+      const separator = member.indexOf(':');
+      const scope = member.slice(0, separator);
+      const id = member.slice(separator + 1);
+
+      const stored = await redisClient.get(this.lockKey(scope, id));
+      if (!stored) {
+        await redisClient.srem(this.locksKey, member);
+        continue;
+      }
+
+      const details = JSON.parse(stored);
+      lockouts.push({
+        scope,
+        identifier: id,
+        failures: details.failures,
+        lockedAt: details.lockedAt,
+        expiresIn: await redisClient.ttl(this.lockKey(scope, id))
+      });
+    }
+
+    return lockouts;
+  }
+
+  /**
+   * Create a one-time token that lifts an account lockout
+   */
+  async createUnlockToken(identifier) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const hash = crypto.createHash('sha256').update(token).digest('hex');
+
+    await redisClient.set(this.unlockKey(hash), this.normalizeIdentifier(identifier), this.unlockTokenTtl);
+    return token;
+  }
+
+  async redeemUnlockToken(token) {
+    const hash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const identifier = await redisClient.get(this.unlockKey(hash));
+
+    if (!identifier) return null;
+
+    await redisClient.del(this.unlockKey(hash));
+    await this.clear('account', identifier);
+    return identifier;
+  }
+}
+
+// Create singleton instance
+const bruteForceService = new BruteForceService();
+
+module.exports = { bruteForceService };
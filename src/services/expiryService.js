@@ -0,0 +1,190 @@
+// src/services/expiryService.js
+const Listing = require('../models/Listing');
+const Transport = require('../models/Transport');
+const Storage = require('../models/Storage');
+const { notificationService } = require('./notificationService');
+const { webhookService } = require('./webhookService');
+const { matchingService } = require('./matchingService');
+const { EXPIRY_REMINDER_HOURS, EXPIRED_NOTICE_WINDOW_DAYS } = require('../config/expiry');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Records owners are reminded about, and the status they are live in
+const KINDS = {
+  listing: {
+    model: Listing,
+    liveStatus: 'active',
+    expiringTitle: 'Listing expiring soon',
+    expiringText: 'Your listing "{title}" expires in {time}. Renew it to keep it visible to buyers.'
+  },
+  transport: {
+    model: Transport,
+    liveStatus: 'available',
+    expiringTitle: 'Transport service expiring soon',
+    expiringText: 'Your transport service "{title}" expires in {time}. Renew it to keep it visible to farmers.',
+    expiredTitle: 'Transport service expired',
+    expiredText: 'Your transport service "{title}" has expired and is no longer shown to farmers. Renew it to list it again.'
+  },
+  storage: {
+    model: Storage,
+    liveStatus: 'active',
+    expiringTitle: 'Storage facility expiring soon',
+    expiringText: 'Your storage facility "{title}" expires in {time}. Renew it to keep it visible to farmers.',
+    expiredTitle: 'Storage facility expired',
+    expiredText: 'Your storage facility "{title}" has expired and is no longer shown to farmers. Renew it to list it again.'
+  }
+};
+
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, name) => values[name]);
+
+// "3 days" or "5 hours", rounded up
+const timeLeft = (expiryDate, now) => {
+  const hours = Math.max(1, Math.ceil((expiryDate - now) / HOUR_MS));
+  if (hours < 48) return hours === 1 ? '1 hour' : `${hours} hours`;
+  return `${Math.ceil(hours / 24)} days`;
+};
+
+/**
+ * Expiry reminders and notices for listings, transport services and
+ * storage facilities. Run hourly by utils/expiryCleanup.js.
+ */
+class ExpiryService {
+  /**
+   * Remind owners of live records expiring within each lead time. Shortest
+   * lead first, and a reminder also marks the longer lead times as sent, so
+   * a record that is already close to expiry gets one reminder, not several.
+   */
+  async sendReminders(now = new Date()) {
+    let sent = 0;
+
+    for (const [kind, config] of Object.entries(KINDS)) {
+      for (const hours of EXPIRY_REMINDER_HOURS) {
+        const expiring = await config.model.find({
+          status: config.liveStatus,
+          ownerSuspended: { $ne: true },
+          expiryDate: { $gt: now, $lte: new Date(now.getTime() + hours * HOUR_MS) },
+          expiryRemindersSent: { $ne: hours }
+        }).select('_id owner title expiryDate');
+
+        for (const record of expiring) {
+          await config.model.updateOne(
+            { _id: record._id },
+            { $addToSet: { expiryRemindersSent: { $each: EXPIRY_REMINDER_HOURS.filter(lead => lead >= hours) } } }
+          );
+
+          await notificationService.notify(record.owner, 'listing_expiry', {
+            event: `${kind}.expiring`,
+            data: { [`${kind}Id`]: record._id, expiryDate: record.expiryDate },
+            title: config.expiringTitle,
+            text: fill(config.expiringText, { title: record.title, time: timeLeft(record.expiryDate, now) })
+          });
+
+          if (kind === 'listing') {
+            await webhookService.triggerWebhook(
+              'listing.expiring',
+              {
+                listingId: record._id,
+                owner: record.owner,
+                expiryDate: record.expiryDate,
+                timestamp: now.toISOString()
+              },
+              record.owner.toString()
+            ).catch(err => console.error('Webhook error:', err));
+          }
+
+          sent++;
+        }
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Mark live listings past their expiry date as expired, withdraw their
+   * match suggestions and tell the owners
+   */
+  async expireListings(now = new Date()) {
+    const expiring = await Listing.find({
+      status: 'active',
+      expiryDate: { $lte: now }
+    }).select('_id owner title expiryDate');
+
+    const expiredListings = await Listing.updateMany(
+      {
+        _id: { $in: expiring.map(listing => listing._id) },
+        status: 'active'
+      },
+      {
+        status: 'expired',
+        closedAt: now,
+        expiredNotifiedAt: now
+      }
+    );
+
+    await matchingService.withdraw(expiring, 'listing_expired');
+
+    for (const listing of expiring) {
+      await notificationService.notify(listing.owner, 'listing_expiry', {
+        event: 'listing.expired',
+        data: { listingId: listing._id },
+        title: 'Listing expired',
+        text: `Your listing "${listing.title}" has expired and is no longer shown to buyers`
+      });
+
+      await webhookService.triggerWebhook(
+        'listing.expired',
+        {
+          listingId: listing._id,
+          owner: listing.owner,
+          expiryDate: listing.expiryDate,
+          timestamp: now.toISOString()
+        },
+        listing.owner.toString()
+      ).catch(err => console.error('Webhook error:', err));
+    }
+
+    return expiredListings.modifiedCount;
+  }
+
+  /**
+   * Tell owners of transport services and storage facilities that expired
+   * since the last run. They keep their status (bookings may still be
+   * running); their expiry date already hides them and blocks new bookings.
+   */
+  async expireServices(now = new Date()) {
+    let notified = 0;
+
+    for (const kind of ['transport', 'storage']) {
+      const config = KINDS[kind];
+      const expired = await config.model.find({
+        status: config.liveStatus,
+        expiryDate: { $lte: now, $gt: new Date(now.getTime() - EXPIRED_NOTICE_WINDOW_DAYS * DAY_MS) },
+        expiredNotifiedAt: null
+      }).select('_id owner title');
+
+      await config.model.updateMany(
+        { _id: { $in: expired.map(record => record._id) } },
+        { expiredNotifiedAt: now }
+      );
+
+      for (const record of expired) {
+        await notificationService.notify(record.owner, 'listing_expiry', {
+          event: `${kind}.expired`,
+          data: { [`${kind}Id`]: record._id },
+          title: config.expiredTitle,
+          text: fill(config.expiredText, { title: record.title })
+        });
+      }
+
+      notified += expired.length;
+    }
+
+    return notified;
+  }
+}
+
+const expiryService = new ExpiryService();
+
+module.exports = { expiryService };
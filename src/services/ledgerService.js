@@ -0,0 +1,248 @@
+// src/services/ledgerService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+/**
+ * Records completed deals on each party's User.transactions ledger
+ * and reads it back for statements (e.g. credit applications).
+ */
+class LedgerService {
+  /**
+   * Append an entry to a user's ledger. Entries are keyed by their
+   * reference, so recording the same deal twice is a no-op.
+   */
+  async record(userId, entry) {
+    const filter = { _id: userId };
+    if (entry.reference?.id) {
+      filter.transactions = {
+        $not: { $elemMatch: { 'reference.type': entry.reference.type, 'reference.id': entry.reference.id } }
+      };
+    }
+
+    await User.updateOne(filter, {
+      $push: {
+        transactions: {
+          id: `t-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+          status: 'completed',
+          date: new Date(),
+          ...entry
+        }
+      },
+      $inc: { totalTransactions: 1 }
+    });
+  }
+
+  /**
+   * Accepted offer: a sale for the seller and a purchase for the buyer.
+   * On a surplus listing the owner sells; on a need listing the owner buys.
+   */
+  async recordOffer(listing, offer) {
+    const ownerId = listing.owner._id || listing.owner;
+    const ownerSells = listing.type !== 'need';
+    const sellerId = ownerSells ? ownerId : offer.sender;
+    const buyerId = ownerSells ? offer.sender : ownerId;
+
+    const common = {
+      product: listing.title || listing.category,
+      quantity: offer.offerDetails.quantity,
+      unit: offer.offerDetails.unit,
+      price: offer.offerDetails.price,
+      currency: listing.price?.currency || 'KES',
+      listing: listing._id,
+      reference: { type: 'offer', id: offer._id }
+    };
+
+    await Promise.all([
+      this.record(sellerId, {
+        ...common,
+        type: 'sale',
+        direction: 'income',
+        roleInvolved: ownerSells ? listing.ownerRole || 'farmer' : undefined,
+        counterparty: buyerId
+      }),
+      this.record(buyerId, {
+        ...common,
+        type: 'purchase',
+        direction: 'expense',
+        roleInvolved: ownerSells ? undefined : listing.ownerRole || 'farmer',
+        counterparty: sellerId
+      })
+    ]);
+  }
+
+  /**
+   * Completed transport: income for the transporter, expense for the booker
+   */
+  async recordTransport(transport, listing) {
+    if (!transport.bookedBy) return;
+
+    let price = transport.estimatedPrice || 0;
+    if (transport.pricing?.pricingType === 'per_kg' && listing?.productDetails?.unit === 'kg') {
+      price = transport.pricing.amount * listing.productDetails.quantity;
+    }
+
+    const common = {
+      type: 'transport',
+      product: listing ? listing.title || listing.category : transport.title,
+      quantity: 1,
+      unit: 'trip',
+      price,
+      currency: transport.pricing?.currency || 'KES',
+      listing: listing?._id,
+      reference: { type: 'transport', id: transport._id }
+    };
+
+    await Promise.all([
+      this.record(transport.owner, {
+        ...common,
+        direction: 'income',
+        roleInvolved: 'transport',
+        counterparty: transport.bookedBy
+      }),
+      this.record(transport.bookedBy, {
+        ...common,
+        direction: 'expense',
+        roleInvolved: transport.bookedAs || undefined,
+        counterparty: transport.owner
+      })
+    ]);
+  }
+
+  /**
+   * Released storage booking: income for the facility owner, expense for the booker
+   */
+  async recordStorage(storage, booking) {
+    if (!booking.bookedBy) return;
+
+    const common = {
+      type: 'storage',
+      product: booking.product,
+      quantity: booking.quantity,
+      unit: 'kg',
+      price: this.storageCharge(storage.pricing, booking),
+      currency: storage.pricing?.currency || 'KES',
+      reference: { type: 'storage_booking', id: booking._id }
+    };
+
+    await Promise.all([
+      this.record(storage.owner, {
+        ...common,
+        direction: 'income',
+        roleInvolved: 'storage',
+        counterparty: booking.bookedBy
+      }),
+      this.record(booking.bookedBy, {
+        ...common,
+        direction: 'expense',
+        roleInvolved: booking.bookedAs || undefined,
+        counterparty: storage.owner
+      })
+    ]);
+  }
+
+  // Charge for the booked period at the facility's rate
+  storageCharge(pricing, booking) {
+    if (!pricing) return 0;
+
+    const bookedDays = Math.ceil((new Date(booking.endDate) - new Date(booking.startDate)) / DAY_MS);
+    const days = Math.max(bookedDays, pricing.minimumPeriod || 1);
+
+    switch (pricing.pricingType) {
+      case 'per_day':
+        return pricing.amount * days;
+      case 'per_week':
+        return pricing.amount * Math.ceil(days / 7);
+      case 'per_month':
+        return pricing.amount * Math.ceil(days / 30);
+      case 'per_kg_per_day':
+        return pricing.amount * booking.quantity * days;
+      default:
+        return pricing.amount;
+    }
+  }
+
+  /**
+   * Filtered ledger entries plus totals per period.
+   * `limit: null` returns every matching entry (for exports).
+   */
+  async getLedger(userId, filters = {}, { period = 'month', page = 1, limit = 50 } = {}) {
+    const match = {};
+    if (filters.type) match['transactions.type'] = filters.type;
+    if (filters.direction) match['transactions.direction'] = filters.direction;
+    if (filters.status) match['transactions.status'] = filters.status;
+    if (filters.role) match['transactions.roleInvolved'] = filters.role;
+    if (filters.from || filters.to) {
+      match['transactions.date'] = {};
+      if (filters.from) match['transactions.date'].$gte = new Date(filters.from);
+      if (filters.to) match['transactions.date'].$lte = new Date(filters.to);
+    }
+
+    const entriesPipeline = [{ $sort: { 'transactions.date': -1 } }];
+    if (limit) {
+      entriesPipeline.push({ $skip: (page - 1) * limit }, { $limit: limit });
+    }
+    entriesPipeline.push({ $replaceRoot: { newRoot: '$transactions' } });
+
+    const [result] = await User.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(userId.toString()) } },
+      { $project: { transactions: 1 } },
+      { $unwind: '$transactions' },
+      { $match: match },
+      {
+        $facet: {
+          entries: entriesPipeline,
+          count: [{ $count: 'total' }],
+          periods: [
+            {
+              $group: {
+                _id: {
+                  period: { $dateToString: { format: PERIOD_FORMATS[period], date: '$transactions.date' } },
+                  direction: '$transactions.direction',
+                  currency: '$transactions.currency'
+                },
+                amount: { $sum: '$transactions.price' },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { '_id.period': -1 } }
+          ]
+        }
+      }
+    ]);
+
+    // Fold income/expense rows into one row per period and currency
+    const periods = [];
+    (result?.periods || []).forEach(({ _id, amount, count }) => {
+      let row = periods.find(p => p.period === _id.period && p.currency === _id.currency);
+      if (!row) {
+        row = { period: _id.period, currency: _id.currency || 'KES', income: 0, expense: 0, net: 0, count: 0 };
+        periods.push(row);
+      }
+      if (_id.direction === 'income') row.income += amount;
+      if (_id.direction === 'expense') row.expense += amount;
+      row.net = row.income - row.expense;
+      row.count += count;
+    });
+
+    return {
+      entries: result?.entries || [],
+      total: result?.count[0]?.total || 0,
+      periods
+    };
+  }
+}
+
+// Create singleton instance
+const ledgerService = new LedgerService();
+
+module.exports = { ledgerService, PERIOD_FORMATS };
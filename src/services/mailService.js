@@ -0,0 +1,147 @@
+// src/services/mailService.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Built-in transports. A transport is any object with
+ * an async send(mail) method; register others with registerTransport.
+ */
+const consoleTransport = {
+  async send(mail) {
+    console.log(`[Mail] To: ${mail.to} | Subject: ${mail.subject}\n${mail.text}`);
+    return { delivered: true, transport: 'console' };
+  }
+};
+
+const fileTransport = {
+  async send(mail) {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../tmp/mail');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { delivered: true, transport: 'file', file: fileName };
+  }
+};
+
+class MailService {
+  constructor() {
+    this.transports = {
+      console: consoleTransport,
+      file: fileTransport
+    };
+    this.from = process.env.MAIL_FROM || 'Farm Connect <no-reply@farmconnect.local>';
+    this.clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  }
+
+  registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(mail)');
+    }
+    this.transports[name] = transport;
+  }
+
+  getTransport() {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    return this.transports[name] || this.transports.console;
+  }
+
+  /**
+   * Send an email. Failures are logged and reported, never thrown,
+   * so auth flows do not fail because mail is down.
+   */
+  async send({ to, subject, text, html }) {
+    try {
+      return await this.getTransport().send({ from: this.from, to, subject, text, html });
+    } catch (error) {
+      console.error('Error sending mail:', error);
+      return { delivered: false, error: error.message };
+    }
+  }
+
+  async sendPasswordReset(user, token) {
+    const link = `${this.clientUrl}/reset-password?token=${token}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your Farm Connect password',
+      text: `Hello ${user.name},\n\nUse the link below to reset your password. It expires in 1 hour.\n\n${link}\n\nIf you did not request this, you can ignore this email.`
+    });
+  }
+
+  async sendEmailVerification(user, token) {
+    const link = `${this.clientUrl}/verify-email?token=${token}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your Farm Connect email',
+      text: `Hello ${user.name},\n\nPlease confirm your email address using the link below. It expires in 24 hours.\n\n${link}`
+    });
+  }
+
+  async sendAccountLocked(user, unlockToken, lockMinutes) {
+    const link = `${this.clientUrl}/unlock-account?token=${unlockToken}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Your Farm Connect account has been locked',
+      text: `Hello ${user.name},\n\nWe locked your account for ${lockMinutes} minutes after too many failed sign-in attempts. If this was you, unlock it now with the link below. If not, consider resetting your password.\n\n${link}`
+    });
+  }
+
+  async sendOrganisationInvite(email, organisation, inviter, token, role) {
+    const link = `${this.clientUrl}/organisations/invitations?token=${token}`;
+
+    return this.send({
+      to: email,
+      subject: `You're invited to join ${organisation.name} on Farm Connect`,
+      text: `Hello,\n\n${inviter.name} has invited you to join ${organisation.name} as a ${role}. Sign in or create an account, then accept the invitation with the link below. It expires in 7 days.\n\n${link}`
+    });
+  }
+
+  async sendNewDeviceSignIn(user, signIn) {
+    const device = signIn.deviceName || signIn.userAgent || 'an unknown device';
+
+    return this.send({
+      to: user.email,
+      subject: 'New sign-in to your Farm Connect account',
+      text: `Hello ${user.name},\n\nYour account was just signed in from ${device} (IP ${signIn.ip}) at ${signIn.timestamp}. If this was you, there is nothing to do. If not, sign that device out from your active sessions and change your password.\n\n${this.clientUrl}/account/sessions`
+    });
+  }
+
+  async sendNotification(user, { title, text }) {
+    return this.send({
+      to: user.email,
+      subject: title,
+      text: `Hello ${user.name},\n\n${text}\n\n${this.clientUrl}/account/notifications`
+    });
+  }
+
+  async sendNotificationDigest(user, notifications) {
+    const lines = notifications.map(n => `- ${n.title}: ${n.text}`).join('\n');
+
+    return this.send({
+      to: user.email,
+      subject: `Your Farm Connect daily summary (${notifications.length})`,
+      text: `Hello ${user.name},\n\nHere is what happened since your last summary:\n\n${lines}\n\nChange what you receive at ${this.clientUrl}/account/notifications`
+    });
+  }
+
+  async sendPasswordChanged(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Farm Connect password was changed',
+      text: `Hello ${user.name},\n\nYour password was just changed and all other sessions were signed out. If this was not you, reset your password immediately.`
+    });
+  }
+}
+
+// Create singleton instance
+const mailService = new MailService();
+
+module.exports = { mailService };
@@ -0,0 +1,405 @@
+// src/services/matchingService.js
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const MatchSuggestion = require('../models/MatchSuggestion');
+const { notificationService } = require('./notificationService');
+const { webhookService } = require('./webhookService');
+const { blockService } = require('./blockService');
+const { distanceKm, EARTH_RADIUS_KM } = require('../utils/geography');
+const {
+  MATCH_WEIGHTS,
+  MIN_SCORE,
+  MAX_DISTANCE_KM,
+  MAX_SUGGESTIONS_PER_LISTING,
+  UNIT_CONVERSIONS,
+  QUALITY_RANKS,
+  URGENCY_SCORES
+} = require('../config/matching');
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Pairs surplus listings with need listings and keeps scored suggestions
+ * for both owners. A pair becomes a match once both owners accept it.
+ */
+class MatchingService {
+  /**
+   * A listing's quantity in the base unit of its dimension
+   */
+  baseQuantity(listing) {
+    const conversion = UNIT_CONVERSIONS[listing.productDetails?.unit];
+    if (!conversion) return null;
+    return { base: conversion.base, amount: (listing.productDetails.quantity || 0) * conversion.factor };
+  }
+
+  /**
+   * Asking (surplus) or offered (need) price per base unit, or null when
+   * the listing has no usable price
+   */
+  unitPrice(listing) {
+    const amount = listing.price?.amount;
+    const quantity = this.baseQuantity(listing);
+    if (!amount || !quantity?.amount) return null;
+
+    switch (listing.price.priceType) {
+      case 'per_unit':
+        return amount / UNIT_CONVERSIONS[listing.productDetails.unit].factor;
+      case 'fixed':
+        return amount / quantity.amount;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Score a surplus/need pair. Returns null when they cannot match at all
+   * (category, unit or distance), otherwise the score out of 100 with the
+   * per-factor breakdown.
+   */
+  score(surplus, need) {
+    if (surplus.category !== need.category) return null;
+
+    const supply = this.baseQuantity(surplus);
+    const demand = this.baseQuantity(need);
+    if (!supply || !demand || supply.base !== demand.base || !supply.amount || !demand.amount) return null;
+
+    const distance = distanceKm(surplus.location.coordinates, need.location.coordinates);
+    if (distance > MAX_DISTANCE_KM) return null;
+
+    const breakdown = {
+      // Share of the need the surplus covers, or of the surplus the need takes
+      quantity: Math.min(supply.amount, demand.amount) / Math.max(supply.amount, demand.amount),
+      price: this.priceScore(surplus, need),
+      quality: this.qualityScore(surplus, need),
+      distance: 1 - distance / MAX_DISTANCE_KM,
+      urgency: ((URGENCY_SCORES[surplus.urgency] ?? URGENCY_SCORES.medium) +
+        (URGENCY_SCORES[need.urgency] ?? URGENCY_SCORES.medium)) / 2
+    };
+
+    const score = Object.entries(MATCH_WEIGHTS)
+      .reduce((total, [factor, weight]) => total + breakdown[factor] * weight, 0);
+
+    const factor = UNIT_CONVERSIONS[need.productDetails.unit].factor;
+
+    return {
+      score: round(score, 1),
+      breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, round(value)])),
+      distanceKm: round(distance, 1),
+      quantity: {
+        amount: round(Math.min(supply.amount, demand.amount) / factor),
+        unit: need.productDetails.unit
+      }
+    };
+  }
+
+  /**
+   * 1 when the asking price is within the buyer's price, falling to 0 at
+   * 50% over it. Unpriced or negotiable listings score a neutral 0.5.
+   */
+  priceScore(surplus, need) {
+    const asking = this.unitPrice(surplus);
+    const offered = this.unitPrice(need);
+    if (asking === null || offered === null) return 0.5;
+    if (asking <= offered) return 1;
+
+    const over = (asking - offered) / offered;
+    const score = Math.max(0, 1 - over * 2);
+    return surplus.price.isNegotiable ? Math.max(score, 0.5) : score;
+  }
+
+  /**
+   * 1 when the surplus meets the grade the need asks for, 0.5 one grade
+   * below, 0 further below. Ungraded listings score 0.5 against a grade.
+   */
+  qualityScore(surplus, need) {
+    const wanted = QUALITY_RANKS[need.productDetails?.quality];
+    if (!wanted) return 1;
+
+    const offered = QUALITY_RANKS[surplus.productDetails?.quality];
+    if (!offered) return 0.5;
+    if (offered >= wanted) return 1;
+    return offered === wanted - 1 ? 0.5 : 0;
+  }
+
+  /**
+   * Live listings of the opposite type that could pair with `listing`
+   */
+  async candidatesFor(listing) {
+    const hidden = await blockService.hiddenUserIds(listing.owner);
+
+    return Listing.find({
+      _id: { $ne: listing._id },
+      type: listing.type === 'surplus' ? 'need' : 'surplus',
+      category: listing.category,
+      status: 'active',
+      expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true },
+      owner: { $nin: [listing.owner, ...hidden] },
+      location: {
+        $geoWithin: { $centerSphere: [listing.location.coordinates, MAX_DISTANCE_KM / EARTH_RADIUS_KM] }
+      }
+    }).limit(500);
+  }
+
+  /**
+   * Re-run matching for a listing that was created or updated: add and
+   * rescore its suggestions, and withdraw those that no longer qualify.
+   * Never throws: matching must not fail the listing change.
+   */
+  async runFor(listing) {
+    try {
+      if (listing.status !== 'active' || listing.ownerSuspended || listing.expiryDate <= new Date()) {
+        return this.withdraw(listing, 'listing_unavailable');
+      }
+
+      const side = listing.type === 'surplus' ? 'surplus' : 'need';
+      const other = side === 'surplus' ? 'need' : 'surplus';
+
+      const scored = (await this.candidatesFor(listing))
+        .map(candidate => {
+          const pair = side === 'surplus' ? [listing, candidate] : [candidate, listing];
+          return { candidate, result: this.score(...pair) };
+        })
+        .filter(({ result }) => result && result.score >= MIN_SCORE)
+        .sort((a, b) => b.result.score - a.result.score)
+        .slice(0, MAX_SUGGESTIONS_PER_LISTING);
+
+      const existing = await MatchSuggestion.find({ [side]: listing._id });
+      const byCandidate = new Map(existing.map(s => [idOf(s[other]), s]));
+      const kept = new Set();
+      let suggested = 0;
+
+      for (const { candidate, result } of scored) {
+        const suggestion = byCandidate.get(idOf(candidate));
+        kept.add(idOf(candidate));
+
+        // Declined and accepted pairs are settled; don't suggest them again
+        if (suggestion && ['declined', 'accepted'].includes(suggestion.status)) continue;
+
+        if (suggestion) {
+          suggestion.set({ ...result, status: 'suggested', withdrawnReason: undefined });
+          await suggestion.save();
+          continue;
+        }
+
+        const [surplus, need] = side === 'surplus' ? [listing, candidate] : [candidate, listing];
+        const created = await MatchSuggestion.create({
+          surplus: surplus._id,
+          need: need._id,
+          surplusOwner: surplus.owner,
+          needOwner: need.owner,
+          ...result
+        });
+        await this.announce(created, surplus, need);
+        suggested += 1;
+      }
+
+      // Suggestions this listing no longer qualifies for
+      await MatchSuggestion.updateMany(
+        {
+          [side]: listing._id,
+          status: 'suggested',
+          [other]: { $nin: [...kept] }
+        },
+        { $set: { status: 'withdrawn', withdrawnReason: 'no_longer_matches' } }
+      );
+
+      return suggested;
+    } catch (error) {
+      console.error('Error matching listing:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Withdraw open suggestions involving listings that closed, expired,
+   * matched elsewhere or were deleted
+   */
+  async withdraw(listings, reason) {
+    const ids = [].concat(listings).map(listing => listing._id || listing);
+
+    const result = await MatchSuggestion.updateMany(
+      { status: 'suggested', $or: [{ surplus: { $in: ids } }, { need: { $in: ids } }] },
+      { $set: { status: 'withdrawn', withdrawnReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Tell both owners about a new suggestion
+   */
+  async announce(suggestion, surplus, need) {
+    const sides = [
+      { owner: surplus.owner, listing: surplus, other: need },
+      { owner: need.owner, listing: need, other: surplus }
+    ];
+
+    for (const { owner, listing, other } of sides) {
+      const data = {
+        suggestionId: suggestion._id,
+        listingId: listing._id,
+        matchedListingId: other._id,
+        score: suggestion.score,
+        distanceKm: suggestion.distanceKm,
+        quantity: suggestion.quantity
+      };
+
+      await notificationService.notify(owner, 'match', {
+        event: 'listing.match_suggested',
+        data,
+        title: 'New match suggestion',
+        text: `"${other.title}" could match your listing "${listing.title}"`
+      });
+
+      await webhookService.triggerWebhook('listing.match_suggested', {
+        ...data,
+        timestamp: new Date().toISOString()
+      }, idOf(owner));
+    }
+  }
+
+  /**
+   * Suggestions for listings `userId` owns, best first
+   */
+  async forUser(userId, { status = 'suggested', listingId } = {}) {
+    const query = {
+      $or: [{ surplusOwner: userId }, { needOwner: userId }],
+      ...(status ? { status } : {})
+    };
+    if (listingId) query.$and = [{ $or: [{ surplus: listingId }, { need: listingId }] }];
+
+    return MatchSuggestion.find(query)
+      .populate('surplus', 'title category type productDetails price locationDetails urgency status images')
+      .populate('need', 'title category type productDetails price locationDetails urgency status images')
+      .populate('surplusOwner', 'name roles averageRating phoneVerified')
+      .populate('needOwner', 'name roles averageRating phoneVerified')
+      .sort({ score: -1, createdAt: -1 });
+  }
+
+  /**
+   * Accept or decline a suggestion on behalf of the side whose listing
+   * `canRespond(listing)` allows. Once both sides accept, both listings
+   * are marked matched with each other.
+   */
+  async respond(suggestionId, action, canRespond) {
+    let suggestion = mongoose.isValidObjectId(suggestionId)
+      ? await MatchSuggestion.findById(suggestionId).populate('surplus need')
+      : null;
+    if (!suggestion || !suggestion.surplus || !suggestion.need) {
+      throw serviceError('Match suggestion not found', 404);
+    }
+
+    const side = ['surplus', 'need'].find(s => canRespond(suggestion[s]));
+    if (!side) {
+      throw serviceError('Not authorized to respond to this match', 403);
+    }
+
+    if (suggestion.status !== 'suggested') {
+      throw serviceError(`This match suggestion has been ${suggestion.status}`, 400);
+    }
+
+    const { surplus, need } = suggestion;
+    if (action === 'accept' && [surplus, need].some(listing => listing.status !== 'active')) {
+      await MatchSuggestion.updateOne(
+        { _id: suggestion._id, status: 'suggested' },
+        { $set: { status: 'withdrawn', withdrawnReason: 'listing_unavailable' } }
+      );
+      throw serviceError('One of the listings is no longer available', 409);
+    }
+
+    // Both owners may respond at once, so each records only its own side
+    // in an atomic update and reads the other side from the result
+    const now = new Date();
+    let updated = await MatchSuggestion.findOneAndUpdate(
+      { _id: suggestion._id, status: 'suggested' },
+      {
+        $set: {
+          [`${side}Response`]: action === 'accept' ? 'accepted' : 'declined',
+          respondedAt: now,
+          ...(action === 'decline' ? { status: 'declined' } : {})
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await MatchSuggestion.findById(suggestion._id).select('status');
+      throw serviceError(`This match suggestion has been ${current?.status || 'withdrawn'}`, 400);
+    }
+
+    // Whichever request flips the accepted pair to a match completes it;
+    // if both saw both sides accepted, only one wins the flip
+    let matched = false;
+    if (action === 'accept' && updated.surplusResponse === 'accepted' && updated.needResponse === 'accepted') {
+      const flipped = await MatchSuggestion.findOneAndUpdate(
+        { _id: suggestion._id, status: 'suggested', surplusResponse: 'accepted', needResponse: 'accepted' },
+        { $set: { status: 'accepted', matchedAt: now } },
+        { new: true }
+      );
+      matched = Boolean(flipped);
+      updated = flipped || await MatchSuggestion.findById(suggestion._id) || updated;
+    }
+
+    updated.surplus = surplus;
+    updated.need = need;
+    suggestion = updated;
+
+    const otherSide = side === 'surplus' ? 'need' : 'surplus';
+    const otherOwner = suggestion[otherSide].owner;
+
+    if (matched) {
+      await this.complete(suggestion);
+    } else if (action === 'accept' && suggestion[`${otherSide}Response`] === 'pending') {
+      await notificationService.notify(otherOwner, 'match', {
+        event: 'listing.match_accepted',
+        data: { suggestionId: suggestion._id, listingId: suggestion[otherSide]._id },
+        title: 'Match accepted',
+        text: `The owner of "${suggestion[side].title}" accepted the match with your listing "${suggestion[otherSide].title}"`
+      });
+    }
+
+    return suggestion;
+  }
+
+  /**
+   * Mark both listings of an accepted suggestion matched with each other
+   */
+  async complete(suggestion) {
+    const { surplus, need } = suggestion;
+
+    await surplus.markAsMatched(need.owner, need._id);
+    await need.markAsMatched(surplus.owner, surplus._id);
+    await this.withdraw([surplus, need], 'matched_elsewhere');
+
+    for (const [listing, other] of [[surplus, need], [need, surplus]]) {
+      await webhookService.triggerWebhook('listing.matched', {
+        listingId: listing._id,
+        matchedWith: other.owner,
+        matchedListing: other._id,
+        suggestionId: suggestion._id,
+        owner: listing.owner,
+        timestamp: new Date().toISOString()
+      }, idOf(listing.owner));
+
+      await notificationService.notify(listing.owner, 'match', {
+        event: 'listing.matched',
+        data: { suggestionId: suggestion._id, listingId: listing._id, matchedListingId: other._id },
+        title: 'Listing matched',
+        text: `Your listing "${listing.title}" is now matched with "${other.title}"`
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const matchingService = new MatchingService();
+
+module.exports = { matchingService };
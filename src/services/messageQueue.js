@@ -2,6 +2,7 @@
 const Queue = require('bull');
 const redisClient = require('../config/redis');
 const { getIO } = require('../socket/socket');
+const { notificationService } = require('./notificationService');
 
 class MessageQueue {
   constructor() {
@@ -66,18 +67,16 @@ class MessageQueue {
             }),
             86400 // 24 hours TTL
           );
-          
-          return { success: true, deliveredViaSocket: true };
         }
-        
-        // If socket not available, move to offline queue
-        await this.enqueueOfflineMessage(recipientId, {
-          chatId,
-          message,
-          sender
-        });
-        
-        return { success: true, queuedOffline: true };
+
+        // Recipients who are away get it on the channels they chose
+        const recipientOnline = io && recipientId && await redisClient.isUserOnline(recipientId.toString());
+        if (recipientId && !recipientOnline) {
+          await this.notifyRecipient(recipientId, { chatId, message, sender });
+          return { success: true, deliveredViaSocket: Boolean(io), notifiedOffline: true };
+        }
+
+        return { success: true, deliveredViaSocket: Boolean(io) };
         
       } catch (error) {
         console.error('Message processing error:', error);
@@ -100,8 +99,13 @@ class MessageQueue {
             const session = await redisClient.getUserSession(userId);
             
             if (session && session.socketId) {
-              // Deliver all queued messages
+              // Deliver all queued messages and notifications
               for (const msg of messages) {
+                if (msg.type === 'notification') {
+                  io.to(session.socketId).emit(msg.event, { ...msg.data, wasOffline: true });
+                  continue;
+                }
+
                 io.to(session.socketId).emit('chat:message', {
                   chatId: msg.chatId,
                   message: msg.message,
@@ -173,6 +177,22 @@ class MessageQueue {
     }
   }
 
+  async notifyRecipient(recipientId, { chatId, message, sender }) {
+    const isOffer = message.type === 'offer';
+    const offer = message.offerDetails;
+
+    return notificationService.notify(recipientId, isOffer ? 'offer' : 'message', {
+      event: 'chat:message',
+      data: { chatId, message, sender },
+      title: isOffer ? `New offer from ${sender.name}` : `New message from ${sender.name}`,
+      text: isOffer && offer
+        ? `${offer.quantity}${offer.unit || ''} at KES ${offer.price}`
+        : message.text || 'Sent you a message',
+      // The message itself goes out as written
+      literal: !(isOffer && offer) && Boolean(message.text)
+    });
+  }
+
   async enqueueOfflineMessage(userId, messageData) {
     try {
       // Store offline message in Redis sorted set by timestamp
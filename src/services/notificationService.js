@@ -0,0 +1,243 @@
+// src/services/notificationService.js
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { smsService } = require('./smsService');
+const { mailService } = require('./mailService');
+const { pushService } = require('./pushService');
+const { NOTIFICATION_TYPES, DEFAULT_TIMEZONE, EVENT_TYPES } = require('../config/notifications');
+const { isWithinWindow, windowEnd, localMinutes } = require('../utils/timezone');
+const { translate } = require('../utils/i18n');
+
+const PREFERENCE_FIELDS = 'name email phone language notificationPreferences';
+
+/**
+ * Delivers user notifications on the channels each user chose per type.
+ *
+ * Socket notifications go out straight away (queued for replay if the
+ * user is offline). Push, SMS and email wait for quiet hours to end, and
+ * email joins the daily digest when the user has one.
+ */
+class NotificationService {
+  /**
+   * A user's preferences with defaults filled in, for users saved before
+   * preferences existed and for lean documents
+   */
+  preferencesFor(user) {
+    const prefs = user?.notificationPreferences || {};
+
+    return {
+      channels: Object.fromEntries(Object.entries(NOTIFICATION_TYPES).map(([type, config]) => [
+        type,
+        Array.isArray(prefs.channels?.[type]) ? [...prefs.channels[type]] : [...config.channels]
+      ])),
+      quietHours: {
+        enabled: prefs.quietHours?.enabled || false,
+        start: prefs.quietHours?.start || '22:00',
+        end: prefs.quietHours?.end || '07:00',
+        timezone: prefs.quietHours?.timezone || DEFAULT_TIMEZONE
+      },
+      digest: {
+        enabled: prefs.digest?.enabled || false,
+        hour: prefs.digest?.hour ?? 7
+      }
+    };
+  }
+
+  channelsFor(user, type) {
+    return this.preferencesFor(user).channels[type] || [];
+  }
+
+  inQuietHours(user, now = new Date()) {
+    const { quietHours } = this.preferencesFor(user);
+    return quietHours.enabled && isWithinWindow(now, quietHours);
+  }
+
+  /**
+   * Whether a webhook event should reach the user's own webhooks. Events
+   * of a type the user has muted on every channel are skipped; events
+   * outside the notification types always go out.
+   */
+  async allowsWebhook(userId, eventType) {
+    const type = EVENT_TYPES[eventType];
+    if (!userId || !type) return true;
+
+    const user = await User.findById(userId).select('notificationPreferences').lean();
+    return !user || this.channelsFor(user, type).length > 0;
+  }
+
+  /**
+   * Notify a user of an event of `type` (a key of NOTIFICATION_TYPES).
+   * `event` and `data` are what socket clients receive; `title` and `text`
+   * are used for push, SMS and email, translated into the user's language.
+   * Pass `literal: true` when `text` is what another user wrote.
+   */
+  async notify(userId, type, { event, data = {}, title, text, literal = false }) {
+    try {
+      const user = await User.findById(userId).select(PREFERENCE_FIELDS);
+      if (!user) return { sent: [], held: [] };
+
+      const notification = {
+        type,
+        event,
+        data,
+        title: translate(user.language, title),
+        text: literal ? text : translate(user.language, text)
+      };
+      const channels = this.channelsFor(user, type);
+      const prefs = this.preferencesFor(user);
+      const quiet = this.inQuietHours(user);
+      const sent = [];
+      const held = [];
+      let digested = false;
+
+      for (const channel of channels) {
+        if (channel === 'socket') {
+          await this.sendSocket(user._id, notification);
+          sent.push(channel);
+        } else if (channel === 'email' && prefs.digest.enabled) {
+          digested = true;
+        } else if (quiet) {
+          held.push(channel);
+        } else if (await this.deliver(user, channel, notification)) {
+          sent.push(channel);
+        }
+      }
+
+      if (held.length) {
+        await Notification.create({
+          user: user._id,
+          ...notification,
+          channels: held,
+          deliverAfter: windowEnd(new Date(), prefs.quietHours)
+        });
+      }
+
+      if (digested) {
+        await Notification.create({ user: user._id, ...notification, channels: ['email'], digest: true });
+      }
+
+      return { sent, held: digested ? [...held, 'email'] : held };
+    } catch (error) {
+      // Notifications never fail the action that caused them
+      console.error('Error sending notification:', error);
+      return { sent: [], held: [], error: error.message };
+    }
+  }
+
+  async sendSocket(userId, { type, event, data, title, text }) {
+    // Required lazily: the socket module loads services that load this one
+    const { notifyUser } = require('../socket/socket');
+    return notifyUser(userId, 'notification', {
+      type,
+      event,
+      title,
+      text,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  async deliver(user, channel, { type, event, data, title, text }) {
+    let result;
+
+    switch (channel) {
+      case 'push':
+        result = await pushService.send(user._id, { title, body: text, data: { type, event, ...data } });
+        break;
+      case 'sms':
+        if (!user.phone) return false;
+        result = await smsService.send(user.phone, `${title}: ${text}`);
+        break;
+      case 'email':
+        if (!user.email) return false;
+        result = await mailService.sendNotification(user, { title, text });
+        break;
+      default:
+        return false;
+    }
+
+    return Boolean(result?.delivered);
+  }
+
+  /**
+   * Send held notifications whose quiet hours have ended.
+   * Run from the notification scheduler.
+   */
+  async releaseHeld(now = new Date()) {
+    const due = await Notification.find({
+      deliveredAt: null,
+      digest: false,
+      deliverAfter: { $lte: now }
+    }).sort({ deliverAfter: 1 }).limit(500);
+
+    const users = await this.usersById(due.map(n => n.user));
+    let released = 0;
+
+    for (const notification of due) {
+      const user = users.get(notification.user.toString());
+
+      // Quiet hours moved since the notification was held
+      if (user && this.inQuietHours(user, now)) {
+        notification.deliverAfter = windowEnd(now, this.preferencesFor(user).quietHours);
+        await notification.save();
+        continue;
+      }
+
+      if (user) {
+        for (const channel of notification.channels) {
+          await this.deliver(user, channel, notification);
+        }
+        released += 1;
+      }
+
+      notification.deliveredAt = now;
+      await notification.save();
+    }
+
+    return released;
+  }
+
+  /**
+   * Email each user their digest at their chosen local hour.
+   * Run hourly from the notification scheduler.
+   */
+  async sendDigests(now = new Date()) {
+    const userIds = await Notification.distinct('user', { digest: true, deliveredAt: null });
+    const users = await this.usersById(userIds);
+    let sent = 0;
+
+    for (const user of users.values()) {
+      const { digest, quietHours } = this.preferencesFor(user);
+      const localHour = Math.floor(localMinutes(now, quietHours.timezone) / 60);
+
+      // Users who turned the digest off get what was already collected now
+      if (digest.enabled && localHour !== digest.hour) continue;
+
+      const pending = await Notification.find({ user: user._id, digest: true, deliveredAt: null })
+        .sort({ createdAt: 1 });
+      if (!pending.length) continue;
+
+      if (user.email) {
+        await mailService.sendNotificationDigest(user, pending);
+        sent += 1;
+      }
+
+      await Notification.updateMany(
+        { _id: { $in: pending.map(n => n._id) } },
+        { $set: { deliveredAt: now } }
+      );
+    }
+
+    return sent;
+  }
+
+  async usersById(ids) {
+    const users = await User.find({ _id: { $in: ids } }).select(PREFERENCE_FIELDS);
+    return new Map(users.map(user => [user._id.toString(), user]));
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = { notificationService };
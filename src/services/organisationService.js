@@ -0,0 +1,174 @@
+// src/services/organisationService.js
+const mongoose = require('mongoose');
+const Organisation = require('../models/Organisation');
+const User = require('../models/User');
+const Listing = require('../models/Listing');
+const Transport = require('../models/Transport');
+const Storage = require('../models/Storage');
+const { can } = require('../middlewares/permission.middleware');
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Organisation membership and on-behalf-of helpers.
+ * Membership is stored on User.organisations so permission checks
+ * can read it from req.user without another query.
+ */
+class OrganisationService {
+  /**
+   * Load an organisation the user wants to act for (create listings, book services).
+   * Throws with statusCode 404/403 when it is missing or the user is not staff.
+   */
+  async resolveActingOrganisation(user, organisationId) {
+    if (!organisationId) return null;
+
+    const organisation = await Organisation.findById(organisationId);
+    if (!organisation || organisation.status !== 'active') {
+      throw serviceError('Organisation not found', 404);
+    }
+
+    if (!can(user, 'organisation.act', organisation)) {
+      throw serviceError('Not authorized to act on behalf of this organisation', 403);
+    }
+
+    return organisation;
+  }
+
+  async addMember(userId, organisationId, role = 'member') {
+    const result = await User.updateOne(
+      { _id: userId, 'organisations.organisation': { $ne: organisationId } },
+      { $push: { organisations: { organisation: organisationId, role, joinedAt: new Date() } } }
+    );
+
+    if (result.matchedCount === 0) {
+      const exists = await User.exists({ _id: userId });
+      throw exists
+        ? serviceError('User is already a member of this organisation', 400)
+        : serviceError('User not found', 404);
+    }
+  }
+
+  async setMemberRole(userId, organisationId, role) {
+    const current = await this.getMemberRole(userId, organisationId);
+    if (!current) throw serviceError('Member not found', 404);
+
+    if (current === 'manager' && role !== 'manager') {
+      await this.ensureAnotherManager(userId, organisationId);
+    }
+
+    await User.updateOne(
+      { _id: userId, 'organisations.organisation': organisationId },
+      { $set: { 'organisations.$.role': role } }
+    );
+  }
+
+  async removeMember(userId, organisationId) {
+    const current = await this.getMemberRole(userId, organisationId);
+    if (!current) throw serviceError('Member not found', 404);
+
+    if (current === 'manager') {
+      await this.ensureAnotherManager(userId, organisationId);
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      { $pull: { organisations: { organisation: organisationId } } }
+    );
+  }
+
+  async getMemberRole(userId, organisationId) {
+    const user = await User.findOne({ _id: userId, 'organisations.organisation': organisationId })
+      .select('organisations');
+    return user ? user.organisationRole(organisationId) : null;
+  }
+
+  // Every organisation keeps at least one manager
+  async ensureAnotherManager(userId, organisationId) {
+    const otherManagers = await User.countDocuments({
+      _id: { $ne: userId },
+      organisations: { $elemMatch: { organisation: organisationId, role: 'manager' } }
+    });
+
+    if (otherManagers === 0) {
+      throw serviceError('An organisation needs at least one manager. Appoint another manager first.', 400);
+    }
+  }
+
+  /**
+   * Aggregated figures across the organisation and its members
+   */
+  async getStats(organisationId) {
+    const orgId = new mongoose.Types.ObjectId(organisationId.toString());
+
+    const [memberRoles, memberRatings, listingStats, transportBookings, storageBookings] = await Promise.all([
+      User.aggregate([
+        { $unwind: '$organisations' },
+        { $match: { 'organisations.organisation': orgId } },
+        { $group: { _id: '$organisations.role', count: { $sum: 1 } } }
+      ]),
+      User.aggregate([
+        { $match: { 'organisations.organisation': orgId, averageRating: { $gt: 0 } } },
+        { $group: { _id: null, average: { $avg: '$averageRating' }, rated: { $sum: 1 } } }
+      ]),
+      Listing.aggregate([
+        { $match: { organisation: orgId } },
+        {
+          $group: {
+            _id: { status: '$status', category: '$category', unit: '$productDetails.unit' },
+            count: { $sum: 1 },
+            quantity: { $sum: '$productDetails.quantity' }
+          }
+        }
+      ]),
+      Transport.countDocuments({ bookedForOrganisation: orgId }),
+      Storage.aggregate([
+        { $unwind: '$currentBookings' },
+        { $match: { 'currentBookings.organisation': orgId } },
+        {
+          $group: {
+            _id: '$currentBookings.status',
+            count: { $sum: 1 },
+            quantity: { $sum: '$currentBookings.quantity' }
+          }
+        }
+      ])
+    ]);
+
+    const members = { total: 0, manager: 0, clerk: 0, member: 0 };
+    memberRoles.forEach(({ _id, count }) => {
+      members[_id] = count;
+      members.total += count;
+    });
+
+    const listings = { total: 0, byStatus: {}, byCategory: [] };
+    listingStats.forEach(({ _id, count, quantity }) => {
+      listings.total += count;
+      listings.byStatus[_id.status] = (listings.byStatus[_id.status] || 0) + count;
+      listings.byCategory.push({ status: _id.status, category: _id.category, unit: _id.unit, count, quantity });
+    });
+
+    return {
+      members,
+      memberRating: memberRatings[0]
+        ? { average: Math.round(memberRatings[0].average * 10) / 10, rated: memberRatings[0].rated }
+        : { average: 0, rated: 0 },
+      listings,
+      bookings: {
+        transport: transportBookings,
+        storage: storageBookings.reduce((acc, { _id, count, quantity }) => {
+          acc[_id] = { count, quantity };
+          return acc;
+        }, {})
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const organisationService = new OrganisationService();
+
+module.exports = { organisationService };
@@ -0,0 +1,110 @@
+// src/services/otpService.js
+const crypto = require('crypto');
+const redisClient = require('../config/redis');
+const { smsService } = require('./smsService');
+
+const otpError = (message, statusCode = 400, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+class OtpService {
+  constructor() {
+    this.codeLength = 6;
+    this.ttl = 5 * 60; // 5 minutes
+    this.resendCooldown = 60; // 1 minute between sends
+    this.maxAttempts = 5; // wrong guesses before the code is burned
+    this.maxSendsPerHour = 5;
+  }
+
+  codeKey(purpose, phone) {
+    return `otp:${purpose}:${phone}`;
+  }
+
+  cooldownKey(phone) {
+    return `otp:cooldown:${phone}`;
+  }
+
+  sendCountKey(phone) {
+    return `otp:sends:${phone}`;
+  }
+
+  hashCode(phone, code) {
+    return crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+  }
+
+  generateCode() {
+    return crypto.randomInt(0, 10 ** this.codeLength).toString().padStart(this.codeLength, '0');
+  }
+
+  /**
+   * Generate and send a code, enforcing resend cooldown and hourly cap
+   */
+  async requestCode(phone, purpose = 'login') {
+    const cooldown = await redisClient.ttl(this.cooldownKey(phone));
+    if (cooldown > 0) {
+      throw otpError(`Please wait ${cooldown} seconds before requesting another code`, 429, { retryAfter: cooldown });
+    }
+
+    const sends = await redisClient.incr(this.sendCountKey(phone));
+    if (sends === 1) {
+      await redisClient.expire(this.sendCountKey(phone), 3600);
+    }
+    if (sends > this.maxSendsPerHour) {
+      const retryAfter = await redisClient.ttl(this.sendCountKey(phone));
+      throw otpError('Too many codes requested. Please try again later', 429, { retryAfter });
+    }
+
+    const code = this.generateCode();
+
+    await redisClient.set(
+      this.codeKey(purpose, phone),
+      JSON.stringify({ hash: this.hashCode(phone, code), attempts: 0 }),
+      this.ttl
+    );
+    await redisClient.set(this.cooldownKey(phone), '1', this.resendCooldown);
+
+    await smsService.sendOtp(phone, code, this.ttl / 60);
+
+    return { expiresIn: this.ttl, resendAfter: this.resendCooldown };
+  }
+
+  /**
+   * Check a code. Codes are single-use and burned after too many wrong attempts.
+   */
+  async verifyCode(phone, code, purpose = 'login') {
+    const key = this.codeKey(purpose, phone);
+    const stored = await redisClient.get(key);
+
+    if (!stored) {
+      throw otpError('Code is invalid or has expired');
+    }
+
+    const entry = JSON.parse(stored);
+    const candidate = this.hashCode(phone, String(code));
+    const matches = crypto.timingSafeEqual(Buffer.from(entry.hash), Buffer.from(candidate));
+
+    if (!matches) {
+      entry.attempts += 1;
+
+      if (entry.attempts >= this.maxAttempts) {
+        await redisClient.del(key);
+        throw otpError('Too many incorrect attempts. Please request a new code', 429);
+      }
+
+      const remaining = await redisClient.ttl(key);
+      await redisClient.set(key, JSON.stringify(entry), remaining > 0 ? remaining : this.ttl);
+      throw otpError('Incorrect code', 400, { attemptsRemaining: this.maxAttempts - entry.attempts });
+    }
+
+    await redisClient.del(key);
+    return true;
+  }
+}
+
+// Create singleton instance
+const otpService = new OtpService();
+
+module.exports = { otpService };
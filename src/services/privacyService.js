@@ -0,0 +1,116 @@
+// src/services/privacyService.js
+const User = require('../models/User');
+const Transport = require('../models/Transport');
+const Storage = require('../models/Storage');
+const { fuzzCoordinates } = require('../utils/geography');
+
+const DISCOVERY_ROLES = ['farmer', 'transport', 'storage'];
+
+// Bookings that put two users in touch: a pickup or a drop-off to arrange
+const LIVE_TRANSPORT_STATUSES = ['booked', 'in_transit', 'completed'];
+const LIVE_STORAGE_STATUSES = ['active', 'completed'];
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * What other users may see of a user's location: blurred to their
+ * chosen precision, exact only for counterparties of an accepted offer
+ * or a booking.
+ */
+class PrivacyService {
+  /**
+   * Query fragment limiting discovery to users who let the viewer's
+   * active role find them. Admins see everyone; users saved before
+   * privacy settings existed are discoverable by all roles.
+   */
+  discoverableBy(viewer, role) {
+    if (viewer.roles?.includes('admin')) return {};
+
+    return {
+      $or: [
+        { 'privacy.discoverableBy': role },
+        { 'privacy.discoverableBy': { $exists: false } }
+      ]
+    };
+  }
+
+  /**
+   * Whether the two users have an accepted offer or a booking between them
+   */
+  async isCounterparty(viewerId, userId) {
+    const [dealt, transported, stored] = await Promise.all([
+      User.exists({ _id: userId, 'transactions.counterparty': viewerId }),
+      Transport.exists({
+        status: { $in: LIVE_TRANSPORT_STATUSES },
+        $or: [
+          { owner: userId, bookedBy: viewerId },
+          { owner: viewerId, bookedBy: userId }
+        ]
+      }),
+      Storage.exists({
+        $or: [
+          { owner: userId, currentBookings: { $elemMatch: { bookedBy: viewerId, status: { $in: LIVE_STORAGE_STATUSES } } } },
+          { owner: viewerId, currentBookings: { $elemMatch: { bookedBy: userId, status: { $in: LIVE_STORAGE_STATUSES } } } }
+        ]
+      })
+    ]);
+
+    return Boolean(dealt || transported || stored);
+  }
+
+  /**
+   * A user's location at a given precision (their own setting by default).
+   * Ward precision drops street and landmark; county precision keeps only
+   * the county; hidden returns null.
+   */
+  locationFor(user, precision = user.privacy?.locationPrecision || 'ward') {
+    const address = user.location?.address || {};
+    const coordinates = fuzzCoordinates(user.coordinates?.coordinates, precision, address.county);
+    if (!coordinates) return null;
+
+    switch (precision) {
+      case 'exact':
+        return {
+          precision,
+          name: user.location?.name,
+          coordinates,
+          county: address.county,
+          subCounty: address.subCounty,
+          ward: address.ward,
+          town: address.town,
+          street: address.street,
+          landmark: user.location?.landmark
+        };
+      case 'ward':
+        return {
+          precision,
+          coordinates,
+          county: address.county,
+          subCounty: address.subCounty,
+          ward: address.ward,
+          town: address.town
+        };
+      default:
+        return { precision, coordinates, county: address.county };
+    }
+  }
+
+  /**
+   * The location `viewer` is allowed to see for `user`
+   */
+  async visibleLocation(viewer, user) {
+    const isSelf = idOf(viewer) === idOf(user);
+    const isAdmin = viewer.roles?.includes('admin');
+
+    if (isSelf || isAdmin || await this.isCounterparty(idOf(viewer), idOf(user))) {
+      const exact = this.locationFor(user, 'exact');
+      return exact && { ...exact, shared: true };
+    }
+    return this.locationFor(user);
+  }
+}
+
+// Create singleton instance
+const privacyService = new PrivacyService();
+
+module.exports = { privacyService, DISCOVERY_ROLES };
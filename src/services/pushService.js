@@ -0,0 +1,48 @@
+// src/services/pushService.js
+
+/**
+ * Push providers implement an async send({ userId, title, body, data })
+ * method and look up the user's device tokens themselves.
+ * The console provider is the local stand-in used in development;
+ * register a real one (e.g. Firebase Cloud Messaging) with registerProvider.
+ */
+const consoleProvider = {
+  async send({ userId, title, body }) {
+    console.log(`[Push] To: ${userId} | ${title}: ${body}`);
+    return { delivered: true, provider: 'console' };
+  }
+};
+
+class PushService {
+  constructor() {
+    this.providers = {
+      console: consoleProvider
+    };
+  }
+
+  registerProvider(name, provider) {
+    if (!provider || typeof provider.send !== 'function') {
+      throw new Error('Push provider must implement send({ userId, title, body, data })');
+    }
+    this.providers[name] = provider;
+  }
+
+  getProvider() {
+    const name = process.env.PUSH_PROVIDER || 'console';
+    return this.providers[name] || this.providers.console;
+  }
+
+  async send(userId, { title, body, data = {} }) {
+    try {
+      return await this.getProvider().send({ userId: userId.toString(), title, body, data });
+    } catch (error) {
+      console.error('Error sending push notification:', error);
+      return { delivered: false, error: error.message };
+    }
+  }
+}
+
+// Create singleton instance
+const pushService = new PushService();
+
+module.exports = { pushService };
@@ -0,0 +1,484 @@
+// src/services/recommendationService.js
+const Transport = require('../models/Transport');
+const Storage = require('../models/Storage');
+const { blockService } = require('./blockService');
+const { matchingService } = require('./matchingService');
+const { distanceKm, EARTH_RADIUS_KM } = require('../utils/geography');
+const { translate, DEFAULT_LANGUAGE } = require('../utils/i18n');
+const {
+  RECOMMENDATION_WEIGHTS,
+  MAX_DISTANCE_KM,
+  MAX_RECOMMENDATIONS,
+  DEFAULT_STORAGE_DAYS,
+  PERISHABLE_CATEGORIES,
+  PERISHABLE_SHELF_LIFE_DAYS,
+  UNCOOLED_TRIP_KM,
+  CARGO_TYPES,
+  STORAGE_PRODUCTS,
+  KG_PER_LITER
+} = require('../config/recommendations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const english = (text, params) => translate(DEFAULT_LANGUAGE, text, params);
+
+const factor = (score, reason, params) => ({ score: Math.max(0, Math.min(1, score)), reason, params });
+
+/**
+ * Ranks transport and storage services for a listing. Every factor comes
+ * with a reason so the owner can see why a service was suggested.
+ */
+class RecommendationService {
+  /**
+   * A listing's quantity in kg, or null when its unit has no weight
+   */
+  quantityKg(listing) {
+    const quantity = matchingService.baseQuantity(listing);
+    if (!quantity) return null;
+    if (quantity.base === 'kg') return quantity.amount;
+    if (quantity.base === 'liters') return quantity.amount * KG_PER_LITER;
+    return null;
+  }
+
+  isPerishable(listing) {
+    const shelfLife = listing.productDetails?.shelfLife;
+    return PERISHABLE_CATEGORIES.includes(listing.category) ||
+      (shelfLife > 0 && shelfLife <= PERISHABLE_SHELF_LIFE_DAYS);
+  }
+
+  /**
+   * Weighted score out of 100 and the per-factor explanation behind it,
+   * with reasons in the caller's language
+   */
+  total(factors, t) {
+    const explanation = Object.entries(RECOMMENDATION_WEIGHTS).map(([name, weight]) => {
+      const { score, reason, params } = factors[name];
+      const values = params && Object.fromEntries(Object.entries(params).map(([key, value]) => [key, t(value)]));
+      return {
+        factor: name,
+        score: round(score),
+        weight,
+        points: round(score * weight, 1),
+        reason: t(reason, values)
+      };
+    });
+
+    return {
+      score: round(explanation.reduce((sum, item) => sum + item.score * item.weight, 0), 1),
+      explanation
+    };
+  }
+
+  /**
+   * Score prices against the cheapest option. Services without an estimate
+   * score a neutral 0.5.
+   */
+  priceFactors(estimates) {
+    const known = estimates.filter(estimate => estimate !== null);
+    const cheapest = known.length ? Math.min(...known) : null;
+
+    return estimates.map(estimate => {
+      if (estimate === null) return factor(0.5, 'Price depends on the load; ask the provider for a quote');
+      if (estimate <= cheapest) return factor(1, 'About KES {price}, the lowest of these options', { price: round(estimate, 0) });
+
+      const percent = Math.round(((estimate - cheapest) / (cheapest || 1)) * 100);
+      return factor(cheapest / estimate, 'About KES {price}, {percent}% above the lowest option', {
+        price: round(estimate, 0),
+        percent
+      });
+    });
+  }
+
+  // The owner's confidence-weighted rating in the role the service is
+  // offered under (maintained by reviewService)
+  ratingFactor(service, role) {
+    const { average = 0, count = 0, score = 0 } = service.owner?.roleRatings?.[role] || {};
+    if (!count) return factor(0.5, 'Not rated yet');
+    return factor(score / 5, 'Rated {average}/5 by {count} customer(s)', { average: round(average, 1), count });
+  }
+
+  scheduleFactorFrom(start, listing, now) {
+    if (!start || start <= now) return factor(1, 'Available now');
+
+    const window = listing.expiryDate - now;
+    if (start >= listing.expiryDate || window <= 0) {
+      return factor(0, 'Starts on {date}, after your listing expires', { date: formatDate(start) });
+    }
+    return factor(1 - (start - now) / window, 'Available from {date}', { date: formatDate(start) });
+  }
+
+  // ===============================
+  // Transport
+  // ===============================
+
+  /**
+   * Live transport services with a route point near the listing that can
+   * carry its produce
+   */
+  async transportCandidates(listing) {
+    const hidden = await blockService.hiddenUserIds(listing.owner);
+    const near = { $geoWithin: { $centerSphere: [listing.location.coordinates, MAX_DISTANCE_KM / EARTH_RADIUS_KM] } };
+    const cargoTypes = CARGO_TYPES[listing.category] || CARGO_TYPES.other;
+
+    return Transport.find({
+      status: 'available',
+      expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true },
+      owner: { $nin: [listing.owner, ...hidden] },
+      $and: [
+        {
+          $or: [
+            { 'route.from.coordinates': near },
+            { 'route.to.coordinates': near },
+            { 'route.via.coordinates': near }
+          ]
+        },
+        {
+          $or: [
+            { 'cargoRequirements.acceptedCargoTypes': { $in: cargoTypes } },
+            { 'cargoRequirements.acceptedCargoTypes': { $size: 0 } }
+          ]
+        }
+      ]
+    })
+      .populate('owner', 'name roles averageRating roleRatings.transport profileStatus roleSpecificInfo.transport')
+      .limit(200);
+  }
+
+  /**
+   * Nearest point of the route on the listing's side of the trip: produce
+   * for sale is picked up (from / via), produce wanted is delivered (via / to)
+   */
+  routeProximity(transport, listing) {
+    const points = [
+      ...(listing.type === 'surplus' ? [{ stop: 'from', point: transport.route.from }] : []),
+      ...(transport.route.via || []).map(point => ({ stop: 'via', point })),
+      ...(listing.type === 'need' ? [{ stop: 'to', point: transport.route.to }] : [])
+    ].filter(({ point }) => point?.coordinates?.length === 2);
+
+    return points
+      .map(({ stop, point }) => ({
+        stop,
+        county: point.county,
+        distance: distanceKm(listing.location.coordinates, point.coordinates)
+      }))
+      .sort((a, b) => a.distance - b.distance)[0] || null;
+  }
+
+  tripKm(transport, listing) {
+    return listing.requirements?.transportDistance ||
+      transport.pricing.estimatedDistance ||
+      distanceKm(transport.route.from.coordinates, transport.route.to.coordinates);
+  }
+
+  // Load limit in kg, or 0 if the provider hasn't stated one
+  transportCapacity(transport) {
+    const limits = [transport.vehicleDetails?.capacity, transport.cargoRequirements?.maxWeight].filter(limit => limit > 0);
+    return limits.length ? Math.min(...limits) : 0;
+  }
+
+  transportPrice(transport, kg, tripKm) {
+    const { amount, pricingType } = transport.pricing;
+    const capacity = this.transportCapacity(transport);
+
+    // Without a stated capacity the number of trips, and so the price, is unknown
+    if (kg && !capacity && (pricingType === 'per_km' || pricingType === 'per_trip')) return null;
+    const trips = kg ? Math.ceil(kg / capacity) : 1;
+
+    switch (pricingType) {
+      case 'per_km':
+        return amount * tripKm * trips;
+      case 'per_kg':
+        return kg === null ? null : amount * kg;
+      case 'per_trip':
+        return amount * trips;
+      default:
+        return amount;
+    }
+  }
+
+  transportFactors(transport, listing, { proximity, kg, tripKm }) {
+    const perishable = this.isPerishable(listing);
+    const capacity = this.transportCapacity(transport);
+
+    const stopReasons = {
+      from: 'Route starts {distance} km from your listing',
+      via: 'Route passes {distance} km from your listing, via {county}',
+      to: 'Route ends {distance} km from your listing',
+      near: 'Route passes {distance} km from your listing'
+    };
+
+    let capacityFactor;
+    if (!capacity) {
+      capacityFactor = factor(0, 'Capacity not stated; ask the provider');
+    } else if (kg === null) {
+      capacityFactor = factor(0.5, 'Carries up to {capacity} kg', { capacity });
+    } else if (capacity >= kg) {
+      capacityFactor = factor(1, 'Carries up to {capacity} kg, enough for your {quantity} kg in one trip', {
+        capacity,
+        quantity: round(kg, 0)
+      });
+    } else {
+      capacityFactor = factor(capacity / kg, 'Carries {capacity} kg of your {quantity} kg, about {trips} trips', {
+        capacity,
+        quantity: round(kg, 0),
+        trips: Math.ceil(kg / capacity)
+      });
+    }
+
+    const maxTemp = transport.cargoRequirements?.temperatureRequirements?.maxTemp;
+    const cooled = transport.vehicleDetails?.refrigeration ||
+      transport.vehicleDetails?.vehicleType === 'refrigerated' ||
+      (typeof maxTemp === 'number' && maxTemp <= 8);
+
+    let temperatureFactor;
+    if (!perishable) {
+      temperatureFactor = factor(1, 'Your produce does not need refrigeration');
+    } else if (cooled) {
+      temperatureFactor = factor(1, 'Refrigerated, suitable for perishable produce');
+    } else if (tripKm <= UNCOOLED_TRIP_KM) {
+      temperatureFactor = factor(0.5, 'Not refrigerated, acceptable for a short {distance} km trip', { distance: round(tripKm, 0) });
+    } else {
+      temperatureFactor = factor(0, 'Not refrigerated; perishable produce may spoil on a {distance} km trip', { distance: round(tripKm, 0) });
+    }
+
+    const cargoTypes = transport.cargoRequirements?.acceptedCargoTypes || [];
+    const accepted = cargoTypes.filter(type => (CARGO_TYPES[listing.category] || CARGO_TYPES.other).includes(type));
+    const productFactor = accepted.length
+      ? factor(1, 'Accepts {types} cargo', { types: accepted.join(', ') })
+      : factor(0.5, 'Does not say which cargo it accepts');
+
+    let scheduleFactor;
+    if (transport.availability === 'immediate') {
+      scheduleFactor = factor(1, 'Available now');
+    } else {
+      scheduleFactor = this.scheduleFactorFrom(transport.schedule?.startDate, listing, new Date());
+      if (transport.availability === 'recurring' && transport.schedule?.recurrence && scheduleFactor.score > 0) {
+        scheduleFactor = factor(scheduleFactor.score, 'Runs {recurrence}', { recurrence: transport.schedule.recurrence });
+      }
+    }
+
+    let verificationFactor;
+    if (transport.isVerified) {
+      verificationFactor = factor(1, 'Verified provider');
+    } else if (transport.verificationDetails?.licenseVerified || transport.verificationDetails?.insuranceVerified) {
+      verificationFactor = factor(0.5, 'Licence or insurance verified');
+    } else {
+      verificationFactor = factor(0, 'Not verified yet');
+    }
+
+    return {
+      proximity: factor(1 - proximity.distance / MAX_DISTANCE_KM, proximity.county ? stopReasons[proximity.stop] : stopReasons.near, {
+        distance: round(proximity.distance, 1),
+        county: proximity.county
+      }),
+      capacity: capacityFactor,
+      temperature: temperatureFactor,
+      product: productFactor,
+      schedule: scheduleFactor,
+      rating: this.ratingFactor(transport, 'transport'),
+      verification: verificationFactor
+    };
+  }
+
+  /**
+   * Transport services for a listing, best first. `t` translates the
+   * explanation reasons.
+   */
+  async recommendTransports(listing, { t = english, limit = MAX_RECOMMENDATIONS } = {}) {
+    const kg = this.quantityKg(listing);
+
+    const candidates = (await this.transportCandidates(listing))
+      .map(transport => ({ transport, proximity: this.routeProximity(transport, listing) }))
+      .filter(({ proximity }) => proximity && proximity.distance <= MAX_DISTANCE_KM)
+      .map(candidate => {
+        const tripKm = this.tripKm(candidate.transport, listing);
+        return { ...candidate, tripKm, estimate: this.transportPrice(candidate.transport, kg, tripKm) };
+      })
+      // Scheduled runs that have already ended
+      .filter(({ transport }) => transport.availability === 'immediate' ||
+        !transport.schedule?.endDate || transport.schedule.endDate > new Date());
+
+    const prices = this.priceFactors(candidates.map(({ estimate }) => estimate));
+
+    return candidates
+      .map(({ transport, proximity, tripKm, estimate }, i) => {
+        const factors = { ...this.transportFactors(transport, listing, { proximity, kg, tripKm }), price: prices[i] };
+        const { score, explanation } = this.total(factors, t);
+
+        return {
+          transport,
+          score,
+          distanceKm: round(proximity.distance, 1),
+          estimatedPrice: estimate === null ? null : round(estimate, 0),
+          explanation
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // ===============================
+  // Storage
+  // ===============================
+
+  /**
+   * Live storage facilities near the listing with free space for its produce
+   */
+  async storageCandidates(listing) {
+    const hidden = await blockService.hiddenUserIds(listing.owner);
+    const products = STORAGE_PRODUCTS[listing.category] || STORAGE_PRODUCTS.other;
+
+    return Storage.find({
+      status: 'active',
+      availability: { $ne: 'fully_booked' },
+      'facilityDetails.availableCapacity': { $gt: 0 },
+      expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true },
+      owner: { $nin: [listing.owner, ...hidden] },
+      location: {
+        $geoWithin: { $centerSphere: [listing.location.coordinates, MAX_DISTANCE_KM / EARTH_RADIUS_KM] }
+      },
+      $or: [
+        { acceptedProducts: { $in: products } },
+        { acceptedProducts: { $size: 0 } }
+      ]
+    })
+      .populate('owner', 'name roles averageRating roleRatings.storage profileStatus roleSpecificInfo.storage')
+      .limit(200);
+  }
+
+  storagePrice(storage, kg, days) {
+    const { amount, pricingType, minimumPeriod } = storage.pricing;
+    const charged = Math.max(days, minimumPeriod || 1);
+
+    switch (pricingType) {
+      case 'per_day':
+        return amount * charged;
+      case 'per_week':
+        return amount * Math.ceil(charged / 7);
+      case 'per_month':
+        return amount * Math.ceil(charged / 30);
+      case 'per_kg_per_day':
+        return kg === null ? null : amount * kg * charged;
+      default:
+        return amount;
+    }
+  }
+
+  storageFactors(storage, listing, { distance, kg, days }) {
+    const perishable = this.isPerishable(listing);
+    const available = storage.facilityDetails.availableCapacity;
+
+    let capacityFactor;
+    if (kg === null) {
+      capacityFactor = factor(0.5, '{available} kg of space free', { available });
+    } else if (available >= kg) {
+      capacityFactor = factor(1, '{available} kg of space free, enough for your {quantity} kg', {
+        available,
+        quantity: round(kg, 0)
+      });
+    } else {
+      capacityFactor = factor(available / kg, '{available} kg of space free, {percent}% of your {quantity} kg', {
+        available,
+        percent: Math.round((available / kg) * 100),
+        quantity: round(kg, 0)
+      });
+    }
+
+    const cooled = storage.facilityDetails.temperatureControlled ||
+      ['cold-storage', 'refrigerated_container'].includes(storage.facilityType);
+    const range = storage.facilityDetails.temperatureRange || {};
+
+    let temperatureFactor;
+    if (!perishable) {
+      temperatureFactor = factor(1, 'Your produce does not need cold storage');
+    } else if (cooled && typeof range.min === 'number' && typeof range.max === 'number') {
+      temperatureFactor = factor(1, 'Temperature controlled ({min} to {max}°C), suitable for perishable produce', {
+        min: range.min,
+        max: range.max
+      });
+    } else if (cooled) {
+      temperatureFactor = factor(1, 'Temperature controlled, suitable for perishable produce');
+    } else {
+      temperatureFactor = factor(0, 'Not temperature controlled; perishable produce may spoil');
+    }
+
+    const products = STORAGE_PRODUCTS[listing.category] || STORAGE_PRODUCTS.other;
+    const accepted = (storage.acceptedProducts || []).filter(product => products.includes(product));
+    const productFactor = accepted.length
+      ? factor(1, 'Accepts {products}', { products: accepted.join(', ') })
+      : factor(0.5, 'Does not say which produce it accepts');
+
+    // Listed long enough for the period needed, and not a minimum booking
+    // much longer than it
+    const listedDays = Math.floor((storage.expiryDate - Date.now()) / DAY_MS);
+    const minimumPeriod = storage.pricing.minimumPeriod || 1;
+    let scheduleFactor;
+    if (listedDays < days) {
+      scheduleFactor = factor(listedDays / days, 'Listed for only {available} of the {days} days you need', {
+        available: Math.max(listedDays, 0),
+        days
+      });
+    } else if (minimumPeriod > days) {
+      scheduleFactor = factor(days / minimumPeriod, 'Minimum booking is {minimum} days, longer than the {days} days you need', {
+        minimum: minimumPeriod,
+        days
+      });
+    } else {
+      scheduleFactor = factor(1, 'Available for the {days} days you need', { days });
+    }
+
+    return {
+      proximity: factor(1 - distance / MAX_DISTANCE_KM, '{distance} km from your listing', { distance: round(distance, 1) }),
+      capacity: capacityFactor,
+      temperature: temperatureFactor,
+      product: productFactor,
+      schedule: scheduleFactor,
+      rating: this.ratingFactor(storage, 'storage'),
+      verification: storage.isVerified ? factor(1, 'Verified provider') : factor(0, 'Not verified yet')
+    };
+  }
+
+  /**
+   * Storage facilities for a listing, best first. `t` translates the
+   * explanation reasons.
+   */
+  async recommendStorages(listing, { t = english, limit = MAX_RECOMMENDATIONS } = {}) {
+    const kg = this.quantityKg(listing);
+    const days = listing.requirements?.storageDuration || DEFAULT_STORAGE_DAYS;
+
+    const candidates = (await this.storageCandidates(listing)).map(storage => ({
+      storage,
+      distance: distanceKm(listing.location.coordinates, storage.location.coordinates),
+      estimate: this.storagePrice(storage, kg, days)
+    }));
+
+    const prices = this.priceFactors(candidates.map(({ estimate }) => estimate));
+
+    return candidates
+      .map(({ storage, distance, estimate }, i) => {
+        const factors = { ...this.storageFactors(storage, listing, { distance, kg, days }), price: prices[i] };
+        const { score, explanation } = this.total(factors, t);
+
+        return {
+          storage,
+          score,
+          distanceKm: round(distance, 1),
+          estimatedPrice: estimate === null ? null : round(estimate, 0),
+          storageDays: days,
+          explanation
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+const recommendationService = new RecommendationService();
+
+module.exports = { recommendationService };
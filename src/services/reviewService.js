@@ -0,0 +1,213 @@
+// src/services/reviewService.js
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+const Listing = require('../models/Listing');
+const Transport = require('../models/Transport');
+const Storage = require('../models/Storage');
+
+const TRANSACTION_TYPES = ['offer', 'transport', 'storage_booking'];
+const RATED_ROLES = ['farmer', 'transport', 'storage'];
+
+// Confidence weighting: every user starts as if they already had
+// PRIOR_WEIGHT reviews averaging PRIOR_MEAN, so a handful of reviews
+// moves the score far less than a long track record.
+const PRIOR_MEAN = 3.5;
+const PRIOR_WEIGHT = 10;
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Reviews between users: checks that a rating is backed by a completed
+ * interaction, and keeps the rating summaries on User in step with the
+ * Review collection.
+ */
+class ReviewService {
+  /**
+   * Bayesian average of `count` reviews with mean `average`
+   */
+  weightedScore(average, count) {
+    if (!count) return 0;
+    return round((PRIOR_MEAN * PRIOR_WEIGHT + average * count) / (PRIOR_WEIGHT + count));
+  }
+
+  /**
+   * Recompute averageRating, ratingScore and roleRatings for a user
+   * from their visible reviews
+   */
+  async recalculate(userId) {
+    const target = new mongoose.Types.ObjectId(userId.toString());
+
+    const groups = await Review.aggregate([
+      { $match: { target, status: 'visible' } },
+      { $group: { _id: '$roleContext', sum: { $sum: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    let sum = 0;
+    let count = 0;
+    const update = {};
+
+    RATED_ROLES.forEach(role => {
+      const group = groups.find(g => g._id === role);
+      const average = group ? group.sum / group.count : 0;
+      update[`roleRatings.${role}`] = {
+        average: round(average),
+        count: group ? group.count : 0,
+        score: this.weightedScore(average, group ? group.count : 0)
+      };
+    });
+
+    groups.forEach(group => {
+      sum += group.sum;
+      count += group.count;
+    });
+
+    const average = count ? sum / count : 0;
+    update.averageRating = round(average);
+    update.ratingCount = count;
+    update.ratingScore = this.weightedScore(average, count);
+
+    await User.updateOne({ _id: target }, { $set: update });
+    return update;
+  }
+
+  /**
+   * Number of visible reviews per star, optionally for one role
+   */
+  async histogram(userId, roleContext) {
+    const match = { target: new mongoose.Types.ObjectId(userId.toString()), status: 'visible' };
+    if (roleContext) match.roleContext = roleContext;
+
+    const stars = await Review.aggregate([
+      { $match: match },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    stars.forEach(({ _id, count }) => {
+      histogram[_id] = count;
+    });
+    return histogram;
+  }
+
+  /**
+   * Returns { transaction, roleContext } for a valid rating, or throws
+   * with statusCode 400/403/404.
+   */
+  async resolveTransaction(raterId, ratedUserId, type, transactionId) {
+    if (!TRANSACTION_TYPES.includes(type)) {
+      throw serviceError('Invalid transaction type', 400);
+    }
+
+    let parties;
+    switch (type) {
+      case 'offer':
+        parties = await this.offerParties(transactionId);
+        break;
+      case 'transport':
+        parties = await this.transportParties(transactionId);
+        break;
+      case 'storage_booking':
+        parties = await this.storageBookingParties(transactionId);
+        break;
+    }
+
+    // parties: [{ userId, roleContext }, { userId, roleContext }]
+    const rater = parties.find(p => p.userId === raterId);
+    const rated = parties.find(p => p.userId === ratedUserId);
+
+    if (!rater || !rated || rater === rated) {
+      throw serviceError('You can only rate the other party of a transaction you took part in', 403);
+    }
+
+    return {
+      transaction: { type, id: transactionId },
+      roleContext: rated.roleContext
+    };
+  }
+
+  // Accepted offer: the listing owner and the buyer who made the offer
+  async offerParties(messageId) {
+    const message = await Message.findById(messageId);
+    if (!message || message.type !== 'offer') {
+      throw serviceError('Offer not found', 404);
+    }
+
+    if (message.offerDetails?.status !== 'accepted') {
+      throw serviceError('Only accepted offers can be rated', 400);
+    }
+
+    const chat = await Chat.findById(message.chat).select('listing');
+    const listing = chat ? await Listing.findById(chat.listing).select('owner ownerRole matchedWith') : null;
+    if (!listing) {
+      throw serviceError('Listing for this offer no longer exists', 404);
+    }
+
+    // The offer must have been accepted by the owner of its chat's listing.
+    // Offers accepted before respondedBy was recorded are checked against
+    // the buyer the listing was matched with.
+    const acceptedBy = message.offerDetails.respondedBy;
+    const accepted = acceptedBy
+      ? idOf(acceptedBy) === idOf(listing.owner)
+      : idOf(listing.matchedWith) === idOf(message.sender);
+    if (!accepted || idOf(message.sender) === idOf(listing.owner)) {
+      throw serviceError('Only accepted offers can be rated', 400);
+    }
+
+    return [
+      { userId: idOf(listing.owner), roleContext: listing.ownerRole || 'farmer' },
+      { userId: idOf(message.sender), roleContext: null }
+    ];
+  }
+
+  // Completed transport: the transporter and whoever booked them
+  async transportParties(transportId) {
+    const transport = await Transport.findById(transportId).select('owner bookedBy bookedAs status');
+    if (!transport) {
+      throw serviceError('Transport service not found', 404);
+    }
+
+    if (transport.status !== 'completed' || !transport.bookedBy) {
+      throw serviceError('Only completed transport services can be rated', 400);
+    }
+
+    return [
+      { userId: idOf(transport.owner), roleContext: 'transport' },
+      { userId: idOf(transport.bookedBy), roleContext: transport.bookedAs || 'farmer' }
+    ];
+  }
+
+  // Finished storage booking: the facility owner and the booker
+  async storageBookingParties(bookingId) {
+    const storage = await Storage.findOne({ 'currentBookings._id': bookingId })
+      .select('owner currentBookings');
+    const booking = storage?.currentBookings.id(bookingId);
+    if (!booking) {
+      throw serviceError('Storage booking not found', 404);
+    }
+
+    if (booking.status !== 'completed') {
+      throw serviceError('Only completed storage bookings can be rated', 400);
+    }
+
+    return [
+      { userId: idOf(storage.owner), roleContext: 'storage' },
+      { userId: idOf(booking.bookedBy), roleContext: booking.bookedAs || 'farmer' }
+    ];
+  }
+}
+
+// Create singleton instance
+const reviewService = new ReviewService();
+
+module.exports = { reviewService, TRANSACTION_TYPES, RATED_ROLES };
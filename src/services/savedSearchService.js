@@ -0,0 +1,194 @@
+// src/services/savedSearchService.js
+const Listing = require('../models/Listing');
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const { searchService } = require('./searchService');
+const { notificationService } = require('./notificationService');
+const { webhookService } = require('./webhookService');
+const { blockService } = require('./blockService');
+const { localMinutes } = require('../utils/timezone');
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Listings posted, edited or renewed after `since`. Listings from before
+// changedAt was recorded go by their creation date.
+const changedSince = (since) => ({
+  $or: [
+    { changedAt: { $gt: since } },
+    { changedAt: { $exists: false }, createdAt: { $gt: since } }
+  ]
+});
+
+/**
+ * Saved listing searches: re-run against listings as they are created or
+ * updated, alerting the user straight away or once a day.
+ */
+class SavedSearchService {
+  /**
+   * Listing query for a saved search, text condition included
+   */
+  filterFor(savedSearch) {
+    const query = searchService.filterFor(savedSearch.filters, savedSearch.user, savedSearch.near);
+    const { text } = searchService.textFilter(savedSearch.query);
+    if (text) query.$text = text;
+    return query;
+  }
+
+  /**
+   * Listings matching a saved search posted, edited or renewed after
+   * `since`, newest first
+   */
+  async matchesSince(savedSearch, since, { page = 1, limit = 20 } = {}) {
+    const filter = {
+      ...searchService.filterFor(savedSearch.filters, savedSearch.user, savedSearch.near),
+      ...changedSince(since)
+    };
+    await blockService.excludeHidden(filter, 'owner', savedSearch.user);
+
+    return searchService.search({
+      q: savedSearch.query,
+      filter,
+      sort: { changedAt: -1, createdAt: -1 },
+      page,
+      limit
+    });
+  }
+
+  async countSince(savedSearch, since) {
+    const filter = { ...this.filterFor(savedSearch), ...changedSince(since) };
+    await blockService.excludeHidden(filter, 'owner', savedSearch.user);
+    return Listing.countDocuments(filter);
+  }
+
+  /**
+   * Check a new or updated listing against everyone's saved searches.
+   * Never throws: alerts must not fail the listing change.
+   */
+  async onListingChanged(listing) {
+    try {
+      if (listing.status !== 'active' || listing.ownerSuspended) return 0;
+
+      // Users blocked either way never hear about each other's listings
+      const hidden = await blockService.hiddenUserIds(listing.owner);
+
+      const candidates = await SavedSearch.find({
+        user: { $nin: [listing.owner, ...hidden] },
+        'alerts.frequency': { $ne: 'off' },
+        'alerts.alertedListings': { $ne: listing._id },
+        'filters.category': { $in: [null, listing.category] },
+        'filters.type': { $in: [null, listing.type] }
+      });
+
+      let alerted = 0;
+      for (const savedSearch of candidates) {
+        const matches = await Listing.exists({ _id: listing._id, ...this.filterFor(savedSearch) });
+        if (!matches) continue;
+
+        await this.alert(savedSearch, listing);
+        alerted += 1;
+      }
+
+      return alerted;
+    } catch (error) {
+      console.error('Error matching saved searches:', error);
+      return 0;
+    }
+  }
+
+  async alert(savedSearch, listing) {
+    const daily = savedSearch.alerts.frequency === 'daily';
+
+    await SavedSearch.updateOne({ _id: savedSearch._id }, {
+      $push: {
+        'alerts.alertedListings': { $each: [listing._id], $slice: -SavedSearch.MAX_ALERTED_LISTINGS },
+        ...(daily ? { 'alerts.pending': listing._id } : {})
+      },
+      ...(daily ? {} : { $set: { 'alerts.lastAlertedAt': new Date() } })
+    });
+
+    if (daily) return;
+
+    const data = {
+      savedSearchId: savedSearch._id,
+      savedSearchName: savedSearch.name,
+      listingIds: [listing._id],
+      listing: {
+        id: listing._id,
+        title: listing.title,
+        category: listing.category,
+        type: listing.type,
+        county: listing.locationDetails?.county,
+        price: listing.price?.amount
+      }
+    };
+
+    await notificationService.notify(savedSearch.user, 'saved_search', {
+      event: 'search.matched',
+      data,
+      title: `New match for "${savedSearch.name}"`,
+      text: listing.title
+    });
+
+    await webhookService.triggerWebhook('search.matched', {
+      ...data,
+      timestamp: new Date().toISOString()
+    }, idOf(savedSearch.user));
+  }
+
+  /**
+   * Send the daily alert of each saved search set to daily, at the hour
+   * the user gets their notification digest. Run hourly from the
+   * notification scheduler.
+   */
+  async sendDailyAlerts(now = new Date()) {
+    const due = await SavedSearch.find({
+      'alerts.frequency': 'daily',
+      'alerts.pending.0': { $exists: true }
+    });
+    if (!due.length) return 0;
+
+    const users = await User.find({ _id: { $in: due.map(s => s.user) } })
+      .select('notificationPreferences');
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+    let sent = 0;
+
+    for (const savedSearch of due) {
+      const user = byId.get(idOf(savedSearch.user));
+      if (user) {
+        const { digest, quietHours } = notificationService.preferencesFor(user);
+        const localHour = Math.floor(localMinutes(now, quietHours.timezone) / 60);
+        if (localHour !== digest.hour) continue;
+      }
+
+      const listingIds = savedSearch.alerts.pending;
+      await SavedSearch.updateOne(
+        { _id: savedSearch._id },
+        { $set: { 'alerts.pending': [], 'alerts.lastAlertedAt': now } }
+      );
+      if (!user) continue;
+
+      const data = { savedSearchId: savedSearch._id, savedSearchName: savedSearch.name, listingIds };
+
+      await notificationService.notify(savedSearch.user, 'saved_search', {
+        event: 'search.matched',
+        data,
+        title: `New matches for "${savedSearch.name}"`,
+        text: `${listingIds.length} new listing(s) match your saved search`
+      });
+
+      await webhookService.triggerWebhook('search.matched', {
+        ...data,
+        timestamp: now.toISOString()
+      }, idOf(savedSearch.user));
+
+      sent += 1;
+    }
+
+    return sent;
+  }
+}
+
+// Create singleton instance
+const savedSearchService = new SavedSearchService();
+
+module.exports = { savedSearchService };
@@ -0,0 +1,252 @@
+// src/services/searchService.js
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const { PRODUCE_SYNONYMS, PRICE_BANDS } = require('../config/search');
+const { countyName, EARTH_RADIUS_KM } = require('../utils/geography');
+
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9'\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Every word or phrase that names a term, with the term it names
+const VOCABULARY = Object.entries(PRODUCE_SYNONYMS).flatMap(([term, synonyms]) =>
+  [term.replace(/_/g, ' '), ...synonyms].map(phrase => ({ phrase: normalize(phrase), term }))
+);
+
+const SINGLE_WORDS = VOCABULARY.filter(entry => !entry.phrase.includes(' '));
+const PHRASES = VOCABULARY.filter(entry => entry.phrase.includes(' '));
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one edit
+ * (optimal string alignment)
+ */
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+};
+
+// Short words need an exact match: "tea" is not a typo of "pea"
+const allowedTypos = (word) => (word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2);
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Listing search: a weighted text index with typo correction and
+ * English/Swahili synonyms for produce, and facet counts over the results.
+ */
+class SearchService {
+  /**
+   * The vocabulary term a word most likely means, if it is close enough
+   * to one
+   */
+  correct(word) {
+    let best = null;
+
+    for (const entry of SINGLE_WORDS) {
+      if (entry.phrase === word) return entry;
+      if (Math.abs(entry.phrase.length - word.length) > 2) continue;
+
+      const distance = editDistance(word, entry.phrase);
+      if (distance <= allowedTypos(word) && (!best || distance < best.distance)) {
+        best = { ...entry, distance };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Turn what the user typed into text search terms: the words themselves,
+   * spelling corrections, and every synonym of the produce they name.
+   * Returns the terms and the corrections made ({ from, to }).
+   */
+  expandQuery(q) {
+    const text = normalize(q);
+    const words = text.split(' ').filter(Boolean);
+    const terms = new Set(words);
+    const matched = new Set();
+    const corrections = [];
+
+    // Multi-word names first ("sukuma wiki")
+    for (const { phrase, term } of PHRASES) {
+      if (new RegExp(`(^| )${escapeRegExp(phrase)}( |$)`).test(text)) matched.add(term);
+    }
+
+    for (const word of words) {
+      const entry = this.correct(word);
+      if (!entry) continue;
+
+      matched.add(entry.term);
+      if (entry.distance) corrections.push({ from: word, to: entry.phrase });
+    }
+
+    // Multi-word synonyms are left out: their words alone ("wiki") would
+    // match unrelated listings
+    for (const term of matched) {
+      normalize(term.replace(/_/g, ' ')).split(' ').forEach(word => terms.add(word));
+      SINGLE_WORDS.filter(entry => entry.term === term).forEach(entry => terms.add(entry.phrase));
+    }
+
+    return { terms: [...terms], corrections };
+  }
+
+  /**
+   * Query on live listings for the search filters a user can set, for
+   * listings `viewerId` does not own. Ids are cast since aggregation
+   * filters are not. `near` is { coordinates: [lng, lat], radiusKm }.
+   */
+  filterFor(filters = {}, viewerId, near) {
+    const {
+      category, type, quality, county, minPrice, maxPrice, minQuantity, maxQuantity
+    } = filters;
+
+    const query = {
+      status: 'active',
+      expiryDate: { $gt: new Date() },
+      ownerSuspended: { $ne: true },
+      owner: { $ne: new mongoose.Types.ObjectId(viewerId.toString()) }
+    };
+
+    if (category) query.category = category;
+    if (type) query.type = type;
+    if (quality) query['productDetails.quality'] = quality;
+    if (county) query['locationDetails.county'] = countyName(county);
+
+    if (isSet(minQuantity) || isSet(maxQuantity)) {
+      query['productDetails.quantity'] = {};
+      if (isSet(minQuantity)) query['productDetails.quantity'].$gte = parseFloat(minQuantity);
+      if (isSet(maxQuantity)) query['productDetails.quantity'].$lte = parseFloat(maxQuantity);
+    }
+
+    // Upper price bound is exclusive, like the price facet bands
+    if (isSet(minPrice) || isSet(maxPrice)) {
+      query['price.amount'] = {};
+      if (isSet(minPrice)) query['price.amount'].$gte = parseFloat(minPrice);
+      if (isSet(maxPrice)) query['price.amount'].$lt = parseFloat(maxPrice);
+    }
+
+    if (near?.coordinates?.length === 2 && near.radiusKm) {
+      query.location = {
+        $geoWithin: { $centerSphere: [near.coordinates.map(Number), near.radiusKm / EARTH_RADIUS_KM] }
+      };
+    }
+
+    return query;
+  }
+
+  /**
+   * Text search condition for `q` (null when there is nothing to search),
+   * with the spelling corrections applied
+   */
+  textFilter(q) {
+    if (!q || !normalize(q)) return { text: null, corrections: [] };
+
+    const { terms, corrections } = this.expandQuery(q);
+    return { text: { $search: terms.join(' ') }, corrections };
+  }
+
+  /**
+   * Search listings matching `filter` (a $match on Listing, ids already
+   * cast) for `q`. Results come back ranked by relevance when there is a
+   * query and no `sort`, otherwise in `sort` order, one page at a time,
+   * with facet counts over everything that matched.
+   */
+  async search({ q, filter = {}, sort = null, page = 1, limit = 20 }) {
+    const match = { ...filter };
+    const { text, corrections } = this.textFilter(q);
+    if (text) match.$text = text;
+
+    const ranked = Boolean(match.$text) && !sort;
+    const skip = (page - 1) * limit;
+
+    const [result] = await Listing.aggregate([
+      { $match: match },
+      ...(match.$text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          results: [
+            { $sort: ranked ? { score: -1, createdAt: -1 } : { ...(sort || { createdAt: -1 }), _id: 1 } },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { _id: 1, score: 1 } }
+          ],
+          total: [{ $count: 'count' }],
+          category: [{ $sortByCount: '$category' }],
+          county: [{ $sortByCount: '$locationDetails.county' }],
+          quality: [{ $sortByCount: '$productDetails.quality' }],
+          price: [{
+            $bucket: {
+              groupBy: '$price.amount',
+              boundaries: [...PRICE_BANDS, Number.MAX_SAFE_INTEGER],
+              default: 'unpriced',
+              output: { count: { $sum: 1 } }
+            }
+          }]
+        }
+      }
+    ]);
+
+    // Load the page as documents so virtuals and owner details match the
+    // other listing endpoints
+    const ids = result.results.map(r => r._id);
+    const scores = new Map(result.results.map(r => [r._id.toString(), r.score]));
+    const listings = await Listing.find({ _id: { $in: ids } })
+      .populate('owner', 'name roles averageRating phoneVerified');
+    const byId = new Map(listings.map(listing => [listing._id.toString(), listing]));
+
+    return {
+      listings: ids
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .map(listing => ({
+          ...listing.toObject(),
+          ...(match.$text ? { relevance: Math.round(scores.get(listing._id.toString()) * 100) / 100 } : {})
+        })),
+      total: result.total[0]?.count || 0,
+      corrections,
+      facets: {
+        category: this.countFacet(result.category),
+        county: this.countFacet(result.county),
+        quality: this.countFacet(result.quality),
+        price: result.price.map(bucket => this.priceBand(bucket))
+      }
+    };
+  }
+
+  countFacet(groups) {
+    return groups
+      .filter(group => group._id !== null && group._id !== undefined)
+      .map(group => ({ value: group._id, count: group.count }));
+  }
+
+  priceBand({ _id, count }) {
+    if (_id === 'unpriced') return { band: 'unpriced', min: null, max: null, count };
+
+    const index = PRICE_BANDS.indexOf(_id);
+    const max = PRICE_BANDS[index + 1] ?? null;
+    return { band: max === null ? `${_id}+` : `${_id}-${max}`, min: _id, max, count };
+  }
+}
+
+// Create singleton instance
+const searchService = new SearchService();
+
+module.exports = { searchService };
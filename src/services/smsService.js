@@ -0,0 +1,62 @@
+// src/services/smsService.js
+
+/**
+ * SMS providers implement an async send({ to, message }) method.
+ * The console provider is the local stand-in used in development;
+ * register a real gateway (e.g. Africa's Talking) with registerProvider.
+ */
+const consoleProvider = {
+  async send({ to, message }) {
+    console.log(`[SMS] To: ${to} | ${message}`);
+    return { delivered: true, provider: 'console' };
+  }
+};
+
+class SmsService {
+  constructor() {
+    this.providers = {
+      console: consoleProvider
+    };
+  }
+
+  registerProvider(name, provider) {
+    if (!provider || typeof provider.send !== 'function') {
+      throw new Error('SMS provider must implement send({ to, message })');
+    }
+    this.providers[name] = provider;
+  }
+
+  getProvider() {
+    const name = process.env.SMS_PROVIDER || 'console';
+    return this.providers[name] || this.providers.console;
+  }
+
+  async send(to, message) {
+    try {
+      return await this.getProvider().send({ to, message });
+    } catch (error) {
+      console.error('Error sending SMS:', error);
+      return { delivered: false, error: error.message };
+    }
+  }
+
+  // Phone invitees accept from their invitations list after signing in with this number
+  async sendOrganisationInvite(phone, organisation, inviter, role) {
+    return this.send(
+      phone,
+      `${inviter.name} invited you to join ${organisation.name} on Farm Connect as a ${role}. Sign in with this number to accept. The invitation expires in 7 days.`
+    );
+  }
+
+  async sendOtp(phone, code, ttlMinutes) {
+    return this.send(
+      phone,
+      `Your Farm Connect code is ${code}. It expires in ${ttlMinutes} minutes. Do not share it with anyone.`
+    );
+  }
+}
+
+// Create singleton instance
+const smsService = new SmsService();
+
+module.exports = { smsService };
@@ -0,0 +1,320 @@
+// src/services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const redisClient = require('../config/redis');
+const generateToken = require('../utils/generateToken');
+const { generateRefreshToken } = require('../utils/generateToken');
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Convert jsonwebtoken style durations ('15m', '30d', 3600) to seconds
+const durationToSeconds = (value, fallback) => {
+  if (!value) return fallback;
+  if (/^\d+$/.test(String(value))) return parseInt(value, 10);
+
+  const match = String(value).trim().match(/^(\d+)\s*([smhd])$/i);
+  return match ? parseInt(match[1], 10) * UNIT_SECONDS[match[2].toLowerCase()] : fallback;
+};
+
+const KNOWN_DEVICES_TTL = 365 * 86400;
+const LAST_SEEN_INTERVAL = 60 * 1000; // Record activity at most once a minute per session
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+class TokenService {
+  constructor() {
+    this.accessTtl = durationToSeconds(process.env.JWT_ACCESS_EXPIRE, 15 * 60);
+    this.refreshTtl = durationToSeconds(process.env.JWT_REFRESH_EXPIRE, 30 * 86400);
+    this.lastTouched = new Map();
+  }
+
+  refreshKey(sessionId) {
+    return `refresh:${sessionId}`;
+  }
+
+  userSessionsKey(userId) {
+    return `user:${userId}:refresh-sessions`;
+  }
+
+  revokedSessionKey(sessionId) {
+    return `revoked:session:${sessionId}`;
+  }
+
+  epochKey(userId) {
+    return `user:${userId}:token-epoch`;
+  }
+
+  lastSeenKey(sessionId) {
+    return `session:${sessionId}:last-seen`;
+  }
+
+  knownDevicesKey(userId) {
+    return `user:${userId}:known-devices`;
+  }
+
+  // Apps can send a stable X-Device-Id; browsers fall back to their user agent
+  deviceIdFor(meta) {
+    if (meta.deviceId) return String(meta.deviceId).slice(0, 100);
+    return crypto.createHash('sha256').update(meta.userAgent || 'unknown').digest('hex').slice(0, 32);
+  }
+
+  // Tokens carry the epoch they were issued in; revoke-all bumps it
+  async getEpoch(userId) {
+    const epoch = await redisClient.get(this.epochKey(userId));
+    return epoch ? parseInt(epoch, 10) : 0;
+  }
+
+  /**
+   * Start a new session and issue an access/refresh token pair
+   */
+  async issueTokens(user, meta = {}) {
+    const sessionId = crypto.randomUUID();
+    const userId = user._id.toString();
+    const deviceId = this.deviceIdFor(meta);
+
+    await redisClient.sadd(this.userSessionsKey(userId), sessionId);
+    await redisClient.expire(this.userSessionsKey(userId), this.refreshTtl);
+
+    // The first device an account signs in from is not "new"
+    const knownDevices = await redisClient.smembers(this.knownDevicesKey(userId));
+    const isNewDevice = knownDevices.length > 0 && !knownDevices.includes(deviceId);
+    await redisClient.sadd(this.knownDevicesKey(userId), deviceId);
+    await redisClient.expire(this.knownDevicesKey(userId), KNOWN_DEVICES_TTL);
+
+    const tokens = await this.signPair(user, sessionId, {
+      deviceId,
+      deviceName: meta.deviceName || null,
+      userAgent: meta.userAgent || null,
+      ip: meta.ip || null,
+      createdAt: new Date().toISOString()
+    });
+
+    return { ...tokens, isNewDevice };
+  }
+
+  async signPair(user, sessionId, sessionData) {
+    const userId = user._id.toString();
+    const tokenId = crypto.randomUUID();
+    const epoch = await this.getEpoch(userId);
+
+    // Roles may have changed since the session started
+    const activeRole = user.resolveActiveRole(sessionData.activeRole);
+
+    await redisClient.set(
+      this.refreshKey(sessionId),
+      JSON.stringify({ ...sessionData, activeRole, userId, tokenId, rotatedAt: new Date().toISOString() }),
+      this.refreshTtl
+    );
+
+    return {
+      accessToken: generateToken(userId, user.roles, { sessionId, epoch, activeRole }),
+      refreshToken: generateRefreshToken(userId, { sessionId, tokenId, epoch }),
+      sessionId,
+      activeRole,
+      expiresIn: this.accessTtl
+    };
+  }
+
+  /**
+   * Re-issue the session's token pair acting in another role
+   */
+  async switchActiveRole(user, sessionId, role) {
+    const stored = await redisClient.get(this.refreshKey(sessionId));
+    if (!stored) {
+      throw authError('Session has been revoked');
+    }
+
+    const { tokenId, rotatedAt, ...sessionData } = JSON.parse(stored);
+    return this.signPair(user, sessionId, { ...sessionData, activeRole: role });
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. Each refresh token is single-use:
+   * presenting an already rotated token revokes the whole session.
+   */
+  async rotateRefreshToken(refreshToken, loadUser) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
+    } catch (error) {
+      throw authError(error.name === 'TokenExpiredError' ? 'Refresh token expired' : 'Invalid refresh token');
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.sid) {
+      throw authError('Invalid refresh token');
+    }
+
+    const stored = await redisClient.get(this.refreshKey(decoded.sid));
+    const session = stored ? JSON.parse(stored) : null;
+
+    if (!session || session.userId !== decoded.id) {
+      throw authError('Session has been revoked');
+    }
+
+    if (session.tokenId !== decoded.jti) {
+      console.warn(`Refresh token reuse detected for session ${decoded.sid}, revoking`);
+      await this.revokeSession(decoded.id, decoded.sid);
+      throw authError('Session has been revoked');
+    }
+
+    if (await this.isStaleEpoch(decoded)) {
+      await this.revokeSession(decoded.id, decoded.sid);
+      throw authError('Session has been revoked');
+    }
+
+    const user = await loadUser(decoded.id);
+    if (!user || !['active', 'verified'].includes(user.profileStatus)) {
+      await this.revokeSession(decoded.id, decoded.sid);
+      throw authError('Account is not active');
+    }
+
+    const { tokenId, rotatedAt, ...sessionData } = session;
+    return this.signPair(user, decoded.sid, sessionData);
+  }
+
+  /**
+   * Record that a session was just used (called on authenticated requests)
+   */
+  async touchSession(sessionId, ip) {
+    if (!sessionId) return;
+
+    const last = this.lastTouched.get(sessionId);
+    if (last && Date.now() - last < LAST_SEEN_INTERVAL) return;
+    if (this.lastTouched.size > 10000) this.lastTouched.clear();
+    this.lastTouched.set(sessionId, Date.now());
+
+    await redisClient.set(
+      this.lastSeenKey(sessionId),
+      JSON.stringify({ at: new Date().toISOString(), ip: ip || null }),
+      this.refreshTtl
+    );
+  }
+
+  /**
+   * A user's active sessions with device details, most recently used first
+   */
+  async listSessions(userId, currentSessionId = null) {
+    userId = userId.toString();
+    const sessionIds = await redisClient.smembers(this.userSessionsKey(userId));
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const stored = await redisClient.get(this.refreshKey(sessionId));
+      if (!stored) {
+        // Refresh token expired; drop the dangling reference
+        await redisClient.srem(this.userSessionsKey(userId), sessionId);
+        continue;
+      }
+
+      const session = JSON.parse(stored);
+      const lastSeen = JSON.parse(await redisClient.get(this.lastSeenKey(sessionId)) || 'null');
+      const sockets = await redisClient.getSessionSockets(sessionId);
+
+      sessions.push({
+        sessionId,
+        deviceId: session.deviceId || null,
+        deviceName: session.deviceName || null,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        activeRole: session.activeRole || null,
+        createdAt: session.createdAt,
+        lastSeenAt: lastSeen?.at || session.rotatedAt || session.createdAt,
+        lastSeenIp: lastSeen?.ip || session.ip,
+        socketConnected: sockets.length > 0,
+        current: sessionId === currentSessionId
+      });
+    }
+
+    return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+  }
+
+  async sessionBelongsTo(userId, sessionId) {
+    const stored = await redisClient.get(this.refreshKey(sessionId));
+    return Boolean(stored) && JSON.parse(stored).userId === userId.toString();
+  }
+
+  /**
+   * Revoke a single session (logout on one device)
+   */
+  async revokeSession(userId, sessionId) {
+    if (!sessionId) return;
+
+    await redisClient.del(this.refreshKey(sessionId));
+    await redisClient.del(this.lastSeenKey(sessionId));
+    await redisClient.set(this.revokedSessionKey(sessionId), '1', this.accessTtl);
+    await redisClient.srem(this.userSessionsKey(userId), sessionId);
+    this.lastTouched.delete(sessionId);
+
+    this.disconnectSockets({ sessionId });
+  }
+
+  /**
+   * Revoke every session except the one making the request
+   */
+  async revokeOtherSessions(userId, keepSessionId) {
+    userId = userId.toString();
+    const sessionIds = await redisClient.smembers(this.userSessionsKey(userId));
+
+    let revoked = 0;
+    for (const sessionId of sessionIds) {
+      if (sessionId === keepSessionId) continue;
+      await this.revokeSession(userId, sessionId);
+      revoked += 1;
+    }
+    return revoked;
+  }
+
+  /**
+   * Revoke every token issued to a user so far
+   * (logout everywhere, password change, suspension)
+   */
+  async revokeAllForUser(userId, reason = 'revoked') {
+    userId = userId.toString();
+
+    await redisClient.incr(this.epochKey(userId));
+
+    const sessionIds = await redisClient.smembers(this.userSessionsKey(userId));
+    for (const sessionId of sessionIds) {
+      await redisClient.del(this.refreshKey(sessionId));
+      await redisClient.del(this.lastSeenKey(sessionId));
+    }
+    await redisClient.del(this.userSessionsKey(userId));
+
+    this.disconnectSockets({ userId, reason });
+  }
+
+  async isStaleEpoch(decoded) {
+    return (decoded.epoch || 0) < await this.getEpoch(decoded.id);
+  }
+
+  /**
+   * Check a decoded access token against the revocation store
+   */
+  async isAccessTokenRevoked(decoded) {
+    if (decoded.type === 'refresh') return true;
+
+    if (decoded.sid && await redisClient.exists(this.revokedSessionKey(decoded.sid))) {
+      return true;
+    }
+
+    return this.isStaleEpoch(decoded);
+  }
+
+  disconnectSockets({ userId, sessionId, reason = 'revoked' }) {
+    try {
+      const { disconnectSockets } = require('../socket/socket');
+      disconnectSockets({ userId, sessionId, reason });
+    } catch (error) {
+      console.error('Error disconnecting revoked sockets:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const tokenService = new TokenService();
+
+module.exports = { tokenService };
@@ -0,0 +1,77 @@
+// src/services/verificationService.js
+const KycDocument = require('../models/KycDocument');
+const Transport = require('../models/Transport');
+const Storage = require('../models/Storage');
+
+/**
+ * Derives the verification flags of transport and storage services
+ * from their approved, unexpired KYC documents.
+ */
+class VerificationService {
+  constructor() {
+    this.models = {
+      transport: Transport,
+      storage: Storage
+    };
+  }
+
+  async refresh(subjectType, subjectId) {
+    const Model = this.models[subjectType];
+    const subject = Model ? await Model.findById(subjectId) : null;
+    if (!subject) return null;
+
+    const documents = await KycDocument.findValidForSubject(subjectId);
+    const hasType = (type) => documents.some(doc => doc.documentType === type);
+
+    if (subjectType === 'transport') {
+      subject.verificationDetails.licenseVerified = hasType('driving_license');
+      subject.verificationDetails.insuranceVerified = hasType('insurance_certificate');
+      subject.verificationDetails.vehicleVerified = hasType('vehicle_inspection');
+      subject.isVerified = subject.verificationDetails.licenseVerified &&
+        subject.verificationDetails.insuranceVerified &&
+        subject.verificationDetails.vehicleVerified;
+    } else {
+      subject.isVerified = hasType('facility_permit');
+      subject.certifications = documents
+        .filter(doc => doc.documentType === 'certification')
+        .map(doc => doc.title || doc.documentNumber)
+        .filter(Boolean);
+      subject.inspectionReports = documents
+        .filter(doc => doc.documentType === 'inspection_report')
+        .map(doc => ({
+          date: doc.reviewedAt,
+          inspector: doc.issuedBy,
+          status: doc.status,
+          reportUrl: doc.fileUrl
+        }));
+    }
+
+    await subject.save();
+    return subject;
+  }
+
+  /**
+   * Re-check services whose approved documents expired since the last run
+   */
+  async refreshExpired(since) {
+    const expired = await KycDocument.find({
+      status: 'approved',
+      expiresAt: { $gt: since, $lte: new Date() }
+    }).select('subjectType subject');
+
+    const seen = new Set();
+    for (const doc of expired) {
+      const key = doc.subject.toString();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      await this.refresh(doc.subjectType, doc.subject);
+    }
+
+    return seen.size;
+  }
+}
+
+// Create singleton instance
+const verificationService = new VerificationService();
+
+module.exports = { verificationService };
@@ -4,6 +4,7 @@ const crypto = require('crypto');
 const Webhook = require('../models/Webhook');
 const User = require('../models/User');
 const redisClient = require('../config/redis');
+const { notificationService } = require('./notificationService');
 
 class WebhookService {
   constructor() {
@@ -194,6 +195,12 @@ class WebhookService {
    */
   async triggerWebhook(eventType, data, userId = null) {
     try {
+      // Respect the user's notification preferences for this event type
+      if (!(await notificationService.allowsWebhook(userId, eventType))) {
+        console.log(`[Webhook] ${eventType} muted by user ${userId}`);
+        return { success: true, triggered: 0, event: eventType, muted: true };
+      }
+
       // Get all webhooks that should receive this event
       const webhooks = await this.getWebhooksForEvent(eventType, userId);
       
@@ -4,6 +4,9 @@ const User = require('../models/User');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const redisClient = require('../config/redis');
 const { webhookService } = require('../services/webhookService');
+const { tokenService } = require('../services/tokenService');
+const { blockService } = require('../services/blockService');
+const { LANGUAGES, negotiateLanguage, resolveLanguage } = require('../utils/i18n');
 
 let io;
 
@@ -35,13 +38,23 @@ const initializeSocket = (server) => {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (await tokenService.isAccessTokenRevoked(decoded)) {
+        return next(new Error('Authentication error: Token revoked'));
+      }
+
       const user = await User.findById(decoded.id).select('-password');
       
       if (!user) {
         return next(new Error('Authentication error: User not found'));
       }
 
+      if (user.profileStatus === 'suspended') {
+        return next(new Error('Authentication error: Account suspended'));
+      }
+
       socket.user = user;
+      socket.sessionId = decoded.sid || null;
       next();
     } catch (error) {
       console.error('Socket authentication error:', error.message);
@@ -54,7 +67,19 @@ const initializeSocket = (server) => {
     console.log(`User connected: ${socket.user._id} (${socket.user.name})`);
     
     const userId = socket.user._id.toString();
+
+    // Rooms used to force-disconnect revoked users and sessions
+    socket.join(`user_${userId}`);
+    if (socket.sessionId) {
+      socket.join(`session_${socket.sessionId}`);
+    }
+
+    // Room per language so system messages can go out translated
+    socket.join(`lang_${resolveLanguage(socket.user.language || negotiateLanguage(socket.handshake.headers['accept-language']))}`);
     
+    // Track the socket against its login session so users can see which devices are connected
+    await redisClient.addSocket(userId, socket.sessionId, socket.id);
+
     // Store user session in Redis
     await redisClient.setUserSession(
       userId,
@@ -91,8 +116,9 @@ const initializeSocket = (server) => {
       timestamp: new Date().toISOString()
     });
 
-    // Notify user's contacts about online status
-    socket.broadcast.emit('user:online', {
+    // Notify user's contacts about online status, except users on either side of a block
+    const blockedRooms = (await blockService.hiddenUserIds(userId)).map(id => `user_${id}`);
+    socket.broadcast.except(blockedRooms).emit('user:online', {
       userId,
       name: socket.user.name,
       timestamp: new Date().toISOString()
@@ -213,6 +239,10 @@ const initializeSocket = (server) => {
 
     socket.on('disconnect', async (reason) => {
       console.log(`User disconnected: ${userId} (${socket.user.name})`, reason);
+
+      // Still online on another device
+      const remainingSockets = await redisClient.removeSocket(userId, socket.sessionId, socket.id);
+      if (remainingSockets > 0) return;
       
       // Mark user as offline
       await redisClient.setUserOffline(userId);
@@ -232,7 +262,8 @@ const initializeSocket = (server) => {
       ).catch(err => console.error('Webhook error:', err));
       
       // Notify contacts about offline status
-      socket.broadcast.emit('user:offline', {
+      const hiddenRooms = (await blockService.hiddenUserIds(userId)).map(id => `user_${id}`);
+      socket.broadcast.except(hiddenRooms).emit('user:offline', {
         userId,
         name: socket.user.name,
         timestamp: new Date().toISOString()
@@ -246,14 +277,36 @@ const initializeSocket = (server) => {
 
 const getIO = () => io;
 
+const disconnectSockets = ({ userId, sessionId, reason = 'revoked' }) => {
+  if (!io) return;
+
+  const room = sessionId ? `session_${sessionId}` : `user_${userId}`;
+  io.to(room).emit('session:revoked', {
+    reason,
+    timestamp: new Date().toISOString()
+  });
+  io.in(room).disconnectSockets(true);
+};
+
+/**
+ * Emit to a room once per language; `build(language)` returns the payload
+ * for the sockets in that language
+ */
+const emitLocalized = (room, event, build) => {
+  if (!io) return;
+
+  for (const language of LANGUAGES) {
+    const others = LANGUAGES.filter(code => code !== language).map(code => `lang_${code}`);
+    io.to(room).except(others).emit(event, build(language));
+  }
+};
+
 const notifyUser = async (userId, event, data) => {
   if (io && userId) {
     try {
-      // Get user's socket session from Redis
-      const session = await redisClient.getUserSession(userId.toString());
-      
-      if (session && session.socketId) {
-        io.to(session.socketId).emit(event, data);
+      // Deliver to every connected device of the user
+      if (await redisClient.isUserOnline(userId.toString())) {
+        io.to(`user_${userId}`).emit(event, data);
         return true;
       }
       
@@ -319,6 +372,8 @@ const getUserPresence = async (userId) => {
 module.exports = {
   initializeSocket,
   getIO,
+  disconnectSockets,
+  emitLocalized,
   notifyUser,
   isUserOnline,
   getOnlineUsersCount,
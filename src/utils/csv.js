@@ -0,0 +1,25 @@
+/**
+ * Build a CSV document from rows of plain objects.
+ * `columns` is a list of { key, header } (header defaults to key);
+ * key may be a dotted path or a function of the row.
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Neutralise spreadsheet formulas and quote anything with separators
+  const safe = typeof value === 'string' && /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const valueAt = (row, key) => {
+  if (typeof key === 'function') return key(row);
+  return key.split('.').reduce((value, part) => (value == null ? value : value[part]), row);
+};
+
+const toCsv = (columns, rows) => {
+  const header = columns.map(column => escapeCell(column.header || column.key)).join(',');
+  const lines = rows.map(row => columns.map(column => escapeCell(valueAt(row, column.key))).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+module.exports = { toCsv };
@@ -1,24 +1,27 @@
 const cron = require('node-cron');
-const Listing = require('../models/Listing');
+const { verificationService } = require('../services/verificationService');
+const { expiryService } = require('../services/expiryService');
 
 // Run every hour to check for expired listings
 cron.schedule('0 * * * *', async () => {
   try {
-    const expiredListings = await Listing.updateMany(
-      {
-        status: 'active',
-        expiryDate: { $lte: new Date() }
-      },
-      {
-        status: 'expired',
-        closedAt: new Date()
-      }
-    );
+    const expired = await expiryService.expireListings();
+    console.log(`Expired ${expired} listings at ${new Date().toISOString()}`);
 
-    console.log(`Expired ${expiredListings.modifiedCount} listings at ${new Date().toISOString()}`);
+    // Transport services and storage facilities that expired since the last run
+    const services = await expiryService.expireServices();
+    console.log(`Notified owners of ${services} expired services`);
+
+    // Reminders for listings and services expiring soon
+    const reminders = await expiryService.sendReminders();
+    console.log(`Sent ${reminders} expiry reminders`);
+
+    // Drop verification badges backed by documents that expired in the last hour
+    const reverified = await verificationService.refreshExpired(new Date(Date.now() - 60 * 60 * 1000));
+    console.log(`Re-checked verification for ${reverified} services`);
   } catch (error) {
     console.error('Error in expiry cleanup:', error);
   }
 });
 
-module.exports = cron;
\ No newline at end of file
+module.exports = cron;
@@ -1,16 +1,40 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
-const generateToken = (userId, roles) => {
+// Short-lived access token; sessions are extended with refresh tokens
+const generateToken = (userId, roles, { sessionId = null, epoch = 0, activeRole = null } = {}) => {
   return jwt.sign(
-    { 
+    {
       id: userId,
-      roles: roles 
+      roles: roles,
+      activeRole,
+      sid: sessionId,
+      epoch,
+      type: 'access'
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+      jwtid: crypto.randomUUID()
+    }
+  );
+};
+
+const generateRefreshToken = (userId, { sessionId, tokenId, epoch = 0 }) => {
+  return jwt.sign(
+    {
+      id: userId,
+      sid: sessionId,
+      epoch,
+      type: 'refresh'
+    },
+    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
+      jwtid: tokenId
     }
   );
 };
 
-module.exports = generateToken;
\ No newline at end of file
+module.exports = generateToken;
+module.exports.generateRefreshToken = generateRefreshToken;
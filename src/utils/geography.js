@@ -0,0 +1,381 @@
+// src/utils/geography.js
+const COUNTY_DATA = require('../config/kenyaCounties');
+
+// Lower-case, no accents, punctuation or "county"/"sub-county" suffixes
+const normalizeName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\b(sub[\s-]?county|county|constituency|ward)\b/g, ' ')
+  .replace(/['\u2019`]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Spacing-insensitive key: "Tana River", "TanaRiver" and "tana-river" all match
+const keyOf = (value) => normalizeName(value).replace(/ /g, '');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "Parklands/Highridge" can be typed as either half
+const namesOf = (name) => (name.includes('/') ? [name, ...name.split('/')] : [name]);
+
+// Candidates for fuzzy matching within a list of sub-counties or wards
+const candidatesOf = (items) => items.flatMap(item =>
+  namesOf(item.name).map(name => ({ key: keyOf(name), value: item })));
+
+// ===============================
+// Build the lookup tables once
+// ===============================
+const COUNTIES = COUNTY_DATA.map(county => {
+  const subCounties = county.subCounties.map((entry, i) => {
+    const [name, wards] = entry;
+    const code = `${county.code}-${pad(i + 1)}`;
+    return {
+      code,
+      name,
+      wards: wards.map((ward, j) => ({ code: `${code}-${pad(j + 1)}`, name: ward }))
+    };
+  });
+
+  return { ...county, subCounties };
+});
+
+const countyIndex = new Map();
+COUNTIES.forEach(county => {
+  [county.name, county.code, String(Number(county.code)), ...county.aliases].forEach(name => {
+    if (!countyIndex.has(keyOf(name))) countyIndex.set(keyOf(name), county);
+  });
+});
+
+const DEFAULT_COUNTY = countyIndex.get(keyOf('Nairobi'));
+const DEFAULT_COORDINATES = DEFAULT_COUNTY.centroid;
+
+// Edit distance, for misspellings like "Kakamenga" or "Machackos"
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a key of this length
+const tolerance = (key) => (key.length < 5 ? 0 : key.length < 9 ? 1 : 2);
+
+// Closest candidate within tolerance; ties are ambiguous and match nothing
+const closest = (key, candidates) => {
+  let best = null;
+  let bestDistance = tolerance(key) + 1;
+  let tied = false;
+
+  candidates.forEach(({ key: candidateKey, value }) => {
+    const distance = levenshtein(key, candidateKey);
+    if (distance < bestDistance) {
+      best = value;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance && value !== best) {
+      tied = true;
+    }
+  });
+
+  return tied ? null : best;
+};
+
+const countyCandidates = [...countyIndex.entries()]
+  .filter(([key]) => !/^\d+$/.test(key))
+  .map(([key, value]) => ({ key, value }));
+
+// ===============================
+// Lookups
+// ===============================
+
+/**
+ * County for a name, code ("047", "47"), alias or near-miss spelling.
+ * Returns null when nothing matches unambiguously.
+ */
+const findCounty = (input) => {
+  if (!input) return null;
+  if (typeof input === 'object' && input.code && input.subCounties) return input;
+
+  const key = keyOf(input);
+  if (!key) return null;
+  return countyIndex.get(key) || closest(key, countyCandidates);
+};
+
+const findSubCounty = (county, input) => {
+  county = findCounty(county);
+  const key = keyOf(input);
+  if (!county || !key) return null;
+
+  const candidates = candidatesOf(county.subCounties);
+  const exact = candidates.find(c => c.key === key || keyOf(c.value.code) === key);
+  return exact ? exact.value : closest(key, candidates);
+};
+
+const findWard = (subCounty, input) => {
+  const key = keyOf(input);
+  if (!subCounty || !key) return null;
+
+  const candidates = candidatesOf(subCounty.wards);
+  const exact = candidates.find(c => c.key === key || keyOf(c.value.code) === key);
+  return exact ? exact.value : closest(key, candidates);
+};
+
+/**
+ * [lng, lat] for a county, falling back to Nairobi for unknown names
+ */
+const getCountyCoordinates = (input) => {
+  const county = findCounty(input);
+  return county ? [...county.centroid] : [...DEFAULT_COORDINATES];
+};
+
+/**
+ * Whether a [lng, lat] point falls inside a county's bounding box
+ */
+const isWithinCounty = (input, coordinates, marginDegrees = 0.05) => {
+  const county = findCounty(input);
+  if (!county || !Array.isArray(coordinates)) return false;
+
+  const [lng, lat] = coordinates;
+  const [minLng, minLat, maxLng, maxLat] = county.bbox;
+  return lng >= minLng - marginDegrees && lng <= maxLng + marginDegrees &&
+    lat >= minLat - marginDegrees && lat <= maxLat + marginDegrees;
+};
+
+// Mean Earth radius, for distances and $centerSphere radii
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance in km between two [lng, lat] points
+ */
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => deg * (Math.PI / 180);
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// ===============================
+// Location privacy
+// ===============================
+const LOCATION_PRECISIONS = ['exact', 'ward', 'county', 'hidden'];
+
+// About 2 km across: close to the size of a rural ward
+const WARD_GRID_DEGREES = 0.02;
+const COUNTY_GRID_DEGREES = 0.5;
+
+const snapToGrid = ([lng, lat], size) => [
+  Math.round((Math.floor(lng / size) * size + size / 2) * 10000) / 10000,
+  Math.round((Math.floor(lat / size) * size + size / 2) * 10000) / 10000
+];
+
+/**
+ * Blur a [lng, lat] point to a precision level. Snapping to a fixed grid
+ * (rather than adding random noise) means repeated lookups cannot be
+ * averaged back to the exact point. Returns null for 'hidden'.
+ */
+const fuzzCoordinates = (coordinates, precision, countyInput) => {
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+
+  switch (precision) {
+    case 'exact':
+      return [...coordinates];
+    case 'ward':
+      return snapToGrid(coordinates, WARD_GRID_DEGREES);
+    case 'county': {
+      const county = findCounty(countyInput) || COUNTIES.find(c => isWithinCounty(c, coordinates, 0));
+      return county ? [...county.centroid] : snapToGrid(coordinates, COUNTY_GRID_DEGREES);
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Canonical county name for query filters, so "nairobi", "Nairobi City"
+ * and "047" all hit the same records. Unknown input is returned trimmed
+ * (and so simply matches nothing).
+ */
+const countyName = (input) => {
+  const county = findCounty(input);
+  return county ? county.name : String(input || '').trim();
+};
+
+/**
+ * Canonicalise { county, subCounty, ward } as stored on listings,
+ * storages, transports, organisations and user addresses.
+ * Returns { value, error }: value carries canonical names and codes,
+ * error names the first part that could not be matched.
+ */
+const normalizeLocation = (details = {}) => {
+  const value = {};
+  if (!details || !details.county) return { value };
+
+  const county = findCounty(details.county);
+  if (!county) {
+    return { value, error: `Unknown county "${details.county}"` };
+  }
+  value.county = county.name;
+  value.countyCode = county.code;
+
+  if (details.subCounty) {
+    const subCounty = findSubCounty(county, details.subCounty);
+    if (!subCounty) {
+      return { value, error: `"${details.subCounty}" is not a sub-county of ${county.name}` };
+    }
+    value.subCounty = subCounty.name;
+    value.subCountyCode = subCounty.code;
+
+    if (details.ward) {
+      const ward = findWard(subCounty, details.ward);
+      if (!ward) {
+        return { value, error: `"${details.ward}" is not a ward of ${subCounty.name}` };
+      }
+      value.ward = ward.name;
+      value.wardCode = ward.code;
+    }
+  }
+
+  return { value };
+};
+
+/**
+ * Apply a partial { county, subCounty, ward } update to stored details.
+ * Fields the update leaves out are kept, unless a wider area changed: a
+ * new county clears the sub-county and ward, a new sub-county the ward.
+ */
+const mergeLocation = (current = {}, update = {}) => {
+  const merged = { county: current.county, subCounty: current.subCounty, ward: current.ward };
+  const changed = (field) => update[field] !== undefined && keyOf(update[field]) !== keyOf(current[field]);
+
+  if (changed('county')) {
+    merged.subCounty = undefined;
+    merged.ward = undefined;
+  }
+  if (changed('subCounty')) merged.ward = undefined;
+
+  ['county', 'subCounty', 'ward'].forEach(field => {
+    if (update[field] !== undefined) merged[field] = update[field] || undefined;
+  });
+
+  return merged;
+};
+
+// ===============================
+// Autocomplete
+// ===============================
+const places = [];
+COUNTIES.forEach(county => {
+  const countyRef = { code: county.code, name: county.name };
+  places.push({
+    type: 'county',
+    code: county.code,
+    name: county.name,
+    keys: [county.name, ...county.aliases].map(normalizeName),
+    centroid: county.centroid
+  });
+
+  county.subCounties.forEach(sub => {
+    places.push({
+      type: 'sub_county',
+      code: sub.code,
+      name: sub.name,
+      keys: namesOf(sub.name).map(normalizeName),
+      county: countyRef,
+      centroid: county.centroid
+    });
+
+    sub.wards.forEach(ward => {
+      places.push({
+        type: 'ward',
+        code: ward.code,
+        name: ward.name,
+        keys: namesOf(ward.name).map(normalizeName),
+        county: countyRef,
+        subCounty: { code: sub.code, name: sub.name },
+        centroid: county.centroid
+      });
+    });
+  });
+});
+
+const TYPE_RANK = { county: 0, sub_county: 1, ward: 2 };
+
+// 0 exact, 1 prefix, 2 prefix of a later word, 3 misspelling; null for no match
+const matchScore = (query, keys) => {
+  const compact = query.replace(/ /g, '');
+  let best = null;
+
+  keys.forEach(key => {
+    let score = null;
+    if (key === query || key.replace(/ /g, '') === compact) score = 0;
+    else if (key.startsWith(query) || key.replace(/ /g, '').startsWith(compact)) score = 1;
+    else if (key.split(' ').some(word => word.startsWith(query))) score = 2;
+    else if (query.length >= 4 && levenshtein(compact, key.replace(/ /g, '').slice(0, compact.length + 1)) <= tolerance(compact)) score = 3;
+
+    if (score !== null && (best === null || score < best)) best = score;
+  });
+
+  return best;
+};
+
+/**
+ * Ranked counties, sub-counties and wards matching a partial name,
+ * for client autocomplete
+ */
+const resolve = (query, { types, limit = 10 } = {}) => {
+  const normalized = normalizeName(query);
+  if (!normalized) return [];
+
+  const byCode = findCounty(/^\d{1,3}$/.test(normalized) ? normalized : null);
+
+  return places
+    .filter(place => !types || types.includes(place.type))
+    .map(place => {
+      const score = byCode && place.type === 'county' && place.code === byCode.code
+        ? 0
+        : matchScore(normalized, place.keys);
+      return { place, score };
+    })
+    .filter(({ score }) => score !== null)
+    .sort((a, b) =>
+      a.score - b.score ||
+      TYPE_RANK[a.place.type] - TYPE_RANK[b.place.type] ||
+      a.place.name.localeCompare(b.place.name))
+    .slice(0, limit)
+    .map(({ place }) => {
+      const { keys, ...result } = place;
+      return result;
+    });
+};
+
+module.exports = {
+  COUNTIES,
+  DEFAULT_COORDINATES,
+  normalizeName,
+  findCounty,
+  findSubCounty,
+  findWard,
+  getCountyCoordinates,
+  isWithinCounty,
+  countyName,
+  EARTH_RADIUS_KM,
+  distanceKm,
+  normalizeLocation,
+  mergeLocation,
+  LOCATION_PRECISIONS,
+  fuzzCoordinates,
+  resolve
+};
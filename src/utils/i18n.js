@@ -0,0 +1,119 @@
+// src/utils/i18n.js
+const CATALOGS = {
+  en: require('../locales/en'),
+  sw: require('../locales/sw')
+};
+
+const LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = 'en';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Catalog keys with {placeholders} also match messages built from them,
+// e.g. "Cannot update a {status} listing" matches "Cannot update a closed listing"
+const PATTERNS = Object.fromEntries(LANGUAGES.map(language => [
+  language,
+  Object.keys(CATALOGS[language].messages)
+    .filter(key => /\{\w+\}/.test(key))
+    .map(key => {
+      const names = [...key.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+      const source = key.split(/\{\w+\}/).map(escapeRegExp).join('(.+?)');
+      return { key, names, regex: new RegExp(`^${source}$`), literalLength: key.replace(/\{\w+\}/g, '').length };
+    })
+    // Most specific first
+    .sort((a, b) => b.literalLength - a.literalLength)
+]));
+
+const interpolate = (template, params = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+/**
+ * Best supported language for an Accept-Language header ("sw-KE,sw;q=0.9,en;q=0.8")
+ */
+const negotiateLanguage = (header) => {
+  if (!header || typeof header !== 'string') return DEFAULT_LANGUAGE;
+
+  const ranked = header.split(',')
+    .map(part => {
+      const [tag, ...options] = part.trim().split(';');
+      const q = options.find(option => option.trim().startsWith('q='));
+      return { language: tag.trim().toLowerCase().split('-')[0], q: q ? Number(q.trim().slice(2)) : 1 };
+    })
+    .filter(({ language, q }) => language && q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  const match = ranked.find(({ language }) => CATALOGS[language]);
+  return match ? match.language : DEFAULT_LANGUAGE;
+};
+
+const resolveLanguage = (language) => (CATALOGS[language] ? language : DEFAULT_LANGUAGE);
+
+/**
+ * Translate an English message into `language`. Messages are written in
+ * English in the code and the English text is the catalog key; `params`
+ * fill {placeholders}. Messages with no entry are returned unchanged.
+ */
+const translate = (language, text, params) => {
+  if (typeof text !== 'string') return text;
+
+  const { messages } = CATALOGS[resolveLanguage(language)];
+  if (messages[text] !== undefined) return interpolate(messages[text], params);
+
+  // A message already built from a template: translate the template and
+  // any captured value that has its own entry (roles, statuses, ...)
+  if (!params) {
+    for (const { key, names, regex } of PATTERNS[resolveLanguage(language)]) {
+      const match = text.match(regex);
+      if (!match) continue;
+
+      const values = Object.fromEntries(names.map((name, i) => [name, translate(language, match[i + 1])]));
+      return interpolate(messages[key], values);
+    }
+  }
+
+  return interpolate(text, params);
+};
+
+/**
+ * Options for Joi's validate() so its errors come back in `language`
+ */
+const joiOptions = (language) => ({
+  errors: { language: resolveLanguage(language) },
+  messages: Object.fromEntries(LANGUAGES.map(code => [code, CATALOGS[code].joi]))
+});
+
+/**
+ * Translate the parts of a JSON response meant for people: the top-level
+ * `message`, and `msg` / `message` on validation errors
+ */
+const localizeBody = (body, language) => {
+  if (resolveLanguage(language) === DEFAULT_LANGUAGE || !body || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+
+  const localized = { ...body };
+  if (typeof body.message === 'string') localized.message = translate(language, body.message);
+
+  if (Array.isArray(body.errors)) {
+    localized.errors = body.errors.map(error => {
+      if (!error || typeof error !== 'object') return translate(language, error);
+      return {
+        ...error,
+        ...(typeof error.msg === 'string' ? { msg: translate(language, error.msg) } : {}),
+        ...(typeof error.message === 'string' ? { message: translate(language, error.message) } : {})
+      };
+    });
+  }
+
+  return localized;
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  negotiateLanguage,
+  resolveLanguage,
+  translate,
+  joiOptions,
+  localizeBody
+};
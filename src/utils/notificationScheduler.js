@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const { notificationService } = require('../services/notificationService');
+const { savedSearchService } = require('../services/savedSearchService');
+
+// Every 15 minutes, send push / SMS / email held back by quiet hours
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const released = await notificationService.releaseHeld();
+    if (released) console.log(`Released ${released} held notifications at ${new Date().toISOString()}`);
+  } catch (error) {
+    console.error('Error releasing held notifications:', error);
+  }
+});
+
+// Hourly, email daily digests to users whose digest hour it is
+cron.schedule('0 * * * *', async () => {
+  try {
+    const sent = await notificationService.sendDigests();
+    console.log(`Sent ${sent} notification digests at ${new Date().toISOString()}`);
+  } catch (error) {
+    console.error('Error sending notification digests:', error);
+  }
+});
+
+// Hourly, send daily saved search alerts to users whose digest hour it is
+cron.schedule('5 * * * *', async () => {
+  try {
+    const sent = await savedSearchService.sendDailyAlerts();
+    if (sent) console.log(`Sent ${sent} saved search alerts at ${new Date().toISOString()}`);
+  } catch (error) {
+    console.error('Error sending saved search alerts:', error);
+  }
+});
+
+module.exports = cron;
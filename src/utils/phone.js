@@ -0,0 +1,19 @@
+/**
+ * Normalize Kenyan phone numbers to E.164 (+2547XXXXXXXX / +2541XXXXXXXX).
+ * Returns null when the input cannot be a valid number.
+ */
+const normalizePhone = (phone) => {
+  if (!phone || typeof phone !== 'string') return null;
+
+  const digits = phone.replace(/[\s\-()]/g, '').replace(/^\+/, '');
+
+  let national;
+  if (/^254[17]\d{8}$/.test(digits)) national = digits.slice(3);
+  else if (/^0[17]\d{8}$/.test(digits)) national = digits.slice(1);
+  else if (/^[17]\d{8}$/.test(digits)) national = digits;
+  else return null;
+
+  return `+254${national}`;
+};
+
+module.exports = { normalizePhone };
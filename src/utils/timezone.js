@@ -0,0 +1,64 @@
+// src/utils/timezone.js
+
+// "HH:mm", 24-hour
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Minutes since local midnight in a timezone
+ */
+const localMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+const parseTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether `date` falls in the daily window [start, end) in a timezone.
+ * Windows may wrap midnight ("22:00" to "07:00").
+ */
+const isWithinWindow = (date, { start, end, timezone }) => {
+  const now = localMinutes(date, timezone);
+  const from = parseTimeOfDay(start);
+  const to = parseTimeOfDay(end);
+
+  if (from === to) return false;
+  return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+/**
+ * The next time the daily window ends after `date`
+ */
+const windowEnd = (date, { end, timezone }) => {
+  const minutesLeft = (parseTimeOfDay(end) - localMinutes(date, timezone) + 1440) % 1440 || 1440;
+  const startOfMinute = Math.floor(date.getTime() / 60000) * 60000;
+  return new Date(startOfMinute + minutesLeft * 60000);
+};
+
+module.exports = {
+  TIME_OF_DAY,
+  isValidTimezone,
+  localMinutes,
+  isWithinWindow,
+  windowEnd
+};